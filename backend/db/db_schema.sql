@@ -22,7 +22,55 @@ CREATE TABLE products (
   calories VARCHAR(100),
   image_url VARCHAR(512),
   available TINYINT(1) DEFAULT 1,
-  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  stock_quantity INT NULL, -- units left; NULL means stock is not tracked
+  daily_stock INT NULL, -- level stock is restored to at the start of each IST day
+  low_stock_threshold INT DEFAULT 5, -- admins are alerted at or below this level
+  sold_out_at TIMESTAMP NULL, -- set when checkout took the last unit and hid the item
+  stock_reset_date DATE NULL, -- IST date daily_stock was last applied
+  gst_rate DECIMAL(5,2) NULL, -- overrides the category rate; NULL means use the category's
+  hsn_code VARCHAR(10) NULL, -- HSN/SAC code, same fallback as gst_rate
+  dietary_tags VARCHAR(100) NULL, -- comma-separated: veg, non-veg, egg, vegan, jain, gluten-free
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FULLTEXT KEY ft_products_search (title, description) -- menu search
+);
+
+-- Sizes / options with their own price (e.g. Regular, Large). Products without
+-- variants are sold at products.price; with variants, products.price is the cheapest.
+-- Retired variants are kept (is_active = 0) so past orders still resolve.
+CREATE TABLE product_variants (
+  variant_id INT AUTO_INCREMENT PRIMARY KEY,
+  item_id INT NOT NULL,
+  name VARCHAR(50) NOT NULL,
+  price DECIMAL(10,2) NOT NULL,
+  sort_order INT DEFAULT 0,
+  is_active TINYINT(1) DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (item_id) REFERENCES products(item_id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_variant_name (item_id, name)
+);
+
+-- Add-on groups per product, e.g. "Extras" (pick any) or "Spice level" (pick one)
+CREATE TABLE modifier_groups (
+  group_id INT AUTO_INCREMENT PRIMARY KEY,
+  item_id INT NOT NULL,
+  name VARCHAR(50) NOT NULL,
+  min_select INT DEFAULT 0,
+  max_select INT NULL, -- NULL means no limit
+  sort_order INT DEFAULT 0,
+  is_active TINYINT(1) DEFAULT 1,
+  FOREIGN KEY (item_id) REFERENCES products(item_id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_modifier_group (item_id, name)
+);
+
+CREATE TABLE modifier_options (
+  option_id INT AUTO_INCREMENT PRIMARY KEY,
+  group_id INT NOT NULL,
+  name VARCHAR(50) NOT NULL,
+  price DECIMAL(10,2) DEFAULT 0, -- added to the item price; 0 for free choices like "No onion"
+  sort_order INT DEFAULT 0,
+  is_active TINYINT(1) DEFAULT 1,
+  FOREIGN KEY (group_id) REFERENCES modifier_groups(group_id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_modifier_option (group_id, name)
 );
 
 -- Categories table for dynamic category management
@@ -30,6 +78,8 @@ CREATE TABLE categories (
   category_id INT AUTO_INCREMENT PRIMARY KEY,
   category_name VARCHAR(100) UNIQUE NOT NULL,
   is_active TINYINT(1) DEFAULT 1,
+  gst_rate DECIMAL(5,2) NULL, -- NULL means the default rate in the tax settings
+  hsn_code VARCHAR(10) NULL,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
@@ -46,44 +96,359 @@ CREATE TABLE password_resets (
   INDEX idx_expires (expires_at)
 );
 
+-- Coupon codes. An offer is scoped to the whole cart, one category or one product.
+CREATE TABLE coupons (
+  coupon_id INT AUTO_INCREMENT PRIMARY KEY,
+  code VARCHAR(30) NOT NULL UNIQUE, -- stored upper-case
+  description VARCHAR(255) NULL,
+  discount_type ENUM('percent','flat') NOT NULL,
+  discount_value DECIMAL(10,2) NOT NULL,
+  max_discount DECIMAL(10,2) NULL, -- cap for percentage offers
+  min_cart_value DECIMAL(10,2) DEFAULT 0,
+  category VARCHAR(100) NULL, -- only items in this category are discounted
+  item_id INT NULL, -- only this product is discounted
+  starts_at TIMESTAMP NULL,
+  ends_at TIMESTAMP NULL,
+  usage_limit INT NULL, -- total redemptions; NULL means unlimited
+  per_user_limit INT NULL DEFAULT 1, -- NULL means unlimited
+  first_order_only TINYINT(1) DEFAULT 0,
+  is_active TINYINT(1) DEFAULT 1,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (item_id) REFERENCES products(item_id) ON DELETE CASCADE,
+  FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
 -- Cart (one active cart per user)
 CREATE TABLE carts (
   cart_id INT AUTO_INCREMENT PRIMARY KEY,
   user_id INT NOT NULL,
+  coupon_id INT NULL, -- coupon applied to the cart, checked again at checkout
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-  FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+  FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+  FOREIGN KEY (coupon_id) REFERENCES coupons(coupon_id) ON DELETE SET NULL
 );
 
 CREATE TABLE cart_items (
   cart_item_id INT AUTO_INCREMENT PRIMARY KEY,
   cart_id INT NOT NULL,
   item_id INT NOT NULL,
+  variant_id INT NULL,
+  modifier_ids VARCHAR(255) NULL, -- chosen add-on option ids, sorted, e.g. '3,7'
+  instructions VARCHAR(200) NULL,
   quantity INT DEFAULT 1,
-  unit_price DECIMAL(10,2) NOT NULL,
+  unit_price DECIMAL(10,2) NOT NULL, -- includes add-ons
   FOREIGN KEY (cart_id) REFERENCES carts(cart_id) ON DELETE CASCADE,
-  FOREIGN KEY (item_id) REFERENCES products(item_id)
+  FOREIGN KEY (item_id) REFERENCES products(item_id),
+  FOREIGN KEY (variant_id) REFERENCES product_variants(variant_id) ON DELETE CASCADE
+);
+
+-- Dishes a user has starred
+CREATE TABLE favourites (
+  user_id INT NOT NULL,
+  item_id INT NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, item_id),
+  FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+  FOREIGN KEY (item_id) REFERENCES products(item_id) ON DELETE CASCADE
+);
+
+-- Named sets of dishes ("Monday lunch") a user adds to the cart in one go.
+-- Lines are stored like cart lines and priced when the preset is used.
+CREATE TABLE meal_presets (
+  preset_id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  name VARCHAR(50) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  UNIQUE KEY uniq_preset_name (user_id, name),
+  FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+CREATE TABLE meal_preset_items (
+  preset_item_id INT AUTO_INCREMENT PRIMARY KEY,
+  preset_id INT NOT NULL,
+  item_id INT NOT NULL,
+  variant_id INT NULL,
+  modifier_ids VARCHAR(255) NULL, -- chosen add-on option ids, sorted, e.g. '3,7'
+  instructions VARCHAR(200) NULL,
+  quantity INT NOT NULL DEFAULT 1,
+  FOREIGN KEY (preset_id) REFERENCES meal_presets(preset_id) ON DELETE CASCADE,
+  FOREIGN KEY (item_id) REFERENCES products(item_id) ON DELETE CASCADE,
+  FOREIGN KEY (variant_id) REFERENCES product_variants(variant_id) ON DELETE CASCADE
 );
 
 -- Orders
+-- Daily pickup windows for pre-orders; capacity is orders per slot per day
+CREATE TABLE pickup_slots (
+  slot_id INT AUTO_INCREMENT PRIMARY KEY,
+  label VARCHAR(100) NULL, -- e.g. 'Lunch break'
+  start_time TIME NOT NULL, -- IST
+  end_time TIME NOT NULL,
+  capacity INT NOT NULL DEFAULT 20,
+  is_active TINYINT(1) DEFAULT 1,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Self-service ordering tablets; each signs in with its own device key
+CREATE TABLE kiosk_devices (
+  kiosk_id INT AUTO_INCREMENT PRIMARY KEY,
+  name VARCHAR(50) NOT NULL UNIQUE, -- e.g. 'Entrance left'
+  key_hash CHAR(64) NOT NULL UNIQUE, -- SHA-256 of the device key, which is only shown once
+  is_active TINYINT(1) DEFAULT 1,
+  last_seen_at TIMESTAMP NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
 CREATE TABLE orders (
   order_id INT AUTO_INCREMENT PRIMARY KEY,
-  user_id INT NULL, -- allow NULL if user deleted
-  total_amount DECIMAL(10,2) NOT NULL,
+  user_id INT NULL, -- allow NULL if user deleted, and for walk-in counter and kiosk orders
+  order_source VARCHAR(10) DEFAULT 'app', -- 'app' (customer checkout), 'pos' (rung up at the counter) or 'kiosk'
+  kiosk_id INT NULL, -- kiosk the order was placed at
+  customer_phone VARCHAR(15) NULL, -- optional contact for walk-in customers
+  total_amount DECIMAL(10,2) NOT NULL, -- amount payable, after any discount and including GST
+  tax_amount DECIMAL(10,2) DEFAULT 0, -- GST (CGST + SGST) in total_amount
+  prices_include_tax TINYINT(1) DEFAULT 1, -- whether menu prices already included GST when ordered
+  coupon_id INT NULL, -- coupon redeemed on this order
+  coupon_code VARCHAR(30) NULL,
+  discount_amount DECIMAL(10,2) DEFAULT 0,
   order_status VARCHAR(50) DEFAULT 'Placed',
   payment_status TINYINT(1) DEFAULT 0,
   delivery_status TINYINT(1) DEFAULT 0,
   order_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-  FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE SET NULL
+  idempotency_key VARCHAR(64) NULL, -- client-supplied key so checkout retries don't duplicate
+  token_date DATE NULL, -- IST business date the pickup token belongs to
+  token_number INT NULL, -- pickup token called out at the counter, restarts at 1 daily
+  payment_method VARCHAR(20) DEFAULT 'counter', -- 'online', 'wallet' or 'counter'
+  pickup_slot_id INT NULL, -- requested pickup window; NULL means as soon as possible
+  pickup_date DATE NULL, -- IST date of the pickup window
+  pickup_code VARCHAR(32) NULL, -- random code in the signed pickup QR
+  picked_up_at TIMESTAMP NULL, -- set when the pickup QR is scanned at the counter; a QR works once
+  picked_up_by INT NULL, -- staff member who scanned it
+  FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE SET NULL,
+  FOREIGN KEY (picked_up_by) REFERENCES users(user_id) ON DELETE SET NULL,
+  FOREIGN KEY (kiosk_id) REFERENCES kiosk_devices(kiosk_id) ON DELETE SET NULL,
+  FOREIGN KEY (pickup_slot_id) REFERENCES pickup_slots(slot_id) ON DELETE SET NULL,
+  FOREIGN KEY (coupon_id) REFERENCES coupons(coupon_id) ON DELETE SET NULL,
+  INDEX idx_orders_pickup (pickup_date, pickup_slot_id),
+  INDEX idx_orders_coupon (coupon_id, user_id),
+  UNIQUE KEY uniq_order_idempotency (user_id, idempotency_key),
+  UNIQUE KEY uniq_order_token (token_date, token_number)
+);
+
+-- Last pickup token handed out per IST date
+CREATE TABLE daily_token_counters (
+  token_date DATE PRIMARY KEY,
+  last_token INT NOT NULL DEFAULT 0
 );
 
 CREATE TABLE order_items (
   order_item_id INT AUTO_INCREMENT PRIMARY KEY,
   order_id INT NOT NULL,
   item_id INT NOT NULL,
+  variant_id INT NULL,
+  variant_name VARCHAR(50) NULL, -- copied at checkout so later renames don't rewrite history
+  modifiers TEXT NULL, -- JSON copy of the chosen add-ons: [{ option_id, group, name, price }]
+  instructions VARCHAR(200) NULL,
   quantity INT NOT NULL,
-  unit_price DECIMAL(10,2) NOT NULL,
+  unit_price DECIMAL(10,2) NOT NULL, -- includes add-ons
+  hsn_code VARCHAR(10) NULL, -- tax classification at the time of the order
+  gst_rate DECIMAL(5,2) NULL,
+  FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+  FOREIGN KEY (item_id) REFERENCES products(item_id),
+  FOREIGN KEY (variant_id) REFERENCES product_variants(variant_id) ON DELETE SET NULL
+);
+
+-- Verified-purchase ratings: one per order line, allowed once the order is
+-- Delivered. Only published reviews count toward a product's rating.
+CREATE TABLE product_reviews (
+  review_id INT AUTO_INCREMENT PRIMARY KEY,
+  order_item_id INT NOT NULL UNIQUE,
+  item_id INT NOT NULL,
+  user_id INT NOT NULL,
+  rating TINYINT NOT NULL, -- 1 to 5 stars
+  comment VARCHAR(500) NULL,
+  status VARCHAR(10) NOT NULL DEFAULT 'published', -- published or hidden (by an admin)
+  moderation_note VARCHAR(200) NULL,
+  moderated_by INT NULL,
+  moderated_at TIMESTAMP NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  INDEX idx_reviews_item (item_id, status),
+  FOREIGN KEY (order_item_id) REFERENCES order_items(order_item_id) ON DELETE CASCADE,
+  FOREIGN KEY (item_id) REFERENCES products(item_id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+  FOREIGN KEY (moderated_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- GST charged on an order, one row per HSN/SAC code and rate. CGST and SGST are
+-- each half of the rate (the canteen only sells within its own state).
+CREATE TABLE order_tax_lines (
+  tax_line_id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  hsn_code VARCHAR(10) NULL,
+  gst_rate DECIMAL(5,2) NOT NULL,
+  taxable_value DECIMAL(10,2) NOT NULL,
+  cgst_amount DECIMAL(10,2) NOT NULL,
+  sgst_amount DECIMAL(10,2) NOT NULL,
+  FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE
+);
+
+-- Last invoice number handed out per financial year ('2026-27')
+CREATE TABLE invoice_counters (
+  financial_year VARCHAR(7) PRIMARY KEY,
+  last_number INT NOT NULL DEFAULT 0
+);
+
+-- Tax invoice issued at checkout, numbered without gaps within a financial year
+CREATE TABLE invoices (
+  invoice_id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL UNIQUE,
+  financial_year VARCHAR(7) NOT NULL,
+  invoice_seq INT NOT NULL,
+  invoice_number VARCHAR(40) NOT NULL UNIQUE, -- e.g. 'AIMS/2026-27/00042'
+  seller TEXT NULL, -- JSON copy of the seller details printed on the invoice
+  issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+  UNIQUE KEY uniq_invoice_seq (financial_year, invoice_seq)
+);
+
+-- Order status changes (one row per transition, including the initial 'Placed')
+CREATE TABLE order_status_history (
+  history_id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  from_status VARCHAR(50) NULL,
+  to_status VARCHAR(50) NOT NULL,
+  changed_by INT NULL, -- user who made the change (customer for 'Placed', staff afterwards)
+  note VARCHAR(255) NULL,
+  changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+  FOREIGN KEY (changed_by) REFERENCES users(user_id) ON DELETE SET NULL,
+  INDEX idx_history_order (order_id)
+);
+
+-- Payment attempts against an order (gateway intents and pay-at-counter)
+CREATE TABLE payments (
+  payment_id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  user_id INT NULL,
+  method VARCHAR(20) NOT NULL, -- 'online', 'wallet' or 'counter'
+  provider VARCHAR(20) NOT NULL, -- gateway name ('mock', 'razorpay'), 'wallet', 'counter', or the tender of a counter sale ('cash', 'upi', 'card')
+  provider_ref VARCHAR(100) NULL, -- gateway order/intent id
+  provider_payment_id VARCHAR(100) NULL, -- gateway transaction id once paid
+  amount DECIMAL(10,2) NOT NULL,
+  currency CHAR(3) DEFAULT 'INR',
+  status ENUM('created','pending','succeeded','failed','cancelled','refunded') DEFAULT 'created',
+  failure_reason VARCHAR(255) NULL,
+  recorded_by INT NULL, -- staff member who took a counter payment
+  amount_tendered DECIMAL(10,2) NULL, -- cash handed over for a counter sale
+  change_given DECIMAL(10,2) NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+  FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE SET NULL,
+  FOREIGN KEY (recorded_by) REFERENCES users(user_id) ON DELETE SET NULL,
+  UNIQUE KEY uniq_payment_provider_ref (provider, provider_ref),
+  INDEX idx_payments_order (order_id)
+);
+
+-- Prepaid canteen wallet, one per user; balance always equals the ledger sum
+CREATE TABLE wallets (
+  user_id INT PRIMARY KEY,
+  balance DECIMAL(10,2) NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+);
+
+-- Append-only wallet ledger: rows are only ever inserted
+CREATE TABLE wallet_transactions (
+  txn_id INT AUTO_INCREMENT PRIMARY KEY,
+  user_id INT NOT NULL,
+  type ENUM('topup','debit','refund','adjustment') NOT NULL,
+  amount DECIMAL(10,2) NOT NULL, -- credits positive, debits negative
+  balance_after DECIMAL(10,2) NOT NULL,
+  order_id INT NULL,
+  note VARCHAR(255) NULL,
+  created_by INT NULL, -- staff member for top-ups and adjustments
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+  FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE SET NULL,
+  FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL,
+  INDEX idx_wallet_txn_user (user_id, txn_id)
+);
+
+-- Money returned for a paid order that was cancelled, or for a payment the order
+-- could not take (at most one per payment)
+CREATE TABLE refunds (
+  refund_id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  payment_id INT NULL,
+  user_id INT NULL,
+  amount DECIMAL(10,2) NOT NULL,
+  method VARCHAR(20) NOT NULL, -- 'wallet', 'gateway' or 'cash'
+  status ENUM('pending','succeeded','failed') DEFAULT 'pending',
+  provider_refund_id VARCHAR(100) NULL,
+  reason VARCHAR(255) NULL,
+  failure_reason VARCHAR(255) NULL,
+  created_by INT NULL, -- who cancelled the order
+  processed_by INT NULL, -- staff member who handed back cash or retried the refund
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
   FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
-  FOREIGN KEY (item_id) REFERENCES products(item_id)
+  FOREIGN KEY (payment_id) REFERENCES payments(payment_id) ON DELETE SET NULL,
+  FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE SET NULL,
+  FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL,
+  FOREIGN KEY (processed_by) REFERENCES users(user_id) ON DELETE SET NULL,
+  UNIQUE KEY uniq_refund_payment (payment_id),
+  INDEX idx_refunds_order (order_id)
+);
+
+-- Weekly opening hours (IST), one row per day; 0 = Sunday
+CREATE TABLE opening_hours (
+  day_of_week TINYINT PRIMARY KEY,
+  open_time TIME NULL,
+  close_time TIME NULL,
+  is_closed TINYINT(1) DEFAULT 0
+);
+
+-- Holidays and one-off closures
+CREATE TABLE canteen_closures (
+  closure_id INT AUTO_INCREMENT PRIMARY KEY,
+  closure_date DATE NOT NULL UNIQUE,
+  reason VARCHAR(255) NULL,
+  created_by INT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Switches staff can flip at runtime, e.g. 'ordering_pause' (JSON: message, until),
+-- 'tax' (JSON: GST registration and pricing, see loadTaxSettings in server.js)
+-- and 'printing' (JSON: auto_print_kitchen, enabled_at)
+CREATE TABLE canteen_settings (
+  setting_key VARCHAR(50) PRIMARY KEY,
+  setting_value TEXT NULL,
+  updated_by INT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+  FOREIGN KEY (updated_by) REFERENCES users(user_id) ON DELETE SET NULL
+);
+
+-- Receipts and kitchen tickets (KOT) sent to the thermal printers
+CREATE TABLE print_jobs (
+  job_id INT AUTO_INCREMENT PRIMARY KEY,
+  order_id INT NOT NULL,
+  kind ENUM('receipt', 'kitchen') NOT NULL,
+  printer VARCHAR(255) NOT NULL, -- target it went to: tcp://host:port or a device path
+  status ENUM('queued', 'printing', 'printed', 'failed') DEFAULT 'queued',
+  attempts INT DEFAULT 0,
+  error VARCHAR(255) NULL, -- last failure when status is 'failed'
+  requested_by INT NULL, -- staff who asked for it; NULL for automatic kitchen tickets
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  printed_at TIMESTAMP NULL,
+  FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+  FOREIGN KEY (requested_by) REFERENCES users(user_id) ON DELETE SET NULL,
+  INDEX idx_print_jobs_order (order_id, kind)
 );
 
 -- Insert admin user (bcrypt hashed password for: Nishanth@123)
@@ -160,3 +525,45 @@ INSERT INTO products (title, category, price, calories, image_url) VALUES
 ('Paneer Puff','Bakery',15,'255 - 390 Kcal','assets/images/samosa.jpg'),
 ('Khari','Bakery',20,'265 - 375 Kcal','assets/images/panner-puff.jpg'),
 ('Noodle Puff','Bakery',15,'300 - 425 Kcal','assets/images/noodle-puff.jpg');
+
+-- Seed sizes for drinks sold in two cup sizes
+INSERT INTO product_variants (item_id, name, price, sort_order)
+SELECT item_id, 'Regular', price, 0 FROM products WHERE title IN ('Milk Shakes','Cold Coffee','Chocolate Frappe');
+INSERT INTO product_variants (item_id, name, price, sort_order)
+SELECT item_id, 'Large', price + 15, 1 FROM products WHERE title IN ('Milk Shakes','Cold Coffee','Chocolate Frappe');
+
+-- Seed add-ons for Maggi and sandwiches
+INSERT INTO modifier_groups (item_id, name, min_select, max_select, sort_order)
+SELECT item_id, 'Extras', 0, NULL, 0 FROM products WHERE category IN ('Maggi','Sandwich');
+INSERT INTO modifier_groups (item_id, name, min_select, max_select, sort_order)
+SELECT item_id, 'Spice level', 0, 1, 1 FROM products WHERE category = 'Maggi';
+INSERT INTO modifier_options (group_id, name, price, sort_order)
+SELECT group_id, 'Extra cheese', 10, 0 FROM modifier_groups WHERE name = 'Extras';
+INSERT INTO modifier_options (group_id, name, price, sort_order)
+SELECT group_id, 'Extra veggies', 10, 1 FROM modifier_groups WHERE name = 'Extras';
+INSERT INTO modifier_options (group_id, name, price, sort_order)
+SELECT group_id, 'No onion', 0, 2 FROM modifier_groups WHERE name = 'Extras';
+INSERT INTO modifier_options (group_id, name, price, sort_order)
+SELECT group_id, 'Less spicy', 0, 0 FROM modifier_groups WHERE name = 'Spice level';
+INSERT INTO modifier_options (group_id, name, price, sort_order)
+SELECT group_id, 'Extra spicy', 0, 1 FROM modifier_groups WHERE name = 'Spice level';
+
+-- Seed a welcome offer: a free chai on the first order
+INSERT INTO coupons (code, description, discount_type, discount_value, max_discount, item_id, per_user_limit, first_order_only)
+SELECT 'FIRSTCHAI', 'Free chai on your first order', 'percent', 100, 10, item_id, 1, 1 FROM products WHERE title = 'Tea';
+
+-- Seed pickup slots around the college breaks
+INSERT INTO pickup_slots (label, start_time, end_time, capacity) VALUES
+('Morning break','10:30:00','10:45:00',25),
+('Lunch break','12:45:00','13:30:00',40),
+('Evening break','15:30:00','15:45:00',25);
+
+-- Default opening hours: Monday to Saturday, closed on Sunday
+INSERT INTO opening_hours (day_of_week, open_time, close_time, is_closed) VALUES
+(0,NULL,NULL,1),
+(1,'08:30:00','17:30:00',0),
+(2,'08:30:00','17:30:00',0),
+(3,'08:30:00','17:30:00',0),
+(4,'08:30:00','17:30:00',0),
+(5,'08:30:00','17:30:00',0),
+(6,'08:30:00','14:00:00',0);
@@ -13,12 +13,25 @@ const crypto = require('crypto');
 const { sendEmail, EmailTemplates, verifyEmailConfig } = require('./config/emailConfig');
 // Import admin seeder for startup
 const { seedAdminsForStartup } = require('./seedAdmins');
+// Live order updates (Server-Sent Events)
+const orderEvents = require('./services/orderEvents');
+// Payment gateway adapters (mock, Razorpay) and checkout payment methods
+const paymentGateways = require('./services/payments');
+// GST tax invoices rendered as PDF
+const { writeInvoicePdf } = require('./services/invoicePdf');
+// Thermal receipts and kitchen tickets (ESC/POS) and the printer queue
+const { renderReceipt, renderKitchenTicket } = require('./services/printing/tickets');
+const printQueue = require('./services/printing/printQueue');
+// QR codes for pickup verification
+const QRCode = require('qrcode');
 require('dotenv').config();
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 const JWT_SECRET = process.env.JWT_SECRET || 'fallback_secret_change_in_production';
 
+paymentGateways.checkConfiguration();
+
 
 // ==================== MIDDLEWARE SETUP ====================
 
@@ -69,11 +82,19 @@ const corsOptions = {
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'Idempotency-Key', 'X-Kiosk-Key']
 };
 
 app.use(cors(corsOptions));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Gateway webhooks are signed over the exact bytes received, so keep them around
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // ==================== EMAIL ROUTES ====================
@@ -134,6 +155,22 @@ app.get(['/admin-side', '/admin-side.html'], (req, res) => {
   res.sendFile(path.resolve(__dirname, '../frontend/admin-side.html'));
 });
 
+app.get(['/kitchen', '/kitchen.html'], (req, res) => {
+  res.sendFile(path.resolve(__dirname, '../frontend/kitchen.html'));
+});
+
+app.get(['/now-serving', '/now-serving.html'], (req, res) => {
+  res.sendFile(path.resolve(__dirname, '../frontend/now-serving.html'));
+});
+
+app.get(['/pos', '/pos.html'], (req, res) => {
+  res.sendFile(path.resolve(__dirname, '../frontend/pos.html'));
+});
+
+app.get(['/kiosk', '/kiosk.html'], (req, res) => {
+  res.sendFile(path.resolve(__dirname, '../frontend/kiosk.html'));
+});
+
 app.get('/', (req, res) => {
   res.sendFile(path.resolve(__dirname, '../frontend/index.html'));
 });
@@ -167,6 +204,34 @@ function requireAdmin(req, res, next) {
   next();
 }
 
+// ==================== DATABASE HELPERS ====================
+
+// Run `work` on a dedicated pool connection inside a single transaction.
+// Commits when `work` resolves; rolls back and rethrows when it throws.
+async function withTransaction(work) {
+  const connection = await db.getConnection();
+  try {
+    await connection.beginTransaction();
+    const result = await work(connection);
+    await connection.commit();
+    return result;
+  } catch (err) {
+    await connection.rollback().catch(() => {});
+    throw err;
+  } finally {
+    connection.release();
+  }
+}
+
+// Error carrying an HTTP status, thrown from inside transactions so the
+// route can roll back and still answer with a specific client error.
+function httpError(status, message, details = {}) {
+  const err = new Error(message);
+  err.status = status;
+  err.details = details;
+  return err;
+}
+
 // ==================== INPUT VALIDATION HELPERS ====================
 
 function validateEmail(email) {
@@ -256,6 +321,8 @@ app.post('/api/auth/register', authLimiter, async (req, res) => {
 });
 
 // User Login
+// Optional `guest_cart: [{ item_id, variant_id, modifiers, instructions, quantity }]`
+// is merged into the user's cart (see addLinesToCart).
 app.post('/api/auth/login', authLimiter, async (req, res) => {
   try {
     const { email, password } = req.body;
@@ -294,6 +361,20 @@ app.post('/api/auth/login', authLimiter, async (req, res) => {
       { expiresIn: '7d' }
     );
 
+    // Items added before logging in. A failed merge never blocks the login; the
+    // client is told so it keeps its cart and retries with POST /api/cart/merge.
+    let cart_merge = null;
+    let cart_merge_error;
+    if (Array.isArray(req.body.guest_cart) && req.body.guest_cart.length) {
+      try {
+        const { added, ...merge } = await addLinesToCart(user.user_id, req.body.guest_cart);
+        cart_merge = merge;
+      } catch (mergeErr) {
+        console.error('Guest cart merge error:', mergeErr);
+        cart_merge_error = GUEST_CART_MERGE_FAILED;
+      }
+    }
+
     res.json({
       success: true,
       token,
@@ -303,7 +384,9 @@ app.post('/api/auth/login', authLimiter, async (req, res) => {
         email: user.email,
         phone: user.phone,
         is_admin: user.is_admin
-      }
+      },
+      cart_merge,
+      cart_merge_error
     });
 
   } catch (err) {
@@ -660,24 +743,422 @@ app.delete('/api/categories/:id', authenticateToken, requireAdmin, async (req, r
 // ==================== PRODUCTS/MENU ROUTES ====================
 
 // Get all available products
+// stock_quantity is null for items whose stock isn't tracked
+// Published reviews per product, joined as `r` for rating_average / rating_count
+const RATING_SUMMARY_JOIN = `
+  LEFT JOIN (
+    SELECT item_id, ROUND(AVG(rating), 1) AS rating_average, COUNT(*) AS rating_count
+    FROM product_reviews WHERE status = 'published' GROUP BY item_id
+  ) r ON r.item_id = p.item_id`;
+
+// Units sold per product over recent delivered orders, joined as `s` for sold
+const POPULARITY_DAYS = 30;
+const SALES_SUMMARY_JOIN = `
+  LEFT JOIN (
+    SELECT oi.item_id, SUM(oi.quantity) AS sold
+    FROM order_items oi JOIN orders o ON oi.order_id = o.order_id
+    WHERE o.order_status = 'Delivered' AND o.order_date >= NOW() - INTERVAL ${POPULARITY_DAYS} DAY
+    GROUP BY oi.item_id
+  ) s ON s.item_id = p.item_id`;
+
+// Dietary labels a product can carry, stored comma-separated in products.dietary_tags
+const DIETARY_TAGS = ['veg', 'non-veg', 'egg', 'vegan', 'jain', 'gluten-free'];
+
+// Validate dietary tags from the admin forms or a menu filter (a list or a
+// comma-separated string); returns { tags } (undefined when none were sent,
+// [] to clear) or { error }
+function parseDietaryTags(input) {
+  if (input === undefined || input === null) return { tags: undefined };
+  const list = Array.isArray(input) ? input : String(input).split(',');
+  const tags = Array.from(new Set(list.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean)));
+  const unknown = tags.filter((tag) => !DIETARY_TAGS.includes(tag));
+  if (unknown.length) {
+    return { error: `Unknown dietary tag "${unknown[0]}". Use ${DIETARY_TAGS.join(', ')}` };
+  }
+  return { tags };
+}
+
+// Menu sort orders. Every key sorts the same direction and ends with item_id so
+// a page cursor can carry on from the last row with one row comparison.
+const MENU_SORTS = {
+  default: { direction: 'ASC', keys: ['p.category', 'p.title', 'p.item_id'] },
+  price_asc: { direction: 'ASC', keys: ['p.price', 'p.item_id'] },
+  price_desc: { direction: 'DESC', keys: ['p.price', 'p.item_id'] },
+  popularity: { direction: 'DESC', keys: ['COALESCE(s.sold, 0)', 'p.item_id'] },
+  rating: { direction: 'DESC', keys: ['COALESCE(r.rating_average, 0)', 'COALESCE(r.rating_count, 0)', 'p.item_id'] },
+  newest: { direction: 'DESC', keys: ['UNIX_TIMESTAMP(p.created_at)', 'p.item_id'] }
+};
+const MAX_MENU_PAGE_SIZE = 100;
+const MAX_MENU_SEARCH_LENGTH = 100;
+
+// Cursors are opaque to clients: the sort name plus the last row's sort key values
+function encodeMenuCursor(sort, values) {
+  return Buffer.from(JSON.stringify({ sort, values })).toString('base64url');
+}
+
+function decodeMenuCursor(cursor, sort) {
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (parsed.sort !== sort || !Array.isArray(parsed.values) ||
+        parsed.values.length !== MENU_SORTS[sort].keys.length) {
+      return null;
+    }
+    return parsed.values;
+  } catch (err) {
+    return null;
+  }
+}
+
+// Turn the menu query string into WHERE conditions, params and a page setup;
+// returns { conditions, params, sort, limit, after } or { error }
+async function parseMenuQuery(query) {
+  const conditions = ['p.available = 1'];
+  const params = [];
+
+  // Full-text search over title and description. Words shorter than the
+  // FULLTEXT minimum (3) fall back to LIKE so "dal" and "tea" still match.
+  if (query.q !== undefined && String(query.q).trim()) {
+    const q = String(query.q).trim();
+    if (q.length > MAX_MENU_SEARCH_LENGTH) {
+      return { error: `Search can be up to ${MAX_MENU_SEARCH_LENGTH} characters` };
+    }
+    const words = q.replace(/[^\p{L}\p{N}]+/gu, ' ').trim().split(/\s+/).filter(Boolean);
+    if (words.length === 0) {
+      return { error: 'Search needs at least one letter or number' };
+    }
+    const fullText = words.filter((word) => word.length >= 3);
+    if (fullText.length) {
+      conditions.push('MATCH(p.title, p.description) AGAINST (? IN BOOLEAN MODE)');
+      params.push(fullText.map((word) => `+${word}*`).join(' '));
+    }
+    words.filter((word) => word.length < 3).forEach((word) => {
+      conditions.push('(p.title LIKE ? OR p.description LIKE ?)');
+      params.push(`%${word}%`, `%${word}%`);
+    });
+  }
+
+  // Category by id or by name; products store the category name
+  if (query.category !== undefined && String(query.category).trim()) {
+    const category = String(query.category).trim();
+    if (/^\d+$/.test(category)) {
+      const [rows] = await db.query('SELECT category_name FROM categories WHERE category_id = ?', [category]);
+      if (rows.length === 0) {
+        return { error: 'Category not found', status: 404 };
+      }
+      conditions.push('p.category = ?');
+      params.push(rows[0].category_name);
+    } else {
+      conditions.push('p.category = ?');
+      params.push(category);
+    }
+  }
+
+  for (const [name, op] of [['min_price', '>='], ['max_price', '<=']]) {
+    if (query[name] === undefined || query[name] === '') continue;
+    const value = Number(query[name]);
+    if (!Number.isFinite(value) || value < 0) {
+      return { error: `${name} must be a non-negative number` };
+    }
+    conditions.push(`p.price ${op} ?`);
+    params.push(value);
+  }
+
+  const { tags, error: tagError } = parseDietaryTags(query.tags);
+  if (tagError) {
+    return { error: tagError };
+  }
+  (tags || []).forEach((tag) => {
+    conditions.push('FIND_IN_SET(?, p.dietary_tags)');
+    params.push(tag);
+  });
+
+  const sort = query.sort || 'default';
+  if (!Object.prototype.hasOwnProperty.call(MENU_SORTS, sort)) {
+    return { error: `Sort must be one of ${Object.keys(MENU_SORTS).join(', ')}` };
+  }
+
+  // Pagination is opt-in: `limit` or `cursor` switches the response to pages
+  let limit = null;
+  let after = null;
+  if (query.limit !== undefined || query.cursor !== undefined) {
+    limit = query.limit === undefined ? 20 : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_MENU_PAGE_SIZE) {
+      return { error: `Limit must be between 1 and ${MAX_MENU_PAGE_SIZE}` };
+    }
+    if (query.cursor) {
+      after = decodeMenuCursor(query.cursor, sort);
+      if (!after) {
+        return { error: 'Invalid or expired page cursor' };
+      }
+    }
+  }
+
+  return { conditions, params, sort, limit, after };
+}
+
+// Optional query: q (search), category (id or name), min_price, max_price,
+// tags (comma-separated dietary tags, all must match) and sort (price_asc,
+// price_desc, popularity, rating, newest). Without `limit` or `cursor` the
+// whole menu comes back as a list; with them it is { items, next_cursor }.
 app.get('/api/menu', async (req, res) => {
   try {
-    const [products] = await db.query(
-      'SELECT item_id, title, category, price, calories, image_url FROM products WHERE available = 1 ORDER BY category, title'
+    const menuQuery = await parseMenuQuery(req.query);
+    if (menuQuery.error) {
+      return res.status(menuQuery.status || 400).json({ error: menuQuery.error });
+    }
+    const { conditions, params, sort, limit, after } = menuQuery;
+    const { direction, keys } = MENU_SORTS[sort];
+
+    if (after) {
+      const comparison = direction === 'ASC' ? '>' : '<';
+      conditions.push(`(${keys.join(', ')}) ${comparison} (${keys.map(() => '?').join(', ')})`);
+      params.push(...after);
+    }
+
+    await ensureDailyStockReset();
+    const [rows] = await db.query(
+      `SELECT p.item_id, p.title, p.category, p.price, p.calories, p.image_url, p.stock_quantity,
+              p.dietary_tags,
+              (p.stock_quantity IS NOT NULL AND p.stock_quantity <= p.low_stock_threshold) AS low_stock,
+              r.rating_average, COALESCE(r.rating_count, 0) AS rating_count,
+              ${keys.map((key, i) => `${key} AS sort_key_${i}`).join(', ')}
+       FROM products p ${RATING_SUMMARY_JOIN} ${sort === 'popularity' ? SALES_SUMMARY_JOIN : ''}
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY ${keys.map((key) => `${key} ${direction}`).join(', ')}
+       ${limit ? 'LIMIT ?' : ''}`,
+      limit ? [...params, limit + 1] : params
     );
-    res.json(products);
+
+    const hasMore = limit !== null && rows.length > limit;
+    const products = hasMore ? rows.slice(0, limit) : rows;
+    const last = products[products.length - 1];
+    const next_cursor = hasMore ? encodeMenuCursor(sort, keys.map((key, i) => last[`sort_key_${i}`])) : null;
+    products.forEach((product) => {
+      keys.forEach((key, i) => delete product[`sort_key_${i}`]);
+      product.dietary_tags = product.dietary_tags ? product.dietary_tags.split(',') : [];
+    });
+
+    await attachVariants(products);
+    await attachModifierGroups(products);
+    res.json(limit ? { items: products, next_cursor } : products);
   } catch (err) {
     console.error('Menu fetch error:', err);
     res.status(500).json({ error: 'Failed to fetch menu items' });
   }
 });
 
+// ==================== PRODUCT REVIEWS ====================
+
+// Customers rate (1-5) and optionally review a dish they bought: one review per
+// order line, once the order has been Delivered, so every review is from a
+// verified purchase. Editing a review keeps its moderation status. Admins hide
+// reviews (status 'hidden'); only published ones count toward a product's rating.
+const MAX_REVIEW_LENGTH = 500;
+const REVIEW_STATUSES = ['published', 'hidden'];
+// Best Dishes: a product needs this many published reviews to rank as top rated
+const BEST_DISHES_MIN_REVIEWS = parseInt(process.env.BEST_DISHES_MIN_REVIEWS || '3', 10);
+const BEST_DISHES_COUNT = 4;
+
+// Rate a purchased dish: { order_item_id, rating, comment }. Rating the same line again updates it.
+app.post('/api/reviews', authenticateToken, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const rating = Number(body.rating);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({ error: 'Rating must be between 1 and 5 stars' });
+    }
+    const comment = typeof body.comment === 'string' ? body.comment.trim() : '';
+    if (comment.length > MAX_REVIEW_LENGTH) {
+      return res.status(400).json({ error: `Reviews can be up to ${MAX_REVIEW_LENGTH} characters` });
+    }
+
+    const [lines] = await db.query(
+      `SELECT oi.order_item_id, oi.item_id, o.order_status
+       FROM order_items oi JOIN orders o ON oi.order_id = o.order_id
+       WHERE oi.order_item_id = ? AND o.user_id = ?`,
+      [body.order_item_id, req.user.user_id]
+    );
+    if (lines.length === 0) {
+      return res.status(404).json({ error: 'Order item not found' });
+    }
+    if (lines[0].order_status !== 'Delivered') {
+      return res.status(409).json({ error: 'You can rate a dish once you have collected your order' });
+    }
+
+    const [result] = await db.query(
+      `INSERT INTO product_reviews (order_item_id, item_id, user_id, rating, comment)
+       VALUES (?, ?, ?, ?, ?)
+       ON DUPLICATE KEY UPDATE rating = VALUES(rating), comment = VALUES(comment)`,
+      [lines[0].order_item_id, lines[0].item_id, req.user.user_id, rating, comment || null]
+    );
+
+    // affectedRows is 1 for a new row and 2 for an update
+    res.status(result.affectedRows === 1 ? 201 : 200).json({
+      success: true,
+      order_item_id: lines[0].order_item_id,
+      rating,
+      comment: comment || null,
+      message: 'Thanks for your review'
+    });
+
+  } catch (err) {
+    console.error('Submit review error:', err);
+    res.status(500).json({ error: 'Failed to save review' });
+  }
+});
+
+// Published reviews of a dish, newest first, with its rating summary
+app.get('/api/products/:id/reviews', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const [products] = await db.query(
+      `SELECT p.item_id, p.title, r.rating_average, COALESCE(r.rating_count, 0) AS rating_count
+       FROM products p ${RATING_SUMMARY_JOIN}
+       WHERE p.item_id = ?`,
+      [req.params.id]
+    );
+    if (products.length === 0) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    // Reviewers are shown by first name only
+    const [reviews] = await db.query(
+      `SELECT pr.review_id, pr.rating, pr.comment, pr.created_at,
+              SUBSTRING_INDEX(COALESCE(u.name, 'Customer'), ' ', 1) AS reviewer
+       FROM product_reviews pr JOIN users u ON pr.user_id = u.user_id
+       WHERE pr.item_id = ? AND pr.status = 'published'
+       ORDER BY pr.created_at DESC LIMIT ?`,
+      [products[0].item_id, limit]
+    );
+
+    res.json({ ...products[0], reviews });
+
+  } catch (err) {
+    console.error('Get reviews error:', err);
+    res.status(500).json({ error: 'Failed to fetch reviews' });
+  }
+});
+
+// Dishes for the home page's Best Dishes section: the top rated (with enough
+// reviews) first, then the best sellers of the last 30 days. Each carries
+// `highlight` ('top_rated' or 'best_seller') and the price it starts at.
+app.get('/api/menu/best-dishes', async (req, res) => {
+  try {
+    const [products] = await db.query(
+      `SELECT p.item_id, p.title, p.description, p.image_url, p.price,
+              r.rating_average, COALESCE(r.rating_count, 0) AS rating_count, COALESCE(s.sold, 0) AS sold
+       FROM products p ${RATING_SUMMARY_JOIN} ${SALES_SUMMARY_JOIN}
+       WHERE p.available = 1`
+    );
+
+    const topRated = products
+      .filter((p) => p.rating_count >= BEST_DISHES_MIN_REVIEWS)
+      .sort((a, b) => b.rating_average - a.rating_average || b.rating_count - a.rating_count)
+      .slice(0, Math.ceil(BEST_DISHES_COUNT / 2))
+      .map((p) => ({ ...p, highlight: 'top_rated' }));
+    const bestSellers = products
+      .filter((p) => Number(p.sold) > 0 && !topRated.some((t) => t.item_id === p.item_id))
+      .sort((a, b) => b.sold - a.sold)
+      .slice(0, BEST_DISHES_COUNT - topRated.length)
+      .map((p) => ({ ...p, highlight: 'best_seller' }));
+    const dishes = topRated.concat(bestSellers);
+
+    // Items sold in sizes start at their cheapest size
+    await attachVariants(dishes);
+    dishes.forEach((dish) => {
+      if (dish.variants.length) {
+        dish.price = Math.min(...dish.variants.map((v) => parseFloat(v.price))).toFixed(2);
+      }
+      dish.sold = Number(dish.sold);
+      delete dish.variants;
+    });
+
+    res.json(dishes);
+
+  } catch (err) {
+    console.error('Best dishes error:', err);
+    res.status(500).json({ error: 'Failed to fetch best dishes' });
+  }
+});
+
+// Reviews for moderation (Admin only), newest first; ?status=published|hidden, ?item_id=
+app.get('/api/admin/reviews', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const where = [];
+    const params = [];
+    if (req.query.status) {
+      if (!REVIEW_STATUSES.includes(req.query.status)) {
+        return res.status(400).json({ error: `Status must be one of: ${REVIEW_STATUSES.join(', ')}` });
+      }
+      where.push('pr.status = ?');
+      params.push(req.query.status);
+    }
+    if (req.query.item_id) {
+      where.push('pr.item_id = ?');
+      params.push(req.query.item_id);
+    }
+
+    const [reviews] = await db.query(
+      `SELECT pr.review_id, pr.item_id, p.title, pr.rating, pr.comment, pr.status, pr.moderation_note,
+              pr.created_at, pr.updated_at, oi.order_id, u.name AS user_name, u.email AS user_email,
+              m.name AS moderated_by_name, pr.moderated_at
+       FROM product_reviews pr
+       JOIN products p ON pr.item_id = p.item_id
+       JOIN order_items oi ON pr.order_item_id = oi.order_item_id
+       JOIN users u ON pr.user_id = u.user_id
+       LEFT JOIN users m ON pr.moderated_by = m.user_id
+       ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY pr.created_at DESC LIMIT 200`,
+      params
+    );
+    res.json(reviews);
+
+  } catch (err) {
+    console.error('Admin reviews fetch error:', err);
+    res.status(500).json({ error: 'Failed to fetch reviews' });
+  }
+});
+
+// Hide or republish a review (Admin only): { status, note }
+app.put('/api/admin/reviews/:id/status', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { status } = req.body || {};
+    if (!REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Status must be one of: ${REVIEW_STATUSES.join(', ')}` });
+    }
+    const note = req.body.note ? String(req.body.note).trim().slice(0, 200) : null;
+
+    const [result] = await db.query(
+      `UPDATE product_reviews
+       SET status = ?, moderation_note = ?, moderated_by = ?, moderated_at = CURRENT_TIMESTAMP
+       WHERE review_id = ?`,
+      [status, note, req.user.user_id, req.params.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    res.json({ success: true, status, message: status === 'hidden' ? 'Review hidden' : 'Review published' });
+
+  } catch (err) {
+    console.error('Moderate review error:', err);
+    res.status(500).json({ error: 'Failed to update review' });
+  }
+});
+
 // ==================== ADMIN PRODUCT MANAGEMENT ====================
 
 // Add new product (Admin only)
+// Optional `variants: [{ name, price }]` sells the item in sizes; price can then be omitted.
 app.post('/api/admin/products', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const { title, description, category, price, calories, image_url, available } = req.body;
+    const { title, description, category, calories, image_url, available } = req.body;
+
+    const { variants, error: variantError } = parseVariants(req.body.variants);
+    if (variantError) {
+      return res.status(400).json({ error: variantError });
+    }
+    const price = variants && variants.length ? cheapestVariantPrice(variants) : req.body.price;
 
     // Input validation
     if (!title || !category || !price) {
@@ -688,22 +1169,49 @@ app.post('/api/admin/products', authenticateToken, requireAdmin, async (req, res
       return res.status(400).json({ error: 'Price must be a positive number' });
     }
 
-    const [result] = await db.query(
-      'INSERT INTO products (title, description, category, price, calories, image_url, available) VALUES (?, ?, ?, ?, ?, ?, ?)',
-      [
-        title.trim(), 
-        description ? description.trim() : null, 
-        category.trim(), 
-        parseFloat(price), 
-        calories || null, 
-        image_url || 'assets/images/menu_img1.jpg', 
-        available !== undefined ? (available ? 1 : 0) : 1
-      ]
-    );
+    const { settings: stock, error: stockError } = parseStockSettings(req.body);
+    if (stockError) {
+      return res.status(400).json({ error: stockError });
+    }
+
+    const { tags, error: tagError } = parseDietaryTags(req.body.dietary_tags);
+    if (tagError) {
+      return res.status(400).json({ error: tagError });
+    }
+
+    // A daily level with no opening count starts today's stock at that level
+    const stock_quantity = stock.stock_quantity !== undefined ? stock.stock_quantity : (stock.daily_stock ?? null);
+
+    const item_id = await withTransaction(async (conn) => {
+      const [result] = await conn.query(
+        `INSERT INTO products (title, description, category, price, calories, image_url, available,
+                               stock_quantity, daily_stock, low_stock_threshold, stock_reset_date, dietary_tags)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          title.trim(), 
+          description ? description.trim() : null, 
+          category.trim(), 
+          parseFloat(price), 
+          calories || null, 
+          image_url || 'assets/images/menu_img1.jpg', 
+          stock_quantity === 0 ? 0 : (available !== undefined ? (available ? 1 : 0) : 1),
+          stock_quantity,
+          stock.daily_stock ?? null,
+          stock.low_stock_threshold ?? DEFAULT_LOW_STOCK_THRESHOLD,
+          stock.daily_stock != null ? istDateString() : null,
+          tags && tags.length ? tags.join(',') : null
+        ]
+      );
+
+      if (variants && variants.length) {
+        await saveVariants(conn, result.insertId, variants);
+      }
+      return result.insertId;
+    });
 
     res.status(201).json({
       success: true,
-      item_id: result.insertId,
+      item_id,
       message: 'Product added successfully'
     });
 
@@ -714,10 +1222,19 @@ app.post('/api/admin/products', authenticateToken, requireAdmin, async (req, res
 });
 
 // Update product (Admin only)
+// Sending `variants` replaces the product's sizes; an empty list removes them.
+// `dietary_tags` is likewise only changed when sent, and leaving out `available`
+// keeps the current value so an edit doesn't re-list a sold-out item.
 app.put('/api/admin/products/:id', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const id = req.params.id;
-    const { title, description, category, price, calories, image_url, available } = req.body;
+    const { title, description, category, calories, image_url, available } = req.body;
+
+    const { variants, error: variantError } = parseVariants(req.body.variants);
+    if (variantError) {
+      return res.status(400).json({ error: variantError });
+    }
+    const price = variants && variants.length ? cheapestVariantPrice(variants) : req.body.price;
 
     if (!title || !category || !price) {
       return res.status(400).json({ error: 'Title, category, and price are required' });
@@ -727,19 +1244,34 @@ app.put('/api/admin/products/:id', authenticateToken, requireAdmin, async (req,
       return res.status(400).json({ error: 'Price must be a positive number' });
     }
 
-    const [result] = await db.query(
-      'UPDATE products SET title=?, description=?, category=?, price=?, calories=?, image_url=?, available=? WHERE item_id=?',
-      [
-        title.trim(), 
-        description ? description.trim() : null, 
-        category.trim(), 
-        parseFloat(price), 
-        calories || null, 
-        image_url || null, 
-        available !== undefined ? (available ? 1 : 0) : 1, 
-        id
-      ]
-    );
+    const { tags, error: tagError } = parseDietaryTags(req.body.dietary_tags);
+    if (tagError) {
+      return res.status(400).json({ error: tagError });
+    }
+
+    const result = await withTransaction(async (conn) => {
+      const [updated] = await conn.query(
+        'UPDATE products SET title=?, description=?, category=?, price=?, calories=?, image_url=?, available=COALESCE(?, available) WHERE item_id=?',
+        [
+          title.trim(), 
+          description ? description.trim() : null, 
+          category.trim(), 
+          parseFloat(price), 
+          calories || null, 
+          image_url || null, 
+          available == null ? null : (available ? 1 : 0), 
+          id
+        ]
+      );
+
+      if (updated.affectedRows > 0 && variants) {
+        await saveVariants(conn, id, variants);
+      }
+      if (updated.affectedRows > 0 && tags) {
+        await conn.query('UPDATE products SET dietary_tags = ? WHERE item_id = ?', [tags.length ? tags.join(',') : null, id]);
+      }
+      return updated;
+    });
 
     if (result.affectedRows === 0) {
       return res.status(404).json({ error: 'Product not found' });
@@ -776,349 +1308,4516 @@ app.delete('/api/admin/products/:id', authenticateToken, requireAdmin, async (re
 app.get('/api/admin/products', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const [products] = await db.query('SELECT * FROM products ORDER BY created_at DESC');
-    res.json(products);
+    await attachVariants(products);
+    res.json(await attachModifierGroups(products));
   } catch (err) {
     console.error('Admin products fetch error:', err);
     res.status(500).json({ error: 'Failed to fetch products' });
   }
 });
 
-// ==================== USER MANAGEMENT (ADMIN) ====================
+// ==================== PRODUCT VARIANTS ====================
 
-// Get all users (Admin only)
-app.get('/api/admin/users', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const [users] = await db.query(
-      'SELECT user_id, name, email, phone, is_admin, created_at FROM users ORDER BY created_at DESC'
-    );
-    res.json(users);
-  } catch (err) {
-    console.error('Users fetch error:', err);
-    res.status(500).json({ error: 'Failed to fetch users' });
-  }
-});
+// A product can be sold in named options (sizes) with their own price. Once it
+// has active variants every cart line must pick one, and products.price holds
+// the cheapest so listings can show a "from" price.
+const MAX_VARIANTS_PER_PRODUCT = 10;
 
-// Update user admin status (Admin only)
-app.put('/api/admin/users/:id/admin', authenticateToken, requireAdmin, async (req, res) => {
-  try {
-    const userId = req.params.id;
-    const { is_admin } = req.body;
+// Validate the variants list from the admin forms; returns { variants } (null
+// when none were sent) or { error }
+function parseVariants(input) {
+  if (input === undefined || input === null) return { variants: null };
+  if (!Array.isArray(input)) {
+    return { error: 'Variants must be a list of { name, price }' };
+  }
+  if (input.length > MAX_VARIANTS_PER_PRODUCT) {
+    return { error: `A product can have at most ${MAX_VARIANTS_PER_PRODUCT} variants` };
+  }
 
-    if (typeof is_admin !== 'boolean') {
-      return res.status(400).json({ error: 'is_admin must be a boolean value' });
+  const seen = new Set();
+  const variants = [];
+  for (const variant of input) {
+    const name = String((variant && variant.name) || '').trim();
+    const price = Number(variant && variant.price);
+    if (!name || name.length > 50) {
+      return { error: 'Each variant needs a name of up to 50 characters' };
     }
-
-    // Prevent admin from removing their own admin status
-    if (req.user.user_id == userId && !is_admin) {
-      return res.status(400).json({ error: 'Cannot remove your own admin privileges' });
+    if (seen.has(name.toLowerCase())) {
+      return { error: `Variant "${name}" is listed twice` };
     }
-
-    const [result] = await db.query(
-      'UPDATE users SET is_admin = ? WHERE user_id = ?',
-      [is_admin ? 1 : 0, userId]
-    );
-
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ error: 'User not found' });
+    if (!Number.isFinite(price) || price <= 0) {
+      return { error: `Price for "${name}" must be a positive number` };
     }
-
-    res.json({ success: true, message: 'User admin status updated successfully' });
-
-  } catch (err) {
-    console.error('Update user admin error:', err);
-    res.status(500).json({ error: 'Failed to update user admin status' });
+    seen.add(name.toLowerCase());
+    variants.push({ name, price: Math.round(price * 100) / 100 });
   }
-});
+  return { variants };
+}
 
-// ==================== CART MANAGEMENT ====================
+function cheapestVariantPrice(variants) {
+  return Math.min(...variants.map((v) => v.price));
+}
 
-async function getOrCreateCart(user_id) {
-  const [rows] = await db.query('SELECT cart_id FROM carts WHERE user_id = ?', [user_id]);
-  if (rows.length > 0) return rows[0].cart_id;
-  
-  const [result] = await db.query('INSERT INTO carts (user_id) VALUES (?)', [user_id]);
-  return result.insertId;
+// Active variants for a set of products, keyed by item_id
+async function loadVariants(item_ids, conn = db) {
+  const byItem = new Map();
+  if (item_ids.length === 0) return byItem;
+
+  const [rows] = await conn.query(
+    `SELECT variant_id, item_id, name, price FROM product_variants
+     WHERE item_id IN (?) AND is_active = 1 ORDER BY sort_order, price`,
+    [item_ids]
+  );
+  rows.forEach((row) => {
+    if (!byItem.has(row.item_id)) byItem.set(row.item_id, []);
+    byItem.get(row.item_id).push({ variant_id: row.variant_id, name: row.name, price: row.price });
+  });
+  return byItem;
 }
 
-// Get user's cart
-app.get('/api/cart', authenticateToken, async (req, res) => {
-  try {
-    const user_id = req.user.user_id;
-    const cart_id = await getOrCreateCart(user_id);
-    
-    const [items] = await db.query(
-      `SELECT ci.cart_item_id, ci.item_id, ci.quantity, ci.unit_price, p.title, p.image_url
-       FROM cart_items ci 
-       JOIN products p ON ci.item_id = p.item_id 
-       WHERE ci.cart_id = ? AND p.available = 1`,
-      [cart_id]
+async function attachVariants(products) {
+  const byItem = await loadVariants(products.map((p) => p.item_id));
+  products.forEach((product) => {
+    product.variants = byItem.get(product.item_id) || [];
+  });
+  return products;
+}
+
+// Make a product's active variants match `variants`, matched by name. Variants
+// left out are retired rather than deleted so past orders still show them;
+// cart lines that no longer match what's on sale are dropped.
+async function saveVariants(conn, item_id, variants) {
+  await conn.query('UPDATE product_variants SET is_active = 0 WHERE item_id = ?', [item_id]);
+  for (const [sort_order, variant] of variants.entries()) {
+    await conn.query(
+      `INSERT INTO product_variants (item_id, name, price, sort_order, is_active) VALUES (?, ?, ?, ?, 1)
+       ON DUPLICATE KEY UPDATE price = VALUES(price), sort_order = VALUES(sort_order), is_active = 1`,
+      [item_id, variant.name, variant.price, sort_order]
     );
-    
-    let total = 0;
-    items.forEach((item) => {
-      total += parseFloat(item.unit_price) * item.quantity;
-    });
-    
-    res.json({ cart_id, items, total: total.toFixed(2) });
-  } catch (err) {
-    console.error('Cart fetch error:', err);
-    res.status(500).json({ error: 'Failed to fetch cart' });
   }
-});
 
-// Add item to cart
-app.post('/api/cart', authenticateToken, async (req, res) => {
-  try {
-    const user_id = req.user.user_id;
-    const { item_id, quantity } = req.body;
+  await conn.query(
+    `DELETE ci FROM cart_items ci
+     LEFT JOIN product_variants pv ON ci.variant_id = pv.variant_id
+     WHERE ci.item_id = ? AND ${variants.length ? '(ci.variant_id IS NULL OR pv.is_active = 0)' : 'ci.variant_id IS NOT NULL'}`,
+    [item_id]
+  );
+}
 
-    if (!item_id) {
-      return res.status(400).json({ error: 'Item ID is required' });
+// ==================== PRODUCT MODIFIERS ====================
+
+// Add-ons and customisations: a product has groups ("Extras", "Spice level"),
+// each with options that may add to the price. min_select/max_select bound how
+// many options of a group a line may carry (max_select NULL = no limit). A cart
+// line is identified by item, variant, chosen options and instructions, so the
+// same item customised differently stays a separate line.
+const MAX_INSTRUCTIONS_LENGTH = 200;
+
+// Active groups with their active options for a set of products, keyed by item_id
+async function loadModifierGroups(item_ids, conn = db) {
+  const byItem = new Map();
+  if (item_ids.length === 0) return byItem;
+
+  const [rows] = await conn.query(
+    `SELECT g.group_id, g.item_id, g.name AS group_name, g.min_select, g.max_select,
+            o.option_id, o.name, o.price
+     FROM modifier_groups g
+     JOIN modifier_options o ON o.group_id = g.group_id AND o.is_active = 1
+     WHERE g.item_id IN (?) AND g.is_active = 1
+     ORDER BY g.sort_order, g.group_id, o.sort_order, o.option_id`,
+    [item_ids]
+  );
+
+  const groups = new Map();
+  rows.forEach((row) => {
+    if (!groups.has(row.group_id)) {
+      const group = {
+        group_id: row.group_id,
+        name: row.group_name,
+        min_select: row.min_select,
+        max_select: row.max_select,
+        options: []
+      };
+      groups.set(row.group_id, group);
+      if (!byItem.has(row.item_id)) byItem.set(row.item_id, []);
+      byItem.get(row.item_id).push(group);
     }
+    groups.get(row.group_id).options.push({ option_id: row.option_id, name: row.name, price: row.price });
+  });
+  return byItem;
+}
 
-    const qty = Math.max(1, parseInt(quantity) || 1);
-    const cart_id = await getOrCreateCart(user_id);
+async function attachModifierGroups(products) {
+  const byItem = await loadModifierGroups(products.map((p) => p.item_id));
+  products.forEach((product) => {
+    product.modifier_groups = byItem.get(product.item_id) || [];
+  });
+  return products;
+}
 
-    // Verify product exists and is available
-    const [products] = await db.query(
-      'SELECT price FROM products WHERE item_id = ? AND available = 1',
-      [item_id]
+// Check a customer's add-on choice against the product's groups. Returns the
+// canonical modifier_ids string (null for none), the extra price and the chosen
+// options; throws 400 when an option is unknown or a group's limits are broken.
+function resolveModifiers(groups, option_ids) {
+  const ids = Array.from(new Set((option_ids || []).map(Number))).sort((a, b) => a - b);
+  const options = new Map();
+  groups.forEach((group) => group.options.forEach((option) => options.set(option.option_id, { group, option })));
+
+  const unknown = ids.filter((id) => !options.has(id));
+  if (unknown.length) {
+    throw httpError(400, 'Some of the chosen add-ons are not available for this item', { unknown });
+  }
+
+  for (const group of groups) {
+    const count = ids.filter((id) => options.get(id).group === group).length;
+    if (count < group.min_select) {
+      throw httpError(400, `Please choose ${group.min_select === 1 ? 'an option' : `at least ${group.min_select} options`} for ${group.name}`);
+    }
+    if (group.max_select !== null && count > group.max_select) {
+      throw httpError(400, `You can choose up to ${group.max_select} for ${group.name}`);
+    }
+  }
+
+  const selected = ids.map((id) => {
+    const { group, option } = options.get(id);
+    return { option_id: id, group: group.name, name: option.name, price: option.price };
+  });
+  return {
+    modifier_ids: ids.length ? ids.join(',') : null,
+    addons_price: selected.reduce((sum, option) => sum + parseFloat(option.price), 0),
+    selected
+  };
+}
+
+// Free-text kitchen note for a line; returns null when empty
+function parseInstructions(value) {
+  const instructions = String(value || '').trim().replace(/\s+/g, ' ');
+  if (instructions.length > MAX_INSTRUCTIONS_LENGTH) {
+    throw httpError(400, `Instructions can be at most ${MAX_INSTRUCTIONS_LENGTH} characters`);
+  }
+  return instructions || null;
+}
+
+// Chosen add-ons for cart lines, as [{ option_id, group, name, price }] keyed by
+// modifier_ids. Retired options are included so checkout can spot them.
+async function describeModifierIds(modifierIdStrings, conn = db) {
+  const described = new Map();
+  const ids = Array.from(new Set(modifierIdStrings.filter(Boolean).flatMap((s) => s.split(',').map(Number))));
+  if (ids.length === 0) return described;
+
+  const [rows] = await conn.query(
+    `SELECT o.option_id, o.name, o.price, (o.is_active AND g.is_active) AS is_active, g.name AS group_name
+     FROM modifier_options o JOIN modifier_groups g ON o.group_id = g.group_id
+     WHERE o.option_id IN (?)`,
+    [ids]
+  );
+  const byId = new Map(rows.map((row) => [row.option_id, row]));
+  modifierIdStrings.filter(Boolean).forEach((key) => {
+    described.set(key, key.split(',').map(Number).map((id) => {
+      const row = byId.get(id);
+      return row
+        ? { option_id: id, group: row.group_name, name: row.name, price: row.price, is_active: Boolean(row.is_active) }
+        : { option_id: id, group: null, name: null, price: '0.00', is_active: false };
+    }));
+  });
+  return described;
+}
+
+// Validate the admin add-on editor; returns { groups } or { error }
+function parseModifierGroups(input) {
+  if (!Array.isArray(input)) {
+    return { error: 'Add-on groups must be a list' };
+  }
+
+  const groups = [];
+  const groupNames = new Set();
+  for (const raw of input) {
+    const name = String((raw && raw.name) || '').trim();
+    if (!name || name.length > 50) {
+      return { error: 'Each add-on group needs a name of up to 50 characters' };
+    }
+    if (groupNames.has(name.toLowerCase())) {
+      return { error: `Add-on group "${name}" is listed twice` };
+    }
+    groupNames.add(name.toLowerCase());
+
+    const min_select = raw.min_select ? Number(raw.min_select) : 0;
+    const max_select = raw.max_select === undefined || raw.max_select === null || raw.max_select === '' ? null : Number(raw.max_select);
+    if (!Number.isInteger(min_select) || min_select < 0 || (max_select !== null && (!Number.isInteger(max_select) || max_select < 1))) {
+      return { error: `${name}: choice limits must be whole numbers` };
+    }
+    if (max_select !== null && min_select > max_select) {
+      return { error: `${name}: the minimum can't be more than the maximum` };
+    }
+
+    const options = [];
+    const optionNames = new Set();
+    for (const option of raw.options || []) {
+      const optionName = String((option && option.name) || '').trim();
+      const price = option.price === undefined || option.price === '' ? 0 : Number(option.price);
+      if (!optionName || optionName.length > 50) {
+        return { error: `${name}: each option needs a name of up to 50 characters` };
+      }
+      if (optionNames.has(optionName.toLowerCase())) {
+        return { error: `${name}: "${optionName}" is listed twice` };
+      }
+      if (!Number.isFinite(price) || price < 0) {
+        return { error: `${name}: price for "${optionName}" can't be negative` };
+      }
+      optionNames.add(optionName.toLowerCase());
+      options.push({ name: optionName, price: Math.round(price * 100) / 100 });
+    }
+    if (options.length === 0) {
+      return { error: `${name}: add at least one option` };
+    }
+    if (min_select > options.length) {
+      return { error: `${name}: the minimum is more than the number of options` };
+    }
+    groups.push({ name, min_select, max_select, options });
+  }
+  return { groups };
+}
+
+// Replace a product's add-on groups, matched by name. Anything left out is
+// retired, and cart lines holding a retired option are dropped.
+async function saveModifierGroups(conn, item_id, groups) {
+  await conn.query(
+    `UPDATE modifier_groups g LEFT JOIN modifier_options o ON o.group_id = g.group_id
+     SET g.is_active = 0, o.is_active = 0 WHERE g.item_id = ?`,
+    [item_id]
+  );
+
+  for (const [sort_order, group] of groups.entries()) {
+    await conn.query(
+      `INSERT INTO modifier_groups (item_id, name, min_select, max_select, sort_order, is_active) VALUES (?, ?, ?, ?, ?, 1)
+       ON DUPLICATE KEY UPDATE min_select = VALUES(min_select), max_select = VALUES(max_select),
+         sort_order = VALUES(sort_order), is_active = 1`,
+      [item_id, group.name, group.min_select, group.max_select, sort_order]
+    );
+    const [[{ group_id }]] = await conn.query(
+      'SELECT group_id FROM modifier_groups WHERE item_id = ? AND name = ?',
+      [item_id, group.name]
     );
+    for (const [option_order, option] of group.options.entries()) {
+      await conn.query(
+        `INSERT INTO modifier_options (group_id, name, price, sort_order, is_active) VALUES (?, ?, ?, ?, 1)
+         ON DUPLICATE KEY UPDATE price = VALUES(price), sort_order = VALUES(sort_order), is_active = 1`,
+        [group_id, option.name, option.price, option_order]
+      );
+    }
+  }
+
+  // Lines priced with an option that's gone, or missing a newly required choice, can't be checked out as they are
+  const [lines] = await conn.query(
+    'SELECT ci.cart_item_id, ci.modifier_ids FROM cart_items ci WHERE ci.item_id = ?',
+    [item_id]
+  );
+  const current = (await loadModifierGroups([Number(item_id)], conn)).get(Number(item_id)) || [];
+  const stale = lines.filter((line) => {
+    try {
+      resolveModifiers(current, line.modifier_ids ? line.modifier_ids.split(',') : []);
+      return false;
+    } catch (err) {
+      return true;
+    }
+  });
+  if (stale.length) {
+    await conn.query('DELETE FROM cart_items WHERE cart_item_id IN (?)', [stale.map((line) => line.cart_item_id)]);
+  }
+}
+
+// A product's active add-on groups (Admin only)
+app.get('/api/admin/products/:id/modifiers', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const item_id = Number(req.params.id);
+    const groups = (await loadModifierGroups([item_id])).get(item_id) || [];
+    res.json(groups);
+  } catch (err) {
+    console.error('Modifier fetch error:', err);
+    res.status(500).json({ error: 'Failed to fetch add-ons' });
+  }
+});
 
+// Replace a product's add-on groups (Admin only). An empty list removes them all.
+app.put('/api/admin/products/:id/modifiers', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { groups, error } = parseModifierGroups(req.body.groups);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const [products] = await db.query('SELECT item_id FROM products WHERE item_id = ?', [req.params.id]);
     if (products.length === 0) {
-      return res.status(404).json({ error: 'Product not found or unavailable' });
+      return res.status(404).json({ error: 'Product not found' });
     }
 
-    const unit_price = products[0].price;
+    await withTransaction((conn) => saveModifierGroups(conn, products[0].item_id, groups));
 
-    // Check if item already exists in cart
-    const [existing] = await db.query(
-      'SELECT cart_item_id, quantity FROM cart_items WHERE cart_id = ? AND item_id = ?',
-      [cart_id, item_id]
+    const saved = (await loadModifierGroups([products[0].item_id])).get(products[0].item_id) || [];
+    res.json({ success: true, groups: saved, message: 'Add-ons updated' });
+
+  } catch (err) {
+    console.error('Update modifiers error:', err);
+    res.status(500).json({ error: 'Failed to update add-ons' });
+  }
+});
+
+// ==================== INVENTORY ====================
+
+// Stock is optional per product: stock_quantity NULL means untracked. Checkout
+// takes units off inside its transaction and hides an item when it reaches zero
+// (recording sold_out_at, so only auto-hidden items come back on restock).
+const DEFAULT_LOW_STOCK_THRESHOLD = 5;
+
+// Validate optional stock settings from the admin forms. An empty value clears the setting.
+function parseStockSettings(body) {
+  const settings = {};
+  for (const field of ['stock_quantity', 'daily_stock', 'low_stock_threshold']) {
+    if (body[field] === undefined) continue;
+    if (body[field] === null || body[field] === '') {
+      settings[field] = field === 'low_stock_threshold' ? DEFAULT_LOW_STOCK_THRESHOLD : null;
+      continue;
+    }
+    const value = Number(body[field]);
+    if (!Number.isInteger(value) || value < 0) {
+      return { settings, error: `${field.replace(/_/g, ' ')} must be a whole number (0 or more)` };
+    }
+    settings[field] = value;
+  }
+  return { settings };
+}
+
+// Restore items with a daily level once per IST day. After the first call of the
+// day this is a no-op, so the menu, cart and checkout can all call it freely.
+let lastStockResetDate = null;
+
+async function ensureDailyStockReset() {
+  const today = istDateString();
+  if (lastStockResetDate === today) return;
+
+  await db.query(
+    `UPDATE products
+     SET stock_quantity = daily_stock,
+         available = IF(sold_out_at IS NULL OR daily_stock = 0, available, 1),
+         sold_out_at = IF(daily_stock = 0, sold_out_at, NULL),
+         stock_reset_date = ?
+     WHERE daily_stock IS NOT NULL AND (stock_reset_date IS NULL OR stock_reset_date < ?)`,
+    [today, today]
+  );
+  lastStockResetDate = today;
+}
+
+// Take an order's quantities off tracked stock inside the checkout transaction.
+// Product rows are locked (in id order, to avoid deadlocks) so two checkouts
+// can't both get the last unit. Throws 409 listing every item that falls short.
+async function reserveStock(conn, items) {
+  const wanted = new Map();
+  items.forEach((item) => wanted.set(item.item_id, (wanted.get(item.item_id) || 0) + item.quantity));
+
+  const [products] = await conn.query(
+    'SELECT item_id, title, available, stock_quantity FROM products WHERE item_id IN (?) ORDER BY item_id FOR UPDATE',
+    [Array.from(wanted.keys())]
+  );
+  const byId = new Map(products.map((p) => [p.item_id, p]));
+
+  const shortages = [];
+  wanted.forEach((quantity, item_id) => {
+    const product = byId.get(item_id);
+    if (!product || !product.available) {
+      shortages.push({ item_id, title: product ? product.title : null, requested: quantity, available: 0 });
+    } else if (product.stock_quantity !== null && product.stock_quantity < quantity) {
+      shortages.push({ item_id, title: product.title, requested: quantity, available: product.stock_quantity });
+    }
+  });
+
+  if (shortages.length) {
+    throw httpError(409, 'Some items in your cart are sold out or low on stock', { shortages });
+  }
+
+  for (const [item_id, quantity] of wanted) {
+    if (byId.get(item_id).stock_quantity === null) continue;
+    // MySQL applies SET assignments left to right, so the IFs see the new quantity
+    await conn.query(
+      `UPDATE products
+       SET stock_quantity = stock_quantity - ?,
+           sold_out_at = IF(stock_quantity = 0, NOW(), sold_out_at),
+           available = IF(stock_quantity = 0, 0, available)
+       WHERE item_id = ?`,
+      [quantity, item_id]
     );
+  }
+}
 
-    if (existing.length > 0) {
-      const newQty = existing[0].quantity + qty;
-      await db.query(
-        'UPDATE cart_items SET quantity = ? WHERE cart_item_id = ?',
-        [newQty, existing[0].cart_item_id]
-      );
-      return res.json({ 
-        success: true, 
-        cart_item_id: existing[0].cart_item_id, 
-        quantity: newQty 
-      });
+// Put a cancelled order's units back on the shelf (tracked items only)
+async function releaseStock(conn, order_id) {
+  await conn.query(
+    `UPDATE products p
+     JOIN (SELECT item_id, SUM(quantity) AS quantity FROM order_items WHERE order_id = ? GROUP BY item_id) oi
+       ON p.item_id = oi.item_id
+     SET p.stock_quantity = p.stock_quantity + oi.quantity,
+         p.available = IF(p.sold_out_at IS NULL, p.available, 1),
+         p.sold_out_at = NULL
+     WHERE p.stock_quantity IS NOT NULL`,
+    [order_id]
+  );
+}
+
+// Set stock count, daily level and alert threshold (Admin only).
+// Setting stock to 0 takes the item off the menu; restocking a sold-out item puts it back.
+app.put('/api/admin/products/:id/stock', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { settings, error } = parseStockSettings(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (Object.keys(settings).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
     }
 
-    // Add new item to cart
-    const [result] = await db.query(
-      'INSERT INTO cart_items (cart_id, item_id, quantity, unit_price) VALUES (?, ?, ?, ?)',
-      [cart_id, item_id, qty, unit_price]
+    const sets = Object.keys(settings).map((field) => `${field} = ?`);
+    const params = Object.values(settings);
+    if ('stock_quantity' in settings) {
+      if (settings.stock_quantity === 0) {
+        sets.push('sold_out_at = IF(available = 1, NOW(), sold_out_at)', 'available = 0');
+      } else {
+        sets.push('available = IF(sold_out_at IS NULL, available, 1)', 'sold_out_at = NULL');
+      }
+    }
+    if ('daily_stock' in settings) {
+      sets.push('stock_reset_date = ?');
+      params.push(istDateString());
+    }
+
+    const [result] = await db.query(`UPDATE products SET ${sets.join(', ')} WHERE item_id = ?`, [...params, req.params.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const [products] = await db.query(
+      'SELECT item_id, title, available, stock_quantity, daily_stock, low_stock_threshold, sold_out_at FROM products WHERE item_id = ?',
+      [req.params.id]
     );
+    res.json({ success: true, product: products[0], message: 'Stock updated' });
 
-    res.status(201).json({
-      success: true,
-      cart_item_id: result.insertId,
-      quantity: qty
-    });
+  } catch (err) {
+    console.error('Update stock error:', err);
+    res.status(500).json({ error: 'Failed to update stock' });
+  }
+});
 
+// Tracked items at or below their alert threshold, emptiest first (Admin only)
+app.get('/api/admin/inventory/low-stock', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    await ensureDailyStockReset();
+    const [products] = await db.query(
+      `SELECT item_id, title, category, stock_quantity, daily_stock, low_stock_threshold, available, sold_out_at
+       FROM products
+       WHERE stock_quantity IS NOT NULL AND stock_quantity <= low_stock_threshold
+       ORDER BY stock_quantity, title`
+    );
+    res.json(products);
   } catch (err) {
-    console.error('Add to cart error:', err);
-    res.status(500).json({ error: 'Failed to add item to cart' });
+    console.error('Low stock fetch error:', err);
+    res.status(500).json({ error: 'Failed to fetch low stock items' });
   }
 });
 
-// Update cart item quantity
-app.put('/api/cart/:cart_item_id', authenticateToken, async (req, res) => {
+// ==================== USER MANAGEMENT (ADMIN) ====================
+
+// Get all users (Admin only)
+app.get('/api/admin/users', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const cart_item_id = req.params.cart_item_id;
-    const { quantity } = req.body;
+    const [users] = await db.query(
+      'SELECT user_id, name, email, phone, is_admin, created_at FROM users ORDER BY created_at DESC'
+    );
+    res.json(users);
+  } catch (err) {
+    console.error('Users fetch error:', err);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
 
-    if (quantity === null || quantity === undefined) {
-      return res.status(400).json({ error: 'Quantity is required' });
+// Update user admin status (Admin only)
+app.put('/api/admin/users/:id/admin', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const userId = req.params.id;
+    const { is_admin } = req.body;
+
+    if (typeof is_admin !== 'boolean') {
+      return res.status(400).json({ error: 'is_admin must be a boolean value' });
     }
 
-    const qty = parseInt(quantity);
-    if (isNaN(qty)) {
-      return res.status(400).json({ error: 'Quantity must be a number' });
+    // Prevent admin from removing their own admin status
+    if (req.user.user_id == userId && !is_admin) {
+      return res.status(400).json({ error: 'Cannot remove your own admin privileges' });
+    }
+
+    const [result] = await db.query(
+      'UPDATE users SET is_admin = ? WHERE user_id = ?',
+      [is_admin ? 1 : 0, userId]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ success: true, message: 'User admin status updated successfully' });
+
+  } catch (err) {
+    console.error('Update user admin error:', err);
+    res.status(500).json({ error: 'Failed to update user admin status' });
+  }
+});
+
+// ==================== COUPONS ====================
+
+// A coupon is applied to the cart first (carts.coupon_id) and checked again at
+// checkout with the coupon row locked, so usage limits hold under concurrent
+// orders. Redemptions are the coupon's orders that were not cancelled.
+// (These routes sit above CART MANAGEMENT so /api/cart/coupon is not taken
+// for a cart_item_id.)
+
+function normaliseCouponCode(code) {
+  return String(code || '').trim().toUpperCase();
+}
+
+async function loadCoupon(conn, { coupon_id, code }, { lock = false } = {}) {
+  const [rows] = await conn.query(
+    `SELECT * FROM coupons WHERE ${coupon_id ? 'coupon_id' : 'code'} = ?${lock ? ' FOR UPDATE' : ''}`,
+    [coupon_id || normaliseCouponCode(code)]
+  );
+  return rows[0] || null;
+}
+
+// Whether a cart line is covered by a category- or product-scoped coupon
+function couponAppliesTo(coupon, item) {
+  return (!coupon.item_id || item.item_id === coupon.item_id)
+    && (!coupon.category || item.category === coupon.category);
+}
+
+// Cart lines ({ item_id, category, quantity, unit_price }) -> discount in rupees.
+// Throws a 400 explaining why the coupon can't be used on this cart.
+// At checkout pass { lock: true } with the coupon row already locked: the
+// redemption counts are then locking reads, which see orders committed by a
+// checkout that held the lock before us rather than this transaction's snapshot.
+async function priceCoupon(conn, coupon, user_id, items, { lock = false, now = new Date() } = {}) {
+  if (!coupon.is_active) {
+    throw httpError(400, 'This coupon is no longer active');
+  }
+  if (coupon.starts_at && now < new Date(coupon.starts_at)) {
+    throw httpError(400, 'This coupon is not valid yet');
+  }
+  if (coupon.ends_at && now > new Date(coupon.ends_at)) {
+    throw httpError(400, 'This coupon has expired');
+  }
+
+  const [[usage]] = await conn.query(
+    `SELECT COUNT(*) AS total, COALESCE(SUM(user_id = ?), 0) AS by_user
+     FROM orders WHERE coupon_id = ? AND order_status <> 'Cancelled'${lock ? ' LOCK IN SHARE MODE' : ''}`,
+    [user_id, coupon.coupon_id]
+  );
+  if (coupon.usage_limit !== null && Number(usage.total) >= coupon.usage_limit) {
+    throw httpError(400, 'This coupon has been fully redeemed');
+  }
+  if (coupon.per_user_limit !== null && Number(usage.by_user) >= coupon.per_user_limit) {
+    throw httpError(400, "You've already used this coupon");
+  }
+  if (coupon.first_order_only) {
+    const [[previous]] = await conn.query(
+      `SELECT COUNT(*) AS orders FROM orders WHERE user_id = ? AND order_status <> 'Cancelled'${lock ? ' LOCK IN SHARE MODE' : ''}`,
+      [user_id]
+    );
+    if (Number(previous.orders) > 0) {
+      throw httpError(400, 'This coupon is only for your first order');
+    }
+  }
+
+  const lineTotal = (item) => parseFloat(item.unit_price) * item.quantity;
+  const subtotal = items.reduce((sum, item) => sum + lineTotal(item), 0);
+  if (subtotal < parseFloat(coupon.min_cart_value || 0)) {
+    throw httpError(400, `Add items worth ₹${parseFloat(coupon.min_cart_value).toFixed(2)} or more to use this coupon`);
+  }
+
+  const eligible = items
+    .filter((item) => couponAppliesTo(coupon, item))
+    .reduce((sum, item) => sum + lineTotal(item), 0);
+  if (eligible === 0) {
+    throw httpError(400, coupon.item_id || coupon.category
+      ? "This coupon doesn't apply to anything in your cart"
+      : 'Your cart is empty');
+  }
+
+  let discount = coupon.discount_type === 'percent'
+    ? eligible * parseFloat(coupon.discount_value) / 100
+    : parseFloat(coupon.discount_value);
+  if (coupon.max_discount !== null) {
+    discount = Math.min(discount, parseFloat(coupon.max_discount));
+  }
+  return roundMoney(Math.min(discount, eligible));
+}
+
+// What the customer sees about a coupon on their cart
+function describeCoupon(coupon) {
+  const amount = coupon.discount_type === 'percent'
+    ? `${parseFloat(coupon.discount_value)}% off`
+    : `₹${parseFloat(coupon.discount_value).toFixed(2)} off`;
+  return { code: coupon.code, description: coupon.description || amount };
+}
+
+// Cart lines in the shape priceCoupon() expects
+async function loadCouponCartLines(conn, cart_id) {
+  const [items] = await conn.query(
+    `SELECT ci.item_id, p.category, ci.quantity, ci.unit_price
+     FROM cart_items ci JOIN products p ON ci.item_id = p.item_id
+     WHERE ci.cart_id = ? AND p.available = 1`,
+    [cart_id]
+  );
+  return items;
+}
+
+// 'YYYY-MM-DDTHH:MM' (IST, from a datetime-local input) -> Date, '' -> null
+function parseCouponDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const match = /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2})/.exec(String(value));
+  if (!match) return undefined;
+  const date = istDateTime(match[1], match[2]);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+function parseCouponInput(body) {
+  const optionalNumber = (value) => (value === undefined || value === null || value === '' ? null : Number(value));
+
+  const code = normaliseCouponCode(body.code);
+  if (!/^[A-Z0-9_-]{3,30}$/.test(code)) {
+    return { error: 'Code must be 3-30 letters, digits, dashes or underscores' };
+  }
+
+  const discount_type = body.discount_type;
+  const discount_value = Number(body.discount_value);
+  if (!['percent', 'flat'].includes(discount_type)) {
+    return { error: 'Discount type must be percent or flat' };
+  }
+  if (!Number.isFinite(discount_value) || discount_value <= 0 || (discount_type === 'percent' && discount_value > 100)) {
+    return { error: discount_type === 'percent' ? 'Percentage must be between 1 and 100' : 'Discount must be more than zero' };
+  }
+
+  const max_discount = optionalNumber(body.max_discount);
+  const min_cart_value = optionalNumber(body.min_cart_value) || 0;
+  if ((max_discount !== null && (!Number.isFinite(max_discount) || max_discount <= 0))
+    || !Number.isFinite(min_cart_value) || min_cart_value < 0) {
+    return { error: 'Maximum discount and minimum cart value must be positive amounts' };
+  }
+
+  const usage_limit = optionalNumber(body.usage_limit);
+  const per_user_limit = optionalNumber(body.per_user_limit);
+  if ([usage_limit, per_user_limit].some((limit) => limit !== null && (!Number.isInteger(limit) || limit < 1))) {
+    return { error: 'Usage limits must be whole numbers of at least 1' };
+  }
+
+  const category = body.category ? String(body.category).trim() : null;
+  const item_id = body.item_id ? Number(body.item_id) : null;
+  if (category && item_id) {
+    return { error: 'Limit a coupon to a category or a product, not both' };
+  }
+
+  const starts_at = parseCouponDate(body.starts_at);
+  const ends_at = parseCouponDate(body.ends_at);
+  if (starts_at === undefined || ends_at === undefined) {
+    return { error: 'Validity dates must be valid date and time values' };
+  }
+  if (starts_at && ends_at && ends_at <= starts_at) {
+    return { error: 'The coupon must end after it starts' };
+  }
+
+  return {
+    coupon: {
+      code,
+      description: body.description ? String(body.description).trim().slice(0, 255) : null,
+      discount_type,
+      discount_value: roundMoney(discount_value),
+      max_discount: max_discount === null ? null : roundMoney(max_discount),
+      min_cart_value: roundMoney(min_cart_value),
+      category,
+      item_id,
+      starts_at,
+      ends_at,
+      usage_limit,
+      per_user_limit,
+      first_order_only: body.first_order_only ? 1 : 0
     }
+  };
+}
 
+// Apply a coupon code to the user's cart
+app.post('/api/cart/coupon', authenticateToken, async (req, res) => {
+  try {
     const user_id = req.user.user_id;
+    const coupon = await loadCoupon(db, { code: req.body.code });
+    if (!coupon) {
+      return res.status(404).json({ error: "That coupon code doesn't exist" });
+    }
+
     const cart_id = await getOrCreateCart(user_id);
+    const discount = await priceCoupon(db, coupon, user_id, await loadCouponCartLines(db, cart_id));
+    await db.query('UPDATE carts SET coupon_id = ? WHERE cart_id = ?', [coupon.coupon_id, cart_id]);
 
-    // Verify cart item belongs to user
-    const [rows] = await db.query(
-      'SELECT cart_item_id FROM cart_items WHERE cart_item_id = ? AND cart_id = ?',
-      [cart_item_id, cart_id]
+    res.json({
+      success: true,
+      coupon: describeCoupon(coupon),
+      discount: discount.toFixed(2),
+      message: 'Coupon applied'
+    });
+
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error('Apply coupon error:', err);
+    res.status(500).json({ error: 'Failed to apply coupon' });
+  }
+});
+
+// Remove the coupon from the user's cart
+app.delete('/api/cart/coupon', authenticateToken, async (req, res) => {
+  try {
+    await db.query('UPDATE carts SET coupon_id = NULL WHERE user_id = ?', [req.user.user_id]);
+    res.json({ success: true, message: 'Coupon removed' });
+  } catch (err) {
+    console.error('Remove coupon error:', err);
+    res.status(500).json({ error: 'Failed to remove coupon' });
+  }
+});
+
+// All coupons with how often each has been redeemed (Admin only)
+app.get('/api/admin/coupons', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const [coupons] = await db.query(
+      `SELECT c.*, p.title AS item_title,
+              COUNT(o.order_id) AS redemptions,
+              COALESCE(SUM(o.discount_amount), 0) AS discount_given
+       FROM coupons c
+       LEFT JOIN products p ON c.item_id = p.item_id
+       LEFT JOIN orders o ON o.coupon_id = c.coupon_id AND o.order_status <> 'Cancelled'
+       GROUP BY c.coupon_id
+       ORDER BY c.created_at DESC`
     );
+    res.json(coupons);
+  } catch (err) {
+    console.error('Coupons fetch error:', err);
+    res.status(500).json({ error: 'Failed to fetch coupons' });
+  }
+});
 
-    if (rows.length === 0) {
-      return res.status(404).json({ error: 'Cart item not found' });
+// Create a coupon (Admin only)
+app.post('/api/admin/coupons', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { coupon, error } = parseCouponInput(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    if (qty <= 0) {
-      await db.query('DELETE FROM cart_items WHERE cart_item_id = ?', [cart_item_id]);
-      return res.json({ success: true, deleted: true });
+    if (coupon.item_id) {
+      const [products] = await db.query('SELECT item_id FROM products WHERE item_id = ?', [coupon.item_id]);
+      if (products.length === 0) {
+        return res.status(400).json({ error: 'Product not found' });
+      }
     }
 
-    await db.query(
-      'UPDATE cart_items SET quantity = ? WHERE cart_item_id = ?',
-      [qty, cart_item_id]
+    const [result] = await db.query(
+      `INSERT INTO coupons (code, description, discount_type, discount_value, max_discount, min_cart_value,
+                            category, item_id, starts_at, ends_at, usage_limit, per_user_limit, first_order_only, created_by)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [coupon.code, coupon.description, coupon.discount_type, coupon.discount_value, coupon.max_discount,
+       coupon.min_cart_value, coupon.category, coupon.item_id, coupon.starts_at, coupon.ends_at,
+       coupon.usage_limit, coupon.per_user_limit, coupon.first_order_only, req.user.user_id]
     );
 
-    res.json({ success: true, quantity: qty });
+    res.status(201).json({ success: true, coupon_id: result.insertId, message: 'Coupon created' });
 
   } catch (err) {
-    console.error('Update cart error:', err);
-    res.status(500).json({ error: 'Failed to update cart item' });
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'A coupon with this code already exists' });
+    }
+    console.error('Create coupon error:', err);
+    res.status(500).json({ error: 'Failed to create coupon' });
   }
 });
 
-// Remove cart item
-app.delete('/api/cart/:cart_item_id', authenticateToken, async (req, res) => {
+// Switch a coupon on or off (Admin only). Carts holding it are re-checked at checkout.
+app.put('/api/admin/coupons/:id/active', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const cart_item_id = req.params.cart_item_id;
-    const user_id = req.user.user_id;
-    const cart_id = await getOrCreateCart(user_id);
+    const { is_active } = req.body;
+    if (typeof is_active !== 'boolean') {
+      return res.status(400).json({ error: 'is_active must be a boolean value' });
+    }
+
+    const [result] = await db.query(
+      'UPDATE coupons SET is_active = ? WHERE coupon_id = ?',
+      [is_active ? 1 : 0, req.params.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    res.json({ success: true, message: is_active ? 'Coupon enabled' : 'Coupon disabled' });
+
+  } catch (err) {
+    console.error('Update coupon error:', err);
+    res.status(500).json({ error: 'Failed to update coupon' });
+  }
+});
+
+// ==================== GST & INVOICES ====================
+
+// A product is taxed at its own gst_rate / hsn_code, else its category's, else
+// the defaults in the tax settings. GST is worked out per HSN/SAC code and rate
+// on prices after any coupon discount. With tax-inclusive pricing (the default)
+// menu prices already contain GST; otherwise it is added on top at checkout.
+// Every order gets a tax invoice, numbered in sequence within the Indian
+// financial year (April to March).
+
+const DEFAULT_TAX_SETTINGS = {
+  prices_include_tax: true,
+  default_gst_rate: 5,
+  default_hsn_code: '996331', // SAC for canteen / restaurant food service
+  legal_name: 'AIMS Canteen',
+  gstin: '',
+  address: '',
+  state: '',
+  invoice_prefix: 'AIMS'
+};
+const MAX_GST_RATE = 40;
+
+async function loadTaxSettings(conn = db) {
+  const [rows] = await conn.query("SELECT setting_value FROM canteen_settings WHERE setting_key = 'tax'");
+  const saved = rows.length && rows[0].setting_value ? JSON.parse(rows[0].setting_value) : {};
+  return { ...DEFAULT_TAX_SETTINGS, ...saved };
+}
+
+// '' or null -> null (inherit), otherwise a rate between 0 and MAX_GST_RATE; undefined if invalid
+function parseGstRate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const rate = Number(value);
+  if (!Number.isFinite(rate) || rate < 0 || rate > MAX_GST_RATE || Math.round(rate * 100) !== rate * 100) return undefined;
+  return rate;
+}
+
+// '' or null -> null (inherit), otherwise a 4-8 digit HSN/SAC code; undefined if invalid
+function parseHsnCode(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const code = String(value).trim();
+  return /^\d{4,8}$/.test(code) ? code : undefined;
+}
+
+// item_id -> { gst_rate, hsn_code } after falling back to the category and the defaults
+async function loadTaxRates(conn, item_ids, settings) {
+  const rates = new Map();
+  if (item_ids.length === 0) return rates;
+
+  const [rows] = await conn.query(
+    `SELECT p.item_id, p.gst_rate, p.hsn_code, c.gst_rate AS category_rate, c.hsn_code AS category_hsn
+     FROM products p LEFT JOIN categories c ON c.category_name = p.category
+     WHERE p.item_id IN (?)`,
+    [item_ids]
+  );
+  rows.forEach((row) => {
+    const rate = row.gst_rate ?? row.category_rate ?? settings.default_gst_rate;
+    rates.set(row.item_id, {
+      gst_rate: parseFloat(rate),
+      hsn_code: row.hsn_code || row.category_hsn || settings.default_hsn_code || null
+    });
+  });
+  return rates;
+}
+
+// GST for a cart or order. Items are { item_id, category, quantity, unit_price }
+// and get their hsn_code and gst_rate filled in. A coupon discount is spread over
+// the lines it applies to in proportion to their value.
+// Returns { lines: [{ hsn_code, gst_rate, taxable_value, cgst_amount, sgst_amount }], tax_amount, total }.
+function calculateTax(items, { rates, settings, coupon = null, discount = 0 }) {
+  const lineValue = (item) => roundMoney(parseFloat(item.unit_price) * item.quantity);
+
+  const eligible = coupon && discount > 0 ? items.filter((item) => couponAppliesTo(coupon, item)) : [];
+  const eligibleTotal = eligible.reduce((sum, item) => sum + lineValue(item), 0);
+  let unallocated = discount;
+
+  const groups = new Map();
+  items.forEach((item) => {
+    const { gst_rate, hsn_code } = rates.get(item.item_id) || {
+      gst_rate: parseFloat(settings.default_gst_rate),
+      hsn_code: settings.default_hsn_code || null
+    };
+    item.gst_rate = gst_rate;
+    item.hsn_code = hsn_code;
+
+    let share = 0;
+    if (eligible.includes(item)) {
+      share = item === eligible[eligible.length - 1]
+        ? unallocated
+        : roundMoney(discount * lineValue(item) / eligibleTotal);
+      unallocated = roundMoney(unallocated - share);
+    }
+
+    const key = `${hsn_code}|${gst_rate}`;
+    if (!groups.has(key)) groups.set(key, { hsn_code, gst_rate, value: 0 });
+    groups.get(key).value = roundMoney(groups.get(key).value + lineValue(item) - share);
+  });
+
+  let net = 0;
+  let tax_amount = 0;
+  const lines = Array.from(groups.values()).map(({ hsn_code, gst_rate, value }) => {
+    const taxable_value = settings.prices_include_tax
+      ? roundMoney(value * 100 / (100 + gst_rate))
+      : value;
+    const tax = settings.prices_include_tax
+      ? roundMoney(value - taxable_value)
+      : roundMoney(value * gst_rate / 100);
+    const cgst_amount = roundMoney(tax / 2);
+    net = roundMoney(net + value);
+    tax_amount = roundMoney(tax_amount + tax);
+    return { hsn_code, gst_rate, taxable_value, cgst_amount, sgst_amount: roundMoney(tax - cgst_amount) };
+  });
+
+  return {
+    lines,
+    tax_amount,
+    total: settings.prices_include_tax ? net : roundMoney(net + tax_amount)
+  };
+}
+
+// Indian financial year of a date, e.g. '2026-27' for anything from 1 April 2026 to 31 March 2027
+function financialYear(date = new Date()) {
+  const [year, month] = istDateString(date).split('-').map(Number);
+  const start = month >= 4 ? year : year - 1;
+  return `${start}-${String(start + 1).slice(2)}`;
+}
+
+// Number the order's invoice. Runs inside the checkout transaction, so a
+// rolled-back order gives its number back and the sequence has no gaps.
+async function issueInvoice(conn, order_id, settings) {
+  const financial_year = financialYear();
+  const [result] = await conn.query(
+    `INSERT INTO invoice_counters (financial_year, last_number) VALUES (?, LAST_INSERT_ID(1))
+     ON DUPLICATE KEY UPDATE last_number = LAST_INSERT_ID(last_number + 1)`,
+    [financial_year]
+  );
+  const invoice_seq = result.insertId;
+  const invoice_number = `${settings.invoice_prefix}/${financial_year}/${String(invoice_seq).padStart(5, '0')}`;
+
+  const { legal_name, gstin, address, state } = settings;
+  await conn.query(
+    'INSERT INTO invoices (order_id, financial_year, invoice_seq, invoice_number, seller) VALUES (?, ?, ?, ?, ?)',
+    [order_id, financial_year, invoice_seq, invoice_number, JSON.stringify({ legal_name, gstin, address, state })]
+  );
+  return invoice_number;
+}
+
+// Send an order's invoice as a PDF download. Pass user_id to restrict it to that customer's orders.
+async function sendInvoicePdf(res, order_id, { user_id = null } = {}) {
+  const [orders] = await db.query(
+    `SELECT o.*, u.name AS user_name, u.email AS user_email, i.invoice_number, i.seller, i.issued_at
+     FROM orders o
+     JOIN invoices i ON i.order_id = o.order_id
+     LEFT JOIN users u ON o.user_id = u.user_id
+     WHERE o.order_id = ?${user_id ? ' AND o.user_id = ?' : ''}`,
+    user_id ? [order_id, user_id] : [order_id]
+  );
+  if (orders.length === 0) {
+    return res.status(404).json({ error: 'No invoice found for this order' });
+  }
+
+  const order = orders[0];
+  const [items] = await db.query(
+    `SELECT oi.*, p.title FROM order_items oi JOIN products p ON oi.item_id = p.item_id
+     WHERE oi.order_id = ? ORDER BY oi.order_item_id`,
+    [order.order_id]
+  );
+  const [taxLines] = await db.query(
+    'SELECT hsn_code, gst_rate, taxable_value, cgst_amount, sgst_amount FROM order_tax_lines WHERE order_id = ? ORDER BY gst_rate, hsn_code',
+    [order.order_id]
+  );
+  items.forEach((item) => {
+    item.modifiers = item.modifiers ? JSON.parse(item.modifiers) : [];
+  });
+
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="invoice-${order.invoice_number.replace(/\//g, '-')}.pdf"`);
+  writeInvoicePdf(res, {
+    ...order,
+    seller: order.seller ? JSON.parse(order.seller) : {},
+    items,
+    tax_lines: taxLines
+  });
+}
+
+// Invoice PDF for one of the customer's orders
+app.get('/api/orders/:id/invoice', authenticateToken, async (req, res) => {
+  try {
+    await sendInvoicePdf(res, req.params.id, { user_id: req.user.user_id });
+  } catch (err) {
+    console.error('Invoice download error:', err);
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to generate invoice' });
+  }
+});
+
+// Invoice PDF for any order (Admin only)
+app.get('/api/admin/orders/:id/invoice', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    await sendInvoicePdf(res, req.params.id);
+  } catch (err) {
+    console.error('Admin invoice download error:', err);
+    if (!res.headersSent) res.status(500).json({ error: 'Failed to generate invoice' });
+  }
+});
+
+// Tax settings plus the rates set on categories and products (Admin only)
+app.get('/api/admin/tax', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const [categories] = await db.query(
+      'SELECT category_id, category_name, gst_rate, hsn_code FROM categories WHERE is_active = 1 ORDER BY category_name'
+    );
+    const [products] = await db.query(
+      'SELECT item_id, title, category, gst_rate, hsn_code FROM products ORDER BY category, title'
+    );
+    res.json({ settings: await loadTaxSettings(), categories, products });
+  } catch (err) {
+    console.error('Tax settings fetch error:', err);
+    res.status(500).json({ error: 'Failed to fetch tax settings' });
+  }
+});
+
+// Update GST registration details and pricing mode (Admin only).
+// Only affects orders placed afterwards; invoices keep the details they were issued with.
+app.put('/api/admin/tax/settings', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const current = await loadTaxSettings();
+    const text = (value, max) => String(value ?? '').trim().slice(0, max);
+
+    const default_gst_rate = parseGstRate(body.default_gst_rate ?? current.default_gst_rate);
+    const default_hsn_code = parseHsnCode(body.default_hsn_code ?? current.default_hsn_code);
+    if (default_gst_rate === undefined || default_gst_rate === null) {
+      return res.status(400).json({ error: `Default GST rate must be between 0 and ${MAX_GST_RATE}%` });
+    }
+    if (default_hsn_code === undefined) {
+      return res.status(400).json({ error: 'HSN/SAC code must be 4 to 8 digits' });
+    }
+
+    const gstin = text(body.gstin ?? current.gstin, 15).toUpperCase();
+    if (gstin && !/^\d{2}[A-Z]{5}\d{4}[A-Z][A-Z\d]Z[A-Z\d]$/.test(gstin)) {
+      return res.status(400).json({ error: 'GSTIN must be a valid 15-character GST number' });
+    }
+
+    const invoice_prefix = text(body.invoice_prefix ?? current.invoice_prefix, 10).toUpperCase();
+    if (!/^[A-Z0-9-]{1,10}$/.test(invoice_prefix)) {
+      return res.status(400).json({ error: 'Invoice prefix must be 1-10 letters, digits or dashes' });
+    }
+
+    const settings = {
+      prices_include_tax: body.prices_include_tax === undefined ? current.prices_include_tax : Boolean(body.prices_include_tax),
+      default_gst_rate,
+      default_hsn_code,
+      legal_name: text(body.legal_name ?? current.legal_name, 100) || DEFAULT_TAX_SETTINGS.legal_name,
+      gstin,
+      address: text(body.address ?? current.address, 255),
+      state: text(body.state ?? current.state, 50),
+      invoice_prefix
+    };
+
+    await db.query(
+      `INSERT INTO canteen_settings (setting_key, setting_value, updated_by) VALUES ('tax', ?, ?)
+       ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value), updated_by = VALUES(updated_by)`,
+      [JSON.stringify(settings), req.user.user_id]
+    );
+
+    res.json({ success: true, settings, message: 'Tax settings updated' });
+
+  } catch (err) {
+    console.error('Tax settings update error:', err);
+    res.status(500).json({ error: 'Failed to update tax settings' });
+  }
+});
+
+// Set a category's or product's GST rate and HSN/SAC code (Admin only).
+// Blank values fall back to the category (for products) or the default.
+async function updateTaxClass(req, res, table, idColumn) {
+  try {
+    const gst_rate = parseGstRate(req.body.gst_rate);
+    const hsn_code = parseHsnCode(req.body.hsn_code);
+    if (gst_rate === undefined) {
+      return res.status(400).json({ error: `GST rate must be between 0 and ${MAX_GST_RATE}%` });
+    }
+    if (hsn_code === undefined) {
+      return res.status(400).json({ error: 'HSN/SAC code must be 4 to 8 digits' });
+    }
+
+    const [result] = await db.query(
+      `UPDATE ${table} SET gst_rate = ?, hsn_code = ? WHERE ${idColumn} = ?`,
+      [gst_rate, hsn_code, req.params.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: table === 'products' ? 'Product not found' : 'Category not found' });
+    }
+
+    res.json({ success: true, message: 'Tax rate updated' });
+
+  } catch (err) {
+    console.error('Tax rate update error:', err);
+    res.status(500).json({ error: 'Failed to update tax rate' });
+  }
+}
+
+app.put('/api/admin/tax/categories/:id', authenticateToken, requireAdmin, (req, res) => updateTaxClass(req, res, 'categories', 'category_id'));
+app.put('/api/admin/tax/products/:id', authenticateToken, requireAdmin, (req, res) => updateTaxClass(req, res, 'products', 'item_id'));
+
+// ==================== CART MANAGEMENT ====================
+
+async function getOrCreateCart(user_id) {
+  const [rows] = await db.query('SELECT cart_id FROM carts WHERE user_id = ?', [user_id]);
+  if (rows.length > 0) return rows[0].cart_id;
+  
+  const [result] = await db.query('INSERT INTO carts (user_id) VALUES (?)', [user_id]);
+  return result.insertId;
+}
+
+// Compare a cart's lines with the menu without changing anything. unit_price is
+// the price the customer agreed to when the line was added (or when they last
+// accepted a change); `prices` maps each line still on sale to its current
+// price. `changed` lists lines whose price has since moved and `removed` lists
+// lines for products taken off sale, or with a retired size or add-on. Pass
+// { lock: true } inside a transaction to hold the lines until it commits.
+async function compareCartToMenu(conn, cart_id, { lock = false } = {}) {
+  const result = { prices: new Map(), changed: [], removed: [] };
+  if (!cart_id) return result;
+
+  const [lines] = await conn.query(
+    `SELECT ci.cart_item_id, ci.item_id, ci.variant_id, pv.name AS variant_name, ci.modifier_ids, ci.unit_price,
+            p.title, p.price, p.available
+     FROM cart_items ci JOIN products p ON ci.item_id = p.item_id
+     LEFT JOIN product_variants pv ON ci.variant_id = pv.variant_id
+     WHERE ci.cart_id = ?${lock ? ' FOR UPDATE' : ''}`,
+    [cart_id]
+  );
+  if (lines.length === 0) return result;
+
+  const variants = await loadVariants(Array.from(new Set(lines.map((line) => line.item_id))), conn);
+  const modifiers = await describeModifierIds(lines.map((line) => line.modifier_ids), conn);
+
+  for (const line of lines) {
+    const remove = (reason) => result.removed.push({ cart_item_id: line.cart_item_id, item_id: line.item_id, title: line.title, reason });
+    if (!line.available) {
+      remove('no longer available');
+      continue;
+    }
+
+    const sizes = variants.get(line.item_id) || [];
+    let variant = null;
+    if (line.variant_id || sizes.length) {
+      variant = sizes.find((v) => v.variant_id === line.variant_id);
+      if (!variant) {
+        remove('that size is no longer available');
+        continue;
+      }
+    }
+
+    const chosen = modifiers.get(line.modifier_ids) || [];
+    if (chosen.some((option) => !option.is_active)) {
+      remove('an add-on is no longer available');
+      continue;
+    }
+
+    const price = (parseFloat(variant ? variant.price : line.price)
+      + chosen.reduce((sum, option) => sum + parseFloat(option.price), 0)).toFixed(2);
+    const agreed = parseFloat(line.unit_price).toFixed(2);
+    result.prices.set(line.cart_item_id, price);
+    if (price !== agreed) {
+      result.changed.push({
+        cart_item_id: line.cart_item_id,
+        title: line.title,
+        variant_name: line.variant_name || null,
+        old_price: agreed,
+        new_price: price
+      });
+    }
+  }
+  return result;
+}
+
+// Add lines ({ item_id, variant_id, modifiers, instructions, quantity }) to a
+// customer's cart: a visitor's browser cart at login, or a past order being
+// placed again. Lines are priced from the current menu and matched like
+// POST /api/cart: the same customised item adds to the existing quantity.
+// Anything no longer on sale, in a retired size or with retired add-ons is
+// dropped, and quantities are trimmed to the stock left and to
+// MAX_LINE_QUANTITY per cart line. Returns what changed
+// ({ merged, dropped, reduced }) plus the lines added, each with the index of
+// the line it came from and its price today.
+async function addLinesToCart(user_id, lines) {
+  const result = { merged: 0, dropped: [], reduced: [], added: [] };
+  if (!Array.isArray(lines) || lines.length === 0) return result;
+
+  await ensureDailyStockReset();
+  const cart_id = await getOrCreateCart(user_id);
+  const incoming = lines.slice(0, MAX_ORDER_LINES)
+    .map((line, index) => ({ ...line, index }))
+    .filter((line) => Number.isInteger(Number(line.item_id)));
+  const item_ids = Array.from(new Set(incoming.map((line) => Number(line.item_id))));
+  if (item_ids.length === 0) return result;
+
+  await withTransaction(async (conn) => {
+    await conn.query('SELECT cart_id FROM carts WHERE cart_id = ? FOR UPDATE', [cart_id]);
+
+    const [products] = await conn.query(
+      'SELECT item_id, title, price, stock_quantity FROM products WHERE item_id IN (?) AND available = 1',
+      [item_ids]
+    );
+    const productsById = new Map(products.map((product) => [product.item_id, product]));
+    const variants = await loadVariants(item_ids, conn);
+    const groups = await loadModifierGroups(item_ids, conn);
+
+    // Stock is shared by all lines (and sizes) of a product
+    const [inCart] = await conn.query(
+      'SELECT item_id, SUM(quantity) AS quantity FROM cart_items WHERE cart_id = ? GROUP BY item_id',
+      [cart_id]
+    );
+    const reserved = new Map(inCart.map((row) => [row.item_id, Number(row.quantity)]));
+
+    for (const line of incoming) {
+      const item_id = Number(line.item_id);
+      const product = productsById.get(item_id);
+      const drop = (reason) => result.dropped.push({ item_id, title: product ? product.title : null, reason });
+      if (!product) {
+        drop('no longer available');
+        continue;
+      }
+
+      let unit_price = parseFloat(product.price);
+      let variant = null;
+      const sizes = variants.get(item_id) || [];
+      if (sizes.length) {
+        variant = sizes.find((v) => v.variant_id === Number(line.variant_id));
+        if (!variant) {
+          drop('that size is no longer available');
+          continue;
+        }
+        unit_price = parseFloat(variant.price);
+      }
+
+      let modifier_ids;
+      let instructions;
+      try {
+        const resolved = resolveModifiers(groups.get(item_id) || [], line.modifiers);
+        modifier_ids = resolved.modifier_ids;
+        unit_price += resolved.addons_price;
+        instructions = parseInstructions(line.instructions);
+      } catch (err) {
+        if (!err.status) throw err;
+        drop('its add-ons have changed');
+        continue;
+      }
+
+      const [existing] = await conn.query(
+        `SELECT cart_item_id, quantity FROM cart_items
+         WHERE cart_id = ? AND item_id = ? AND variant_id <=> ? AND modifier_ids <=> ? AND instructions <=> ?`,
+        [cart_id, item_id, variant ? variant.variant_id : null, modifier_ids, instructions]
+      );
+
+      const requested = Math.min(Math.max(parseInt(line.quantity, 10) || 1, 1), MAX_LINE_QUANTITY);
+      const room = MAX_LINE_QUANTITY - (existing.length > 0 ? existing[0].quantity : 0);
+      if (room <= 0) {
+        drop(`you already have ${MAX_LINE_QUANTITY} in your cart`);
+        continue;
+      }
+      let quantity = Math.min(requested, room);
+      if (product.stock_quantity !== null) {
+        const left = product.stock_quantity - (reserved.get(item_id) || 0);
+        if (left <= 0) {
+          drop('sold out');
+          continue;
+        }
+        quantity = Math.min(quantity, left);
+      }
+      if (quantity < requested) {
+        result.reduced.push({ item_id, title: product.title, requested, added: quantity });
+      }
+      reserved.set(item_id, (reserved.get(item_id) || 0) + quantity);
+
+      if (existing.length > 0) {
+        await conn.query(
+          'UPDATE cart_items SET quantity = LEAST(quantity + ?, ?) WHERE cart_item_id = ?',
+          [quantity, MAX_LINE_QUANTITY, existing[0].cart_item_id]
+        );
+      } else {
+        await conn.query(
+          `INSERT INTO cart_items (cart_id, item_id, variant_id, modifier_ids, instructions, quantity, unit_price)
+           VALUES (?, ?, ?, ?, ?, ?, ?)`,
+          [cart_id, item_id, variant ? variant.variant_id : null, modifier_ids, instructions, quantity, unit_price.toFixed(2)]
+        );
+      }
+      result.merged += 1;
+      result.added.push({ index: line.index, item_id, title: product.title, quantity, unit_price: unit_price.toFixed(2) });
+    }
+  });
+  return result;
+}
+
+// Get user's cart
+// Read-only: nothing is repriced or removed here. Lines are shown and totalled
+// at the current menu price; `price_changes` lists lines whose price moved
+// since the customer agreed to it and `removed_items` lists lines that can no
+// longer be bought. Both stay until the customer accepts them with
+// POST /api/cart/prices/acknowledge.
+app.get('/api/cart', authenticateToken, async (req, res) => {
+  try {
+    const user_id = req.user.user_id;
+    const [carts] = await db.query('SELECT cart_id, coupon_id FROM carts WHERE user_id = ?', [user_id]);
+    const cart = carts[0] || null;
+    const cart_id = cart ? cart.cart_id : null;
+    const menu = await compareCartToMenu(db, cart_id);
+    const unavailable = new Set(menu.removed.map((line) => line.cart_item_id));
+
+    const [rows] = await db.query(
+      `SELECT ci.cart_item_id, ci.item_id, ci.variant_id, pv.name AS variant_name, ci.modifier_ids, ci.instructions,
+              ci.quantity, ci.unit_price, p.title, p.category, p.image_url, p.stock_quantity
+       FROM cart_items ci 
+       JOIN products p ON ci.item_id = p.item_id 
+       LEFT JOIN product_variants pv ON ci.variant_id = pv.variant_id
+       WHERE ci.cart_id = ?`,
+      [cart_id]
+    );
+    const items = rows.filter((item) => !unavailable.has(item.cart_item_id));
+
+    const modifiers = await describeModifierIds(items.map((item) => item.modifier_ids));
+    items.forEach((item) => {
+      item.modifiers = modifiers.get(item.modifier_ids) || [];
+      // Show the agreed price next to the new one until the change is accepted
+      const price = menu.prices.get(item.cart_item_id);
+      item.previous_price = price && price !== parseFloat(item.unit_price).toFixed(2) ? item.unit_price : null;
+      if (price) item.unit_price = price;
+    });
+    
+    // unit_price already includes add-ons
+    let subtotal = 0;
+    items.forEach((item) => {
+      subtotal += parseFloat(item.unit_price) * item.quantity;
+    });
+
+    // An applied coupon that no longer fits the cart stays on it with the reason
+    let coupon = null;
+    let row = null;
+    let discount = 0;
+    if (cart && cart.coupon_id) {
+      row = await loadCoupon(db, { coupon_id: cart.coupon_id });
+      coupon = describeCoupon(row);
+      try {
+        discount = await priceCoupon(db, row, user_id, items);
+      } catch (err) {
+        if (!err.status) throw err;
+        coupon.error = err.message;
+      }
+    }
+
+    const taxSettings = await loadTaxSettings();
+    const rates = await loadTaxRates(db, items.map((item) => item.item_id), taxSettings);
+    const tax = calculateTax(items, { rates, settings: taxSettings, coupon: row, discount });
+
+    res.json({
+      cart_id,
+      items,
+      subtotal: subtotal.toFixed(2),
+      coupon,
+      discount: discount.toFixed(2),
+      tax: tax.tax_amount.toFixed(2),
+      prices_include_tax: taxSettings.prices_include_tax,
+      total: tax.total.toFixed(2),
+      price_changes: menu.changed,
+      removed_items: menu.removed
+    });
+  } catch (err) {
+    console.error('Cart fetch error:', err);
+    res.status(500).json({ error: 'Failed to fetch cart' });
+  }
+});
+
+// Add item to cart
+// Items sold in sizes need a variant_id. `modifiers` is a list of add-on option
+// ids and `instructions` a free-text note; each distinct combination is its own line.
+app.post('/api/cart', authenticateToken, async (req, res) => {
+  try {
+    const user_id = req.user.user_id;
+    const { item_id, quantity, variant_id } = req.body;
+
+    if (!item_id) {
+      return res.status(400).json({ error: 'Item ID is required' });
+    }
+
+    const qty = Math.max(1, parseInt(quantity) || 1);
+    if (qty > MAX_LINE_QUANTITY) {
+      return res.status(400).json({ error: `You can add up to ${MAX_LINE_QUANTITY} of an item`, max_quantity: MAX_LINE_QUANTITY });
+    }
+    const cart_id = await getOrCreateCart(user_id);
+
+    // Verify product exists and is available
+    await ensureDailyStockReset();
+    const [products] = await db.query(
+      'SELECT price, stock_quantity FROM products WHERE item_id = ? AND available = 1',
+      [item_id]
+    );
+
+    if (products.length === 0) {
+      return res.status(404).json({ error: 'Product not found or unavailable' });
+    }
+
+    let unit_price = products[0].price;
+    const stock = products[0].stock_quantity;
+
+    const variants = (await loadVariants([Number(item_id)])).get(Number(item_id)) || [];
+    let variant = null;
+    if (variants.length > 0) {
+      variant = variants.find((v) => v.variant_id === Number(variant_id));
+      if (!variant) {
+        return res.status(400).json({
+          error: variant_id ? 'That size is not available for this item' : 'Please choose a size',
+          variants
+        });
+      }
+      unit_price = variant.price;
+    }
+
+    const groups = (await loadModifierGroups([Number(item_id)])).get(Number(item_id)) || [];
+    const { modifier_ids, addons_price } = resolveModifiers(groups, req.body.modifiers);
+    const instructions = parseInstructions(req.body.instructions);
+    unit_price = (parseFloat(unit_price) + addons_price).toFixed(2);
+
+    // Check if the same customised item already exists in cart
+    const [existing] = await db.query(
+      `SELECT cart_item_id, quantity FROM cart_items
+       WHERE cart_id = ? AND item_id = ? AND variant_id <=> ? AND modifier_ids <=> ? AND instructions <=> ?`,
+      [cart_id, item_id, variant ? variant.variant_id : null, modifier_ids, instructions]
+    );
+
+    // Sizes share the product's stock
+    const [[inCart]] = await db.query(
+      'SELECT COALESCE(SUM(quantity), 0) AS quantity FROM cart_items WHERE cart_id = ? AND item_id = ?',
+      [cart_id, item_id]
+    );
+
+    const totalQty = (existing.length > 0 ? existing[0].quantity : 0) + qty;
+    if (totalQty > MAX_LINE_QUANTITY) {
+      return res.status(409).json({
+        error: `You can have up to ${MAX_LINE_QUANTITY} of an item in your cart`,
+        max_quantity: MAX_LINE_QUANTITY
+      });
+    }
+    if (stock !== null && Number(inCart.quantity) + qty > stock) {
+      return res.status(409).json({ error: `Only ${stock} left in stock`, available: stock });
+    }
+
+    // LEAST keeps a concurrent add from pushing the line past the limit
+    if (existing.length > 0) {
+      await db.query(
+        'UPDATE cart_items SET quantity = LEAST(quantity + ?, ?) WHERE cart_item_id = ?',
+        [qty, MAX_LINE_QUANTITY, existing[0].cart_item_id]
+      );
+      return res.json({ 
+        success: true, 
+        cart_item_id: existing[0].cart_item_id, 
+        quantity: totalQty 
+      });
+    }
+
+    // Add new item to cart
+    const [result] = await db.query(
+      `INSERT INTO cart_items (cart_id, item_id, variant_id, modifier_ids, instructions, quantity, unit_price)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [cart_id, item_id, variant ? variant.variant_id : null, modifier_ids, instructions, qty, unit_price]
+    );
+
+    res.status(201).json({
+      success: true,
+      cart_item_id: result.insertId,
+      quantity: qty
+    });
+
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error('Add to cart error:', err);
+    res.status(500).json({ error: 'Failed to add item to cart' });
+  }
+});
+
+// Update cart item quantity
+app.put('/api/cart/:cart_item_id', authenticateToken, async (req, res) => {
+  try {
+    const cart_item_id = req.params.cart_item_id;
+    const { quantity } = req.body;
+
+    if (quantity === null || quantity === undefined) {
+      return res.status(400).json({ error: 'Quantity is required' });
+    }
+
+    const qty = parseInt(quantity);
+    if (isNaN(qty)) {
+      return res.status(400).json({ error: 'Quantity must be a number' });
+    }
+    if (qty > MAX_LINE_QUANTITY) {
+      return res.status(400).json({ error: `You can have up to ${MAX_LINE_QUANTITY} of an item in your cart`, max_quantity: MAX_LINE_QUANTITY });
+    }
+
+    const user_id = req.user.user_id;
+    const cart_id = await getOrCreateCart(user_id);
+
+    // Verify cart item belongs to user
+    const [rows] = await db.query(
+      `SELECT ci.cart_item_id, p.stock_quantity,
+              (SELECT COALESCE(SUM(other.quantity), 0) FROM cart_items other
+               WHERE other.cart_id = ci.cart_id AND other.item_id = ci.item_id
+                 AND other.cart_item_id <> ci.cart_item_id) AS other_quantity
+       FROM cart_items ci JOIN products p ON ci.item_id = p.item_id
+       WHERE ci.cart_item_id = ? AND ci.cart_id = ?`,
+      [cart_item_id, cart_id]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Cart item not found' });
+    }
+
+    if (qty <= 0) {
+      await db.query('DELETE FROM cart_items WHERE cart_item_id = ?', [cart_item_id]);
+      return res.json({ success: true, deleted: true });
+    }
+
+    // Other sizes of the same product draw on the same stock
+    const stock = rows[0].stock_quantity;
+    if (stock !== null && Number(rows[0].other_quantity) + qty > stock) {
+      return res.status(409).json({ error: `Only ${stock} left in stock`, available: stock });
+    }
+
+    await db.query(
+      'UPDATE cart_items SET quantity = ? WHERE cart_item_id = ?',
+      [qty, cart_item_id]
+    );
+
+    res.json({ success: true, quantity: qty });
+
+  } catch (err) {
+    console.error('Update cart error:', err);
+    res.status(500).json({ error: 'Failed to update cart item' });
+  }
+});
+
+// Remove cart item
+app.delete('/api/cart/:cart_item_id', authenticateToken, async (req, res) => {
+  try {
+    const cart_item_id = req.params.cart_item_id;
+    const user_id = req.user.user_id;
+    const cart_id = await getOrCreateCart(user_id);
+
+    const [result] = await db.query(
+      'DELETE FROM cart_items WHERE cart_item_id = ? AND cart_id = ?',
+      [cart_item_id, cart_id]
+    );
+
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Cart item not found' });
+    }
+
+    res.json({ success: true, message: 'Item removed from cart' });
+
+  } catch (err) {
+    console.error('Remove cart item error:', err);
+    res.status(500).json({ error: 'Failed to remove cart item' });
+  }
+});
+
+const GUEST_CART_MERGE_FAILED = 'The items you added before logging in could not be moved to your cart yet. They are still saved on this device.';
+
+// Add a visitor's browser cart to the signed-in customer's cart, for when the
+// merge at login failed. Body: { lines: [{ item_id, variant_id, modifiers, instructions, quantity }] }
+app.post('/api/cart/merge', authenticateToken, async (req, res) => {
+  try {
+    const lines = req.body && req.body.lines;
+    if (!Array.isArray(lines) || lines.length === 0) {
+      return res.status(400).json({ error: 'No items to add' });
+    }
+    const { added, ...merge } = await addLinesToCart(req.user.user_id, lines);
+    res.json({ success: true, ...merge });
+
+  } catch (err) {
+    console.error('Cart merge error:', err);
+    res.status(500).json({ error: GUEST_CART_MERGE_FAILED });
+  }
+});
+
+// Accept menu changes to the cart. Body: { items: [{ cart_item_id, unit_price }] }
+// with the new prices as shown to the customer; those lines take the new
+// price, unless it has moved again since, in which case they stay flagged.
+// Lines that can no longer be bought are removed. This is the only place a
+// cart is brought in line with the menu.
+app.post('/api/cart/prices/acknowledge', authenticateToken, async (req, res) => {
+  try {
+    const items = Array.isArray(req.body && req.body.items) ? req.body.items : [];
+    const accepted = new Map(items.map((item) => [parseInt(item.cart_item_id, 10), parseFloat(item.unit_price).toFixed(2)]));
+
+    const result = await withTransaction(async (conn) => {
+      const [carts] = await conn.query('SELECT cart_id FROM carts WHERE user_id = ? FOR UPDATE', [req.user.user_id]);
+      if (carts.length === 0) return { acknowledged: 0, removed: [] };
+
+      const menu = await compareCartToMenu(conn, carts[0].cart_id, { lock: true });
+      let acknowledged = 0;
+      for (const change of menu.changed) {
+        if (accepted.get(change.cart_item_id) !== change.new_price) continue;
+        await conn.query('UPDATE cart_items SET unit_price = ? WHERE cart_item_id = ?', [change.new_price, change.cart_item_id]);
+        acknowledged += 1;
+      }
+      if (menu.removed.length) {
+        await conn.query('DELETE FROM cart_items WHERE cart_item_id IN (?)', [menu.removed.map((line) => line.cart_item_id)]);
+      }
+      return { acknowledged, removed: menu.removed };
+    });
+
+    res.json({ success: true, ...result, message: 'Cart updated to the current menu' });
+
+  } catch (err) {
+    console.error('Acknowledge cart prices error:', err);
+    res.status(500).json({ error: 'Failed to update cart' });
+  }
+});
+
+// Clear entire cart
+app.delete('/api/cart', authenticateToken, async (req, res) => {
+  try {
+    const user_id = req.user.user_id;
+    const cart_id = await getOrCreateCart(user_id);
+
+    await db.query('DELETE FROM cart_items WHERE cart_id = ?', [cart_id]);
+    await db.query('UPDATE carts SET coupon_id = NULL WHERE cart_id = ?', [cart_id]);
+
+    res.json({ success: true, message: 'Cart cleared successfully' });
+
+  } catch (err) {
+    console.error('Clear cart error:', err);
+    res.status(500).json({ error: 'Failed to clear cart' });
+  }
+});
+
+// ==================== FAVOURITES & PRESETS ====================
+
+// Favourites are starred dishes. Presets are named sets of lines ("Monday
+// lunch") kept like cart lines (item, size, add-ons, instructions, quantity)
+// and added to the cart in one call through addLinesToCart, so they are
+// priced and checked against the menu of the day they are used.
+const MAX_PRESETS_PER_USER = 20;
+const MAX_PRESET_NAME_LENGTH = 50;
+
+function parsePresetName(value) {
+  const name = typeof value === 'string' ? value.trim() : '';
+  if (!name) {
+    throw httpError(400, 'Give the preset a name');
+  }
+  if (name.length > MAX_PRESET_NAME_LENGTH) {
+    throw httpError(400, `Preset names can be up to ${MAX_PRESET_NAME_LENGTH} characters`);
+  }
+  return name;
+}
+
+// Check preset lines against the menu as it is now; throws 400 naming the first bad line
+async function resolvePresetItems(items, conn = db) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw httpError(400, 'Add at least one item to the preset');
+  }
+  if (items.length > MAX_ORDER_LINES) {
+    throw httpError(400, `A preset can have up to ${MAX_ORDER_LINES} items`);
+  }
+
+  const item_ids = Array.from(new Set(items.map((item) => Number(item && item.item_id)))).filter(Number.isInteger);
+  const [products] = item_ids.length
+    ? await conn.query('SELECT item_id, title FROM products WHERE item_id IN (?) AND available = 1', [item_ids])
+    : [[]];
+  const productsById = new Map(products.map((product) => [product.item_id, product]));
+  const variants = await loadVariants(Array.from(productsById.keys()), conn);
+  const groups = await loadModifierGroups(Array.from(productsById.keys()), conn);
+
+  return items.map((item) => {
+    const product = productsById.get(Number(item && item.item_id));
+    if (!product) {
+      throw httpError(400, 'Some of these items are not on the menu', { item_id: item ? item.item_id : null });
+    }
+    const quantity = parseInt(item.quantity, 10) || 1;
+    if (quantity < 1 || quantity > MAX_LINE_QUANTITY) {
+      throw httpError(400, `Quantity for ${product.title} must be between 1 and ${MAX_LINE_QUANTITY}`);
+    }
+
+    const sizes = variants.get(product.item_id) || [];
+    let variant_id = null;
+    if (sizes.length) {
+      const variant = sizes.find((v) => v.variant_id === Number(item.variant_id));
+      if (!variant) {
+        throw httpError(400, `Please choose a size for ${product.title}`);
+      }
+      variant_id = variant.variant_id;
+    }
+
+    const { modifier_ids } = resolveModifiers(groups.get(product.item_id) || [], item.modifiers);
+    return {
+      item_id: product.item_id,
+      variant_id,
+      modifier_ids,
+      instructions: parseInstructions(item.instructions),
+      quantity
+    };
+  });
+}
+
+async function lockOwnedPreset(conn, preset_id, user_id) {
+  const [rows] = await conn.query(
+    'SELECT preset_id FROM meal_presets WHERE preset_id = ? AND user_id = ? FOR UPDATE',
+    [preset_id, user_id]
+  );
+  if (rows.length === 0) {
+    throw httpError(404, 'Preset not found');
+  }
+  return rows[0].preset_id;
+}
+
+async function insertPresetItems(conn, preset_id, items) {
+  for (const item of items) {
+    await conn.query(
+      `INSERT INTO meal_preset_items (preset_id, item_id, variant_id, modifier_ids, instructions, quantity)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [preset_id, item.item_id, item.variant_id, item.modifier_ids, item.instructions, item.quantity]
+    );
+  }
+}
+
+// A user's starred dishes, as item ids
+app.get('/api/favourites', authenticateToken, async (req, res) => {
+  try {
+    const [rows] = await db.query(
+      'SELECT item_id FROM favourites WHERE user_id = ? ORDER BY created_at DESC',
+      [req.user.user_id]
+    );
+    res.json({ item_ids: rows.map((row) => row.item_id) });
+  } catch (err) {
+    console.error('Get favourites error:', err);
+    res.status(500).json({ error: 'Failed to fetch favourites' });
+  }
+});
+
+// Star a dish; starring it again is a no-op
+app.post('/api/favourites/:item_id', authenticateToken, async (req, res) => {
+  try {
+    const [products] = await db.query('SELECT item_id FROM products WHERE item_id = ?', [req.params.item_id]);
+    if (products.length === 0) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    await db.query(
+      'INSERT IGNORE INTO favourites (user_id, item_id) VALUES (?, ?)',
+      [req.user.user_id, products[0].item_id]
+    );
+    res.json({ success: true, item_id: products[0].item_id, message: 'Added to favourites' });
+
+  } catch (err) {
+    console.error('Add favourite error:', err);
+    res.status(500).json({ error: 'Failed to add favourite' });
+  }
+});
+
+app.delete('/api/favourites/:item_id', authenticateToken, async (req, res) => {
+  try {
+    await db.query('DELETE FROM favourites WHERE user_id = ? AND item_id = ?', [req.user.user_id, req.params.item_id]);
+    res.json({ success: true, message: 'Removed from favourites' });
+  } catch (err) {
+    console.error('Remove favourite error:', err);
+    res.status(500).json({ error: 'Failed to remove favourite' });
+  }
+});
+
+// A user's presets with their lines. `available` is false for lines that
+// can't be ordered today (dish off the menu, size or add-on retired).
+app.get('/api/presets', authenticateToken, async (req, res) => {
+  try {
+    const [presets] = await db.query(
+      'SELECT preset_id, name, created_at, updated_at FROM meal_presets WHERE user_id = ? ORDER BY name',
+      [req.user.user_id]
+    );
+    if (presets.length === 0) return res.json([]);
+
+    const [items] = await db.query(
+      `SELECT mpi.preset_item_id, mpi.preset_id, mpi.item_id, p.title, p.image_url, p.available, p.price,
+              mpi.variant_id, pv.name AS variant_name, pv.price AS variant_price, pv.is_active AS variant_active,
+              mpi.modifier_ids, mpi.instructions, mpi.quantity
+       FROM meal_preset_items mpi
+       JOIN products p ON mpi.item_id = p.item_id
+       LEFT JOIN product_variants pv ON mpi.variant_id = pv.variant_id
+       WHERE mpi.preset_id IN (?)
+       ORDER BY mpi.preset_item_id`,
+      [presets.map((preset) => preset.preset_id)]
+    );
+    const modifiers = await describeModifierIds(items.map((item) => item.modifier_ids));
+
+    const byPreset = new Map(presets.map((preset) => [preset.preset_id, Object.assign(preset, { items: [] })]));
+    items.forEach((item) => {
+      const chosen = modifiers.get(item.modifier_ids) || [];
+      const unit_price = parseFloat(item.variant_id ? item.variant_price : item.price)
+        + chosen.reduce((sum, option) => sum + parseFloat(option.price), 0);
+      byPreset.get(item.preset_id).items.push({
+        preset_item_id: item.preset_item_id,
+        item_id: item.item_id,
+        title: item.title,
+        image_url: item.image_url,
+        variant_id: item.variant_id,
+        variant_name: item.variant_name,
+        modifiers: chosen,
+        instructions: item.instructions,
+        quantity: item.quantity,
+        unit_price: unit_price.toFixed(2),
+        available: Boolean(item.available)
+          && (!item.variant_id || Boolean(item.variant_active))
+          && chosen.every((option) => option.is_active)
+      });
+    });
+
+    res.json(presets);
+
+  } catch (err) {
+    console.error('Get presets error:', err);
+    res.status(500).json({ error: 'Failed to fetch presets' });
+  }
+});
+
+// Save a preset: { name, items: [{ item_id, variant_id, modifiers, instructions, quantity }] }
+app.post('/api/presets', authenticateToken, async (req, res) => {
+  try {
+    const user_id = req.user.user_id;
+    const name = parsePresetName(req.body && req.body.name);
+    const items = await resolvePresetItems(req.body && req.body.items);
+
+    const preset_id = await withTransaction(async (conn) => {
+      await conn.query('SELECT user_id FROM users WHERE user_id = ? FOR UPDATE', [user_id]);
+      const [[{ count }]] = await conn.query('SELECT COUNT(*) AS count FROM meal_presets WHERE user_id = ?', [user_id]);
+      if (count >= MAX_PRESETS_PER_USER) {
+        throw httpError(400, `You can save up to ${MAX_PRESETS_PER_USER} presets`);
+      }
+
+      const [result] = await conn.query('INSERT INTO meal_presets (user_id, name) VALUES (?, ?)', [user_id, name]);
+      await insertPresetItems(conn, result.insertId, items);
+      return result.insertId;
+    });
+
+    res.status(201).json({ success: true, preset_id, message: 'Preset saved' });
+
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'You already have a preset with that name' });
+    }
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error('Create preset error:', err);
+    res.status(500).json({ error: 'Failed to save preset' });
+  }
+});
+
+// Rename a preset and/or replace its lines
+app.put('/api/presets/:id', authenticateToken, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const name = body.name !== undefined ? parsePresetName(body.name) : null;
+    const items = body.items !== undefined ? await resolvePresetItems(body.items) : null;
+    if (!name && !items) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    await withTransaction(async (conn) => {
+      const preset_id = await lockOwnedPreset(conn, req.params.id, req.user.user_id);
+      if (name) {
+        await conn.query('UPDATE meal_presets SET name = ? WHERE preset_id = ?', [name, preset_id]);
+      }
+      if (items) {
+        await conn.query('DELETE FROM meal_preset_items WHERE preset_id = ?', [preset_id]);
+        await insertPresetItems(conn, preset_id, items);
+        await conn.query('UPDATE meal_presets SET updated_at = CURRENT_TIMESTAMP WHERE preset_id = ?', [preset_id]);
+      }
+    });
+
+    res.json({ success: true, message: 'Preset updated' });
+
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'You already have a preset with that name' });
+    }
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error('Update preset error:', err);
+    res.status(500).json({ error: 'Failed to update preset' });
+  }
+});
+
+app.delete('/api/presets/:id', authenticateToken, async (req, res) => {
+  try {
+    const [result] = await db.query(
+      'DELETE FROM meal_presets WHERE preset_id = ? AND user_id = ?',
+      [req.params.id, req.user.user_id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+    res.json({ success: true, message: 'Preset deleted' });
+  } catch (err) {
+    console.error('Delete preset error:', err);
+    res.status(500).json({ error: 'Failed to delete preset' });
+  }
+});
+
+// Add every line of a preset to the cart at today's prices; what couldn't be
+// added is reported like a reorder
+app.post('/api/presets/:id/cart', authenticateToken, async (req, res) => {
+  try {
+    const user_id = req.user.user_id;
+    const [presets] = await db.query(
+      'SELECT preset_id, name FROM meal_presets WHERE preset_id = ? AND user_id = ?',
+      [req.params.id, user_id]
+    );
+    if (presets.length === 0) {
+      return res.status(404).json({ error: 'Preset not found' });
+    }
+
+    const [items] = await db.query(
+      `SELECT mpi.item_id, p.title, mpi.variant_id, mpi.modifier_ids, mpi.instructions, mpi.quantity
+       FROM meal_preset_items mpi JOIN products p ON mpi.item_id = p.item_id
+       WHERE mpi.preset_id = ? ORDER BY mpi.preset_item_id`,
+      [presets[0].preset_id]
+    );
+    const result = await addLinesToCart(user_id, items.map((item) => ({
+      ...item,
+      modifiers: item.modifier_ids ? item.modifier_ids.split(',').map(Number) : []
+    })));
+    const unavailable = result.dropped.map((line) => ({
+      ...line,
+      title: line.title || (items.find((item) => item.item_id === line.item_id) || {}).title
+    }));
+
+    if (result.merged === 0) {
+      return res.status(409).json({ error: `Nothing from ${presets[0].name} is available right now`, unavailable });
+    }
+
+    res.json({
+      success: true,
+      added: result.merged,
+      unavailable,
+      reduced: result.reduced,
+      message: unavailable.length ? `Some of ${presets[0].name} was added to your cart` : `${presets[0].name} added to your cart`
+    });
+
+  } catch (err) {
+    console.error('Add preset to cart error:', err);
+    res.status(500).json({ error: 'Failed to add preset to cart' });
+  }
+});
+
+// ==================== CANTEEN HOURS ====================
+
+const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+// How far ahead to look for the next opening when the canteen is closed
+const REOPEN_SEARCH_DAYS = 14;
+
+// 'YYYY-MM-DD' and 'HH:MM' in IST -> Date
+function istDateTime(date, time) {
+  return new Date(`${date}T${time}:00+05:30`);
+}
+
+// 'HH:MM' -> '12:45 pm'
+function formatClockTime(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return new Date(Date.UTC(2000, 0, 1, hours, minutes)).toLocaleTimeString('en-IN', {
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: true,
+    timeZone: 'UTC'
+  });
+}
+
+// Weekly hours (one entry per weekday, Sunday first) and closures from `from_date` on
+async function loadSchedule(conn = db, from_date = istDateString()) {
+  const [hourRows] = await conn.query(
+    `SELECT day_of_week, TIME_FORMAT(open_time, '%H:%i') AS open_time,
+       TIME_FORMAT(close_time, '%H:%i') AS close_time, is_closed
+     FROM opening_hours`
+  );
+  const [closures] = await conn.query(
+    `SELECT closure_id, DATE_FORMAT(closure_date, '%Y-%m-%d') AS closure_date, reason
+     FROM canteen_closures WHERE closure_date >= ? ORDER BY closure_date`,
+    [from_date]
+  );
+
+  const hours = WEEKDAYS.map((day, day_of_week) => {
+    const row = hourRows.find(r => r.day_of_week === day_of_week);
+    const is_closed = !row || Boolean(row.is_closed) || !row.open_time || !row.close_time;
+    return {
+      day_of_week,
+      day,
+      open_time: is_closed ? null : row.open_time,
+      close_time: is_closed ? null : row.close_time,
+      is_closed
+    };
+  });
+  return { hours, closures };
+}
+
+function dayOfWeek(date) {
+  return istDateTime(date, '12:00').getUTCDay();
+}
+
+// First moment at or after `from` when the canteen is open, or null if none is scheduled soon
+function nextOpening(from, { hours, closures }) {
+  for (let day = 0; day < REOPEN_SEARCH_DAYS; day++) {
+    const date = istDateString(new Date(from.getTime() + day * 24 * 60 * 60 * 1000));
+    const today = hours[dayOfWeek(date)];
+    if (today.is_closed || closures.some(c => c.closure_date === date)) continue;
+
+    const opens = istDateTime(date, today.open_time);
+    if (from < opens) return opens;
+    if (from < istDateTime(date, today.close_time)) return from;
+  }
+  return null;
+}
+
+function describeReopening(reopens_at) {
+  if (!reopens_at) return 'Ordering will reopen once new hours are announced.';
+  const date = istDateString(reopens_at);
+  const time = formatClockTime(reopens_at.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit', timeZone: 'Asia/Kolkata' }));
+  let day = reopens_at.toLocaleDateString('en-IN', { weekday: 'long', day: 'numeric', month: 'short', timeZone: 'Asia/Kolkata' });
+  if (date === istDateString()) day = 'today';
+  else if (date === istDateString(new Date(Date.now() + 24 * 60 * 60 * 1000))) day = 'tomorrow';
+  return `Ordering reopens ${day} at ${time}.`;
+}
+
+// Whether the canteen is open at `at` according to the weekly hours and closures
+function scheduleStatus(at, schedule) {
+  const date = istDateString(at);
+  const closure = schedule.closures.find(c => c.closure_date === date);
+  const today = schedule.hours[dayOfWeek(date)];
+
+  let reason = null;
+  let message = null;
+  if (closure) {
+    reason = 'holiday';
+    message = closure.reason ? `The canteen is closed: ${closure.reason}` : 'The canteen is closed for a holiday';
+  } else if (today.is_closed) {
+    reason = 'closed';
+    message = `The canteen is closed on ${today.day}s`;
+  } else if (at < istDateTime(date, today.open_time) || at >= istDateTime(date, today.close_time)) {
+    reason = 'closed';
+    message = `The canteen is closed right now. Hours today: ${formatClockTime(today.open_time)} - ${formatClockTime(today.close_time)}`;
+  }
+
+  if (!reason) return { open: true, reason: null, message: null, reopens_at: null };
+  const reopens_at = nextOpening(at, schedule);
+  return {
+    open: false,
+    reason,
+    message,
+    reopens_at: reopens_at ? reopens_at.toISOString() : null,
+    reopens: describeReopening(reopens_at)
+  };
+}
+
+// The manual kill switch; null when ordering is not paused (or the pause has run out)
+async function loadOrderingPause(conn = db) {
+  const [rows] = await conn.query(
+    "SELECT setting_value, updated_at FROM canteen_settings WHERE setting_key = 'ordering_pause'"
+  );
+  if (rows.length === 0 || !rows[0].setting_value) return null;
+
+  const pause = JSON.parse(rows[0].setting_value);
+  if (pause.until && new Date(pause.until) <= new Date()) return null;
+  return { ...pause, paused_at: rows[0].updated_at };
+}
+
+// Whether orders for pickup now are accepted, with a reason and reopening time if not
+async function canteenStatus() {
+  const now = new Date();
+  const [pause, schedule] = await Promise.all([loadOrderingPause(), loadSchedule()]);
+  const today = schedule.hours[dayOfWeek(istDateString(now))];
+
+  let status;
+  if (pause) {
+    // A timed pause that runs past closing resumes with the next opening
+    const resumes = pause.until ? nextOpening(new Date(pause.until), schedule) : null;
+    status = {
+      open: false,
+      reason: 'paused',
+      message: pause.message || 'Online ordering is paused for a while',
+      reopens_at: resumes ? resumes.toISOString() : null,
+      reopens: resumes ? describeReopening(resumes) : 'Please check back in a little while.'
+    };
+  } else {
+    status = scheduleStatus(now, schedule);
+  }
+
+  return { ...status, today, upcoming_closures: schedule.closures.slice(0, 5) };
+}
+
+// Checkout guard. Pre-orders may be placed while the canteen is closed (their slot
+// is checked against the hours separately), but never while ordering is paused.
+async function assertAcceptingOrders({ scheduled = false } = {}) {
+  const status = await canteenStatus();
+  if (status.open || (scheduled && status.reason !== 'paused')) return;
+  throw httpError(409, status.message, { canteen: status });
+}
+
+// Parse the weekly hours form; returns { hours } or { error }
+function parseOpeningHours(input) {
+  const time = /^([01]\d|2[0-3]):[0-5]\d$/;
+  if (!Array.isArray(input) || input.length === 0) {
+    return { error: 'Opening hours are required' };
+  }
+
+  const hours = [];
+  for (const day of input) {
+    const day_of_week = Number(day.day_of_week);
+    if (!Number.isInteger(day_of_week) || day_of_week < 0 || day_of_week > 6) {
+      return { error: 'Invalid day of week' };
+    }
+    if (day.is_closed) {
+      hours.push({ day_of_week, open_time: null, close_time: null, is_closed: 1 });
+      continue;
+    }
+    if (!time.test(day.open_time || '') || !time.test(day.close_time || '')) {
+      return { error: `${WEEKDAYS[day_of_week]}: opening and closing times must be HH:MM (24 hour)` };
+    }
+    if (day.open_time >= day.close_time) {
+      return { error: `${WEEKDAYS[day_of_week]}: closing time must be after opening time` };
+    }
+    hours.push({ day_of_week, open_time: day.open_time, close_time: day.close_time, is_closed: 0 });
+  }
+  return { hours };
+}
+
+// Is the canteen taking orders right now? Drives the menu page banner.
+app.get('/api/canteen/status', async (req, res) => {
+  try {
+    res.json(await canteenStatus());
+  } catch (err) {
+    console.error('Canteen status error:', err);
+    res.status(500).json({ error: 'Failed to fetch canteen status' });
+  }
+});
+
+// Hours, upcoming closures and the pause switch (Admin only)
+app.get('/api/admin/canteen', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const [schedule, pause, status] = await Promise.all([loadSchedule(), loadOrderingPause(), canteenStatus()]);
+    res.json({ ...schedule, pause, status });
+  } catch (err) {
+    console.error('Canteen settings fetch error:', err);
+    res.status(500).json({ error: 'Failed to fetch canteen settings' });
+  }
+});
+
+// Replace the weekly opening hours (Admin only)
+app.put('/api/admin/canteen/hours', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { hours, error } = parseOpeningHours(req.body.hours);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    await withTransaction(async (conn) => {
+      for (const day of hours) {
+        await conn.query(
+          `INSERT INTO opening_hours (day_of_week, open_time, close_time, is_closed) VALUES (?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE open_time = VALUES(open_time), close_time = VALUES(close_time), is_closed = VALUES(is_closed)`,
+          [day.day_of_week, day.open_time, day.close_time, day.is_closed]
+        );
+      }
+    });
+
+    res.json({ success: true, hours: (await loadSchedule()).hours, message: 'Opening hours updated' });
+
+  } catch (err) {
+    console.error('Update opening hours error:', err);
+    res.status(500).json({ error: 'Failed to update opening hours' });
+  }
+});
+
+// Mark a date as a holiday / closure (Admin only)
+app.post('/api/admin/canteen/closures', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { closure_date, reason } = req.body;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(closure_date || '')) {
+      return res.status(400).json({ error: 'Closure date must be YYYY-MM-DD' });
+    }
+    if (closure_date < istDateString()) {
+      return res.status(400).json({ error: 'Closure date is in the past' });
+    }
+
+    const [result] = await db.query(
+      'INSERT INTO canteen_closures (closure_date, reason, created_by) VALUES (?, ?, ?)',
+      [closure_date, reason ? String(reason).trim().slice(0, 255) : null, req.user.user_id]
+    );
+    res.status(201).json({ success: true, closure_id: result.insertId, message: 'Closure added' });
+
+  } catch (err) {
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'That date is already marked as closed' });
+    }
+    console.error('Add closure error:', err);
+    res.status(500).json({ error: 'Failed to add closure' });
+  }
+});
+
+// Remove a closure (Admin only)
+app.delete('/api/admin/canteen/closures/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const [result] = await db.query('DELETE FROM canteen_closures WHERE closure_id = ?', [req.params.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Closure not found' });
+    }
+    res.json({ success: true, message: 'Closure removed' });
+
+  } catch (err) {
+    console.error('Remove closure error:', err);
+    res.status(500).json({ error: 'Failed to remove closure' });
+  }
+});
+
+// Pause or resume online ordering (Admin only). `minutes` resumes automatically
+// after that long; without it ordering stays paused until resumed here.
+app.put('/api/admin/canteen/pause', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { paused, message } = req.body;
+    let value = null;
+
+    if (paused) {
+      const minutes = req.body.minutes ? Number(req.body.minutes) : null;
+      if (minutes !== null && (!Number.isInteger(minutes) || minutes < 1)) {
+        return res.status(400).json({ error: 'Pause length must be a whole number of minutes' });
+      }
+      value = JSON.stringify({
+        message: message ? String(message).trim().slice(0, 255) : null,
+        until: minutes ? new Date(Date.now() + minutes * 60 * 1000).toISOString() : null
+      });
+    }
+
+    await db.query(
+      `INSERT INTO canteen_settings (setting_key, setting_value, updated_by) VALUES ('ordering_pause', ?, ?)
+       ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value), updated_by = VALUES(updated_by)`,
+      [value, req.user.user_id]
+    );
+
+    res.json({
+      success: true,
+      pause: await loadOrderingPause(),
+      message: paused ? 'Online ordering paused' : 'Online ordering resumed'
+    });
+
+  } catch (err) {
+    console.error('Ordering pause error:', err);
+    res.status(500).json({ error: 'Failed to update ordering pause' });
+  }
+});
+
+// ==================== PICKUP SLOTS ====================
+
+// Recurring daily pickup windows (IST). Customers can pre-order for a slot today
+// or up to PREORDER_DAYS_AHEAD days later, until PREORDER_CUTOFF_MINUTES before it starts.
+const PREORDER_DAYS_AHEAD = 1;
+const PREORDER_CUTOFF_MINUTES = parseInt(process.env.PREORDER_CUTOFF_MINUTES, 10) || 15;
+// How long before its slot a scheduled order shows up on the kitchen screen
+const KITCHEN_LEAD_MINUTES = parseInt(process.env.KITCHEN_LEAD_MINUTES, 10) || 30;
+
+// IST dates open for pre-orders, today first
+function preorderDates() {
+  const dates = [];
+  for (let day = 0; day <= PREORDER_DAYS_AHEAD; day++) {
+    dates.push(istDateString(new Date(Date.now() + day * 24 * 60 * 60 * 1000)));
+  }
+  return dates;
+}
+
+function describeSlot(slot, pickup_date) {
+  const starts_at = istDateTime(pickup_date, slot.start_time);
+  const day = pickup_date === istDateString() ? 'Today' : starts_at.toLocaleDateString('en-IN', {
+    weekday: 'short',
+    day: '2-digit',
+    month: 'short',
+    timeZone: 'Asia/Kolkata'
+  });
+  return {
+    slot_id: slot.slot_id,
+    label: slot.label,
+    pickup_date,
+    start_time: slot.start_time,
+    end_time: slot.end_time,
+    starts_at: starts_at.toISOString(),
+    formatted: `${day}, ${formatClockTime(slot.start_time)} - ${formatClockTime(slot.end_time)}`
+  };
+}
+
+const SLOT_COLUMNS = `s.slot_id, s.label, TIME_FORMAT(s.start_time, '%H:%i') AS start_time,
+  TIME_FORMAT(s.end_time, '%H:%i') AS end_time, s.capacity, s.is_active`;
+
+// Slots for a date with how many orders each already holds (cancelled orders free their place).
+// Slots that fall outside opening hours or on a holiday are not bookable.
+async function loadSlotsForDate(conn, pickup_date, { includeInactive = false } = {}) {
+  const [slots] = await conn.query(
+    `SELECT ${SLOT_COLUMNS},
+       (SELECT COUNT(*) FROM orders o
+        WHERE o.pickup_slot_id = s.slot_id AND o.pickup_date = ? AND o.order_status <> 'Cancelled') AS booked
+     FROM pickup_slots s
+     ${includeInactive ? '' : 'WHERE s.is_active = 1'}
+     ORDER BY s.start_time`,
+    [pickup_date]
+  );
+
+  const schedule = await loadSchedule(conn, pickup_date);
+  const cutoff = Date.now() + PREORDER_CUTOFF_MINUTES * 60 * 1000;
+  return slots.map((slot) => {
+    const view = describeSlot(slot, pickup_date);
+    const remaining = Math.max(0, slot.capacity - slot.booked);
+    const canteen_open = scheduleStatus(new Date(view.starts_at), schedule).open;
+    return {
+      ...view,
+      capacity: slot.capacity,
+      booked: slot.booked,
+      remaining,
+      is_active: slot.is_active,
+      canteen_open,
+      bookable: Boolean(slot.is_active) && canteen_open && remaining > 0 && new Date(view.starts_at).getTime() > cutoff
+    };
+  });
+}
+
+// Hold a place in a slot inside the checkout transaction. The slot row lock
+// serialises checkouts for the same slot and the booked count is re-read under
+// it, so capacity can't be overbooked.
+async function reservePickupSlot(conn, slot_id, pickup_date) {
+  const [locked] = await conn.query('SELECT slot_id FROM pickup_slots WHERE slot_id = ? FOR UPDATE', [slot_id]);
+  if (locked.length === 0) {
+    throw httpError(400, 'Unknown pickup slot');
+  }
+
+  const slot = (await loadSlotsForDate(conn, pickup_date, { includeInactive: true }))
+    .find((s) => s.slot_id === slot_id);
+  if (!slot.is_active) {
+    throw httpError(400, 'That pickup slot is no longer offered');
+  }
+  if (!slot.canteen_open) {
+    throw httpError(409, 'The canteen is closed at that pickup time', { slot_id });
+  }
+
+  // loadSlotsForDate counts from this transaction's snapshot, which can predate
+  // a checkout that held the slot lock before us; count again with a locking read
+  const [[{ booked }]] = await conn.query(
+    `SELECT COUNT(*) AS booked FROM orders
+     WHERE pickup_slot_id = ? AND pickup_date = ? AND order_status <> 'Cancelled'
+     LOCK IN SHARE MODE`,
+    [slot_id, pickup_date]
+  );
+  if (booked >= slot.capacity) {
+    throw httpError(409, 'That pickup slot is full, please pick another', { slot_id, remaining: 0 });
+  }
+  if (new Date(slot.starts_at).getTime() <= Date.now() + PREORDER_CUTOFF_MINUTES * 60 * 1000) {
+    throw httpError(409, `Orders for that slot closed ${PREORDER_CUTOFF_MINUTES} minutes before pickup`, { slot_id });
+  }
+  return describeSlot(slot, pickup_date);
+}
+
+// Pickup slots of several orders at once, as a Map of order_id -> slot
+async function loadOrderPickupSlots(order_ids) {
+  const slots = new Map();
+  if (order_ids.length === 0) return slots;
+  const [rows] = await db.query(
+    `SELECT o.order_id, ${SLOT_COLUMNS}, DATE_FORMAT(o.pickup_date, '%Y-%m-%d') AS pickup_date
+     FROM orders o
+     JOIN pickup_slots s ON o.pickup_slot_id = s.slot_id
+     WHERE o.order_id IN (?)`,
+    [order_ids]
+  );
+  rows.forEach((row) => slots.set(row.order_id, describeSlot(row, row.pickup_date)));
+  return slots;
+}
+
+// Validate an admin slot form; returns { slot } or { error }
+function parseSlotInput(body) {
+  const time = /^([01]\d|2[0-3]):[0-5]\d$/;
+  const { label, start_time, end_time } = body;
+  const capacity = Number(body.capacity);
+
+  if (!time.test(start_time || '') || !time.test(end_time || '')) {
+    return { error: 'Start and end times must be HH:MM (24 hour)' };
+  }
+  if (start_time >= end_time) {
+    return { error: 'End time must be after start time' };
+  }
+  if (!Number.isInteger(capacity) || capacity < 1) {
+    return { error: 'Capacity must be at least 1 order' };
+  }
+  return { slot: { label: label ? String(label).trim().slice(0, 100) : null, start_time, end_time, capacity } };
+}
+
+// Slots open for pre-orders on a date (default today), with remaining places
+app.get('/api/pickup-slots', async (req, res) => {
+  try {
+    const dates = preorderDates();
+    const pickup_date = req.query.date || dates[0];
+    if (!dates.includes(pickup_date)) {
+      return res.status(400).json({ error: 'Date is outside the pre-order window', dates });
+    }
+
+    const slots = await loadSlotsForDate(db, pickup_date);
+    res.json({ pickup_date, dates, cutoff_minutes: PREORDER_CUTOFF_MINUTES, slots });
+
+  } catch (err) {
+    console.error('Pickup slots fetch error:', err);
+    res.status(500).json({ error: 'Failed to fetch pickup slots' });
+  }
+});
+
+// All slots, including retired ones, with today's bookings (Admin only)
+app.get('/api/admin/pickup-slots', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const slots = await loadSlotsForDate(db, istDateString(), { includeInactive: true });
+    res.json(slots);
+  } catch (err) {
+    console.error('Admin pickup slots fetch error:', err);
+    res.status(500).json({ error: 'Failed to fetch pickup slots' });
+  }
+});
+
+// Add a pickup slot (Admin only)
+app.post('/api/admin/pickup-slots', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { slot, error } = parseSlotInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const [result] = await db.query(
+      'INSERT INTO pickup_slots (label, start_time, end_time, capacity) VALUES (?, ?, ?, ?)',
+      [slot.label, slot.start_time, slot.end_time, slot.capacity]
+    );
+    res.status(201).json({ success: true, slot_id: result.insertId, message: 'Pickup slot added' });
+
+  } catch (err) {
+    console.error('Add pickup slot error:', err);
+    res.status(500).json({ error: 'Failed to add pickup slot' });
+  }
+});
+
+// Update a pickup slot (Admin only). Orders already booked keep their place
+// even if capacity is lowered below the current bookings.
+app.put('/api/admin/pickup-slots/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { slot, error } = parseSlotInput(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const [result] = await db.query(
+      'UPDATE pickup_slots SET label = ?, start_time = ?, end_time = ?, capacity = ?, is_active = ? WHERE slot_id = ?',
+      [slot.label, slot.start_time, slot.end_time, slot.capacity, req.body.is_active === false ? 0 : 1, req.params.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Pickup slot not found' });
+    }
+    res.json({ success: true, message: 'Pickup slot updated' });
+
+  } catch (err) {
+    console.error('Update pickup slot error:', err);
+    res.status(500).json({ error: 'Failed to update pickup slot' });
+  }
+});
+
+// Retire a pickup slot (Admin only). Slots are kept so past orders still show their window.
+app.delete('/api/admin/pickup-slots/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const [result] = await db.query('UPDATE pickup_slots SET is_active = 0 WHERE slot_id = ?', [req.params.id]);
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Pickup slot not found' });
+    }
+    res.json({ success: true, message: 'Pickup slot removed' });
+
+  } catch (err) {
+    console.error('Delete pickup slot error:', err);
+    res.status(500).json({ error: 'Failed to remove pickup slot' });
+  }
+});
+
+// ==================== ORDER STATUS WORKFLOW ====================
+
+// Allowed order status transitions. Delivered and Cancelled are terminal.
+const ORDER_STATUS_TRANSITIONS = {
+  Placed: ['Preparing', 'Cancelled'],
+  Preparing: ['Ready', 'Cancelled'],
+  Ready: ['Delivered'],
+  Delivered: [],
+  Cancelled: []
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+
+function nextOrderStatuses(status) {
+  return ORDER_STATUS_TRANSITIONS[status] || [];
+}
+
+// Customers may cancel a Placed order at any time, and a Preparing order only
+// within this many minutes of placing it.
+const ORDER_CANCEL_GRACE_MINUTES = Number.isFinite(parseInt(process.env.ORDER_CANCEL_GRACE_MINUTES, 10))
+  ? parseInt(process.env.ORDER_CANCEL_GRACE_MINUTES, 10)
+  : 5;
+
+function customerCancelDeadline(order) {
+  return new Date(new Date(order.order_date).getTime() + ORDER_CANCEL_GRACE_MINUTES * 60 * 1000);
+}
+
+function canCustomerCancel(order, now = new Date()) {
+  if (order.order_status === 'Placed') return true;
+  return order.order_status === 'Preparing' && now < customerCancelDeadline(order);
+}
+
+async function recordStatusChange(conn, order_id, from_status, to_status, changed_by = null, note = null) {
+  await conn.query(
+    'INSERT INTO order_status_history (order_id, from_status, to_status, changed_by, note) VALUES (?, ?, ?, ?, ?)',
+    [order_id, from_status, to_status, changed_by, note]
+  );
+}
+
+// Move an order to `to_status` inside the caller's transaction.
+// Locks the order row, enforces ORDER_STATUS_TRANSITIONS and writes a history entry.
+async function transitionOrderStatus(conn, order_id, to_status, { changed_by = null, note = null } = {}) {
+  const [rows] = await conn.query(
+    'SELECT order_id, user_id, order_status FROM orders WHERE order_id = ? FOR UPDATE',
+    [order_id]
+  );
+  if (rows.length === 0) {
+    throw httpError(404, 'Order not found');
+  }
+
+  const order = rows[0];
+  const from_status = order.order_status;
+  const allowed = nextOrderStatuses(from_status);
+  if (!allowed.includes(to_status)) {
+    throw httpError(409, `Cannot change order from ${from_status} to ${to_status}`, {
+      order_status: from_status,
+      allowed_statuses: allowed
+    });
+  }
+
+  await conn.query('UPDATE orders SET order_status = ? WHERE order_id = ?', [to_status, order_id]);
+  await recordStatusChange(conn, order_id, from_status, to_status, changed_by, note);
+
+  return { ...order, from_status, order_status: to_status };
+}
+
+// Status timeline for an order, oldest first. Staff names are only included for admin views.
+async function loadStatusHistory(order_id, { includeActor = false } = {}) {
+  return (await loadStatusHistories([order_id], { includeActor })).get(order_id) || [];
+}
+
+// Status timelines of several orders at once, as a Map of order_id -> timeline
+async function loadStatusHistories(order_ids, { includeActor = false } = {}) {
+  const timelines = new Map();
+  if (order_ids.length === 0) return timelines;
+  const [rows] = await db.query(
+    `SELECT h.order_id, h.from_status, h.to_status, h.note, h.changed_at, h.changed_by, u.name AS changed_by_name
+     FROM order_status_history h
+     LEFT JOIN users u ON h.changed_by = u.user_id
+     WHERE h.order_id IN (?)
+     ORDER BY h.changed_at, h.history_id`,
+    [order_ids]
+  );
+
+  rows.forEach((row) => {
+    const entry = {
+      from_status: row.from_status,
+      to_status: row.to_status,
+      note: row.note,
+      changed_at: row.changed_at,
+      formatted_time: new Date(row.changed_at).toLocaleString('en-IN', {
+        day: '2-digit',
+        month: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: true,
+        timeZone: 'Asia/Kolkata'
+      })
+    };
+    if (includeActor) {
+      entry.changed_by = row.changed_by;
+      entry.changed_by_name = row.changed_by_name;
+    }
+    if (!timelines.has(row.order_id)) timelines.set(row.order_id, []);
+    timelines.get(row.order_id).push(entry);
+  });
+  return timelines;
+}
+
+// ==================== ORDER MANAGEMENT ====================
+
+// Attach items, status timeline and IST display dates to order rows. Each
+// related table is read once for the whole list (WHERE order_id IN (...)).
+// Admin views also get staff names in the timeline and the allowed next statuses.
+async function decorateOrders(orders, { admin = false } = {}) {
+  if (orders.length === 0) return orders;
+  const order_ids = orders.map((order) => order.order_id);
+  const byOrder = (rows) => {
+    const groups = new Map();
+    rows.forEach((row) => {
+      if (!groups.has(row.order_id)) groups.set(row.order_id, []);
+      groups.get(row.order_id).push(row);
+    });
+    return groups;
+  };
+
+  const [items] = await db.query(
+    'SELECT oi.*, p.title, p.image_url FROM order_items oi JOIN products p ON oi.item_id = p.item_id WHERE oi.order_id IN (?)',
+    [order_ids]
+  );
+  items.forEach((item) => {
+    item.modifiers = item.modifiers ? JSON.parse(item.modifiers) : [];
+  });
+  if (!admin && items.length) {
+    // The customer's own rating of each line, once the order is collected
+    const [reviews] = await db.query(
+      'SELECT order_item_id, rating, comment, status FROM product_reviews WHERE order_item_id IN (?)',
+      [items.map((item) => item.order_item_id)]
+    );
+    const reviewFor = new Map(reviews.map((review) => [review.order_item_id, review]));
+    items.forEach((item) => {
+      item.review = reviewFor.get(item.order_item_id) || null;
+    });
+  }
+  const itemsFor = byOrder(items);
+
+  const timelines = await loadStatusHistories(order_ids, { includeActor: admin });
+
+  const [refunds] = await db.query(
+    'SELECT order_id, refund_id, amount, method, status, failure_reason, created_at FROM refunds WHERE order_id IN (?)',
+    [order_ids]
+  );
+  const refundsFor = byOrder(refunds);
+
+  const [invoices] = await db.query('SELECT order_id, invoice_number FROM invoices WHERE order_id IN (?)', [order_ids]);
+  const invoiceFor = new Map(invoices.map((invoice) => [invoice.order_id, invoice.invoice_number]));
+
+  const slotFor = await loadOrderPickupSlots(orders.filter((order) => order.pickup_slot_id).map((order) => order.order_id));
+
+  orders.forEach((order) => {
+    order.items = itemsFor.get(order.order_id) || [];
+    if (!admin) order.can_review = order.order_status === 'Delivered';
+    order.status_history = timelines.get(order.order_id) || [];
+    if (admin) {
+      order.next_statuses = nextOrderStatuses(order.order_status);
+    } else {
+      order.can_cancel = canCustomerCancel(order);
+      order.cancel_deadline = order.order_status === 'Preparing' ? customerCancelDeadline(order).toISOString() : null;
+    }
+
+    const orderRefunds = refundsFor.get(order.order_id) || [];
+    order.refund = orderRefunds.length ? orderRefunds[0] : null;
+    if (order.refund) delete order.refund.order_id;
+
+    order.invoice_number = invoiceFor.get(order.order_id) || null;
+
+    // The code only travels inside the signed pickup QR
+    delete order.pickup_code;
+
+    order.pickup_slot = order.pickup_slot_id ? slotFor.get(order.order_id) || null : null;
+    if (admin) {
+      // Scheduled orders stay off the kitchen screen until shortly before their slot
+      order.kitchen_visible_at = order.pickup_slot
+        ? new Date(new Date(order.pickup_slot.starts_at).getTime() - KITCHEN_LEAD_MINUTES * 60 * 1000).toISOString()
+        : null;
+    }
+
+    // Format order_date for frontend display (Indian Standard Time)
+    if (order.order_date) {
+      const date = new Date(order.order_date);
+      order.formatted_date = date.toLocaleDateString('en-IN', {
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        timeZone: 'Asia/Kolkata'
+      });
+      order.formatted_time = date.toLocaleTimeString('en-IN', {
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: true,
+        timeZone: 'Asia/Kolkata'
+      });
+      order.formatted_datetime = `${order.formatted_date}, ${order.formatted_time}`;
+      order.timezone = 'IST (UTC+5:30)';
+    }
+  });
+
+  return orders;
+}
+
+// A single order, for one-order views and live events
+async function decorateOrder(order, { admin = false } = {}) {
+  await decorateOrders([order], { admin });
+  return order;
+}
+
+// Load one order in the same shape as GET /api/orders (or /api/admin/orders when admin)
+async function loadOrderView(order_id, { admin = false } = {}) {
+  const [orders] = await db.query(
+    `SELECT o.*, u.name as user_name, u.email as user_email
+     FROM orders o
+     LEFT JOIN users u ON o.user_id = u.user_id
+     WHERE o.order_id = ?`,
+    [order_id]
+  );
+  if (orders.length === 0) return null;
+
+  const order = orders[0];
+  if (!admin) {
+    delete order.user_name;
+    delete order.user_email;
+  }
+  return decorateOrder(order, { admin });
+}
+
+// Push an order change to the owning customer's stream and to the admin feed.
+// Runs after the transaction has committed; failures are logged, never thrown.
+async function publishOrderEvent(type, order_id) {
+  try {
+    const [adminView, customerView] = await Promise.all([
+      loadOrderView(order_id, { admin: true }),
+      loadOrderView(order_id)
+    ]);
+    if (!adminView) return;
+    orderEvents.publish(type, {
+      user_id: adminView.user_id,
+      adminPayload: adminView,
+      customerPayload: customerView
+    });
+  } catch (err) {
+    console.error(`Order event (${type}) error:`, err);
+  }
+}
+
+// EventSource cannot send headers, so the order stream is opened with a ticket
+// in the query string instead of the login token. Tickets are signed with a key
+// derived from JWT_SECRET and only last a minute: one can't be used as a login
+// token, and one that ends up in a proxy or access log is soon useless.
+const STREAM_TICKET_SECRET = crypto.createHmac('sha256', JWT_SECRET).update('order-stream-ticket').digest('hex');
+const STREAM_TICKET_TTL_SECONDS = 60;
+
+// Issue a ticket for GET /api/orders/stream. Body: { scope: 'admin' } for the
+// admin feed of every order; otherwise the customer's own orders.
+app.post('/api/orders/stream/ticket', authenticateToken, (req, res) => {
+  const admin = Boolean(req.body && req.body.scope === 'admin');
+  if (admin && !req.user.is_admin) {
+    return res.status(403).json({ error: 'Admin privileges required' });
+  }
+
+  const ticket = jwt.sign(
+    { user_id: req.user.user_id, scope: admin ? 'admin' : 'customer' },
+    STREAM_TICKET_SECRET,
+    { audience: 'order-stream', expiresIn: STREAM_TICKET_TTL_SECONDS }
+  );
+  res.json({ ticket, expires_in: STREAM_TICKET_TTL_SECONDS });
+});
+
+// Live order feed over Server-Sent Events, opened with `?ticket=` from
+// POST /api/orders/stream/ticket. A browser reconnecting after the ticket has
+// expired is refused and has to ask for a new one.
+// Subscribers are held in this process's memory, so the feed only works on a
+// long-running server, not on Vercel (see services/orderEvents.js).
+app.get('/api/orders/stream', (req, res) => {
+  const ticket = req.query.ticket;
+  if (!ticket) {
+    return res.status(401).json({ error: 'Stream ticket required' });
+  }
+
+  jwt.verify(ticket, STREAM_TICKET_SECRET, { audience: 'order-stream' }, (err, claims) => {
+    if (err) {
+      return res.status(403).json({ error: 'Invalid or expired stream ticket' });
+    }
+    orderEvents.subscribe(req, res, { user_id: claims.user_id, admin: claims.scope === 'admin' });
+  });
+});
+
+// Today's date in IST as YYYY-MM-DD; pickup tokens restart from 1 on each new date
+function istDateString(date = new Date()) {
+  return date.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+}
+
+// Allocate the next pickup token for a date (today unless pre-ordering) inside the
+// checkout transaction. The counter row stays locked until commit, so concurrent
+// checkouts get distinct tokens.
+async function nextPickupToken(conn, token_date = istDateString()) {
+  const [result] = await conn.query(
+    `INSERT INTO daily_token_counters (token_date, last_token) VALUES (?, LAST_INSERT_ID(1))
+     ON DUPLICATE KEY UPDATE last_token = LAST_INSERT_ID(last_token + 1)`,
+    [token_date]
+  );
+  return { token_date, token_number: result.insertId };
+}
+
+// Look up an order previously created with the same Idempotency-Key
+async function findOrderByIdempotencyKey(conn, user_id, idempotencyKey) {
+  const [rows] = await conn.query(
+    'SELECT order_id, total_amount, discount_amount, token_number, payment_method FROM orders WHERE user_id = ? AND idempotency_key = ?',
+    [user_id, idempotencyKey]
+  );
+  return rows[0] || null;
+}
+
+function idempotentReplay(res, order) {
+  return res.json({
+    success: true,
+    order_id: order.order_id,
+    token_number: order.token_number,
+    total: parseFloat(order.total_amount).toFixed(2),
+    discount: parseFloat(order.discount_amount || 0).toFixed(2),
+    payment_method: order.payment_method,
+    replayed: true,
+    message: 'Order already placed'
+  });
+}
+
+// Write an order's lines and GST breakdown and number its invoice, inside the
+// order's transaction. Items carry variant_name and modifiers (JSON) already
+// copied from the menu, plus hsn_code and gst_rate from calculateTax.
+async function recordOrderLines(conn, order_id, items, tax, taxSettings) {
+  // One connection, so these run in sequence
+  for (const item of items) {
+    await conn.query(
+      `INSERT INTO order_items (order_id, item_id, variant_id, variant_name, modifiers, instructions, quantity, unit_price, hsn_code, gst_rate)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [order_id, item.item_id, item.variant_id || null, item.variant_name || null,
+       item.modifiers, item.instructions || null, item.quantity, item.unit_price, item.hsn_code, item.gst_rate]
+    );
+  }
+
+  for (const line of tax.lines) {
+    await conn.query(
+      `INSERT INTO order_tax_lines (order_id, hsn_code, gst_rate, taxable_value, cgst_amount, sgst_amount)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [order_id, line.hsn_code, line.gst_rate, line.taxable_value, line.cgst_amount, line.sgst_amount]
+    );
+  }
+  return issueInvoice(conn, order_id, taxSettings);
+}
+
+// Create order from cart
+// The cart is locked for the duration of the transaction so a double submit
+// waits for the first checkout instead of ordering the same items twice.
+// Clients may send an Idempotency-Key header; a retry with the same key
+// returns the original order rather than creating a new one.
+// payment_method is 'counter' (default), 'wallet' or 'online'. Wallet orders
+// are debited in the same transaction; online orders get a gateway payment
+// intent in the response.
+// pickup_slot_id (with an optional pickup_date, default today) pre-orders for a
+// pickup window; without it the order is for pickup as soon as possible, which
+// is only accepted while the canteen is open and ordering isn't paused.
+// A coupon applied to the cart is checked again here and its discount is taken
+// off total_amount; orders the coupon covers in full need no payment. GST is
+// stored per HSN code and rate, and the order's invoice is numbered here.
+// The cart is compared with the menu once, inside the order transaction; lines
+// whose price moved since the customer agreed to it, or lines taken off sale,
+// stop the order with 409 and prices_changed until the customer accepts them
+// (POST /api/cart/prices/acknowledge).
+app.post('/api/order', authenticateToken, async (req, res) => {
+  const user_id = req.user.user_id;
+  const idempotencyKey = (req.get('Idempotency-Key') || '').trim() || null;
+  const payment_method = (req.body && req.body.payment_method) || 'counter';
+  const pickup_slot_id = req.body && req.body.pickup_slot_id ? parseInt(req.body.pickup_slot_id, 10) : null;
+  const pickup_date = pickup_slot_id ? (req.body.pickup_date || istDateString()) : null;
+
+  if (idempotencyKey && !/^[A-Za-z0-9_-]{8,64}$/.test(idempotencyKey)) {
+    return res.status(400).json({ error: 'Idempotency-Key must be 8-64 letters, digits, dashes or underscores' });
+  }
+
+  if (!paymentGateways.PAYMENT_METHODS[payment_method]) {
+    return res.status(400).json({ error: 'Invalid payment method' });
+  }
+
+  if (payment_method === 'online' && !paymentGateways.activeGateway()) {
+    return res.status(503).json({ error: ONLINE_PAYMENT_UNAVAILABLE });
+  }
+
+  if (pickup_slot_id && !preorderDates().includes(pickup_date)) {
+    return res.status(400).json({ error: 'Pickup date must be today or within the pre-order window' });
+  }
+
+  try {
+    if (idempotencyKey) {
+      const existing = await findOrderByIdempotencyKey(db, user_id, idempotencyKey);
+      if (existing) return idempotentReplay(res, existing);
+    }
+
+    await assertAcceptingOrders({ scheduled: Boolean(pickup_slot_id) });
+    await ensureDailyStockReset();
+
+    const order = await withTransaction(async (conn) => {
+      // Lock the user's cart row; concurrent checkouts queue up here
+      const [cartRows] = await conn.query(
+        'SELECT cart_id, coupon_id FROM carts WHERE user_id = ? FOR UPDATE',
+        [user_id]
+      );
+      if (cartRows.length === 0) {
+        throw httpError(400, 'No cart found');
+      }
+
+      // A retry that waited on the lock sees the order the first request committed
+      if (idempotencyKey) {
+        const existing = await findOrderByIdempotencyKey(conn, user_id, idempotencyKey);
+        if (existing) return { ...existing, replayed: true };
+      }
+
+      const cart_id = cartRows[0].cart_id;
+      // Nothing is billed at a price the customer hasn't agreed to. Checking
+      // here, with the lines locked, means the menu can't move before the order
+      // is written; the cart itself is left alone for the customer to accept.
+      const { changed: price_changes, removed: removed_items } = await compareCartToMenu(conn, cart_id, { lock: true });
+      if (price_changes.length || removed_items.length) {
+        throw httpError(409,
+          price_changes.length ? 'Some prices in your cart have changed' : 'Some items in your cart are no longer available',
+          { prices_changed: true, price_changes, removed_items });
+      }
+
+      const [items] = await conn.query(
+        `SELECT ci.cart_item_id, ci.item_id, p.title, p.category, ci.variant_id, ci.modifier_ids, ci.instructions,
+                ci.quantity, ci.unit_price
+         FROM cart_items ci JOIN products p ON ci.item_id = p.item_id
+         WHERE ci.cart_id = ?`,
+        [cart_id]
+      );
+
+      if (items.length === 0) {
+        throw httpError(400, 'Cart is empty');
+      }
+
+      // Copy size names onto the order lines
+      const variantIds = items.filter((item) => item.variant_id).map((item) => item.variant_id);
+      if (variantIds.length) {
+        const [variantRows] = await conn.query(
+          'SELECT variant_id, name FROM product_variants WHERE variant_id IN (?) AND is_active = 1',
+          [variantIds]
+        );
+        const names = new Map(variantRows.map((v) => [v.variant_id, v.name]));
+        if (variantIds.some((id) => !names.has(id))) {
+          throw httpError(409, 'A size in your cart is no longer available. Please add the item again.');
+        }
+        items.forEach((item) => { item.variant_name = names.get(item.variant_id) || null; });
+      }
+
+      // Copy the chosen add-ons too, so the order reads the same after the menu changes
+      const modifiers = await describeModifierIds(items.map((item) => item.modifier_ids), conn);
+      for (const item of items) {
+        const chosen = modifiers.get(item.modifier_ids) || [];
+        if (chosen.some((option) => !option.is_active)) {
+          throw httpError(409, 'An add-on in your cart is no longer available. Please add the item again.');
+        }
+        item.modifiers = chosen.length
+          ? JSON.stringify(chosen.map(({ option_id, group, name, price }) => ({ option_id, group, name, price })))
+          : null;
+      }
+
+      await reserveStock(conn, items);
+
+      // Re-check the cart's coupon with its row locked so usage limits can't be overrun
+      let coupon = null;
+      let discount = 0;
+      if (cartRows[0].coupon_id) {
+        coupon = await loadCoupon(conn, { coupon_id: cartRows[0].coupon_id }, { lock: true });
+        try {
+          discount = await priceCoupon(conn, coupon, user_id, items, { lock: true });
+        } catch (err) {
+          if (!err.status) throw err;
+          throw httpError(409, `Coupon ${coupon.code} can't be used: ${err.message}`, { coupon_error: true });
+        }
+      }
+
+      // Calculate GST and the total (less the discount, plus GST when prices exclude it)
+      const taxSettings = await loadTaxSettings(conn);
+      const rates = await loadTaxRates(conn, items.map((item) => item.item_id), taxSettings);
+      const tax = calculateTax(items, { rates, settings: taxSettings, coupon, discount });
+      const total = tax.total;
+
+      const pickup_slot = pickup_slot_id ? await reservePickupSlot(conn, pickup_slot_id, pickup_date) : null;
+
+      // Create order with a pickup token for the day it will be collected
+      const { token_date, token_number } = await nextPickupToken(conn, pickup_date || istDateString());
+      const [orderResult] = await conn.query(
+        `INSERT INTO orders (user_id, total_amount, tax_amount, prices_include_tax, coupon_id, coupon_code, discount_amount,
+                             order_status, idempotency_key, token_date, token_number, payment_method, pickup_slot_id, pickup_date)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [user_id, total, tax.tax_amount, taxSettings.prices_include_tax ? 1 : 0,
+         coupon ? coupon.coupon_id : null, coupon ? coupon.code : null, discount, 'Placed',
+         idempotencyKey, token_date, token_number, payment_method, pickup_slot_id, pickup_date]
+      );
+
+      const order_id = orderResult.insertId;
+      await recordStatusChange(conn, order_id, null, 'Placed', user_id);
+
+      // Nothing to collect when a coupon covers the whole order
+      if (total === 0) {
+        await conn.query('UPDATE orders SET payment_status = 1 WHERE order_id = ?', [order_id]);
+      }
+
+      // Pay-at-counter orders wait for staff to take the money at pickup
+      if (payment_method === 'counter' && total > 0) {
+        await conn.query(
+          'INSERT INTO payments (order_id, user_id, method, provider, amount, status) VALUES (?, ?, ?, ?, ?, ?)',
+          [order_id, user_id, 'counter', 'counter', total, 'pending']
+        );
+      }
+
+      // Wallet orders are paid up front; a short balance rolls back the whole order
+      let wallet_balance;
+      if (payment_method === 'wallet' && total > 0) {
+        const debit = await postWalletTransaction(conn, {
+          user_id,
+          type: 'debit',
+          amount: -total,
+          order_id,
+          note: `Order #${order_id}`
+        });
+        wallet_balance = debit.balance_after;
+        await conn.query(
+          'INSERT INTO payments (order_id, user_id, method, provider, provider_ref, amount, status) VALUES (?, ?, ?, ?, ?, ?, ?)',
+          [order_id, user_id, 'wallet', 'wallet', `wallet_txn_${debit.txn_id}`, total, 'succeeded']
+        );
+        await conn.query('UPDATE orders SET payment_status = 1 WHERE order_id = ?', [order_id]);
+      }
+
+      const invoice_number = await recordOrderLines(conn, order_id, items, tax, taxSettings);
+
+      // Clear cart
+      await conn.query('DELETE FROM cart_items WHERE cart_id = ?', [cart_id]);
+      await conn.query('UPDATE carts SET coupon_id = NULL WHERE cart_id = ?', [cart_id]);
+
+      return { order_id, total_amount: total, discount, tax_amount: tax.tax_amount, invoice_number, token_number, wallet_balance, pickup_slot };
+    });
+
+    if (order.replayed) return idempotentReplay(res, order);
+
+    publishOrderEvent('order.created', order.order_id);
+    autoPrintKitchenTickets();
+
+    // The order stands even if the gateway is unreachable; the customer can retry
+    // payment from their orders page via POST /api/payments/intent.
+    let payment = null;
+    let payment_error;
+    if (payment_method === 'online' && order.total_amount > 0) {
+      try {
+        payment = await createPaymentIntent(order, user_id);
+      } catch (err) {
+        console.error('Create payment intent error:', err);
+        payment_error = 'Could not start online payment. You can retry from My Orders.';
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      order_id: order.order_id,
+      token_number: order.token_number,
+      total: order.total_amount.toFixed(2),
+      discount: order.discount.toFixed(2),
+      tax: order.tax_amount.toFixed(2),
+      invoice_number: order.invoice_number,
+      payment_method,
+      payment,
+      payment_error,
+      wallet_balance: order.wallet_balance !== undefined ? order.wallet_balance.toFixed(2) : undefined,
+      pickup_slot: order.pickup_slot,
+      message: 'Order placed successfully'
+    });
+
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+
+    // Two requests with the same key raced past the lookup; the unique index kept one
+    if (err.code === 'ER_DUP_ENTRY' && idempotencyKey) {
+      const existing = await findOrderByIdempotencyKey(db, user_id, idempotencyKey).catch(() => null);
+      if (existing) return idempotentReplay(res, existing);
+    }
+
+    console.error('Create order error:', err);
+    res.status(500).json({ error: 'Failed to create order' });
+  }
+});
+
+// Get user's orders
+app.get('/api/orders', authenticateToken, async (req, res) => {
+  try {
+    const user_id = req.user.user_id;
+    const [orders] = await db.query(
+      'SELECT * FROM orders WHERE user_id = ? ORDER BY order_date DESC',
+      [user_id]
+    );
+
+    // Add items, status timeline and formatted dates to each order
+    await decorateOrders(orders);
+
+    res.json(orders);
+
+  } catch (err) {
+    console.error('Get orders error:', err);
+    res.status(500).json({ error: 'Failed to fetch orders' });
+  }
+});
+
+// The add-on options a past order line carried, as today's option ids. Older
+// orders only kept names, so those are matched by group and option name.
+// Returns null when any of them has since been retired.
+function matchOrderedAddOns(groups, ordered) {
+  const option_ids = [];
+  for (const addOn of ordered) {
+    let match = null;
+    groups.forEach((group) => group.options.forEach((option) => {
+      if (addOn.option_id ? option.option_id === addOn.option_id : group.name === addOn.group && option.name === addOn.name) {
+        match = option;
+      }
+    }));
+    if (!match) return null;
+    option_ids.push(match.option_id);
+  }
+  return option_ids;
+}
+
+// Put a past order back in the cart at today's prices. `unavailable` lists lines
+// that couldn't be added, `reduced` lines trimmed to the stock left and
+// `repriced` lines that cost something different now.
+app.post('/api/orders/:id/reorder', authenticateToken, async (req, res) => {
+  try {
+    const user_id = req.user.user_id;
+    const [orders] = await db.query(
+      'SELECT order_id FROM orders WHERE order_id = ? AND user_id = ?',
+      [req.params.id, user_id]
+    );
+    if (orders.length === 0) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const [items] = await db.query(
+      `SELECT oi.item_id, p.title, oi.variant_id, oi.variant_name, oi.modifiers, oi.instructions, oi.quantity, oi.unit_price
+       FROM order_items oi JOIN products p ON oi.item_id = p.item_id
+       WHERE oi.order_id = ? ORDER BY oi.order_item_id`,
+      [orders[0].order_id]
+    );
+    const groups = await loadModifierGroups(Array.from(new Set(items.map((item) => item.item_id))));
+
+    const unavailable = [];
+    const lines = [];
+    items.forEach((item) => {
+      const modifiers = matchOrderedAddOns(groups.get(item.item_id) || [], item.modifiers ? JSON.parse(item.modifiers) : []);
+      if (!modifiers) {
+        unavailable.push({ item_id: item.item_id, title: item.title, reason: 'its add-ons have changed' });
+        return;
+      }
+      lines.push({ ...item, modifiers });
+    });
+
+    const result = await addLinesToCart(user_id, lines);
+    result.dropped.forEach((line) => {
+      unavailable.push({ ...line, title: line.title || (items.find((item) => item.item_id === line.item_id) || {}).title });
+    });
+    const repriced = result.added
+      .filter((line) => line.unit_price !== parseFloat(lines[line.index].unit_price).toFixed(2))
+      .map((line) => ({
+        item_id: line.item_id,
+        title: line.title,
+        variant_name: lines[line.index].variant_name,
+        old_price: parseFloat(lines[line.index].unit_price).toFixed(2),
+        new_price: line.unit_price
+      }));
+
+    if (result.merged === 0) {
+      return res.status(409).json({ error: 'Nothing from this order is available right now', unavailable });
+    }
+
+    res.json({
+      success: true,
+      added: result.merged,
+      unavailable,
+      reduced: result.reduced,
+      repriced,
+      message: unavailable.length ? 'Some items were added to your cart' : 'Added to your cart'
+    });
+
+  } catch (err) {
+    console.error('Reorder error:', err);
+    res.status(500).json({ error: 'Failed to reorder' });
+  }
+});
+
+// ==================== PAYMENTS ====================
+
+// Payment rows move created -> succeeded/failed for gateway intents and
+// pending -> succeeded for pay-at-counter. A new intent for the same order
+// cancels the previous open one.
+
+const ONLINE_PAYMENT_UNAVAILABLE = 'Online payment is not available right now. Please pay with your wallet or at the counter.';
+
+// Open a gateway intent for an unpaid order and return what the browser needs to pay it
+async function createPaymentIntent(order, user_id) {
+  const gateway = paymentGateways.activeGateway();
+  if (!gateway) {
+    throw httpError(503, ONLINE_PAYMENT_UNAVAILABLE);
+  }
+  const amount = parseFloat(order.total_amount);
+  const currency = 'INR';
+
+  await db.query(
+    "UPDATE payments SET status = 'cancelled', failure_reason = 'Superseded by a new payment attempt' WHERE order_id = ? AND status = 'created'",
+    [order.order_id]
+  );
+  const [result] = await db.query(
+    'INSERT INTO payments (order_id, user_id, method, provider, amount, currency) VALUES (?, ?, ?, ?, ?, ?)',
+    [order.order_id, user_id, 'online', gateway.name, amount, currency]
+  );
+  const payment_id = result.insertId;
+
+  try {
+    const intent = await gateway.createIntent({ payment_id, order_id: order.order_id, amount, currency });
+    await db.query('UPDATE payments SET provider_ref = ? WHERE payment_id = ?', [intent.provider_ref, payment_id]);
+    return {
+      payment_id,
+      provider: gateway.name,
+      amount: amount.toFixed(2),
+      currency,
+      client: intent.client
+    };
+  } catch (err) {
+    await db.query(
+      "UPDATE payments SET status = 'failed', failure_reason = ? WHERE payment_id = ?",
+      [String(err.message).slice(0, 255), payment_id]
+    );
+    throw err;
+  }
+}
+
+// Apply a gateway or counter outcome to a payment inside a transaction.
+// Only an open attempt ('created' or 'pending') changes: the browser confirm and
+// the webhook usually both report the same payment, and a replayed result must
+// not revive one that failed, was cancelled or was refunded. A success settles
+// the order only while it is unpaid and not cancelled; money taken any other way
+// is kept on the payment for refundLatePayment. Returns 'settled', 'failed',
+// 'refund' (the caller sends the money back) or null when nothing changed.
+async function applyPaymentOutcome(conn, payment_id, { status, provider_payment_id = null, reason = null, recorded_by = null }) {
+  const [found] = await conn.query('SELECT order_id FROM payments WHERE payment_id = ?', [payment_id]);
+  if (found.length === 0) {
+    throw httpError(404, 'Payment not found');
+  }
+
+  // Order before payment, the same way round as cancellation and the counter
+  const [[order]] = await conn.query(
+    'SELECT order_status, payment_status FROM orders WHERE order_id = ? FOR UPDATE',
+    [found[0].order_id]
+  );
+  const [[payment]] = await conn.query('SELECT * FROM payments WHERE payment_id = ? FOR UPDATE', [payment_id]);
+  if (['succeeded', 'refunded'].includes(payment.status)) return null;
+
+  const open = ['created', 'pending'].includes(payment.status);
+  if (status !== 'succeeded') {
+    if (!open) return null;
+    await conn.query(
+      "UPDATE payments SET status = 'failed', failure_reason = ? WHERE payment_id = ?",
+      [String(reason || 'Payment failed').slice(0, 255), payment_id]
+    );
+    return 'failed';
+  }
+
+  if (open && order.order_status !== 'Cancelled' && !order.payment_status) {
+    await conn.query(
+      "UPDATE payments SET status = 'succeeded', provider_payment_id = ?, failure_reason = NULL, recorded_by = ? WHERE payment_id = ?",
+      [provider_payment_id, recorded_by, payment_id]
+    );
+    await conn.query(
+      'UPDATE orders SET payment_status = 1, payment_method = ? WHERE order_id = ?',
+      [payment.method, payment.order_id]
+    );
+    return 'settled';
+  }
+
+  // A success on a closed attempt, a cancelled order or one another payment
+  // already settled: the gateway still captured it, so it has to go back
+  if (payment.provider_payment_id) return null;
+  await conn.query(
+    'UPDATE payments SET status = ?, provider_payment_id = ?, failure_reason = ? WHERE payment_id = ?',
+    open
+      ? ['cancelled', provider_payment_id, order.payment_status ? 'Order already paid' : 'Order cancelled', payment_id]
+      : [payment.status, provider_payment_id, payment.failure_reason, payment_id]
+  );
+  return 'refund';
+}
+
+// applyPaymentOutcome in its own transaction, then refund money the order could
+// not take and notify order listeners
+async function settlePayment(payment_id, outcome) {
+  const result = await withTransaction(async (conn) => {
+    const applied = await applyPaymentOutcome(conn, payment_id, outcome);
+    const [rows] = await conn.query('SELECT * FROM payments WHERE payment_id = ?', [payment_id]);
+    return { applied, payment: rows[0] };
+  });
+
+  if (result.applied === 'refund') {
+    await refundLatePayment(result.payment);
+  }
+  if (result.applied === 'settled' || result.applied === 'refund') {
+    publishOrderEvent('order.updated', result.payment.order_id);
+  }
+  return result.payment;
+}
+
+// Verify and apply a signed gateway callback. Events for unknown intents are
+// acknowledged and ignored so the gateway stops retrying them.
+async function handlePaymentWebhook(gateway, rawBody, headers, body) {
+  if (!gateway.verifyWebhook(rawBody, headers)) {
+    return { valid: false };
+  }
+
+  const event = gateway.parseWebhook(body || {});
+  if (!event.provider_ref || !event.status) {
+    return { valid: true, ignored: true };
+  }
+
+  const [rows] = await db.query(
+    'SELECT payment_id FROM payments WHERE provider = ? AND provider_ref = ?',
+    [gateway.name, event.provider_ref]
+  );
+  if (rows.length === 0) {
+    return { valid: true, ignored: true };
+  }
+
+  await settlePayment(rows[0].payment_id, event);
+  return { valid: true };
+}
+
+// Payment methods offered at checkout and the gateway behind "online"
+// ("online" is left out while no gateway is usable)
+app.get('/api/payments/methods', (req, res) => {
+  const gateway = paymentGateways.activeGateway();
+  res.json({
+    methods: Object.entries(paymentGateways.PAYMENT_METHODS)
+      .filter(([id]) => id !== 'online' || gateway)
+      .map(([id, label]) => ({ id, label })),
+    gateway: gateway ? { name: gateway.name, label: gateway.label } : null
+  });
+});
+
+// Start (or restart) online payment for one of the user's unpaid orders
+app.post('/api/payments/intent', authenticateToken, async (req, res) => {
+  try {
+    const { order_id } = req.body;
+    const [orders] = await db.query(
+      'SELECT order_id, total_amount, order_status, payment_status FROM orders WHERE order_id = ? AND user_id = ?',
+      [order_id, req.user.user_id]
+    );
+
+    if (orders.length === 0) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (orders[0].payment_status) {
+      return res.status(409).json({ error: 'Order is already paid' });
+    }
+    if (orders[0].order_status === 'Cancelled') {
+      return res.status(409).json({ error: 'Cancelled orders cannot be paid' });
+    }
+
+    const payment = await createPaymentIntent(orders[0], req.user.user_id);
+    res.status(201).json({ success: true, order_id: orders[0].order_id, payment });
+
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Payment intent error:', err);
+    res.status(502).json({ error: 'Could not start online payment' });
+  }
+});
+
+// Browser callback after the gateway checkout closes.
+// Success payloads must carry a valid gateway signature; `{ failed: true, reason }`
+// records a declined or abandoned attempt.
+app.post('/api/payments/:id/confirm', authenticateToken, async (req, res) => {
+  try {
+    const [rows] = await db.query(
+      'SELECT * FROM payments WHERE payment_id = ? AND user_id = ?',
+      [req.params.id, req.user.user_id]
+    );
+
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    const payment = rows[0];
+    const gateway = paymentGateways.getGateway(payment.provider);
+    if (!gateway) {
+      return res.status(400).json({ error: 'This payment is not made online' });
+    }
+
+    if (req.body.failed) {
+      const updated = await settlePayment(payment.payment_id, { status: 'failed', reason: req.body.reason });
+      return res.json({ success: updated.status === 'succeeded', payment_status: updated.status });
+    }
+
+    const verification = gateway.verifyConfirmation(payment, req.body);
+    if (!verification.ok) {
+      return res.status(400).json({ error: `Payment could not be verified: ${verification.reason}` });
+    }
+
+    const updated = await settlePayment(payment.payment_id, {
+      status: 'succeeded',
+      provider_payment_id: verification.provider_payment_id
+    });
+
+    // A success that came too late for the order is on its way back to the customer
+    const settled = updated.status === 'succeeded';
+    res.json({
+      success: settled,
+      order_id: updated.order_id,
+      payment_status: updated.status,
+      message: settled ? 'Payment successful' : 'This order could not take the payment, so it is being refunded'
+    });
+
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error('Payment confirm error:', err);
+    res.status(500).json({ error: 'Failed to confirm payment' });
+  }
+});
+
+// Server-to-server callbacks from the gateway (signature checked against the raw body)
+app.post('/api/payments/webhook/:provider', async (req, res) => {
+  try {
+    const gateway = paymentGateways.getGateway(req.params.provider);
+    if (!gateway) {
+      return res.status(404).json({ error: 'Unknown payment provider' });
+    }
+
+    const result = await handlePaymentWebhook(gateway, req.rawBody, req.headers, req.body);
+    if (!result.valid) {
+      return res.status(400).json({ error: 'Invalid webhook signature' });
+    }
+
+    res.json({ received: true, ignored: Boolean(result.ignored) });
+
+  } catch (err) {
+    console.error('Payment webhook error:', err);
+    res.status(500).json({ error: 'Failed to process webhook' });
+  }
+});
+
+// Mock gateway "checkout page": the customer approves or declines an intent.
+// Returns the signed result the browser then confirms, and delivers the same
+// result as a signed webhook, just like a real gateway would.
+app.post('/api/payments/mock/:provider_ref/pay', authenticateToken, async (req, res) => {
+  try {
+    const mockGateway = paymentGateways.getGateway('mock');
+    if (!mockGateway || paymentGateways.activeGateway() !== mockGateway) {
+      return res.status(404).json({ error: 'Mock gateway is disabled' });
+    }
+
+    const [rows] = await db.query(
+      "SELECT payment_id FROM payments WHERE provider = 'mock' AND provider_ref = ? AND user_id = ?",
+      [req.params.provider_ref, req.user.user_id]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+
+    const result = mockGateway.simulatePayment(req.params.provider_ref, req.body.outcome === 'success' ? 'success' : 'failed');
+
+    const webhook = mockGateway.buildWebhook(result);
+    setImmediate(() => {
+      handlePaymentWebhook(mockGateway, webhook.body, webhook.headers, JSON.parse(webhook.body))
+        .catch((err) => console.error('Mock webhook error:', err));
+    });
+
+    res.json(result);
+
+  } catch (err) {
+    console.error('Mock payment error:', err);
+    res.status(500).json({ error: 'Mock payment failed' });
+  }
+});
+
+// ==================== WALLET ====================
+
+// Prepaid balance per user. Every change goes through postWalletTransaction,
+// which appends to wallet_transactions and moves wallets.balance in the same
+// transaction, so the cached balance always matches the ledger.
+const WALLET_MAX_TOPUP = 5000;
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Lock the user's wallet row (creating an empty one on first use) and return its balance
+async function lockWallet(conn, user_id) {
+  await conn.query('INSERT IGNORE INTO wallets (user_id, balance) VALUES (?, 0)', [user_id]);
+  const [rows] = await conn.query('SELECT balance FROM wallets WHERE user_id = ? FOR UPDATE', [user_id]);
+  return parseFloat(rows[0].balance);
+}
+
+// Append a ledger entry. `amount` is signed: credits positive, debits negative.
+// Debits never take the balance below zero.
+async function postWalletTransaction(conn, { user_id, type, amount, order_id = null, note = null, created_by = null }) {
+  const balance = await lockWallet(conn, user_id);
+  const delta = roundMoney(amount);
+  const balance_after = roundMoney(balance + delta);
+
+  if (balance_after < 0) {
+    throw httpError(402, 'Insufficient wallet balance', {
+      balance: balance.toFixed(2),
+      required: (-delta).toFixed(2)
+    });
+  }
+
+  await conn.query('UPDATE wallets SET balance = ? WHERE user_id = ?', [balance_after, user_id]);
+  const [result] = await conn.query(
+    'INSERT INTO wallet_transactions (user_id, type, amount, balance_after, order_id, note, created_by) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [user_id, type, delta, balance_after, order_id, note, created_by]
+  );
+  return { txn_id: result.insertId, balance_after };
+}
+
+// Balance plus a page of ledger entries, newest first.
+// Pass the last txn_id seen as `before` to fetch the next page.
+async function loadWalletStatement(user_id, { limit = 20, before = null, includeActor = false } = {}) {
+  const [wallets] = await db.query('SELECT balance, updated_at FROM wallets WHERE user_id = ?', [user_id]);
+
+  const params = [user_id];
+  let beforeClause = '';
+  if (before) {
+    beforeClause = 'AND t.txn_id < ?';
+    params.push(before);
+  }
+  params.push(limit);
+
+  const [transactions] = await db.query(
+    `SELECT t.txn_id, t.type, t.amount, t.balance_after, t.order_id, t.note, t.created_at,
+            t.created_by, u.name AS created_by_name
+     FROM wallet_transactions t
+     LEFT JOIN users u ON t.created_by = u.user_id
+     WHERE t.user_id = ? ${beforeClause}
+     ORDER BY t.txn_id DESC
+     LIMIT ?`,
+    params
+  );
+
+  transactions.forEach((t) => {
+    t.formatted_time = new Date(t.created_at).toLocaleString('en-IN', {
+      day: '2-digit',
+      month: 'short',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: true,
+      timeZone: 'Asia/Kolkata'
+    });
+    if (!includeActor) {
+      delete t.created_by;
+      delete t.created_by_name;
+    }
+  });
+
+  return {
+    balance: wallets.length ? parseFloat(wallets[0].balance).toFixed(2) : '0.00',
+    transactions,
+    next_before: transactions.length === limit ? transactions[transactions.length - 1].txn_id : null
+  };
+}
+
+function statementPaging(query) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 100);
+  const before = parseInt(query.before, 10) || null;
+  return { limit, before };
+}
+
+// Current user's balance and statement
+app.get('/api/wallet', authenticateToken, async (req, res) => {
+  try {
+    const statement = await loadWalletStatement(req.user.user_id, statementPaging(req.query));
+    res.json(statement);
+  } catch (err) {
+    console.error('Wallet fetch error:', err);
+    res.status(500).json({ error: 'Failed to fetch wallet' });
+  }
+});
+
+// Find students by email, phone or name for the wallet desk (Admin only)
+app.get('/api/admin/wallets/lookup', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const q = String(req.query.q || '').trim();
+    if (q.length < 3) {
+      return res.status(400).json({ error: 'Enter at least 3 characters to search' });
+    }
+
+    const [users] = await db.query(
+      `SELECT u.user_id, u.name, u.email, u.phone, COALESCE(w.balance, 0) AS balance
+       FROM users u
+       LEFT JOIN wallets w ON u.user_id = w.user_id
+       WHERE u.email = ? OR u.phone = ? OR u.name LIKE ?
+       ORDER BY u.name
+       LIMIT 10`,
+      [q, q, `%${q}%`]
+    );
+
+    res.json(users);
+
+  } catch (err) {
+    console.error('Wallet lookup error:', err);
+    res.status(500).json({ error: 'Failed to search users' });
+  }
+});
+
+// One student's balance and statement (Admin only)
+app.get('/api/admin/wallets/:user_id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const [users] = await db.query('SELECT user_id, name, email, phone FROM users WHERE user_id = ?', [req.params.user_id]);
+    if (users.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const statement = await loadWalletStatement(users[0].user_id, { ...statementPaging(req.query), includeActor: true });
+    res.json({ user: users[0], ...statement });
+
+  } catch (err) {
+    console.error('Admin wallet fetch error:', err);
+    res.status(500).json({ error: 'Failed to fetch wallet' });
+  }
+});
+
+// Credit cash handed over at the counter (Admin only)
+app.post('/api/admin/wallets/:user_id/topup', authenticateToken, requireAdmin, async (req, res) => {
+  const amount = roundMoney(parseFloat(req.body.amount));
+  if (!(amount > 0) || amount > WALLET_MAX_TOPUP) {
+    return res.status(400).json({ error: `Top-up amount must be between ₹1 and ₹${WALLET_MAX_TOPUP}` });
+  }
+
+  await postAdminWalletEntry(req, res, 'topup', amount, req.body.note || 'Cash top-up');
+});
+
+// Correct a balance up or down; a reason is required (Admin only)
+app.post('/api/admin/wallets/:user_id/adjust', authenticateToken, requireAdmin, async (req, res) => {
+  const amount = roundMoney(parseFloat(req.body.amount));
+  const note = String(req.body.note || '').trim();
+  if (!amount || !isFinite(amount)) {
+    return res.status(400).json({ error: 'Adjustment amount must be a non-zero number' });
+  }
+  if (!note) {
+    return res.status(400).json({ error: 'A reason is required for adjustments' });
+  }
+
+  await postAdminWalletEntry(req, res, 'adjustment', amount, note);
+});
+
+async function postAdminWalletEntry(req, res, type, amount, note) {
+  try {
+    const [users] = await db.query('SELECT user_id FROM users WHERE user_id = ?', [req.params.user_id]);
+    if (users.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const entry = await withTransaction((conn) =>
+      postWalletTransaction(conn, {
+        user_id: users[0].user_id,
+        type,
+        amount,
+        note: String(note).trim().slice(0, 255),
+        created_by: req.user.user_id
+      })
+    );
+
+    res.status(201).json({
+      success: true,
+      txn_id: entry.txn_id,
+      balance: entry.balance_after.toFixed(2),
+      message: type === 'topup' ? 'Wallet topped up' : 'Wallet adjusted'
+    });
+
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error(`Wallet ${type} error:`, err);
+    res.status(500).json({ error: 'Failed to update wallet' });
+  }
+}
+
+// ==================== CANCELLATIONS & REFUNDS ====================
+
+// Cancel an order inside the caller's transaction and settle its money.
+// Wallet payments are credited straight back; gateway refunds are recorded as
+// pending and sent by processGatewayRefund() after commit; cash waits for staff
+// to hand it back. Open payment attempts on the order are closed.
+async function cancelOrderWithRefund(conn, order_id, { changed_by = null, note = null } = {}) {
+  const order = await transitionOrderStatus(conn, order_id, 'Cancelled', { changed_by, note });
+
+  // Nothing has been cooked yet for a Placed order, so its units go back on sale
+  if (order.from_status === 'Placed') {
+    await releaseStock(conn, order_id);
+  }
+
+  await conn.query(
+    "UPDATE payments SET status = 'cancelled', failure_reason = 'Order cancelled' WHERE order_id = ? AND status IN ('created', 'pending')",
+    [order_id]
+  );
+
+  const [paid] = await conn.query(
+    "SELECT * FROM payments WHERE order_id = ? AND status = 'succeeded' ORDER BY payment_id LIMIT 1 FOR UPDATE",
+    [order_id]
+  );
+  if (paid.length === 0) {
+    return { order, refund: null };
+  }
+
+  const payment = paid[0];
+  const amount = parseFloat(payment.amount);
+  const method = { wallet: 'wallet', online: 'gateway' }[payment.method] || 'cash';
+  const [result] = await conn.query(
+    'INSERT INTO refunds (order_id, payment_id, user_id, amount, method, reason, created_by) VALUES (?, ?, ?, ?, ?, ?, ?)',
+    [order_id, payment.payment_id, payment.user_id, amount, method, note, changed_by]
+  );
+  const refund = { refund_id: result.insertId, amount: amount.toFixed(2), method, status: 'pending' };
+
+  if (method === 'wallet') {
+    await postWalletTransaction(conn, {
+      user_id: payment.user_id,
+      type: 'refund',
+      amount,
+      order_id,
+      note: `Refund for cancelled order #${order_id}`
+    });
+    await markRefundSucceeded(conn, refund.refund_id);
+    refund.status = 'succeeded';
+  }
+
+  return { order, refund };
+}
+
+async function markRefundSucceeded(conn, refund_id, { provider_refund_id = null, processed_by = null } = {}) {
+  await conn.query(
+    "UPDATE refunds SET status = 'succeeded', provider_refund_id = COALESCE(?, provider_refund_id), processed_by = ?, failure_reason = NULL WHERE refund_id = ?",
+    [provider_refund_id, processed_by, refund_id]
+  );
+  await conn.query(
+    "UPDATE payments p JOIN refunds r ON r.payment_id = p.payment_id SET p.status = 'refunded' WHERE r.refund_id = ?",
+    [refund_id]
+  );
+}
+
+// Send a gateway refund. Runs outside the cancel transaction because it calls the
+// gateway; a failure is stored on the refund so staff can retry it.
+async function processGatewayRefund(refund_id, { processed_by = null } = {}) {
+  const [rows] = await db.query(
+    `SELECT r.refund_id, r.amount, r.status, p.provider, p.provider_ref, p.provider_payment_id
+     FROM refunds r
+     JOIN payments p ON r.payment_id = p.payment_id
+     WHERE r.refund_id = ?`,
+    [refund_id]
+  );
+  if (rows.length === 0) return null;
+
+  const refund = rows[0];
+  const gateway = paymentGateways.getGateway(refund.provider);
+  try {
+    if (!gateway) {
+      throw new Error(`Payment gateway "${refund.provider}" is not available`);
+    }
+    const result = await gateway.refund(refund, parseFloat(refund.amount));
+    if (result.status === 'succeeded') {
+      await withTransaction((conn) =>
+        markRefundSucceeded(conn, refund_id, { provider_refund_id: result.provider_refund_id, processed_by })
+      );
+    } else {
+      await db.query(
+        "UPDATE refunds SET status = 'pending', provider_refund_id = ?, failure_reason = NULL WHERE refund_id = ?",
+        [result.provider_refund_id, refund_id]
+      );
+    }
+    return result.status;
+  } catch (err) {
+    console.error('Gateway refund error:', err);
+    await db.query(
+      "UPDATE refunds SET status = 'failed', failure_reason = ? WHERE refund_id = ?",
+      [String(err.message).slice(0, 255), refund_id]
+    );
+    return 'failed';
+  }
+}
+
+// A gateway payment its order could not take (see applyPaymentOutcome) goes
+// straight back. Refunds are unique per payment, so repeats add nothing.
+async function refundLatePayment(payment) {
+  if (payment.method !== 'online') return;
+
+  const [orders] = await db.query('SELECT order_status, payment_status FROM orders WHERE order_id = ?', [payment.order_id]);
+  if (orders.length === 0) return;
+  const reason = orders[0].order_status === 'Cancelled' ? 'Paid after the order was cancelled'
+    : orders[0].payment_status ? 'Order was already paid'
+      : 'Paid on a closed payment attempt';
+
+  const [result] = await db.query(
+    'INSERT IGNORE INTO refunds (order_id, payment_id, user_id, amount, method, reason) VALUES (?, ?, ?, ?, ?, ?)',
+    [payment.order_id, payment.payment_id, payment.user_id, payment.amount, 'gateway', reason]
+  );
+  if (result.affectedRows) {
+    await processGatewayRefund(result.insertId);
+  }
+}
+
+// Customer cancellation: any time while Placed, or within the grace window once Preparing
+app.post('/api/orders/:id/cancel', authenticateToken, async (req, res) => {
+  try {
+    const reason = req.body && req.body.reason ? String(req.body.reason).trim().slice(0, 200) : '';
+
+    const { order, refund } = await withTransaction(async (conn) => {
+      const [rows] = await conn.query(
+        'SELECT order_id, order_status, order_date FROM orders WHERE order_id = ? AND user_id = ? FOR UPDATE',
+        [req.params.id, req.user.user_id]
+      );
+      if (rows.length === 0) {
+        throw httpError(404, 'Order not found');
+      }
+      if (!canCustomerCancel(rows[0])) {
+        throw httpError(409, 'This order can no longer be cancelled', {
+          order_status: rows[0].order_status,
+          cancel_window_minutes: ORDER_CANCEL_GRACE_MINUTES
+        });
+      }
+
+      return cancelOrderWithRefund(conn, rows[0].order_id, {
+        changed_by: req.user.user_id,
+        note: reason ? `Cancelled by customer: ${reason}` : 'Cancelled by customer'
+      });
+    });
+
+    if (refund && refund.method === 'gateway') {
+      refund.status = await processGatewayRefund(refund.refund_id);
+    }
+    publishOrderEvent('order.updated', order.order_id);
+
+    res.json({
+      success: true,
+      order_id: order.order_id,
+      order_status: order.order_status,
+      refund,
+      message: 'Order cancelled'
+    });
+
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error('Cancel order error:', err);
+    res.status(500).json({ error: 'Failed to cancel order' });
+  }
+});
+
+// Finish a refund that needs staff (Admin only): cash handed back at the
+// counter, or a retry of a gateway refund that failed
+app.post('/api/admin/refunds/:id/process', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const [rows] = await db.query('SELECT refund_id, order_id, method, status FROM refunds WHERE refund_id = ?', [req.params.id]);
+    if (rows.length === 0) {
+      return res.status(404).json({ error: 'Refund not found' });
+    }
+
+    const refund = rows[0];
+    let status;
+    if (refund.method === 'cash' && refund.status === 'pending') {
+      await withTransaction((conn) => markRefundSucceeded(conn, refund.refund_id, { processed_by: req.user.user_id }));
+      status = 'succeeded';
+    } else if (refund.method === 'gateway' && refund.status === 'failed') {
+      status = await processGatewayRefund(refund.refund_id, { processed_by: req.user.user_id });
+    } else {
+      return res.status(409).json({ error: `Nothing to do for a ${refund.status} ${refund.method} refund` });
+    }
+
+    publishOrderEvent('order.updated', refund.order_id);
+    res.json({ success: status !== 'failed', refund_id: refund.refund_id, status });
+
+  } catch (err) {
+    console.error('Process refund error:', err);
+    res.status(500).json({ error: 'Failed to process refund' });
+  }
+});
+
+// ==================== NOW SERVING DISPLAY ====================
+
+// Public feed for the counter display board: today's tokens being prepared or ready.
+// Only token numbers are exposed, never customer details.
+app.get('/api/display/now-serving', async (req, res) => {
+  try {
+    const [rows] = await db.query(
+      `SELECT token_number, order_status
+       FROM orders
+       WHERE token_date = ? AND order_status IN ('Preparing', 'Ready') AND token_number IS NOT NULL
+       ORDER BY token_number`,
+      [istDateString()]
+    );
+
+    res.json({
+      preparing: rows.filter((r) => r.order_status === 'Preparing').map((r) => r.token_number),
+      ready: rows.filter((r) => r.order_status === 'Ready').map((r) => r.token_number),
+      updated_at: new Date().toISOString()
+    });
+
+  } catch (err) {
+    console.error('Now serving fetch error:', err);
+    res.status(500).json({ error: 'Failed to fetch display board' });
+  }
+});
+
+// ==================== PICKUP VERIFICATION ====================
+
+// Each order has a random pickup code. The customer's QR carries
+//   AIMS-PICKUP:<order_id>:<pickup_code>:<signature>
+// where the signature is an HMAC of the order id and code, so a QR can't be
+// made up for someone else's order. App customers fetch it from their orders;
+// walk-in and kiosk orders have no account, so the same QR is printed on their
+// receipt (see printPickupReceipt). Scanning either at the counter hands the
+// order over (Ready -> Delivered) exactly once. This is the only way an order
+// becomes Delivered; a customer without any QR is handed over through the
+// same endpoint with a reason that goes into the status history.
+
+const PICKUP_QR_PREFIX = 'AIMS-PICKUP';
+const PICKUP_QR_SECRET = process.env.PICKUP_QR_SECRET || JWT_SECRET;
+
+function signPickupCode(order_id, pickup_code) {
+  return crypto.createHmac('sha256', PICKUP_QR_SECRET)
+    .update(`${order_id}:${pickup_code}`)
+    .digest('base64url')
+    .slice(0, 22);
+}
+
+// The order's QR payload, giving it a pickup code first if it has none yet
+async function pickupQrPayload(order_id) {
+  await db.query(
+    'UPDATE orders SET pickup_code = ? WHERE order_id = ? AND pickup_code IS NULL',
+    [crypto.randomBytes(12).toString('base64url'), order_id]
+  );
+  const [rows] = await db.query('SELECT pickup_code FROM orders WHERE order_id = ?', [order_id]);
+  if (rows.length === 0) return null;
+  const { pickup_code } = rows[0];
+  return `${PICKUP_QR_PREFIX}:${order_id}:${pickup_code}:${signPickupCode(order_id, pickup_code)}`;
+}
+
+// { order_id, pickup_code } from a scanned payload, or null if it isn't one of ours
+function parsePickupQr(text) {
+  const parts = String(text || '').trim().split(':');
+  if (parts.length !== 4 || parts[0] !== PICKUP_QR_PREFIX || !/^\d+$/.test(parts[1])) return null;
+
+  const [, id, pickup_code, signature] = parts;
+  const order_id = parseInt(id, 10);
+  const expected = Buffer.from(signPickupCode(order_id, pickup_code));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  return { order_id, pickup_code };
+}
+
+// Pickup QR for one of the customer's open orders, as a payload and an SVG image
+app.get('/api/orders/:id/pickup-qr', authenticateToken, async (req, res) => {
+  try {
+    const [orders] = await db.query(
+      'SELECT order_id, order_status, token_number, picked_up_at FROM orders WHERE order_id = ? AND user_id = ?',
+      [req.params.id, req.user.user_id]
+    );
+    if (orders.length === 0) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const order = orders[0];
+    if (order.picked_up_at || ['Delivered', 'Cancelled'].includes(order.order_status)) {
+      return res.status(409).json({ error: `Order is already ${order.order_status.toLowerCase()}`, order_status: order.order_status });
+    }
+
+    const payload = await pickupQrPayload(order.order_id);
+    res.json({
+      order_id: order.order_id,
+      token_number: order.token_number,
+      order_status: order.order_status,
+      payload,
+      svg: await QRCode.toString(payload, { type: 'svg', margin: 1, errorCorrectionLevel: 'M' })
+    });
+
+  } catch (err) {
+    console.error('Pickup QR error:', err);
+    res.status(500).json({ error: 'Failed to create pickup QR code' });
+  }
+});
+
+const MAX_MANUAL_HANDOVER_REASON = 200;
+
+// Hand an order over at the counter (Admin only), either
+//   { code, order_id? }          after scanning its pickup QR from the app or a
+//                                receipt; order_id checks the QR belongs to the
+//                                order being handed over
+//   { order_id, manual_reason }  when the customer has no QR (say, a dead phone
+//                                or a lost receipt); the reason is kept in the
+//                                status history
+// Either way the order must be Ready and paid, and is handed over only once.
+app.post('/api/admin/pickup/verify', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { code, order_id: expected_order_id } = req.body || {};
+    const manual = req.body && req.body.manual_reason !== undefined;
+    let scanned;
+    let note = 'Collected with pickup QR';
+
+    if (manual) {
+      const reason = String(req.body.manual_reason || '').trim();
+      if (reason.length < 3 || reason.length > MAX_MANUAL_HANDOVER_REASON) {
+        return res.status(400).json({ error: `Give a reason (3-${MAX_MANUAL_HANDOVER_REASON} characters) for handing over without a QR` });
+      }
+      if (!/^\d+$/.test(String(expected_order_id || ''))) {
+        return res.status(400).json({ error: 'order_id is required to hand over without a QR' });
+      }
+      scanned = { order_id: Number(expected_order_id), pickup_code: null };
+      note = `Handed over without pickup QR: ${reason}`;
+    } else {
+      scanned = parsePickupQr(code);
+      if (!scanned) {
+        return res.status(400).json({ error: 'Not a valid pickup QR code' });
+      }
+      if (expected_order_id && Number(expected_order_id) !== scanned.order_id) {
+        return res.status(409).json({ error: `This QR code is for order #${scanned.order_id}`, scanned_order_id: scanned.order_id });
+      }
+    }
+
+    const order = await withTransaction(async (conn) => {
+      const [rows] = await conn.query(
+        'SELECT order_id, order_status, payment_status, total_amount, pickup_code, picked_up_at FROM orders WHERE order_id = ? FOR UPDATE',
+        [scanned.order_id]
+      );
+      if (rows.length === 0 && manual) {
+        throw httpError(404, 'Order not found');
+      }
+      // A code that no longer matches the order counts as forged
+      if (rows.length === 0 || (!manual && rows[0].pickup_code !== scanned.pickup_code)) {
+        throw httpError(400, 'Not a valid pickup QR code');
+      }
+
+      const found = rows[0];
+      if (found.picked_up_at) {
+        throw httpError(409, manual ? `Order #${found.order_id} has already been handed over` : 'This QR code has already been used', { order_id: found.order_id, picked_up_at: found.picked_up_at });
+      }
+      if (found.order_status !== 'Ready') {
+        throw httpError(409, `Order #${found.order_id} is ${found.order_status}, not Ready`, { order_id: found.order_id, order_status: found.order_status });
+      }
+      if (!found.payment_status) {
+        throw httpError(409, `Collect ₹${parseFloat(found.total_amount).toFixed(2)} before handing over`, { order_id: found.order_id, payment_due: true });
+      }
+
+      const changed = await transitionOrderStatus(conn, found.order_id, 'Delivered', {
+        changed_by: req.user.user_id,
+        note
+      });
+      await conn.query(
+        'UPDATE orders SET picked_up_at = NOW(), picked_up_by = ? WHERE order_id = ?',
+        [req.user.user_id, found.order_id]
+      );
+      return changed;
+    });
+
+    publishOrderEvent('order.updated', order.order_id);
+    res.json({
+      success: true,
+      order: await loadOrderView(order.order_id, { admin: true }),
+      message: `Order #${order.order_id} handed over`
+    });
+
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error('Pickup verify error:', err);
+    res.status(500).json({ error: 'Failed to verify pickup' });
+  }
+});
+
+// ==================== COUNTER SALES (POS) ====================
+
+// Walk-in sales rung up by the cashier. These orders have no customer account
+// (at most a phone number to call the customer back), are paid on the spot and
+// otherwise go through the same token, stock, GST, invoice and kitchen steps as
+// app orders. order_source = 'pos' keeps them apart in the stats.
+
+const POS_TENDERS = { cash: 'Cash', upi: 'UPI', card: 'Card' };
+const MAX_ORDER_LINES = 50;
+const MAX_LINE_QUANTITY = 99;
+
+// Price lines sent straight from the till or a kiosk (no server-side cart)
+// from the menu the way the cart does. Returns order items ready for
+// reserveStock, calculateTax and recordOrderLines.
+async function priceOrderLines(conn, lines) {
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw httpError(400, 'Add at least one item');
+  }
+  if (lines.length > MAX_ORDER_LINES) {
+    throw httpError(400, `An order can have at most ${MAX_ORDER_LINES} lines`);
+  }
+
+  const item_ids = Array.from(new Set(lines.map((line) => Number(line && line.item_id))));
+  if (item_ids.some((id) => !Number.isInteger(id) || id < 1)) {
+    throw httpError(400, 'Every line needs an item_id');
+  }
+
+  const [products] = await conn.query(
+    'SELECT item_id, title, category, price FROM products WHERE item_id IN (?) AND available = 1',
+    [item_ids]
+  );
+  const productsById = new Map(products.map((product) => [product.item_id, product]));
+  const variants = await loadVariants(item_ids, conn);
+  const groups = await loadModifierGroups(item_ids, conn);
+
+  return lines.map((line) => {
+    const product = productsById.get(Number(line.item_id));
+    if (!product) {
+      throw httpError(404, `Item ${line.item_id} is not on sale`);
+    }
+
+    const quantity = line.quantity === undefined ? 1 : Number(line.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_LINE_QUANTITY) {
+      throw httpError(400, `Quantity for ${product.title} must be 1-${MAX_LINE_QUANTITY}`);
+    }
+
+    let unit_price = parseFloat(product.price);
+    let variant = null;
+    const sizes = variants.get(product.item_id) || [];
+    if (sizes.length) {
+      variant = sizes.find((v) => v.variant_id === Number(line.variant_id));
+      if (!variant) {
+        throw httpError(400, `Choose a size for ${product.title}`);
+      }
+      unit_price = parseFloat(variant.price);
+    }
+
+    const { selected, addons_price } = resolveModifiers(groups.get(product.item_id) || [], line.modifiers);
+    return {
+      item_id: product.item_id,
+      category: product.category,
+      variant_id: variant ? variant.variant_id : null,
+      variant_name: variant ? variant.name : null,
+      modifiers: selected.length ? JSON.stringify(selected.map(({ option_id, group, name, price }) => ({ option_id, group, name, price }))) : null,
+      instructions: parseInstructions(line.instructions),
+      quantity,
+      unit_price: (unit_price + addons_price).toFixed(2)
+    };
+  });
+}
+
+// Ring up a walk-in sale (Admin only).
+// Body: { items: [{ item_id, quantity, variant_id, modifiers, instructions }],
+//         tender: 'cash' | 'upi' | 'card', cash_tendered (cash only), customer_phone }
+// Answers with the token, totals and the change to hand back.
+app.post('/api/admin/pos/orders', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const tender = body.tender || 'cash';
+    if (!POS_TENDERS[tender]) {
+      return res.status(400).json({ error: 'Tender must be cash, upi or card' });
+    }
+
+    const customer_phone = body.customer_phone ? String(body.customer_phone).replace(/[\s-]/g, '') : null;
+    if (customer_phone && !validatePhone(customer_phone)) {
+      return res.status(400).json({ error: 'Phone number must be 10 digits' });
+    }
+
+    let cash_tendered = null;
+    if (tender === 'cash') {
+      cash_tendered = Number(body.cash_tendered);
+      if (!Number.isFinite(cash_tendered) || cash_tendered < 0) {
+        return res.status(400).json({ error: 'Enter the cash received' });
+      }
+      cash_tendered = roundMoney(cash_tendered);
+    }
+
+    // Counter sales aren't held back by the online ordering pause or hours;
+    // staff at the till decide whether they are serving.
+    await ensureDailyStockReset();
+    const cashier_id = req.user.user_id;
+
+    const order = await withTransaction(async (conn) => {
+      const items = await priceOrderLines(conn, body.items);
+      await reserveStock(conn, items);
+
+      const taxSettings = await loadTaxSettings(conn);
+      const rates = await loadTaxRates(conn, items.map((item) => item.item_id), taxSettings);
+      const tax = calculateTax(items, { rates, settings: taxSettings });
+      const total = tax.total;
+
+      if (tender === 'cash' && cash_tendered < total) {
+        throw httpError(400, `Cash received is less than the total of ₹${total.toFixed(2)}`, { total: total.toFixed(2) });
+      }
+      const change_given = tender === 'cash' ? roundMoney(cash_tendered - total) : null;
+
+      const { token_date, token_number } = await nextPickupToken(conn);
+      const [orderResult] = await conn.query(
+        `INSERT INTO orders (user_id, order_source, customer_phone, total_amount, tax_amount, prices_include_tax,
+                             order_status, payment_status, token_date, token_number, payment_method)
+         VALUES (NULL, 'pos', ?, ?, ?, ?, 'Placed', 1, ?, ?, 'counter')`,
+        [customer_phone, total, tax.tax_amount, taxSettings.prices_include_tax ? 1 : 0, token_date, token_number]
+      );
 
-    const [result] = await db.query(
-      'DELETE FROM cart_items WHERE cart_item_id = ? AND cart_id = ?',
-      [cart_item_id, cart_id]
-    );
+      const order_id = orderResult.insertId;
+      await recordStatusChange(conn, order_id, null, 'Placed', cashier_id, 'Counter sale');
+      await conn.query(
+        `INSERT INTO payments (order_id, user_id, method, provider, amount, status, recorded_by, amount_tendered, change_given)
+         VALUES (?, NULL, 'counter', ?, ?, 'succeeded', ?, ?, ?)`,
+        [order_id, tender, total, cashier_id, tender === 'cash' ? cash_tendered : total, change_given]
+      );
+      const invoice_number = await recordOrderLines(conn, order_id, items, tax, taxSettings);
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ error: 'Cart item not found' });
-    }
+      return { order_id, token_number, total, tax_amount: tax.tax_amount, change_given, invoice_number };
+    });
 
-    res.json({ success: true, message: 'Item removed from cart' });
+    publishOrderEvent('order.created', order.order_id);
+    autoPrintKitchenTickets();
+    const receipt_printed = await printPickupReceipt(order.order_id, cashier_id);
+
+    res.status(201).json({
+      success: true,
+      order_id: order.order_id,
+      token_number: order.token_number,
+      total: order.total.toFixed(2),
+      tax: order.tax_amount.toFixed(2),
+      receipt_printed,
+      tender,
+      cash_tendered: cash_tendered !== null ? cash_tendered.toFixed(2) : null,
+      change: order.change_given !== null ? order.change_given.toFixed(2) : null,
+      invoice_number: order.invoice_number,
+      message: `Token ${order.token_number} placed`
+    });
 
   } catch (err) {
-    console.error('Remove cart item error:', err);
-    res.status(500).json({ error: 'Failed to remove cart item' });
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error('Counter sale error:', err);
+    res.status(500).json({ error: 'Failed to ring up sale' });
   }
 });
 
-// Clear entire cart
-app.delete('/api/cart', authenticateToken, async (req, res) => {
+// Today's counter sales with the cash taken, for closing the till (Admin only)
+app.get('/api/admin/pos/summary', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const user_id = req.user.user_id;
-    const cart_id = await getOrCreateCart(user_id);
-
-    await db.query('DELETE FROM cart_items WHERE cart_id = ?', [cart_id]);
+    const [rows] = await db.query(
+      `SELECT p.provider AS tender, COUNT(*) AS orders, SUM(p.amount) AS amount
+       FROM orders o
+       JOIN payments p ON p.order_id = o.order_id AND p.status = 'succeeded'
+       WHERE o.order_source = 'pos' AND o.token_date = ? AND o.order_status <> 'Cancelled'
+       GROUP BY p.provider`,
+      [istDateString()]
+    );
 
-    res.json({ success: true, message: 'Cart cleared successfully' });
+    const tenders = Object.keys(POS_TENDERS).map((tender) => {
+      const row = rows.find((r) => r.tender === tender);
+      return {
+        tender,
+        label: POS_TENDERS[tender],
+        orders: row ? row.orders : 0,
+        amount: row ? parseFloat(row.amount).toFixed(2) : '0.00'
+      };
+    });
+    res.json({
+      date: istDateString(),
+      tenders,
+      total: tenders.reduce((sum, t) => sum + parseFloat(t.amount), 0).toFixed(2)
+    });
 
   } catch (err) {
-    console.error('Clear cart error:', err);
-    res.status(500).json({ error: 'Failed to clear cart' });
+    console.error('Counter summary error:', err);
+    res.status(500).json({ error: 'Failed to fetch counter summary' });
   }
 });
 
-// ==================== ORDER MANAGEMENT ====================
+// ==================== SELF-SERVICE KIOSK ====================
 
-// Create order from cart
-app.post('/api/order', authenticateToken, async (req, res) => {
-  try {
-    const user_id = req.user.user_id;
+// Touchscreen tablets at the entrance take orders without a student account.
+// Each tablet is registered by an admin and signs in with its own device key
+// (sent as X-Kiosk-Key), which can be switched off without touching any user.
+// Kiosk orders carry no user, are paid at the counter against their token and
+// otherwise go through checkout like app orders.
 
-    // Get user's cart
-    const [cartRows] = await db.query('SELECT cart_id FROM carts WHERE user_id = ?', [user_id]);
-    if (cartRows.length === 0) {
-      return res.status(400).json({ error: 'No cart found' });
-    }
+const KIOSK_IDLE_SECONDS = parseInt(process.env.KIOSK_IDLE_SECONDS, 10) || 90;
 
-    const cart_id = cartRows[0].cart_id;
-    const [items] = await db.query(
-      'SELECT ci.item_id, ci.quantity, ci.unit_price FROM cart_items ci WHERE ci.cart_id = ?',
-      [cart_id]
-    );
+// Only a hash of the device key is stored; the key itself is shown once
+function hashKioskKey(key) {
+  return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+async function authenticateKiosk(req, res, next) {
+  const key = (req.get('X-Kiosk-Key') || '').trim();
+  if (!key) {
+    return res.status(401).json({ error: 'Kiosk key required' });
+  }
 
-    if (items.length === 0) {
-      return res.status(400).json({ error: 'Cart is empty' });
+  try {
+    const [rows] = await db.query(
+      'SELECT kiosk_id, name FROM kiosk_devices WHERE key_hash = ? AND is_active = 1',
+      [hashKioskKey(key)]
+    );
+    if (rows.length === 0) {
+      return res.status(403).json({ error: 'This kiosk is not registered or has been switched off' });
     }
+    req.kiosk = rows[0];
+    db.query('UPDATE kiosk_devices SET last_seen_at = NOW() WHERE kiosk_id = ?', [req.kiosk.kiosk_id])
+      .catch((err) => console.error('Kiosk last seen update error:', err));
+    next();
+  } catch (err) {
+    console.error('Kiosk auth error:', err);
+    res.status(500).json({ error: 'Failed to check kiosk key' });
+  }
+}
 
-    // Calculate total
-    let total = 0;
-    items.forEach((item) => {
-      total += parseFloat(item.unit_price) * item.quantity;
+// What the kiosk needs at start-up and after each idle reset
+app.get('/api/kiosk/session', authenticateKiosk, async (req, res) => {
+  try {
+    const [canteen, taxSettings] = await Promise.all([canteenStatus(), loadTaxSettings()]);
+    res.json({
+      kiosk: req.kiosk,
+      idle_timeout_seconds: KIOSK_IDLE_SECONDS,
+      prices_include_tax: Boolean(taxSettings.prices_include_tax),
+      canteen
     });
+  } catch (err) {
+    console.error('Kiosk session error:', err);
+    res.status(500).json({ error: 'Failed to start kiosk session' });
+  }
+});
 
-    // Create order
-    const [orderResult] = await db.query(
-      'INSERT INTO orders (user_id, total_amount, order_status) VALUES (?, ?, ?)',
-      [user_id, total, 'Placed']
-    );
+// Place the kiosk's on-device cart as a pay-at-counter order.
+// Body: { items: [{ item_id, quantity, variant_id, modifiers, instructions }] }
+app.post('/api/kiosk/orders', authenticateKiosk, async (req, res) => {
+  try {
+    await assertAcceptingOrders();
+    await ensureDailyStockReset();
+    const kiosk = req.kiosk;
+
+    const order = await withTransaction(async (conn) => {
+      const items = await priceOrderLines(conn, req.body && req.body.items);
+      await reserveStock(conn, items);
+
+      const taxSettings = await loadTaxSettings(conn);
+      const rates = await loadTaxRates(conn, items.map((item) => item.item_id), taxSettings);
+      const tax = calculateTax(items, { rates, settings: taxSettings });
+      const total = tax.total;
+
+      const { token_date, token_number } = await nextPickupToken(conn);
+      const [orderResult] = await conn.query(
+        `INSERT INTO orders (user_id, order_source, kiosk_id, total_amount, tax_amount, prices_include_tax,
+                             order_status, token_date, token_number, payment_method)
+         VALUES (NULL, 'kiosk', ?, ?, ?, ?, 'Placed', ?, ?, 'counter')`,
+        [kiosk.kiosk_id, total, tax.tax_amount, taxSettings.prices_include_tax ? 1 : 0, token_date, token_number]
+      );
 
-    const order_id = orderResult.insertId;
+      const order_id = orderResult.insertId;
+      await recordStatusChange(conn, order_id, null, 'Placed', null, `Kiosk: ${kiosk.name}`);
+      await conn.query(
+        'INSERT INTO payments (order_id, user_id, method, provider, amount, status) VALUES (?, NULL, ?, ?, ?, ?)',
+        [order_id, 'counter', 'counter', total, 'pending']
+      );
+      const invoice_number = await recordOrderLines(conn, order_id, items, tax, taxSettings);
 
-    // Add order items
-    await Promise.all(
-      items.map((item) =>
-        db.query(
-          'INSERT INTO order_items (order_id, item_id, quantity, unit_price) VALUES (?, ?, ?, ?)',
-          [order_id, item.item_id, item.quantity, item.unit_price]
-        )
-      )
-    );
+      return { order_id, token_number, total, tax_amount: tax.tax_amount, invoice_number };
+    });
 
-    // Clear cart
-    await db.query('DELETE FROM cart_items WHERE cart_id = ?', [cart_id]);
+    publishOrderEvent('order.created', order.order_id);
+    autoPrintKitchenTickets();
+    const receipt_printed = await printPickupReceipt(order.order_id);
 
     res.status(201).json({
       success: true,
-      order_id,
-      total: total.toFixed(2),
-      message: 'Order placed successfully'
+      order_id: order.order_id,
+      token_number: order.token_number,
+      total: order.total.toFixed(2),
+      tax: order.tax_amount.toFixed(2),
+      invoice_number: order.invoice_number,
+      receipt_printed,
+      message: `Please pay ₹${order.total.toFixed(2)} at the counter with token ${order.token_number}`
     });
 
   } catch (err) {
-    console.error('Create order error:', err);
-    res.status(500).json({ error: 'Failed to create order' });
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error('Kiosk order error:', err);
+    res.status(500).json({ error: 'Failed to place order' });
   }
 });
 
-// Get user's orders
-app.get('/api/orders', authenticateToken, async (req, res) => {
+// Registered kiosks with today's order count (Admin only)
+app.get('/api/admin/kiosks', authenticateToken, requireAdmin, async (req, res) => {
   try {
-    const user_id = req.user.user_id;
-    const [orders] = await db.query(
-      'SELECT * FROM orders WHERE user_id = ? ORDER BY order_date DESC',
-      [user_id]
+    const [kiosks] = await db.query(
+      `SELECT k.kiosk_id, k.name, k.is_active, k.last_seen_at, k.created_at, u.name AS created_by_name,
+              (SELECT COUNT(*) FROM orders o WHERE o.kiosk_id = k.kiosk_id AND o.token_date = ?) AS orders_today
+       FROM kiosk_devices k
+       LEFT JOIN users u ON k.created_by = u.user_id
+       ORDER BY k.name`,
+      [istDateString()]
     );
+    res.json(kiosks);
+  } catch (err) {
+    console.error('Kiosks fetch error:', err);
+    res.status(500).json({ error: 'Failed to fetch kiosks' });
+  }
+});
 
-    // Add items to each order and format date
-    for (let order of orders) {
-      const [items] = await db.query(
-        'SELECT oi.*, p.title, p.image_url FROM order_items oi JOIN products p ON oi.item_id = p.item_id WHERE oi.order_id = ?',
-        [order.order_id]
-      );
-      order.items = items;
-      
-      // Format order_date for frontend display (Indian Standard Time)
-      if (order.order_date) {
-        const date = new Date(order.order_date);
-        order.formatted_date = date.toLocaleDateString('en-IN', {
-          year: 'numeric',
-          month: '2-digit',
-          day: '2-digit',
-          timeZone: 'Asia/Kolkata'
-        });
-        order.formatted_time = date.toLocaleTimeString('en-IN', {
-          hour: '2-digit',
-          minute: '2-digit',
-          hour12: true,
-          timeZone: 'Asia/Kolkata'
-        });
-        order.formatted_datetime = `${order.formatted_date}, ${order.formatted_time}`;
-        order.timezone = 'IST (UTC+5:30)';
-      }
+// Register a kiosk (Admin only). The device key is in this response only.
+app.post('/api/admin/kiosks', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const name = String((req.body && req.body.name) || '').trim();
+    if (!name || name.length > 50) {
+      return res.status(400).json({ error: 'Kiosk name is required (up to 50 characters)' });
     }
 
-    res.json(orders);
+    const device_key = `kiosk_${crypto.randomBytes(24).toString('base64url')}`;
+    const [result] = await db.query(
+      'INSERT INTO kiosk_devices (name, key_hash, created_by) VALUES (?, ?, ?)',
+      [name, hashKioskKey(device_key), req.user.user_id]
+    );
+    res.status(201).json({
+      success: true,
+      kiosk_id: result.insertId,
+      name,
+      device_key,
+      message: 'Kiosk registered. Enter this key on the tablet; it will not be shown again.'
+    });
 
   } catch (err) {
-    console.error('Get orders error:', err);
-    res.status(500).json({ error: 'Failed to fetch orders' });
+    if (err.code === 'ER_DUP_ENTRY') {
+      return res.status(409).json({ error: 'A kiosk with that name already exists' });
+    }
+    console.error('Kiosk create error:', err);
+    res.status(500).json({ error: 'Failed to register kiosk' });
+  }
+});
+
+// Switch a kiosk off (or back on) (Admin only)
+app.put('/api/admin/kiosks/:id/active', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const is_active = req.body && req.body.is_active ? 1 : 0;
+    const [result] = await db.query(
+      'UPDATE kiosk_devices SET is_active = ? WHERE kiosk_id = ?',
+      [is_active, req.params.id]
+    );
+    if (result.affectedRows === 0) {
+      return res.status(404).json({ error: 'Kiosk not found' });
+    }
+    res.json({ success: true, message: is_active ? 'Kiosk switched on' : 'Kiosk switched off' });
+  } catch (err) {
+    console.error('Kiosk update error:', err);
+    res.status(500).json({ error: 'Failed to update kiosk' });
   }
 });
 
@@ -1164,7 +5863,7 @@ app.get('/api/orders/stats', authenticateToken, requireAdmin, async (req, res) =
     );
 
     // Initialize status counts
-    let delivered = 0, preparing = 0, ready = 0;
+    let delivered = 0, preparing = 0, ready = 0, cancelled = 0;
     
     statusCounts.forEach(row => {
       switch(row.order_status) {
@@ -1177,16 +5876,33 @@ app.get('/api/orders/stats', authenticateToken, requireAdmin, async (req, res) =
         case 'Ready':
           ready = row.count;
           break;
+        case 'Cancelled':
+          cancelled = row.count;
+          break;
       }
     });
 
-    // Get total income
+    // Get total income (cancelled orders never count, refunded or not)
     const [incomeResult] = await db.query(
-      `SELECT SUM(total_amount) as total_income FROM orders ${whereClause}`,
+      `SELECT SUM(total_amount) as total_income FROM orders ${whereClause ? whereClause + ' AND' : 'WHERE'} order_status <> 'Cancelled'`,
       queryParams
     );
     const totalIncome = incomeResult[0].total_income || 0;
 
+    // App orders vs walk-in sales rung up at the counter or placed at a kiosk
+    const [sourceRows] = await db.query(
+      `SELECT order_source, COUNT(*) AS orders, SUM(CASE WHEN order_status <> 'Cancelled' THEN total_amount ELSE 0 END) AS income
+       FROM orders
+       ${whereClause}
+       GROUP BY order_source`,
+      queryParams
+    );
+    const bySource = {};
+    ['app', 'pos', 'kiosk'].forEach((source) => {
+      const row = sourceRows.find((r) => r.order_source === source);
+      bySource[source] = { orders: row ? row.orders : 0, income: row ? parseFloat(row.income || 0) : 0 };
+    });
+
     // Get date range info for response
     let dateRange = null;
     if (from || to) {
@@ -1201,7 +5917,9 @@ app.get('/api/orders/stats', authenticateToken, requireAdmin, async (req, res) =
       delivered,
       preparing,
       ready,
+      cancelled,
       totalIncome: parseFloat(totalIncome),
+      bySource,
       dateRange,
       message: dateRange ? `Statistics for ${from || 'start'} to ${to || 'end'}` : 'All-time statistics'
     });
@@ -1213,42 +5931,29 @@ app.get('/api/orders/stats', authenticateToken, requireAdmin, async (req, res) =
 });
 
 // Get all orders (Admin only)
+// Optional ?status=Placed,Preparing narrows the list (the kitchen display uses this)
 app.get('/api/admin/orders', authenticateToken, requireAdmin, async (req, res) => {
   try {
+    const statuses = req.query.status
+      ? String(req.query.status).split(',').map((s) => s.trim()).filter(Boolean)
+      : [];
+
+    if (statuses.some((s) => !ORDER_STATUSES.includes(s))) {
+      return res.status(400).json({ error: 'Invalid order status filter' });
+    }
+
+    const whereClause = statuses.length ? 'WHERE o.order_status IN (?)' : '';
     const [orders] = await db.query(
       `SELECT o.*, u.name as user_name, u.email as user_email 
        FROM orders o 
        LEFT JOIN users u ON o.user_id = u.user_id 
-       ORDER BY o.order_date DESC`
+       ${whereClause}
+       ORDER BY o.order_date DESC`,
+      statuses.length ? [statuses] : []
     );
 
-    // Add items to each order and format date
-    for (let order of orders) {
-      const [items] = await db.query(
-        'SELECT oi.*, p.title FROM order_items oi JOIN products p ON oi.item_id = p.item_id WHERE oi.order_id = ?',
-        [order.order_id]
-      );
-      order.items = items;
-      
-      // Format order_date for frontend display (Indian Standard Time)
-      if (order.order_date) {
-        const date = new Date(order.order_date);
-        order.formatted_date = date.toLocaleDateString('en-IN', {
-          year: 'numeric',
-          month: '2-digit',
-          day: '2-digit',
-          timeZone: 'Asia/Kolkata'
-        });
-        order.formatted_time = date.toLocaleTimeString('en-IN', {
-          hour: '2-digit',
-          minute: '2-digit',
-          hour12: true,
-          timeZone: 'Asia/Kolkata'
-        });
-        order.formatted_datetime = `${order.formatted_date}, ${order.formatted_time}`;
-        order.timezone = 'IST (UTC+5:30)';
-      }
-    }
+    // Add items, status timeline and formatted dates to each order
+    await decorateOrders(orders, { admin: true });
 
     res.json(orders);
 
@@ -1259,33 +5964,398 @@ app.get('/api/admin/orders', authenticateToken, requireAdmin, async (req, res) =
 });
 
 // Update order status (Admin only)
+// Only transitions listed in ORDER_STATUS_TRANSITIONS are accepted; every change is logged.
+// Delivered is only reached through POST /api/admin/pickup/verify.
 app.put('/api/admin/orders/:id/status', authenticateToken, requireAdmin, async (req, res) => {
   try {
     const orderId = req.params.id;
-    const { order_status } = req.body;
+    const { order_status, note } = req.body;
 
-    const validStatuses = ['Placed', 'Preparing', 'Ready', 'Delivered', 'Cancelled'];
-    if (!validStatuses.includes(order_status)) {
+    if (!ORDER_STATUSES.includes(order_status)) {
       return res.status(400).json({ error: 'Invalid order status' });
     }
+    if (order_status === 'Delivered') {
+      return res.status(409).json({ error: 'Hand orders over with pickup verification (scan the QR or give a reason)' });
+    }
 
-    const [result] = await db.query(
-      'UPDATE orders SET order_status = ? WHERE order_id = ?',
-      [order_status, orderId]
-    );
+    const change = {
+      changed_by: req.user.user_id,
+      note: note ? String(note).trim().slice(0, 255) : null
+    };
 
-    if (result.affectedRows === 0) {
-      return res.status(404).json({ error: 'Order not found' });
+    // Cancelling also settles any money already taken for the order
+    let refund = null;
+    const order = await withTransaction(async (conn) => {
+      if (order_status !== 'Cancelled') {
+        return transitionOrderStatus(conn, orderId, order_status, change);
+      }
+      const cancelled = await cancelOrderWithRefund(conn, orderId, change);
+      refund = cancelled.refund;
+      return cancelled.order;
+    });
+
+    if (refund && refund.method === 'gateway') {
+      await processGatewayRefund(refund.refund_id);
     }
+    publishOrderEvent('order.updated', order.order_id);
 
-    res.json({ success: true, message: 'Order status updated successfully' });
+    res.json({
+      success: true,
+      order_id: order.order_id,
+      from_status: order.from_status,
+      order_status: order.order_status,
+      next_statuses: nextOrderStatuses(order.order_status),
+      refund,
+      message: 'Order status updated successfully'
+    });
 
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
     console.error('Update order status error:', err);
     res.status(500).json({ error: 'Failed to update order status' });
   }
 });
 
+// Get status timeline for an order (Admin only)
+app.get('/api/admin/orders/:id/history', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const [orders] = await db.query('SELECT order_id, order_status FROM orders WHERE order_id = ?', [req.params.id]);
+    if (orders.length === 0) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const history = await loadStatusHistory(orders[0].order_id, { includeActor: true });
+    res.json({
+      order_id: orders[0].order_id,
+      order_status: orders[0].order_status,
+      next_statuses: nextOrderStatuses(orders[0].order_status),
+      history
+    });
+
+  } catch (err) {
+    console.error('Order history fetch error:', err);
+    res.status(500).json({ error: 'Failed to fetch order history' });
+  }
+});
+
+// Record money taken at the counter (Admin only).
+// Also covers online orders where the customer ended up paying in cash.
+app.post('/api/admin/orders/:id/payment/collect', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const order_id = await withTransaction(async (conn) => {
+      const [orders] = await conn.query(
+        'SELECT order_id, user_id, total_amount, order_status, payment_status FROM orders WHERE order_id = ? FOR UPDATE',
+        [req.params.id]
+      );
+      if (orders.length === 0) {
+        throw httpError(404, 'Order not found');
+      }
+
+      const order = orders[0];
+      if (order.payment_status) {
+        throw httpError(409, 'Order is already paid');
+      }
+      if (order.order_status === 'Cancelled') {
+        throw httpError(409, 'Cancelled orders cannot be paid');
+      }
+
+      const [pending] = await conn.query(
+        "SELECT payment_id FROM payments WHERE order_id = ? AND method = 'counter' AND status = 'pending'",
+        [order.order_id]
+      );
+      let payment_id = pending.length ? pending[0].payment_id : null;
+      if (!payment_id) {
+        const [result] = await conn.query(
+          'INSERT INTO payments (order_id, user_id, method, provider, amount, status) VALUES (?, ?, ?, ?, ?, ?)',
+          [order.order_id, order.user_id, 'counter', 'counter', order.total_amount, 'pending']
+        );
+        payment_id = result.insertId;
+      }
+
+      await applyPaymentOutcome(conn, payment_id, { status: 'succeeded', recorded_by: req.user.user_id });
+      return order.order_id;
+    });
+
+    publishOrderEvent('order.updated', order_id);
+    res.json({ success: true, order_id, payment_status: 1, message: 'Payment recorded' });
+
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error('Collect payment error:', err);
+    res.status(500).json({ error: 'Failed to record payment' });
+  }
+});
+
+// ==================== PRINTING ====================
+
+// Thermal printers are configured per deployment: RECEIPT_PRINTER for customer
+// receipts at the counter and KITCHEN_PRINTER for kitchen order tickets (KOT),
+// each tcp://host:port or a device path. Every print is logged in print_jobs
+// so staff can see what came out and retry anything that failed.
+// With auto-print on (the 'printing' setting), each order gets one kitchen
+// ticket as soon as it is due on the kitchen screen. Counter and kiosk orders
+// always get a receipt, since its pickup QR is how they are handed over.
+
+const PRINT_KINDS = ['receipt', 'kitchen'];
+const PRINTER_COLUMNS = parseInt(process.env.PRINTER_COLUMNS, 10) || 48;
+const AUTO_PRINT_INTERVAL_MS = 60 * 1000;
+
+function printerFor(kind) {
+  const target = kind === 'kitchen'
+    ? process.env.KITCHEN_PRINTER || process.env.RECEIPT_PRINTER
+    : process.env.RECEIPT_PRINTER;
+  if (target && !printQueue.isValidTarget(target)) {
+    console.warn(`⚠️  Ignoring ${kind} printer "${target}": use tcp://host:port, /dev/usb/lpN or /dev/lpN`);
+    return null;
+  }
+  return target ? target.trim() : null;
+}
+
+async function loadPrintSettings(conn = db) {
+  const [rows] = await conn.query("SELECT setting_value FROM canteen_settings WHERE setting_key = 'printing'");
+  const saved = rows.length && rows[0].setting_value ? JSON.parse(rows[0].setting_value) : {};
+  return { auto_print_kitchen: false, enabled_at: null, ...saved };
+}
+
+// ESC/POS bytes for a receipt or kitchen ticket; null if the order is gone
+async function renderPrintout(order_id, kind) {
+  const order = await loadOrderView(order_id, { admin: true });
+  if (!order) return null;
+  if (kind === 'kitchen') {
+    return renderKitchenTicket(order, { columns: PRINTER_COLUMNS });
+  }
+
+  const [invoices] = await db.query('SELECT seller FROM invoices WHERE order_id = ?', [order_id]);
+  const [taxLines] = await db.query(
+    'SELECT hsn_code, gst_rate, taxable_value, cgst_amount, sgst_amount FROM order_tax_lines WHERE order_id = ?',
+    [order_id]
+  );
+  const seller = invoices.length && invoices[0].seller ? JSON.parse(invoices[0].seller) : await loadTaxSettings();
+  return renderReceipt(order, {
+    seller,
+    tax_lines: taxLines,
+    // Same signed code as the customer's pickup QR, for customers without a phone
+    qr_data: ['Delivered', 'Cancelled'].includes(order.order_status) ? null : await pickupQrPayload(order.order_id),
+    columns: PRINTER_COLUMNS
+  });
+}
+
+// Send a logged job to its printer and record how it went. Runs in the
+// background after the request has been answered; never throws.
+async function runPrintJob(job) {
+  try {
+    const data = await renderPrintout(job.order_id, job.kind);
+    if (!data) {
+      throw new Error('Order no longer exists');
+    }
+
+    await printQueue.enqueue(job.printer, data, {
+      onAttempt: () => db.query(
+        "UPDATE print_jobs SET status = 'printing', attempts = attempts + 1 WHERE job_id = ?",
+        [job.job_id]
+      )
+    });
+    await db.query(
+      "UPDATE print_jobs SET status = 'printed', error = NULL, printed_at = NOW() WHERE job_id = ?",
+      [job.job_id]
+    );
+  } catch (err) {
+    console.error(`Print job ${job.job_id} failed:`, err.message);
+    try {
+      await db.query(
+        "UPDATE print_jobs SET status = 'failed', error = ? WHERE job_id = ?",
+        [String(err.message || 'Print failed').slice(0, 255), job.job_id]
+      );
+    } catch (logErr) {
+      console.error('Print job status update error:', logErr);
+    }
+  }
+}
+
+// Receipt for a walk-in or kiosk order as soon as it is placed: these customers
+// have no account to fetch a pickup QR, so the one on the receipt is what they
+// show at the counter. Returns whether it was sent; never throws.
+async function printPickupReceipt(order_id, requested_by = null) {
+  if (!printerFor('receipt')) return false;
+  try {
+    await queuePrintJob(order_id, 'receipt', requested_by);
+    return true;
+  } catch (err) {
+    console.error('Pickup receipt error:', err);
+    return false;
+  }
+}
+
+// Log a print job and start it; returns the job row
+async function queuePrintJob(order_id, kind, requested_by = null) {
+  const printer = printerFor(kind);
+  if (!printer) {
+    throw httpError(503, `No ${kind === 'kitchen' ? 'kitchen' : 'receipt'} printer is configured`);
+  }
+
+  const [result] = await db.query(
+    'INSERT INTO print_jobs (order_id, kind, printer, requested_by) VALUES (?, ?, ?, ?)',
+    [order_id, kind, printer, requested_by]
+  );
+  const job = { job_id: result.insertId, order_id, kind, printer, status: 'queued' };
+  runPrintJob(job);
+  return job;
+}
+
+// Print a kitchen ticket for every order that has come due since auto-print was
+// switched on and doesn't have one yet. Called after checkout and on a timer
+// (scheduled orders come due on their own). Never throws.
+let autoPrintRunning = false;
+async function autoPrintKitchenTickets() {
+  if (autoPrintRunning) return;
+  autoPrintRunning = true;
+  try {
+    const settings = await loadPrintSettings();
+    if (!settings.auto_print_kitchen || !printerFor('kitchen')) return;
+
+    const [due] = await db.query(
+      `SELECT o.order_id
+       FROM orders o
+       LEFT JOIN pickup_slots s ON o.pickup_slot_id = s.slot_id
+       WHERE o.order_status IN ('Placed', 'Preparing')
+         AND o.order_date >= ?
+         AND (o.pickup_slot_id IS NULL
+              OR TIMESTAMP(o.pickup_date, s.start_time) <= NOW() + INTERVAL ? MINUTE)
+         AND NOT EXISTS (SELECT 1 FROM print_jobs j WHERE j.order_id = o.order_id AND j.kind = 'kitchen')
+       ORDER BY o.order_date`,
+      [new Date(settings.enabled_at || Date.now()), KITCHEN_LEAD_MINUTES]
+    );
+    for (const row of due) {
+      await queuePrintJob(row.order_id, 'kitchen');
+    }
+  } catch (err) {
+    console.error('Auto-print kitchen tickets error:', err);
+  } finally {
+    autoPrintRunning = false;
+  }
+}
+
+// Printer setup, the auto-print switch and the latest print jobs (Admin only)
+app.get('/api/admin/printing', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const [jobs] = await db.query(
+      `SELECT j.job_id, j.order_id, j.kind, j.printer, j.status, j.attempts, j.error,
+              j.created_at, j.printed_at, o.token_number, u.name AS requested_by_name
+       FROM print_jobs j
+       JOIN orders o ON o.order_id = j.order_id
+       LEFT JOIN users u ON u.user_id = j.requested_by
+       ORDER BY j.job_id DESC
+       LIMIT 50`
+    );
+    res.json({
+      settings: await loadPrintSettings(),
+      printers: { receipt: printerFor('receipt'), kitchen: printerFor('kitchen') },
+      jobs
+    });
+  } catch (err) {
+    console.error('Printing status fetch error:', err);
+    res.status(500).json({ error: 'Failed to fetch printing status' });
+  }
+});
+
+// Turn automatic kitchen tickets on or off (Admin only).
+// Only orders placed after it was switched on are printed automatically.
+app.put('/api/admin/printing/settings', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { auto_print_kitchen } = req.body || {};
+    if (typeof auto_print_kitchen !== 'boolean') {
+      return res.status(400).json({ error: 'auto_print_kitchen must be true or false' });
+    }
+    if (auto_print_kitchen && !printerFor('kitchen')) {
+      return res.status(409).json({ error: 'No kitchen printer is configured (set KITCHEN_PRINTER)' });
+    }
+
+    const current = await loadPrintSettings();
+    const settings = {
+      auto_print_kitchen,
+      enabled_at: auto_print_kitchen
+        ? (current.auto_print_kitchen && current.enabled_at) || new Date().toISOString()
+        : null
+    };
+
+    await db.query(
+      `INSERT INTO canteen_settings (setting_key, setting_value, updated_by) VALUES ('printing', ?, ?)
+       ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value), updated_by = VALUES(updated_by)`,
+      [JSON.stringify(settings), req.user.user_id]
+    );
+
+    res.json({
+      success: true,
+      settings,
+      message: auto_print_kitchen ? 'Kitchen tickets will print automatically' : 'Automatic kitchen tickets turned off'
+    });
+
+  } catch (err) {
+    console.error('Printing settings update error:', err);
+    res.status(500).json({ error: 'Failed to update printing settings' });
+  }
+});
+
+// Print a receipt or kitchen ticket for an order (Admin only).
+// Answers once the job is queued; GET /api/admin/printing shows how it went.
+app.post('/api/admin/orders/:id/print', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const kind = (req.body && req.body.kind) || 'receipt';
+    if (!PRINT_KINDS.includes(kind)) {
+      return res.status(400).json({ error: 'kind must be receipt or kitchen' });
+    }
+
+    const [orders] = await db.query('SELECT order_id FROM orders WHERE order_id = ?', [req.params.id]);
+    if (orders.length === 0) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const job = await queuePrintJob(orders[0].order_id, kind, req.user.user_id);
+    res.status(202).json({ success: true, job, message: kind === 'kitchen' ? 'Kitchen ticket sent to printer' : 'Receipt sent to printer' });
+
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ error: err.message, ...err.details });
+    }
+    console.error('Print order error:', err);
+    res.status(500).json({ error: 'Failed to print' });
+  }
+});
+
+// Send a failed print job again, to the printer currently configured (Admin only)
+app.post('/api/admin/print-jobs/:id/retry', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const [jobs] = await db.query('SELECT job_id, order_id, kind, status FROM print_jobs WHERE job_id = ?', [req.params.id]);
+    if (jobs.length === 0) {
+      return res.status(404).json({ error: 'Print job not found' });
+    }
+
+    const job = jobs[0];
+    if (job.status !== 'failed') {
+      return res.status(409).json({ error: 'Only failed print jobs can be retried', status: job.status });
+    }
+    const printer = printerFor(job.kind);
+    if (!printer) {
+      return res.status(503).json({ error: `No ${job.kind} printer is configured` });
+    }
+
+    await db.query(
+      "UPDATE print_jobs SET status = 'queued', printer = ?, error = NULL WHERE job_id = ?",
+      [printer, job.job_id]
+    );
+    runPrintJob({ ...job, printer, status: 'queued' });
+    res.status(202).json({ success: true, job_id: job.job_id, message: 'Print job queued again' });
+
+  } catch (err) {
+    console.error('Print job retry error:', err);
+    res.status(500).json({ error: 'Failed to retry print job' });
+  }
+});
+
 // ==================== ERROR HANDLING ====================
 
 // 404 handler - ensure it always sends a response
@@ -1341,6 +6411,9 @@ if (process.env.VERCEL !== '1' && !process.env.VERCEL_ENV) {
       console.log('⚠️  Admin seeder skipped:', error.message);
     }
     
+    // Scheduled orders come due for the kitchen printer without a new checkout
+    setInterval(autoPrintKitchenTickets, AUTO_PRINT_INTERVAL_MS);
+    
     console.log(`🌐 Server URL: http://localhost:${PORT}`);
     console.log(`📋 API Base URL: http://localhost:${PORT}/api`);
   });
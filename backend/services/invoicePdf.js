@@ -0,0 +1,208 @@
+// services/invoicePdf.js - GST tax invoice as a PDF
+//
+// writeInvoicePdf(stream, invoice) renders one order's invoice onto a writable
+// stream (usually the HTTP response). `invoice` is the order row joined with
+// its invoice, plus:
+//   seller     { legal_name, gstin, address, state } as stored when issued
+//   items      order_items rows with title and parsed modifiers
+//   tax_lines  order_tax_lines rows (one per HSN/SAC code and rate)
+//
+// The built-in PDF fonts have no rupee sign, so amounts are printed as plain
+// numbers under an (INR) heading.
+const PDFDocument = require('pdfkit');
+
+const PAGE_MARGIN = 40;
+const ITEM_COLUMNS = [
+  { key: 'index', label: '#', width: 25 },
+  { key: 'title', label: 'Item', width: 215 },
+  { key: 'hsn_code', label: 'HSN/SAC', width: 65 },
+  { key: 'gst_rate', label: 'GST %', width: 45, align: 'right' },
+  { key: 'quantity', label: 'Qty', width: 35, align: 'right' },
+  { key: 'unit_price', label: 'Rate', width: 65, align: 'right' },
+  { key: 'amount', label: 'Amount', width: 65, align: 'right' }
+];
+const TAX_COLUMNS = [
+  { key: 'hsn_code', label: 'HSN/SAC', width: 85 },
+  { key: 'taxable_value', label: 'Taxable value', width: 100, align: 'right' },
+  { key: 'cgst_rate', label: 'CGST %', width: 60, align: 'right' },
+  { key: 'cgst_amount', label: 'CGST', width: 80, align: 'right' },
+  { key: 'sgst_rate', label: 'SGST %', width: 60, align: 'right' },
+  { key: 'sgst_amount', label: 'SGST', width: 80, align: 'right' }
+];
+
+function money(value) {
+  return parseFloat(value || 0).toFixed(2);
+}
+
+function formatIstDate(value) {
+  return new Date(value).toLocaleString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit',
+    hour12: true,
+    timeZone: 'Asia/Kolkata'
+  });
+}
+
+// Item name with size, add-ons and instructions on the same cell
+function describeItem(item) {
+  let text = item.title + (item.variant_name ? ` (${item.variant_name})` : '');
+  if (item.modifiers && item.modifiers.length) {
+    text += `\n+ ${item.modifiers.map((m) => m.name).join(', ')}`;
+  }
+  return text;
+}
+
+// One table row; returns the y position below it
+function drawRow(doc, columns, values, y, { bold = false } = {}) {
+  doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+  let x = PAGE_MARGIN;
+  let height = 0;
+  columns.forEach((column) => {
+    const text = String(values[column.key] ?? '');
+    const options = { width: column.width - 6, align: column.align || 'left' };
+    doc.text(text, x + 3, y, options);
+    height = Math.max(height, doc.heightOfString(text, options));
+    x += column.width;
+  });
+  return y + height + 6;
+}
+
+function drawRule(doc, y) {
+  doc.moveTo(PAGE_MARGIN, y).lineTo(doc.page.width - PAGE_MARGIN, y).lineWidth(0.5).strokeColor('#999999').stroke();
+}
+
+// Label / value pairs right-aligned under a table
+function drawTotals(doc, rows, y) {
+  const right = doc.page.width - PAGE_MARGIN;
+  rows.forEach(([label, value, bold]) => {
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(bold ? 11 : 9);
+    doc.text(label, right - 260, y, { width: 180, align: 'right' });
+    doc.text(value, right - 75, y, { width: 72, align: 'right' });
+    y += bold ? 18 : 14;
+  });
+  return y;
+}
+
+function ensureSpace(doc, y, needed) {
+  if (y + needed < doc.page.height - PAGE_MARGIN) return y;
+  doc.addPage();
+  return PAGE_MARGIN;
+}
+
+function writeInvoicePdf(stream, invoice) {
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+  doc.pipe(stream);
+
+  const seller = invoice.seller || {};
+  const contentWidth = doc.page.width - PAGE_MARGIN * 2;
+
+  // Header: seller on the left, invoice details on the right
+  doc.font('Helvetica-Bold').fontSize(18).text('TAX INVOICE', PAGE_MARGIN, PAGE_MARGIN, { width: contentWidth, align: 'center' });
+  if (invoice.order_status === 'Cancelled') {
+    doc.fillColor('#c62828').fontSize(11).text('ORDER CANCELLED', { width: contentWidth, align: 'center' }).fillColor('black');
+  }
+
+  const top = doc.y + 15;
+  doc.font('Helvetica-Bold').fontSize(12).text(seller.legal_name || 'AIMS Canteen', PAGE_MARGIN, top, { width: 280 });
+  doc.font('Helvetica').fontSize(9);
+  if (seller.address) doc.text(seller.address, { width: 280 });
+  if (seller.state) doc.text(`State: ${seller.state}`, { width: 280 });
+  doc.text(`GSTIN: ${seller.gstin || 'Not registered'}`, { width: 280 });
+  const sellerBottom = doc.y;
+
+  const details = [
+    ['Invoice No', invoice.invoice_number],
+    ['Invoice date', formatIstDate(invoice.issued_at)],
+    ['Order', `#${invoice.order_id}${invoice.token_number ? ` (token ${invoice.token_number})` : ''}`],
+    ['Payment', invoice.payment_status ? 'Paid' : 'Due'],
+    ['Place of supply', seller.state || '-']
+  ];
+  let detailY = top;
+  details.forEach(([label, value]) => {
+    doc.font('Helvetica-Bold').fontSize(9).text(label, PAGE_MARGIN + 300, detailY, { width: 80 });
+    doc.font('Helvetica').text(value, PAGE_MARGIN + 380, detailY, { width: contentWidth - 380 });
+    detailY = doc.y + 2;
+  });
+
+  let y = Math.max(sellerBottom, detailY) + 15;
+  doc.font('Helvetica-Bold').fontSize(9).text('Billed to', PAGE_MARGIN, y);
+  doc.font('Helvetica').text(invoice.user_name || 'Walk-in customer');
+  if (invoice.user_email) doc.text(invoice.user_email);
+  y = doc.y + 15;
+
+  // Items
+  drawRule(doc, y - 4);
+  y = drawRow(doc, ITEM_COLUMNS, Object.fromEntries(ITEM_COLUMNS.map((c) => [c.key, c.label])), y, { bold: true });
+  drawRule(doc, y - 4);
+  let itemsTotal = 0;
+  invoice.items.forEach((item, index) => {
+    const amount = parseFloat(item.unit_price) * item.quantity;
+    itemsTotal += amount;
+    y = ensureSpace(doc, y, 40);
+    y = drawRow(doc, ITEM_COLUMNS, {
+      index: index + 1,
+      title: describeItem(item),
+      hsn_code: item.hsn_code || '-',
+      gst_rate: item.gst_rate !== null && item.gst_rate !== undefined ? parseFloat(item.gst_rate) : '-',
+      quantity: item.quantity,
+      unit_price: money(item.unit_price),
+      amount: money(amount)
+    }, y);
+  });
+  drawRule(doc, y - 2);
+
+  // Totals
+  const cgst = invoice.tax_lines.reduce((sum, line) => sum + parseFloat(line.cgst_amount), 0);
+  const sgst = invoice.tax_lines.reduce((sum, line) => sum + parseFloat(line.sgst_amount), 0);
+  const totals = [[`Items (INR)${invoice.prices_include_tax ? ', incl. GST' : ''}`, money(itemsTotal)]];
+  if (parseFloat(invoice.discount_amount) > 0) {
+    totals.push([`Discount${invoice.coupon_code ? ` (${invoice.coupon_code})` : ''}`, `-${money(invoice.discount_amount)}`]);
+  }
+  if (!invoice.prices_include_tax) {
+    totals.push(['CGST', money(cgst)], ['SGST', money(sgst)]);
+  }
+  totals.push(['Total (INR)', money(invoice.total_amount), true]);
+  y = ensureSpace(doc, y + 6, totals.length * 18);
+  y = drawTotals(doc, totals, y + 6) + 10;
+
+  // GST summary per HSN/SAC code and rate
+  if (invoice.tax_lines.length) {
+    y = ensureSpace(doc, y, 40 + invoice.tax_lines.length * 16);
+    doc.font('Helvetica-Bold').fontSize(10).text('GST summary (INR)', PAGE_MARGIN, y);
+    y = doc.y + 6;
+    drawRule(doc, y - 4);
+    y = drawRow(doc, TAX_COLUMNS, Object.fromEntries(TAX_COLUMNS.map((c) => [c.key, c.label])), y, { bold: true });
+    drawRule(doc, y - 4);
+    invoice.tax_lines.forEach((line) => {
+      const half = parseFloat(line.gst_rate) / 2;
+      y = drawRow(doc, TAX_COLUMNS, {
+        hsn_code: line.hsn_code || '-',
+        taxable_value: money(line.taxable_value),
+        cgst_rate: half,
+        cgst_amount: money(line.cgst_amount),
+        sgst_rate: half,
+        sgst_amount: money(line.sgst_amount)
+      }, y);
+    });
+    drawRule(doc, y - 2);
+    y = drawRow(doc, TAX_COLUMNS, {
+      hsn_code: 'Total',
+      taxable_value: money(invoice.tax_lines.reduce((sum, line) => sum + parseFloat(line.taxable_value), 0)),
+      cgst_amount: money(cgst),
+      sgst_amount: money(sgst)
+    }, y, { bold: true });
+  }
+
+  doc.font('Helvetica').fontSize(8).fillColor('#555555')
+    .text(
+      (invoice.prices_include_tax ? 'Prices are inclusive of GST. ' : '') + 'This is a computer generated invoice and needs no signature.',
+      PAGE_MARGIN, y + 20, { width: contentWidth, align: 'center' }
+    );
+
+  doc.end();
+}
+
+module.exports = { writeInvoicePdf };
@@ -0,0 +1,78 @@
+// services/orderEvents.js - Server-Sent Events hub for live order updates
+//
+// Keeps the open event streams of this server process in memory, so live
+// updates only reach browsers connected to the process that made the change.
+// That needs a single long-running server (node server.js); it does not work
+// on Vercel's serverless functions, where each request may run in a different
+// instance and streams are cut off at the function timeout. Pages reload their
+// order list after a reconnect, so a missed event is picked up then. Every
+// subscriber is either a customer (sees only their own orders) or an admin
+// feed (sees every order). Events are plain SSE frames:
+//
+//   event: order.created | order.updated
+//   data: <order JSON, same shape as the REST order listings>
+
+const HEARTBEAT_MS = 25 * 1000; // keeps proxies from closing idle streams
+
+const clients = new Set();
+
+function send(client, event, data) {
+  client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Register an HTTP response as an event stream
+ * The stream stays open until the browser disconnects
+ */
+function subscribe(req, res, { user_id, admin }) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  // Ask browsers to wait 5s before reconnecting after a drop
+  res.write('retry: 5000\n\n');
+
+  const client = { res, user_id, admin: !!admin };
+  clients.add(client);
+  send(client, 'ready', { scope: client.admin ? 'admin' : 'customer' });
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  });
+}
+
+/**
+ * Broadcast an order event to every admin feed and to the owning customer
+ * Admins get the admin order shape, the customer gets the customer shape
+ */
+function publish(event, { user_id, adminPayload, customerPayload }) {
+  clients.forEach((client) => {
+    try {
+      if (client.admin) {
+        send(client, event, adminPayload);
+      } else if (user_id && client.user_id === user_id) {
+        send(client, event, customerPayload);
+      }
+    } catch (err) {
+      // Socket already gone; the close handler will clean it up
+      clients.delete(client);
+    }
+  });
+}
+
+function subscriberCount() {
+  return clients.size;
+}
+
+module.exports = {
+  subscribe,
+  publish,
+  subscriberCount
+};
@@ -0,0 +1,73 @@
+// services/payments/index.js - Payment gateway registry
+//
+// Every gateway adapter implements the same surface:
+//   name, label
+//   createIntent({ payment_id, order_id, amount, currency }) -> { provider_ref, client }
+//   verifyConfirmation(payment, payload) -> { ok, provider_payment_id, reason }
+//   verifyWebhook(rawBody, headers) -> boolean
+//   parseWebhook(body) -> { provider_ref, status, provider_payment_id, reason }
+//   refund(payment, amount) -> { provider_refund_id, status: 'succeeded' | 'pending', amount }
+//
+// PAYMENT_GATEWAY picks the adapter used for online payments (default: mock).
+// The mock gateway lets anyone mark their order paid, so it is never used
+// when NODE_ENV is production.
+const mockGateway = require('./mockGateway');
+const razorpayGateway = require('./razorpayGateway');
+
+const gateways = {
+  [mockGateway.name]: mockGateway,
+  [razorpayGateway.name]: razorpayGateway
+};
+
+// How a customer can settle an order at checkout
+const PAYMENT_METHODS = {
+  online: 'Pay online (UPI / Card)',
+  wallet: 'Canteen wallet',
+  counter: 'Pay at counter'
+};
+
+function mockAllowed() {
+  return process.env.NODE_ENV !== 'production';
+}
+
+// Adapter by name; the mock gateway only exists outside production
+function getGateway(name) {
+  const gateway = gateways[name] || null;
+  if (gateway === mockGateway && !mockAllowed()) return null;
+  return gateway;
+}
+
+// The adapter used for new online payments, or null when online payment is
+// off. Outside production a Razorpay selection without keys falls back to the
+// mock gateway so checkout works offline; in production it turns online
+// payment off instead.
+function activeGateway() {
+  const selected = gateways[process.env.PAYMENT_GATEWAY || 'mock'] || mockGateway;
+  if (selected.isConfigured && !selected.isConfigured()) {
+    if (!mockAllowed()) {
+      console.error(`❌ Payment gateway "${selected.name}" is not configured; online payments are off`);
+      return null;
+    }
+    console.warn(`⚠️  Payment gateway "${selected.name}" is not configured, using mock gateway`);
+    return mockGateway;
+  }
+  return getGateway(selected.name);
+}
+
+// Run once at startup: refuses to start with a published mock secret and
+// warns when production has no usable online gateway
+function checkConfiguration() {
+  if (mockGateway.usesPlaceholderSecret()) {
+    throw new Error('MOCK_GATEWAY_SECRET is set to a published placeholder; use a random value or leave it unset');
+  }
+  if (!mockAllowed() && !activeGateway()) {
+    console.warn('⚠️  No online payment gateway is configured for production; customers can only pay by wallet or at the counter');
+  }
+}
+
+module.exports = {
+  PAYMENT_METHODS,
+  getGateway,
+  activeGateway,
+  checkConfiguration
+};
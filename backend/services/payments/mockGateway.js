@@ -0,0 +1,102 @@
+// services/payments/mockGateway.js - Offline payment gateway for development and demos
+//
+// Behaves like a hosted UPI/card checkout without leaving the machine:
+//   1. createIntent() hands out a `mock_...` reference for the order
+//   2. simulatePayment() stands in for the customer approving or declining
+//      on the gateway page and returns a signed result, like Razorpay Checkout
+//   3. The same result is also delivered as a signed webhook, so both the
+//      confirm and webhook code paths get exercised offline
+// It is never offered when NODE_ENV is production (see ./index.js).
+const crypto = require('crypto');
+
+// Values published in the source or .env.example; signing with them would let
+// anyone forge a mock payment
+const PLACEHOLDER_SECRETS = ['mock_gateway_secret', 'change_me'];
+
+// Without MOCK_GATEWAY_SECRET each process signs with its own random key
+const SECRET = process.env.MOCK_GATEWAY_SECRET || crypto.randomBytes(32).toString('hex');
+
+function sign(value) {
+  return crypto.createHmac('sha256', SECRET).update(value).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+const mockGateway = {
+  name: 'mock',
+  label: 'Mock UPI (offline)',
+
+  usesPlaceholderSecret() {
+    return PLACEHOLDER_SECRETS.includes(process.env.MOCK_GATEWAY_SECRET);
+  },
+
+  async createIntent({ amount, currency }) {
+    const provider_ref = 'mock_' + crypto.randomBytes(8).toString('hex');
+    return {
+      provider_ref,
+      client: { provider: 'mock', intent: provider_ref, amount, currency }
+    };
+  },
+
+  // What the gateway page would return to the browser after the customer acts
+  simulatePayment(provider_ref, outcome) {
+    if (outcome !== 'success') {
+      return { provider_ref, status: 'failed', reason: 'Payment declined by customer' };
+    }
+    const provider_payment_id = 'mockpay_' + crypto.randomBytes(6).toString('hex');
+    return {
+      provider_ref,
+      status: 'succeeded',
+      provider_payment_id,
+      signature: sign(`${provider_ref}|${provider_payment_id}`)
+    };
+  },
+
+  // Check the payload the browser posts back after checkout
+  verifyConfirmation(payment, payload) {
+    const { provider_payment_id, signature } = payload || {};
+    if (!provider_payment_id || !signature) {
+      return { ok: false, reason: 'Missing payment reference or signature' };
+    }
+    if (!safeEqual(sign(`${payment.provider_ref}|${provider_payment_id}`), signature)) {
+      return { ok: false, reason: 'Signature mismatch' };
+    }
+    return { ok: true, provider_payment_id };
+  },
+
+  // Refunds on the mock gateway always go through straight away
+  async refund(payment, amount) {
+    return {
+      provider_refund_id: 'mockrefund_' + crypto.randomBytes(6).toString('hex'),
+      status: 'succeeded',
+      amount
+    };
+  },
+
+  // Signed webhook body + headers for a simulated result
+  buildWebhook(result) {
+    const body = JSON.stringify({ event: `payment.${result.status}`, payload: result });
+    return { body, headers: { 'x-mock-signature': sign(body) } };
+  },
+
+  verifyWebhook(rawBody, headers) {
+    return safeEqual(sign(rawBody || ''), headers['x-mock-signature']);
+  },
+
+  // Normalise a webhook body to { provider_ref, status, provider_payment_id, reason }
+  parseWebhook(body) {
+    const payload = body && body.payload ? body.payload : {};
+    return {
+      provider_ref: payload.provider_ref,
+      status: payload.status === 'succeeded' ? 'succeeded' : 'failed',
+      provider_payment_id: payload.provider_payment_id || null,
+      reason: payload.reason || null
+    };
+  }
+};
+
+module.exports = mockGateway;
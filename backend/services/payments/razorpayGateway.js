@@ -0,0 +1,129 @@
+// services/payments/razorpayGateway.js - Razorpay adapter (UPI, cards, netbanking)
+//
+// Needs RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET; webhooks additionally need
+// RAZORPAY_WEBHOOK_SECRET (set in the Razorpay dashboard).
+const crypto = require('crypto');
+
+const API_URL = 'https://api.razorpay.com/v1';
+
+function config() {
+  return {
+    keyId: process.env.RAZORPAY_KEY_ID,
+    keySecret: process.env.RAZORPAY_KEY_SECRET,
+    webhookSecret: process.env.RAZORPAY_WEBHOOK_SECRET
+  };
+}
+
+function hmac(secret, value) {
+  return crypto.createHmac('sha256', secret).update(value).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a || ''));
+  const right = Buffer.from(String(b || ''));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+const razorpayGateway = {
+  name: 'razorpay',
+  label: 'Razorpay (UPI / Card)',
+
+  isConfigured() {
+    const { keyId, keySecret } = config();
+    return Boolean(keyId && keySecret);
+  },
+
+  // Create a Razorpay order; amounts go to Razorpay in paise
+  async createIntent({ payment_id, order_id, amount, currency }) {
+    const { keyId, keySecret } = config();
+    const response = await fetch(`${API_URL}/orders`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': 'Basic ' + Buffer.from(`${keyId}:${keySecret}`).toString('base64')
+      },
+      body: JSON.stringify({
+        amount: Math.round(amount * 100),
+        currency,
+        receipt: `order_${order_id}_pay_${payment_id}`,
+        notes: { order_id: String(order_id) }
+      })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error && data.error.description ? data.error.description : `Razorpay error ${response.status}`);
+    }
+
+    return {
+      provider_ref: data.id,
+      client: {
+        provider: 'razorpay',
+        key_id: keyId,
+        razorpay_order_id: data.id,
+        amount: data.amount,
+        currency: data.currency
+      }
+    };
+  },
+
+  // Checkout handler response: razorpay_order_id, razorpay_payment_id, razorpay_signature
+  verifyConfirmation(payment, payload) {
+    const { razorpay_order_id, razorpay_payment_id, razorpay_signature } = payload || {};
+    if (!razorpay_payment_id || !razorpay_signature) {
+      return { ok: false, reason: 'Missing payment reference or signature' };
+    }
+    if (razorpay_order_id && razorpay_order_id !== payment.provider_ref) {
+      return { ok: false, reason: 'Payment belongs to a different order' };
+    }
+    const expected = hmac(config().keySecret, `${payment.provider_ref}|${razorpay_payment_id}`);
+    if (!safeEqual(expected, razorpay_signature)) {
+      return { ok: false, reason: 'Signature mismatch' };
+    }
+    return { ok: true, provider_payment_id: razorpay_payment_id };
+  },
+
+  // Refund a captured payment. Razorpay may process it later, in which case
+  // the refund stays pending on our side.
+  async refund(payment, amount) {
+    const { keyId, keySecret } = config();
+    const response = await fetch(`${API_URL}/payments/${payment.provider_payment_id}/refund`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Authorization': 'Basic ' + Buffer.from(`${keyId}:${keySecret}`).toString('base64')
+      },
+      body: JSON.stringify({ amount: Math.round(amount * 100) })
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.error && data.error.description ? data.error.description : `Razorpay error ${response.status}`);
+    }
+
+    return {
+      provider_refund_id: data.id,
+      status: data.status === 'processed' ? 'succeeded' : 'pending',
+      amount: data.amount / 100
+    };
+  },
+
+  verifyWebhook(rawBody, headers) {
+    const { webhookSecret } = config();
+    if (!webhookSecret) return false;
+    return safeEqual(hmac(webhookSecret, rawBody || ''), headers['x-razorpay-signature']);
+  },
+
+  parseWebhook(body) {
+    const entity = body && body.payload && body.payload.payment ? body.payload.payment.entity : {};
+    const succeeded = body.event === 'payment.captured' || body.event === 'order.paid';
+    return {
+      provider_ref: entity.order_id,
+      status: succeeded ? 'succeeded' : body.event === 'payment.failed' ? 'failed' : null,
+      provider_payment_id: entity.id || null,
+      reason: entity.error_description || null
+    };
+  }
+};
+
+module.exports = razorpayGateway;
@@ -0,0 +1,150 @@
+// services/printing/escpos.js - Minimal ESC/POS command builder for thermal printers
+//
+// Builds the raw byte stream an Epson-compatible receipt printer understands:
+//   const ticket = escpos({ columns: 48 });
+//   ticket.align('center').bold(true).size(2, 2).line('TOKEN 12').reset()
+//     .row('Masala Maggi x2', '50.00').qr('https://...').cut();
+//   const bytes = ticket.toBuffer();
+//
+// 80mm paper fits 48 characters per line in the default font (58mm: 32).
+// Printers start in code page 437, so text is reduced to plain ASCII.
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+const ALIGN = { left: 0, center: 1, right: 2 };
+
+// Drop accents and anything the printer's code page can't show
+function toAscii(text) {
+  return String(text ?? '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\u20b9/g, 'Rs.')
+    .replace(/[^\x20-\x7e\n]/g, '?');
+}
+
+// Break text into lines of at most `width` characters, on spaces where possible.
+// Leading spaces indent every line of the paragraph.
+function wrap(text, width) {
+  const lines = [];
+  toAscii(text).split('\n').forEach((paragraph) => {
+    const indent = paragraph.match(/^ */)[0].slice(0, Math.max(width - 1, 0));
+    const room = width - indent.length;
+    let current = '';
+    const push = (line) => lines.push(indent + line);
+    paragraph.trim().split(' ').filter(Boolean).forEach((word) => {
+      while (word.length > room) {
+        if (current) { push(current); current = ''; }
+        push(word.slice(0, room));
+        word = word.slice(room);
+      }
+      if (!current) current = word;
+      else if (current.length + 1 + word.length <= room) current += ' ' + word;
+      else { push(current); current = word; }
+    });
+    push(current);
+  });
+  return lines;
+}
+
+function escpos({ columns = 48 } = {}) {
+  const chunks = [Buffer.from([ESC, 0x40])]; // ESC @ - initialise
+  let widthScale = 1;
+
+  const raw = (...bytes) => chunks.push(Buffer.from(bytes));
+  const write = (text) => chunks.push(Buffer.from(toAscii(text), 'ascii'));
+  // Characters per line at the current text width
+  const lineWidth = () => Math.floor(columns / widthScale);
+
+  const ticket = {
+    columns,
+
+    align(position) {
+      raw(ESC, 0x61, ALIGN[position] ?? 0);
+      return ticket;
+    },
+
+    bold(on = true) {
+      raw(ESC, 0x45, on ? 1 : 0);
+      return ticket;
+    },
+
+    // Character magnification, 1-8 in each direction
+    size(width = 1, height = 1) {
+      widthScale = Math.min(Math.max(width, 1), 8);
+      const heightScale = Math.min(Math.max(height, 1), 8);
+      raw(GS, 0x21, ((widthScale - 1) << 4) | (heightScale - 1));
+      return ticket;
+    },
+
+    // Back to left-aligned, normal weight and size
+    reset() {
+      return ticket.align('left').bold(false).size(1, 1);
+    },
+
+    // Text wrapped to the paper width, ending in a line feed
+    line(text = '') {
+      wrap(text, lineWidth()).forEach((part) => {
+        write(part);
+        raw(LF);
+      });
+      return ticket;
+    },
+
+    // Left text and right-aligned text on one line; long left text wraps above
+    row(left, right = '') {
+      const width = lineWidth();
+      const rightText = toAscii(right);
+      const leftLines = wrap(left, Math.max(width - rightText.length - 1, 1));
+      leftLines.forEach((part, index) => {
+        if (index < leftLines.length - 1) {
+          write(part);
+        } else {
+          write(part.padEnd(width - rightText.length) + rightText);
+        }
+        raw(LF);
+      });
+      return ticket;
+    },
+
+    rule(char = '-') {
+      write(char.repeat(lineWidth()));
+      raw(LF);
+      return ticket;
+    },
+
+    feed(lines = 1) {
+      raw(ESC, 0x64, Math.min(Math.max(lines, 0), 255));
+      return ticket;
+    },
+
+    // QR code (model 2, error correction M) using the printer's own generator
+    qr(data, { moduleSize = 6 } = {}) {
+      const payload = Buffer.from(toAscii(data), 'ascii');
+      const length = payload.length + 3;
+      raw(GS, 0x28, 0x6b, 0x04, 0x00, 0x31, 0x41, 0x32, 0x00); // model 2
+      raw(GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x43, moduleSize); // module size
+      raw(GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x45, 0x31); // error correction M
+      raw(GS, 0x28, 0x6b, length & 0xff, length >> 8, 0x31, 0x50, 0x30); // store
+      chunks.push(payload);
+      raw(GS, 0x28, 0x6b, 0x03, 0x00, 0x31, 0x51, 0x30); // print
+      raw(LF);
+      return ticket;
+    },
+
+    // Feed past the tear bar and make a partial cut
+    cut() {
+      raw(GS, 0x56, 0x42, 0x03);
+      return ticket;
+    },
+
+    toBuffer() {
+      return Buffer.concat(chunks);
+    }
+  };
+
+  return ticket;
+}
+
+module.exports = { escpos, toAscii, wrap };
@@ -0,0 +1,113 @@
+// services/printing/printQueue.js - Sends ESC/POS jobs to thermal printers
+//
+// A printer target is one of
+//   tcp://192.168.1.50:9100   network printer in raw mode (port defaults to 9100)
+//   /dev/usb/lp0, /dev/lp0    USB/parallel printer device
+//   <file> inside PRINTER_TEST_DIR, for testing without a printer
+// Anything else is rejected, so a bad setting can't write elsewhere on disk.
+//
+// Jobs for the same target go out one at a time, in the order they were queued,
+// so two tickets never interleave on the paper. A failed send is retried a few
+// times with a growing delay before the job is given up.
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+
+const DEFAULT_PORT = 9100;
+const SOCKET_TIMEOUT_MS = 5000;
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 2000;
+
+// target -> promise of the job currently at the end of that printer's line
+const lines = new Map();
+
+const DEVICE_PATH = /^\/dev\/(usb\/)?lp\d+$/;
+
+// { type: 'tcp', host, port }, { type: 'file', path } or null when not allowed
+function parseTarget(target) {
+  const value = String(target || '').trim();
+  const match = /^tcp:\/\/([^:/]+)(?::(\d+))?\/?$/i.exec(value);
+  if (match) {
+    return { type: 'tcp', host: match[1], port: match[2] ? parseInt(match[2], 10) : DEFAULT_PORT };
+  }
+  if (DEVICE_PATH.test(value)) {
+    return { type: 'file', path: value };
+  }
+  const testDir = process.env.PRINTER_TEST_DIR;
+  if (testDir && value) {
+    const dir = path.resolve(testDir);
+    const file = path.resolve(dir, value);
+    if (path.dirname(file) === dir) {
+      return { type: 'file', path: file };
+    }
+  }
+  return null;
+}
+
+function isValidTarget(target) {
+  return parseTarget(target) !== null;
+}
+
+function sendOverTcp({ host, port }, data) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    socket.setTimeout(SOCKET_TIMEOUT_MS);
+    socket.on('connect', () => socket.end(data));
+    socket.on('timeout', () => socket.destroy(new Error(`Printer ${host}:${port} timed out`)));
+    socket.on('error', reject);
+    socket.on('close', (hadError) => {
+      if (!hadError) resolve();
+    });
+  });
+}
+
+// Device files are opened for append so the same code works for a plain file
+function sendToFile({ path }, data) {
+  return fs.promises.appendFile(path, data);
+}
+
+// One attempt to hand `data` to the printer
+function send(target, data) {
+  const parsed = parseTarget(target);
+  if (!parsed) {
+    return Promise.reject(new Error(`Printer target "${target}" is not allowed`));
+  }
+  return parsed.type === 'tcp' ? sendOverTcp(parsed, data) : sendToFile(parsed, data);
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+async function sendWithRetries(target, data, onAttempt) {
+  let lastError;
+  for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+    if (onAttempt) await onAttempt(attempt);
+    try {
+      await send(target, data);
+      return { attempts: attempt };
+    } catch (err) {
+      lastError = err;
+      if (attempt < MAX_ATTEMPTS) await wait(RETRY_DELAY_MS * attempt);
+    }
+  }
+  lastError.attempts = MAX_ATTEMPTS;
+  throw lastError;
+}
+
+/**
+ * Queue bytes for a printer
+ * Resolves with { attempts } once printed; rejects with the last error
+ * (carrying `attempts`) when every attempt failed. onAttempt(n) runs before each try.
+ */
+function enqueue(target, data, { onAttempt } = {}) {
+  const previous = lines.get(target) || Promise.resolve();
+  const job = previous.catch(() => {}).then(() => sendWithRetries(target, data, onAttempt));
+  lines.set(target, job);
+
+  // Forget the line once it drains so idle printers don't pin memory
+  job.catch(() => {}).then(() => {
+    if (lines.get(target) === job) lines.delete(target);
+  });
+  return job;
+}
+
+module.exports = { enqueue, parseTarget, isValidTarget, MAX_ATTEMPTS };
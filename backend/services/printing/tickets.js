@@ -0,0 +1,105 @@
+// services/printing/tickets.js - Customer receipts and kitchen tickets (KOT) as ESC/POS
+//
+// Both take an order in the shape of loadOrderView(order_id, { admin: true })
+// in server.js (items with title, variant_name, modifiers and instructions;
+// formatted_datetime; pickup_slot). Receipts additionally use:
+//   seller     { legal_name, gstin, address } as printed on the invoice
+//   tax_lines  order_tax_lines rows
+//   qr_data    text encoded in the QR code at the bottom
+// and return a Buffer ready for the print queue.
+const { escpos } = require('./escpos');
+
+const DEFAULT_COLUMNS = 48;
+
+function money(value) {
+  return parseFloat(value || 0).toFixed(2);
+}
+
+function itemName(item) {
+  return item.title + (item.variant_name ? ` (${item.variant_name})` : '');
+}
+
+function pickupText(order) {
+  return order.pickup_slot ? order.pickup_slot.formatted : 'As soon as possible';
+}
+
+function tokenText(order) {
+  return order.token_number ? `TOKEN ${order.token_number}` : `ORDER #${order.order_id}`;
+}
+
+function renderReceipt(order, { seller = {}, tax_lines = [], qr_data = null, columns = DEFAULT_COLUMNS } = {}) {
+  const ticket = escpos({ columns });
+
+  ticket.align('center').bold(true).size(2, 1).line(seller.legal_name || 'AIMS Canteen').size(1, 1).bold(false);
+  if (seller.address) ticket.line(seller.address);
+  if (seller.gstin) ticket.line(`GSTIN: ${seller.gstin}`);
+  ticket.feed(1);
+
+  ticket.bold(true).size(2, 2).line(tokenText(order)).size(1, 1).bold(false);
+  ticket.reset().rule();
+  ticket.row(`Order #${order.order_id}`, order.formatted_datetime || '');
+  if (order.invoice_number) ticket.row('Invoice', order.invoice_number);
+  ticket.row('Pickup', pickupText(order));
+  ticket.row('Payment', `${order.payment_method || 'counter'} - ${order.payment_status ? 'PAID' : 'DUE'}`);
+  ticket.rule();
+
+  let itemsTotal = 0;
+  order.items.forEach((item) => {
+    const amount = parseFloat(item.unit_price) * item.quantity;
+    itemsTotal += amount;
+    ticket.row(`${item.quantity} x ${itemName(item)}`, money(amount));
+    if (item.modifiers && item.modifiers.length) {
+      ticket.line(`   + ${item.modifiers.map((m) => m.name).join(', ')}`);
+    }
+  });
+  ticket.rule();
+
+  ticket.row(`Items${order.prices_include_tax ? ' (incl. GST)' : ''}`, money(itemsTotal));
+  if (parseFloat(order.discount_amount) > 0) {
+    ticket.row(`Discount${order.coupon_code ? ` (${order.coupon_code})` : ''}`, `-${money(order.discount_amount)}`);
+  }
+  const cgst = tax_lines.reduce((sum, line) => sum + parseFloat(line.cgst_amount), 0);
+  const sgst = tax_lines.reduce((sum, line) => sum + parseFloat(line.sgst_amount), 0);
+  if (tax_lines.length) {
+    ticket.row(order.prices_include_tax ? 'incl. CGST' : 'CGST', money(cgst));
+    ticket.row(order.prices_include_tax ? 'incl. SGST' : 'SGST', money(sgst));
+  }
+  ticket.bold(true).size(1, 2).row('TOTAL Rs.', money(order.total_amount)).size(1, 1).bold(false);
+  ticket.rule();
+
+  if (qr_data) {
+    ticket.align('center').qr(qr_data).line('Show this code at the counter');
+  }
+  ticket.align('center').feed(1).line('Thank you! Please collect your order').line('when your token is called.');
+  ticket.feed(3).cut();
+
+  return ticket.toBuffer();
+}
+
+function renderKitchenTicket(order, { columns = DEFAULT_COLUMNS } = {}) {
+  const ticket = escpos({ columns });
+
+  ticket.align('center').bold(true).line('KITCHEN ORDER TICKET');
+  ticket.size(2, 2).line(tokenText(order)).size(1, 1).bold(false);
+  ticket.reset().rule();
+  ticket.row(`Order #${order.order_id}`, order.formatted_time || '');
+  ticket.bold(true).row('Pickup', pickupText(order)).bold(false);
+  ticket.rule('=');
+
+  order.items.forEach((item) => {
+    ticket.bold(true).size(1, 2).line(`${item.quantity} x ${itemName(item)}`).size(1, 1).bold(false);
+    if (item.modifiers && item.modifiers.length) {
+      item.modifiers.forEach((modifier) => ticket.line(`    + ${modifier.name}`));
+    }
+    if (item.instructions) {
+      ticket.bold(true).line(`    NOTE: ${item.instructions}`).bold(false);
+    }
+  });
+
+  ticket.rule('=');
+  ticket.feed(3).cut();
+
+  return ticket.toBuffer();
+}
+
+module.exports = { renderReceipt, renderKitchenTicket };
@@ -0,0 +1,61 @@
+// test_coupons.js - Coupon discounts are capped, and usage limits hold even when
+// customers check out at the same moment. Needs the server running; see
+// test_support.js.
+
+const { db, RUN_ID, check, api, createUser, createProduct, trackCoupon, fillCart, checkout, requireOpenCanteen, run } = require('./test_support');
+
+run('Testing coupons...', async () => {
+  await requireOpenCanteen();
+  const admin = await createUser({ admin: true });
+  const [first, second, small] = [await createUser(), await createUser(), await createUser()];
+  const meal = await createProduct({ price: 100 });
+  const snack = await createProduct({ price: 30 });
+  const code = `T${RUN_ID}`.toUpperCase();
+
+  console.log('1. Creating a single-use coupon...');
+  const coupon = {
+    code,
+    discount_type: 'percent',
+    discount_value: 50,
+    max_discount: 20,
+    min_cart_value: 50,
+    usage_limit: 1,
+    per_user_limit: 1
+  };
+  const denied = await api('/admin/coupons', { token: first.token, method: 'POST', body: coupon });
+  check(denied.status === 403, "Customers can't create coupons", denied);
+  const createdCoupon = await api('/admin/coupons', { token: admin.token, method: 'POST', body: coupon });
+  check(createdCoupon.status === 201, 'An admin creates the coupon', createdCoupon);
+  trackCoupon(createdCoupon.data.coupon_id);
+
+  console.log('\n2. Applying it...');
+  await fillCart(first, meal);
+  await fillCart(second, meal);
+  await fillCart(small, snack);
+  const applyFirst = await api('/cart/coupon', { token: first.token, method: 'POST', body: { code } });
+  check(applyFirst.status === 200 && applyFirst.data.discount === '20.00', '50% off ₹100 is capped at ₹20', applyFirst);
+  const applySecond = await api('/cart/coupon', { token: second.token, method: 'POST', body: { code } });
+  check(applySecond.status === 200, 'A second customer can hold it before anyone redeems it', applySecond);
+  const applySmall = await api('/cart/coupon', { token: small.token, method: 'POST', body: { code } });
+  check(applySmall.status === 400, 'A cart below the minimum value is refused', applySmall);
+
+  console.log('\n3. Both check out at once...');
+  const results = await Promise.all([checkout(first), checkout(second)]);
+  const placed = results.filter((res) => res.status === 201);
+  check(placed.length === 1 && placed[0].data.discount === '20.00', 'One order gets the discount', results.map((res) => res.data));
+  check(results.some((res) => res.status === 409 && res.data.coupon_error), 'The other is told the coupon is used up', results.map((res) => res.data));
+
+  const [redeemed] = await db.query(
+    'SELECT order_id, discount_amount FROM orders WHERE coupon_id = ?',
+    [createdCoupon.data.coupon_id]
+  );
+  check(redeemed.length === 1 && parseFloat(redeemed[0].discount_amount).toFixed(2) === '20.00',
+    'The coupon is redeemed once, for ₹20', redeemed);
+
+  console.log('\n4. Cancelling the redeemed order...');
+  const winner = results.indexOf(placed[0]) === 0 ? first : second;
+  const loser = winner === first ? second : first;
+  await api(`/orders/${placed[0].data.order_id}/cancel`, { token: winner.token, method: 'POST' });
+  const retry = await checkout(loser);
+  check(retry.status === 201 && retry.data.discount === '20.00', 'A cancelled redemption frees the coupon', retry);
+});
@@ -0,0 +1,44 @@
+// test_order_idempotency.js - Checkout retries with the same Idempotency-Key
+// place one order. Needs the server running; see test_support.js.
+
+const { db, check, createUser, createProduct, fillCart, checkout, newIdempotencyKey, requireOpenCanteen, run } = require('./test_support');
+
+run('Testing idempotent checkout...', async () => {
+  await requireOpenCanteen();
+  const customer = await createUser();
+  const item_id = await createProduct({ price: 40 });
+
+  console.log('1. Same key sent twice at once...');
+  await fillCart(customer, item_id, 2);
+  const key = newIdempotencyKey();
+  const [first, second] = await Promise.all([
+    checkout(customer, { key }),
+    checkout(customer, { key })
+  ]);
+  check([first.status, second.status].every((status) => status === 200 || status === 201),
+    'Both requests succeed', [first, second]);
+  check(first.data.order_id && first.data.order_id === second.data.order_id,
+    'Both return the same order', [first.data.order_id, second.data.order_id]);
+  check([first.data, second.data].filter((data) => data.replayed).length === 1,
+    'Exactly one of them is a replay');
+
+  const [orders] = await db.query('SELECT order_id FROM orders WHERE user_id = ? AND idempotency_key = ?', [customer.user_id, key]);
+  check(orders.length === 1, 'One order row for the key', orders);
+
+  console.log('\n2. Same key retried later...');
+  const retry = await checkout(customer, { key });
+  check(retry.status === 200 && retry.data.replayed && retry.data.order_id === first.data.order_id,
+    'A later retry replays the original order', retry);
+  check(retry.data.total === first.data.total, 'The replay reports the same total', [retry.data.total, first.data.total]);
+
+  console.log('\n3. A new key with the cart already checked out...');
+  const fresh = await checkout(customer, { key: newIdempotencyKey() });
+  check(fresh.status === 400, 'A new key does not place a second order from an empty cart', fresh);
+
+  console.log('\n4. Malformed keys...');
+  const bad = await checkout(customer, { key: 'bad key!' });
+  check(bad.status === 400, 'A malformed Idempotency-Key is rejected', bad);
+
+  const [all] = await db.query('SELECT COUNT(*) AS n FROM orders WHERE user_id = ?', [customer.user_id]);
+  check(all[0].n === 1, 'The customer has exactly one order', all[0]);
+});
@@ -0,0 +1,112 @@
+// test_payments.js - Online payment through the mock gateway: only signed
+// results are accepted, a payment is settled once however many callbacks
+// arrive and money an order can't take is refunded. Needs the server running
+// with PAYMENT_GATEWAY=mock outside production; see test_support.js.
+
+const crypto = require('crypto');
+const { db, check, api, createUser, createProduct, fillCart, checkout, requireOpenCanteen, run } = require('./test_support');
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Sign a webhook body the way the mock gateway does (needs the server's MOCK_GATEWAY_SECRET)
+function mockWebhook(payload, secret) {
+  const body = JSON.stringify({ event: `payment.${payload.status}`, payload });
+  return { body, signature: crypto.createHmac('sha256', secret).update(body).digest('hex') };
+}
+
+run('Testing online payments and webhooks...', async () => {
+  await requireOpenCanteen();
+  const methods = await api('/payments/methods');
+  if (!methods.data.gateway || methods.data.gateway.name !== 'mock') {
+    throw new Error('These checks need the mock gateway (PAYMENT_GATEWAY=mock, NODE_ENV not production)');
+  }
+
+  const customer = await createUser();
+  const stranger = await createUser();
+  const item_id = await createProduct({ price: 50 });
+
+  console.log('1. Online checkout...');
+  await fillCart(customer, item_id);
+  const order = await checkout(customer, { payment_method: 'online' });
+  check(order.status === 201 && order.data.payment, 'The order is placed with a payment intent', order);
+  const { payment_id } = order.data.payment;
+  const provider_ref = order.data.payment.client.intent;
+
+  const paymentRow = async () => (await db.query('SELECT status FROM payments WHERE payment_id = ?', [payment_id]))[0][0];
+  const orderPaid = async () => (await db.query('SELECT payment_status FROM orders WHERE order_id = ?', [order.data.order_id]))[0][0].payment_status;
+
+  console.log('\n2. Forged results...');
+  const forged = await api('/payments/webhook/mock', {
+    method: 'POST',
+    body: JSON.stringify({ event: 'payment.succeeded', payload: { provider_ref, status: 'succeeded', provider_payment_id: 'forged' } }),
+    headers: { 'x-mock-signature': 'f'.repeat(64) }
+  });
+  check(forged.status === 400, 'A webhook with a bad signature is rejected', forged);
+  const badConfirm = await api(`/payments/${payment_id}/confirm`, {
+    token: customer.token,
+    method: 'POST',
+    body: { provider_payment_id: 'forged', signature: 'f'.repeat(64) }
+  });
+  check(badConfirm.status === 400, 'A confirmation with a bad signature is rejected', badConfirm);
+  check((await paymentRow()).status === 'created' && !(await orderPaid()), 'The order is still unpaid');
+
+  console.log('\n3. Paying...');
+  const paid = await api(`/payments/mock/${provider_ref}/pay`, { token: customer.token, method: 'POST', body: { outcome: 'success' } });
+  check(paid.status === 200 && paid.data.signature, 'The mock gateway returns a signed result', paid);
+  const strangerConfirm = await api(`/payments/${payment_id}/confirm`, { token: stranger.token, method: 'POST', body: paid.data });
+  check(strangerConfirm.status === 404, "Another customer can't confirm the payment", strangerConfirm);
+  const confirm = await api(`/payments/${payment_id}/confirm`, { token: customer.token, method: 'POST', body: paid.data });
+  check(confirm.status === 200 && confirm.data.payment_status === 'succeeded', 'The signed result is accepted', confirm);
+  check(Boolean(await orderPaid()), 'The order is marked paid');
+
+  console.log('\n4. Repeated callbacks...');
+  const again = await api(`/payments/${payment_id}/confirm`, { token: customer.token, method: 'POST', body: paid.data });
+  check(again.status === 200 && again.data.payment_status === 'succeeded', 'Confirming twice is harmless', again);
+  await wait(500); // the mock gateway's own webhook follows the browser result
+
+  if (process.env.MOCK_GATEWAY_SECRET) {
+    const late = mockWebhook({ provider_ref, status: 'failed', reason: 'Late failure' }, process.env.MOCK_GATEWAY_SECRET);
+    const lateRes = await api('/payments/webhook/mock', { method: 'POST', body: late.body, headers: { 'x-mock-signature': late.signature } });
+    check(lateRes.status === 200, 'A signed webhook is accepted', lateRes);
+    check((await paymentRow()).status === 'succeeded', 'A later failure does not undo a settled payment');
+  } else {
+    console.log('⚠️  MOCK_GATEWAY_SECRET is not set here, so signed webhooks are not sent');
+  }
+
+  const [payments] = await db.query(
+    "SELECT COUNT(*) AS n, COALESCE(SUM(amount), 0) AS total FROM payments WHERE order_id = ? AND status = 'succeeded'",
+    [order.data.order_id]
+  );
+  check(payments[0].n === 1 && parseFloat(payments[0].total).toFixed(2) === order.data.total,
+    'The order has one successful payment for its total', payments[0]);
+
+  console.log('\n5. Paying a paid order...');
+  const intent = await api('/payments/intent', { token: customer.token, method: 'POST', body: { order_id: order.data.order_id } });
+  check(intent.status === 409, 'No new intent for a paid order', intent);
+
+  console.log('\n6. Paying a superseded intent...');
+  await fillCart(customer, item_id);
+  const second = await checkout(customer, { payment_method: 'online' });
+  const stale = second.data.payment;
+  const fresh = await api('/payments/intent', { token: customer.token, method: 'POST', body: { order_id: second.data.order_id } });
+  check(fresh.status === 201, 'A new intent replaces the first', fresh);
+  const stalePaid = await api(`/payments/mock/${stale.client.intent}/pay`, { token: customer.token, method: 'POST', body: { outcome: 'success' } });
+  const staleConfirm = await api(`/payments/${stale.payment_id}/confirm`, { token: customer.token, method: 'POST', body: stalePaid.data });
+  check(staleConfirm.status === 200 && !staleConfirm.data.success, 'The superseded intent does not settle the order', staleConfirm);
+  await wait(500);
+  const [staleRefunds] = await db.query('SELECT status FROM refunds WHERE payment_id = ?', [stale.payment_id]);
+  check(staleRefunds.length === 1, 'The money it took is refunded', staleRefunds);
+
+  const freshPaid = await api(`/payments/mock/${fresh.data.payment.client.intent}/pay`, { token: customer.token, method: 'POST', body: { outcome: 'success' } });
+  const freshConfirm = await api(`/payments/${fresh.data.payment.payment_id}/confirm`, { token: customer.token, method: 'POST', body: freshPaid.data });
+  check(freshConfirm.status === 200 && freshConfirm.data.success, 'The current intent settles it', freshConfirm);
+  await wait(500);
+
+  console.log('\n7. Replaying a refunded payment...');
+  const cancel = await api(`/orders/${second.data.order_id}/cancel`, { token: customer.token, method: 'POST' });
+  check(cancel.status === 200 && cancel.data.refund && cancel.data.refund.method === 'gateway', 'Cancelling refunds the gateway payment', cancel);
+  const replay = await api(`/payments/${fresh.data.payment.payment_id}/confirm`, { token: customer.token, method: 'POST', body: freshPaid.data });
+  check(replay.status === 200 && replay.data.payment_status !== 'succeeded', 'A replayed success does not revive it', replay);
+  const [refunds] = await db.query('SELECT payment_id FROM refunds WHERE order_id = ?', [second.data.order_id]);
+  check(refunds.length === 2, 'Each captured payment has its own refund', refunds);
+});
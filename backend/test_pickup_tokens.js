@@ -0,0 +1,38 @@
+// test_pickup_tokens.js - Orders placed at the same moment get distinct,
+// consecutive pickup tokens from the day's counter. Needs the server running;
+// see test_support.js.
+
+const { db, check, createUser, createProduct, fillCart, checkout, requireOpenCanteen, run } = require('./test_support');
+
+const CUSTOMERS = 5;
+
+run('Testing pickup token allocation...', async () => {
+  await requireOpenCanteen();
+  const item_id = await createProduct({ price: 20 });
+  const customers = [];
+  for (let i = 0; i < CUSTOMERS; i++) {
+    const customer = await createUser();
+    await fillCart(customer, item_id);
+    customers.push(customer);
+  }
+
+  console.log(`1. ${CUSTOMERS} checkouts at once...`);
+  const results = await Promise.all(customers.map((customer) => checkout(customer)));
+  check(results.every((res) => res.status === 201), 'Every order is placed', results.map((res) => res.status));
+
+  const tokens = results.map((res) => res.data.token_number).sort((a, b) => a - b);
+  check(new Set(tokens).size === CUSTOMERS, 'No two orders share a token', tokens);
+  check(tokens.every((token, i) => i === 0 || token === tokens[i - 1] + 1), 'The tokens are consecutive', tokens);
+
+  console.log('\n2. Stored tokens and the counter...');
+  const [orders] = await db.query(
+    'SELECT token_number, token_date FROM orders WHERE order_id IN (?)',
+    [results.map((res) => res.data.order_id)]
+  );
+  check(orders.every((order) => tokens.includes(order.token_number)), 'Orders store the tokens they were given', orders);
+
+  const token_date = orders[0].token_date;
+  const [counters] = await db.query('SELECT last_token FROM daily_token_counters WHERE token_date = ?', [token_date]);
+  check(counters.length === 1 && counters[0].last_token >= tokens[tokens.length - 1],
+    "The day's counter is at or past the highest token", counters);
+});
@@ -0,0 +1,62 @@
+// test_refunds.js - Cancelling a paid order refunds it exactly once: wallet
+// payments straight back to the wallet, cash through the counter. Needs the
+// server running; see test_support.js.
+
+const { db, check, api, createUser, createProduct, fillCart, checkout, requireOpenCanteen, run } = require('./test_support');
+
+run('Testing cancellations and refunds...', async () => {
+  await requireOpenCanteen();
+  const admin = await createUser({ admin: true });
+  const customer = await createUser();
+  const item_id = await createProduct({ price: 45 });
+
+  const walletBalance = async () => (await api('/wallet', { token: customer.token })).data.balance;
+  const refundsFor = async (order_id) => (await db.query('SELECT * FROM refunds WHERE order_id = ?', [order_id]))[0];
+
+  console.log('1. Wallet order...');
+  await api(`/admin/wallets/${customer.user_id}/topup`, { token: admin.token, method: 'POST', body: { amount: 200 } });
+  await fillCart(customer, item_id);
+  const walletOrder = await checkout(customer, { payment_method: 'wallet' });
+  check(walletOrder.status === 201, 'The wallet order is placed', walletOrder);
+
+  const cancel = await api(`/orders/${walletOrder.data.order_id}/cancel`, { token: customer.token, method: 'POST', body: { reason: 'Test' } });
+  check(cancel.status === 200 && cancel.data.refund && cancel.data.refund.method === 'wallet' && cancel.data.refund.status === 'succeeded',
+    'Cancelling refunds the wallet straight away', cancel);
+  check(cancel.data.refund && cancel.data.refund.amount === walletOrder.data.total, 'The full amount is refunded', cancel.data.refund);
+  check(await walletBalance() === '200.00', 'The balance is back to what it was');
+
+  const cancelAgain = await api(`/orders/${walletOrder.data.order_id}/cancel`, { token: customer.token, method: 'POST' });
+  check(cancelAgain.status === 409, 'A cancelled order cannot be cancelled again', cancelAgain);
+  check((await refundsFor(walletOrder.data.order_id)).length === 1, 'One refund row for the order');
+  const [credits] = await db.query(
+    "SELECT COUNT(*) AS n FROM wallet_transactions WHERE order_id = ? AND type = 'refund'",
+    [walletOrder.data.order_id]
+  );
+  check(credits[0].n === 1, 'One refund entry in the ledger', credits[0]);
+  const [walletPayments] = await db.query('SELECT status FROM payments WHERE order_id = ?', [walletOrder.data.order_id]);
+  check(walletPayments.every((payment) => payment.status === 'refunded'), 'The payment is marked refunded', walletPayments);
+
+  console.log('\n2. Unpaid counter order...');
+  await fillCart(customer, item_id);
+  const unpaid = await checkout(customer);
+  const unpaidCancel = await api(`/orders/${unpaid.data.order_id}/cancel`, { token: customer.token, method: 'POST' });
+  check(unpaidCancel.status === 200 && unpaidCancel.data.refund === null, 'Nothing to refund on an unpaid order', unpaidCancel);
+  const [open] = await db.query("SELECT COUNT(*) AS n FROM payments WHERE order_id = ? AND status = 'pending'", [unpaid.data.order_id]);
+  check(open[0].n === 0, 'Its pending counter payment is closed', open[0]);
+
+  console.log('\n3. Counter order paid in cash...');
+  await fillCart(customer, item_id);
+  const cash = await checkout(customer);
+  const collect = await api(`/admin/orders/${cash.data.order_id}/payment/collect`, { token: admin.token, method: 'POST' });
+  check(collect.status === 200, 'Staff record the cash payment', collect);
+  const cashCancel = await api(`/orders/${cash.data.order_id}/cancel`, { token: customer.token, method: 'POST' });
+  check(cashCancel.data.refund && cashCancel.data.refund.method === 'cash' && cashCancel.data.refund.status === 'pending',
+    'The cash refund waits for the counter', cashCancel);
+
+  const { refund_id } = cashCancel.data.refund || {};
+  const handBack = await api(`/admin/refunds/${refund_id}/process`, { token: admin.token, method: 'POST' });
+  check(handBack.status === 200 && handBack.data.status === 'succeeded', 'Staff hand the cash back', handBack);
+  const handBackAgain = await api(`/admin/refunds/${refund_id}/process`, { token: admin.token, method: 'POST' });
+  check(handBackAgain.status === 409, 'A refund is only handed back once', handBackAgain);
+  check(await walletBalance() === '200.00', 'Cash refunds leave the wallet alone');
+});
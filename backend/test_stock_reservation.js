@@ -0,0 +1,53 @@
+// test_stock_reservation.js - Checkout takes tracked stock without overselling,
+// a sold-out item comes off the menu and a cancelled order puts its units back.
+// Needs the server running; see test_support.js.
+
+const { db, check, api, createUser, createProduct, fillCart, checkout, requireOpenCanteen, run } = require('./test_support');
+
+run('Testing stock reservation...', async () => {
+  await requireOpenCanteen();
+  const admin = await createUser({ admin: true });
+  const [first, second, third] = [await createUser(), await createUser(), await createUser()];
+  const item_id = await createProduct({ price: 25, stock: 3 });
+
+  const product = async () => (await db.query(
+    'SELECT title, category, price, available, stock_quantity, sold_out_at FROM products WHERE item_id = ?',
+    [item_id]
+  ))[0][0];
+
+  console.log('1. Two checkouts for more than is left...');
+  await fillCart(first, item_id, 2);
+  await fillCart(second, item_id, 2);
+  const results = await Promise.all([checkout(first), checkout(second)]);
+  const placed = results.filter((res) => res.status === 201);
+  check(placed.length === 1, 'Only one of them is placed', results.map((res) => res.status));
+  check(results.some((res) => res.status === 409), 'The other is told the item is short', results.map((res) => res.data.error));
+  check((await product()).stock_quantity === 1, 'One unit is left', await product());
+
+  console.log('\n2. Selling the last unit...');
+  await fillCart(third, item_id, 1);
+  const last = await checkout(third);
+  check(last.status === 201, 'The last unit sells', last);
+  const soldOut = await product();
+  check(soldOut.stock_quantity === 0 && !soldOut.available && soldOut.sold_out_at, 'The item is sold out and off the menu', soldOut);
+  const more = await api('/cart', { token: first.token, method: 'POST', body: { item_id, quantity: 1 } });
+  check(more.status === 404, "A sold-out item can't be added to a cart", more);
+
+  console.log('\n3. Cancelling a placed order...');
+  const winner = results.indexOf(placed[0]) === 0 ? first : second;
+  const cancel = await api(`/orders/${placed[0].data.order_id}/cancel`, { token: winner.token, method: 'POST' });
+  check(cancel.status === 200, 'The order is cancelled', cancel);
+  const restocked = await product();
+  check(restocked.stock_quantity === 2 && restocked.available && !restocked.sold_out_at,
+    'Its units are back on sale', restocked);
+
+  console.log('\n4. Editing the product...');
+  const edit = await api(`/admin/products/${item_id}`, {
+    token: admin.token,
+    method: 'PUT',
+    body: { title: restocked.title, category: restocked.category, price: restocked.price }
+  });
+  check(edit.status === 200, 'An admin edit without `available` is saved', edit);
+  const edited = await product();
+  check(edited.available && edited.stock_quantity === 2, 'The edit keeps the item on sale with its stock', edited);
+});
@@ -0,0 +1,157 @@
+// test_support.js - Shared setup for the checkout and money test scripts
+//
+// The test_*.js scripts that use this talk to a running server (npm start) and
+// to the same database (.env). Each run creates its own customers, admin,
+// products and coupons, and cleanup() deletes them again along with their
+// orders. A failed check makes the script exit with code 1.
+//
+//   TEST_API_BASE   server to test, default http://localhost:5000/api
+//
+// Orders are only accepted while the canteen is open, so run them during
+// opening hours (or with today's hours widened) and with ordering not paused.
+
+const db = require('./db'); // loads .env first
+const jwt = require('jsonwebtoken');
+
+const API_BASE = process.env.TEST_API_BASE || 'http://localhost:5000/api';
+const JWT_SECRET = process.env.JWT_SECRET || 'fallback_secret_change_in_production';
+const RUN_ID = `${Date.now().toString(36)}${Math.floor(Math.random() * 1000)}`;
+
+const created = { users: [], products: [], coupons: [] };
+let failures = 0;
+
+function check(condition, message, detail) {
+  if (condition) {
+    console.log(`✅ ${message}`);
+  } else {
+    failures += 1;
+    console.log(`❌ ${message}`);
+    if (detail !== undefined) console.log('   ', JSON.stringify(detail));
+  }
+  return condition;
+}
+
+// Call the API; resolves to { status, data } for any HTTP status
+async function api(path, { token, method = 'GET', body, headers = {} } = {}) {
+  const { default: fetch } = await import('node-fetch');
+  const res = await fetch(API_BASE + path, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: 'Bearer ' + token } : {}),
+      ...headers
+    },
+    body: body === undefined ? undefined : (typeof body === 'string' ? body : JSON.stringify(body))
+  });
+  const text = await res.text();
+  let data = text;
+  try { data = JSON.parse(text); } catch (_) { /* not JSON */ }
+  return { status: res.status, data };
+}
+
+// A throwaway account with a signed login token, like POST /api/auth/login gives
+async function createUser({ admin = false } = {}) {
+  const email = `test-${RUN_ID}-${created.users.length + 1}@example.test`;
+  const [result] = await db.query(
+    'INSERT INTO users (name, email, password_hash, is_admin) VALUES (?, ?, ?, ?)',
+    [admin ? 'Test Admin' : 'Test Customer', email, '!', admin ? 1 : 0]
+  );
+  created.users.push(result.insertId);
+  const token = jwt.sign({ user_id: result.insertId, is_admin: admin ? 1 : 0, email }, JWT_SECRET, { expiresIn: '1h' });
+  return { user_id: result.insertId, email, token };
+}
+
+// A product on sale at `price`; pass `stock` to track stock
+async function createProduct({ price, stock = null, category = 'Test' }) {
+  const [result] = await db.query(
+    'INSERT INTO products (title, category, price, available, stock_quantity) VALUES (?, ?, ?, 1, ?)',
+    [`Test item ${RUN_ID}-${created.products.length + 1}`, category, price, stock]
+  );
+  created.products.push(result.insertId);
+  return result.insertId;
+}
+
+function trackCoupon(coupon_id) {
+  created.coupons.push(coupon_id);
+}
+
+// Empty the customer's cart and put `quantity` of a product in it
+async function fillCart(user, item_id, quantity = 1) {
+  await api('/cart', { token: user.token, method: 'DELETE' });
+  const res = await api('/cart', { token: user.token, method: 'POST', body: { item_id, quantity } });
+  if (res.status !== 200 && res.status !== 201) {
+    throw new Error(`Could not add item ${item_id} to the cart: ${res.status} ${JSON.stringify(res.data)}`);
+  }
+}
+
+function checkout(user, { payment_method = 'counter', key } = {}) {
+  return api('/order', {
+    token: user.token,
+    method: 'POST',
+    body: { payment_method },
+    headers: key ? { 'Idempotency-Key': key } : {}
+  });
+}
+
+function newIdempotencyKey() {
+  return `test-${RUN_ID}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Stop early, with a reason, when the server can't take orders right now
+async function requireOpenCanteen() {
+  const { status, data } = await api('/canteen/status');
+  if (status !== 200) {
+    throw new Error(`Server not reachable at ${API_BASE} (status ${status})`);
+  }
+  if (!data.open) {
+    throw new Error(`The canteen is not taking orders right now: ${data.message || data.reason}`);
+  }
+}
+
+async function cleanup() {
+  if (created.users.length) {
+    await db.query('DELETE FROM orders WHERE user_id IN (?)', [created.users]);
+  }
+  if (created.coupons.length) {
+    await db.query('DELETE FROM coupons WHERE coupon_id IN (?)', [created.coupons]);
+  }
+  if (created.users.length) {
+    await db.query('DELETE FROM users WHERE user_id IN (?)', [created.users]);
+  }
+  if (created.products.length) {
+    await db.query('DELETE FROM products WHERE item_id IN (?)', [created.products]);
+  }
+}
+
+// Run a test body with setup errors reported, cleanup always done and the
+// exit code set from the checks
+async function run(title, body) {
+  console.log(`🧪 ${title}\n`);
+  try {
+    await body();
+  } catch (error) {
+    failures += 1;
+    console.error('❌ Test failed:', error.message);
+  } finally {
+    await cleanup().catch((error) => console.error('⚠️  Cleanup failed:', error.message));
+    await db.end().catch(() => {});
+  }
+
+  console.log(failures ? `\n❌ ${failures} check(s) failed` : '\n🎯 All checks passed');
+  process.exitCode = failures ? 1 : 0;
+}
+
+module.exports = {
+  db,
+  RUN_ID,
+  check,
+  api,
+  createUser,
+  createProduct,
+  trackCoupon,
+  fillCart,
+  checkout,
+  newIdempotencyKey,
+  requireOpenCanteen,
+  run
+};
@@ -0,0 +1,69 @@
+// test_wallet_ledger.js - Wallet top-ups, adjustments and order debits keep the
+// balance equal to the ledger and never below zero. Needs the server running;
+// see test_support.js.
+
+const { db, check, api, createUser, createProduct, fillCart, checkout, requireOpenCanteen, run } = require('./test_support');
+
+run('Testing the wallet ledger...', async () => {
+  await requireOpenCanteen();
+  const admin = await createUser({ admin: true });
+  const customer = await createUser();
+  const cheap = await createProduct({ price: 30 });
+  const dear = await createProduct({ price: 500 });
+
+  // Stored balance, ledger sum and the newest entry's balance_after must agree
+  async function ledgerAgrees(label) {
+    const [[wallet]] = await db.query('SELECT balance FROM wallets WHERE user_id = ?', [customer.user_id]);
+    const [[ledger]] = await db.query(
+      'SELECT COALESCE(SUM(amount), 0) AS total, COUNT(*) AS entries FROM wallet_transactions WHERE user_id = ?',
+      [customer.user_id]
+    );
+    const [last] = await db.query(
+      'SELECT balance_after FROM wallet_transactions WHERE user_id = ? ORDER BY txn_id DESC LIMIT 1',
+      [customer.user_id]
+    );
+    const balance = parseFloat(wallet.balance).toFixed(2);
+    check(balance === parseFloat(ledger.total).toFixed(2) && balance === parseFloat(last[0].balance_after).toFixed(2),
+      `${label}: balance matches the ledger`, { balance, ledger: ledger.total, balance_after: last[0].balance_after });
+    return balance;
+  }
+
+  console.log('1. Top-ups and adjustments...');
+  const topup = await api(`/admin/wallets/${customer.user_id}/topup`, { token: admin.token, method: 'POST', body: { amount: 100 } });
+  check(topup.status === 201 && topup.data.balance === '100.00', 'A ₹100 top-up is credited', topup);
+  const tooBig = await api(`/admin/wallets/${customer.user_id}/topup`, { token: admin.token, method: 'POST', body: { amount: 100000 } });
+  check(tooBig.status === 400, 'An oversized top-up is refused', tooBig);
+  const noReason = await api(`/admin/wallets/${customer.user_id}/adjust`, { token: admin.token, method: 'POST', body: { amount: -10 } });
+  check(noReason.status === 400, 'An adjustment without a reason is refused', noReason);
+  const adjust = await api(`/admin/wallets/${customer.user_id}/adjust`, { token: admin.token, method: 'POST', body: { amount: -10, note: 'Test correction' } });
+  check(adjust.status === 201 && adjust.data.balance === '90.00', 'A -₹10 adjustment is debited', adjust);
+  const overdraw = await api(`/admin/wallets/${customer.user_id}/adjust`, { token: admin.token, method: 'POST', body: { amount: -1000, note: 'Too much' } });
+  check(overdraw.status === 402, "An adjustment can't take the balance below zero", overdraw);
+  const student = await api(`/admin/wallets/${customer.user_id}/topup`, { token: customer.token, method: 'POST', body: { amount: 100 } });
+  check(student.status === 403, "Customers can't top up wallets", student);
+  await ledgerAgrees('After the desk entries');
+
+  console.log('\n2. Paying for an order...');
+  await fillCart(customer, cheap);
+  const order = await checkout(customer, { payment_method: 'wallet' });
+  check(order.status === 201, 'The wallet order is placed', order);
+  const expected = (90 - parseFloat(order.data.total)).toFixed(2);
+  check(order.data.wallet_balance === expected, 'The order total is debited', { expected, got: order.data.wallet_balance });
+  const [debits] = await db.query(
+    "SELECT amount FROM wallet_transactions WHERE user_id = ? AND type = 'debit' AND order_id = ?",
+    [customer.user_id, order.data.order_id]
+  );
+  check(debits.length === 1 && (-parseFloat(debits[0].amount)).toFixed(2) === order.data.total,
+    'One debit entry for the order', debits);
+  await ledgerAgrees('After the order');
+
+  console.log('\n3. A short balance...');
+  await fillCart(customer, dear);
+  const short = await checkout(customer, { payment_method: 'wallet' });
+  check(short.status === 402, 'An order the balance does not cover is refused', short);
+  const [orders] = await db.query('SELECT COUNT(*) AS n FROM orders WHERE user_id = ?', [customer.user_id]);
+  check(orders[0].n === 1, 'No order is left behind by the refused checkout', orders[0]);
+  const statement = await api('/wallet', { token: customer.token });
+  check(statement.data.balance === expected, 'The balance is unchanged', statement.data.balance);
+  await ledgerAgrees('After the refused order');
+});
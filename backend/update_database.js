@@ -50,6 +50,745 @@ async function updateDatabase() {
     }
     console.log('✅ Inserted default categories');
 
+    // Idempotency key on orders so checkout retries return the original order
+    try {
+      await db.query('ALTER TABLE orders ADD COLUMN idempotency_key VARCHAR(64) NULL');
+      console.log('✅ Added idempotency_key column to orders table');
+    } catch (error) {
+      if (error.code === 'ER_DUP_FIELDNAME') {
+        console.log('ℹ️  idempotency_key column already exists');
+      } else {
+        console.log('⚠️  Error adding idempotency_key column:', error.message);
+      }
+    }
+
+    try {
+      await db.query('ALTER TABLE orders ADD UNIQUE KEY uniq_order_idempotency (user_id, idempotency_key)');
+      console.log('✅ Added unique idempotency index to orders table');
+    } catch (error) {
+      if (error.code === 'ER_DUP_KEYNAME') {
+        console.log('ℹ️  Idempotency index already exists');
+      } else {
+        console.log('⚠️  Error adding idempotency index:', error.message);
+      }
+    }
+
+    // Order status history for the status workflow timeline
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS order_status_history (
+          history_id INT AUTO_INCREMENT PRIMARY KEY,
+          order_id INT NOT NULL,
+          from_status VARCHAR(50) NULL,
+          to_status VARCHAR(50) NOT NULL,
+          changed_by INT NULL,
+          note VARCHAR(255) NULL,
+          changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+          FOREIGN KEY (changed_by) REFERENCES users(user_id) ON DELETE SET NULL,
+          INDEX idx_history_order (order_id)
+        )
+      `);
+      console.log('✅ Created/verified order_status_history table');
+    } catch (error) {
+      console.log('⚠️  Error creating order_status_history table:', error.message);
+    }
+
+    // Daily pickup tokens on orders
+    const tokenColumns = [
+      ['token_date', 'ALTER TABLE orders ADD COLUMN token_date DATE NULL'],
+      ['token_number', 'ALTER TABLE orders ADD COLUMN token_number INT NULL']
+    ];
+    for (const [column, sql] of tokenColumns) {
+      try {
+        await db.query(sql);
+        console.log(`✅ Added ${column} column to orders table`);
+      } catch (error) {
+        if (error.code === 'ER_DUP_FIELDNAME') {
+          console.log(`ℹ️  ${column} column already exists`);
+        } else {
+          console.log(`⚠️  Error adding ${column} column:`, error.message);
+        }
+      }
+    }
+
+    try {
+      await db.query('ALTER TABLE orders ADD UNIQUE KEY uniq_order_token (token_date, token_number)');
+      console.log('✅ Added unique token index to orders table');
+    } catch (error) {
+      if (error.code === 'ER_DUP_KEYNAME') {
+        console.log('ℹ️  Token index already exists');
+      } else {
+        console.log('⚠️  Error adding token index:', error.message);
+      }
+    }
+
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS daily_token_counters (
+          token_date DATE PRIMARY KEY,
+          last_token INT NOT NULL DEFAULT 0
+        )
+      `);
+      console.log('✅ Created/verified daily_token_counters table');
+    } catch (error) {
+      console.log('⚠️  Error creating daily_token_counters table:', error.message);
+    }
+
+    try {
+      await db.query("ALTER TABLE orders ADD COLUMN payment_method VARCHAR(20) DEFAULT 'counter'");
+      console.log('✅ Added payment_method column to orders table');
+    } catch (error) {
+      if (error.code === 'ER_DUP_FIELDNAME') {
+        console.log('ℹ️  payment_method column already exists');
+      } else {
+        console.log('⚠️  Error adding payment_method column:', error.message);
+      }
+    }
+
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS payments (
+          payment_id INT AUTO_INCREMENT PRIMARY KEY,
+          order_id INT NOT NULL,
+          user_id INT NULL,
+          method VARCHAR(20) NOT NULL,
+          provider VARCHAR(20) NOT NULL,
+          provider_ref VARCHAR(100) NULL,
+          provider_payment_id VARCHAR(100) NULL,
+          amount DECIMAL(10,2) NOT NULL,
+          currency CHAR(3) DEFAULT 'INR',
+          status ENUM('created','pending','succeeded','failed','cancelled') DEFAULT 'created',
+          failure_reason VARCHAR(255) NULL,
+          recorded_by INT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+          FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE SET NULL,
+          FOREIGN KEY (recorded_by) REFERENCES users(user_id) ON DELETE SET NULL,
+          UNIQUE KEY uniq_payment_provider_ref (provider, provider_ref),
+          INDEX idx_payments_order (order_id)
+        )
+      `);
+      console.log('✅ Created/verified payments table');
+    } catch (error) {
+      console.log('⚠️  Error creating payments table:', error.message);
+    }
+
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS wallets (
+          user_id INT PRIMARY KEY,
+          balance DECIMAL(10,2) NOT NULL DEFAULT 0,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+        )
+      `);
+      console.log('✅ Created/verified wallets table');
+
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS wallet_transactions (
+          txn_id INT AUTO_INCREMENT PRIMARY KEY,
+          user_id INT NOT NULL,
+          type ENUM('topup','debit','refund','adjustment') NOT NULL,
+          amount DECIMAL(10,2) NOT NULL,
+          balance_after DECIMAL(10,2) NOT NULL,
+          order_id INT NULL,
+          note VARCHAR(255) NULL,
+          created_by INT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+          FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE SET NULL,
+          FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL,
+          INDEX idx_wallet_txn_user (user_id, txn_id)
+        )
+      `);
+      console.log('✅ Created/verified wallet_transactions table');
+    } catch (error) {
+      console.log('⚠️  Error creating wallet tables:', error.message);
+    }
+
+    try {
+      await db.query("ALTER TABLE payments MODIFY COLUMN status ENUM('created','pending','succeeded','failed','cancelled','refunded') DEFAULT 'created'");
+      console.log('✅ Added refunded status to payments table');
+    } catch (error) {
+      console.log('⚠️  Error updating payments status column:', error.message);
+    }
+
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS refunds (
+          refund_id INT AUTO_INCREMENT PRIMARY KEY,
+          order_id INT NOT NULL,
+          payment_id INT NULL,
+          user_id INT NULL,
+          amount DECIMAL(10,2) NOT NULL,
+          method VARCHAR(20) NOT NULL,
+          status ENUM('pending','succeeded','failed') DEFAULT 'pending',
+          provider_refund_id VARCHAR(100) NULL,
+          reason VARCHAR(255) NULL,
+          failure_reason VARCHAR(255) NULL,
+          created_by INT NULL,
+          processed_by INT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+          FOREIGN KEY (payment_id) REFERENCES payments(payment_id) ON DELETE SET NULL,
+          FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE SET NULL,
+          FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL,
+          FOREIGN KEY (processed_by) REFERENCES users(user_id) ON DELETE SET NULL,
+          UNIQUE KEY uniq_refund_payment (payment_id),
+          INDEX idx_refunds_order (order_id)
+        )
+      `);
+      console.log('✅ Created/verified refunds table');
+    } catch (error) {
+      console.log('⚠️  Error creating refunds table:', error.message);
+    }
+
+    const stockColumns = [
+      ['stock_quantity', 'ALTER TABLE products ADD COLUMN stock_quantity INT NULL'],
+      ['daily_stock', 'ALTER TABLE products ADD COLUMN daily_stock INT NULL'],
+      ['low_stock_threshold', 'ALTER TABLE products ADD COLUMN low_stock_threshold INT DEFAULT 5'],
+      ['sold_out_at', 'ALTER TABLE products ADD COLUMN sold_out_at TIMESTAMP NULL'],
+      ['stock_reset_date', 'ALTER TABLE products ADD COLUMN stock_reset_date DATE NULL']
+    ];
+    for (const [column, sql] of stockColumns) {
+      try {
+        await db.query(sql);
+        console.log(`✅ Added ${column} column to products table`);
+      } catch (error) {
+        if (error.code === 'ER_DUP_FIELDNAME') {
+          console.log(`ℹ️  ${column} column already exists`);
+        } else {
+          console.log(`⚠️  Error adding ${column} column:`, error.message);
+        }
+      }
+    }
+
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS pickup_slots (
+          slot_id INT AUTO_INCREMENT PRIMARY KEY,
+          label VARCHAR(100) NULL,
+          start_time TIME NOT NULL,
+          end_time TIME NOT NULL,
+          capacity INT NOT NULL DEFAULT 20,
+          is_active TINYINT(1) DEFAULT 1,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+        )
+      `);
+      console.log('✅ Created/verified pickup_slots table');
+    } catch (error) {
+      console.log('⚠️  Error creating pickup_slots table:', error.message);
+    }
+
+    const pickupColumns = [
+      ['pickup_slot_id', 'ALTER TABLE orders ADD COLUMN pickup_slot_id INT NULL'],
+      ['pickup_date', 'ALTER TABLE orders ADD COLUMN pickup_date DATE NULL']
+    ];
+    for (const [column, sql] of pickupColumns) {
+      try {
+        await db.query(sql);
+        console.log(`✅ Added ${column} column to orders table`);
+      } catch (error) {
+        if (error.code === 'ER_DUP_FIELDNAME') {
+          console.log(`ℹ️  ${column} column already exists`);
+        } else {
+          console.log(`⚠️  Error adding ${column} column:`, error.message);
+        }
+      }
+    }
+
+    try {
+      await db.query('ALTER TABLE orders ADD INDEX idx_orders_pickup (pickup_date, pickup_slot_id)');
+      await db.query('ALTER TABLE orders ADD FOREIGN KEY (pickup_slot_id) REFERENCES pickup_slots(slot_id) ON DELETE SET NULL');
+      console.log('✅ Added pickup slot index to orders table');
+    } catch (error) {
+      if (error.code === 'ER_DUP_KEYNAME') {
+        console.log('ℹ️  Pickup slot index already exists');
+      } else {
+        console.log('⚠️  Error adding pickup slot index:', error.message);
+      }
+    }
+
+    // Opening hours, holidays and the ordering pause switch
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS opening_hours (
+          day_of_week TINYINT PRIMARY KEY,
+          open_time TIME NULL,
+          close_time TIME NULL,
+          is_closed TINYINT(1) DEFAULT 0
+        )
+      `);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS canteen_closures (
+          closure_id INT AUTO_INCREMENT PRIMARY KEY,
+          closure_date DATE NOT NULL UNIQUE,
+          reason VARCHAR(255) NULL,
+          created_by INT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
+        )
+      `);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS canteen_settings (
+          setting_key VARCHAR(50) PRIMARY KEY,
+          setting_value TEXT NULL,
+          updated_by INT NULL,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          FOREIGN KEY (updated_by) REFERENCES users(user_id) ON DELETE SET NULL
+        )
+      `);
+      console.log('✅ Created/verified opening_hours, canteen_closures and canteen_settings tables');
+    } catch (error) {
+      console.log('⚠️  Error creating opening hours tables:', error.message);
+    }
+
+    // Default hours: Monday to Saturday, closed on Sunday. Existing rows are kept.
+    try {
+      const defaultHours = [
+        [0, null, null, 1],
+        [1, '08:30:00', '17:30:00', 0],
+        [2, '08:30:00', '17:30:00', 0],
+        [3, '08:30:00', '17:30:00', 0],
+        [4, '08:30:00', '17:30:00', 0],
+        [5, '08:30:00', '17:30:00', 0],
+        [6, '08:30:00', '14:00:00', 0]
+      ];
+      for (const row of defaultHours) {
+        await db.query(
+          'INSERT IGNORE INTO opening_hours (day_of_week, open_time, close_time, is_closed) VALUES (?, ?, ?, ?)',
+          row
+        );
+      }
+      console.log('✅ Inserted default opening hours');
+    } catch (error) {
+      console.log('⚠️  Error inserting default opening hours:', error.message);
+    }
+
+    // Product variants (sizes) and the variant chosen on cart and order lines
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS product_variants (
+          variant_id INT AUTO_INCREMENT PRIMARY KEY,
+          item_id INT NOT NULL,
+          name VARCHAR(50) NOT NULL,
+          price DECIMAL(10,2) NOT NULL,
+          sort_order INT DEFAULT 0,
+          is_active TINYINT(1) DEFAULT 1,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (item_id) REFERENCES products(item_id) ON DELETE CASCADE,
+          UNIQUE KEY uniq_variant_name (item_id, name)
+        )
+      `);
+      console.log('✅ Created/verified product_variants table');
+    } catch (error) {
+      console.log('⚠️  Error creating product_variants table:', error.message);
+    }
+
+    const variantColumns = [
+      ['cart_items', 'variant_id', 'ALTER TABLE cart_items ADD COLUMN variant_id INT NULL AFTER item_id'],
+      ['cart_items', 'variant_id foreign key', 'ALTER TABLE cart_items ADD CONSTRAINT fk_cart_items_variant FOREIGN KEY (variant_id) REFERENCES product_variants(variant_id) ON DELETE CASCADE'],
+      ['order_items', 'variant_id', 'ALTER TABLE order_items ADD COLUMN variant_id INT NULL AFTER item_id'],
+      ['order_items', 'variant_name', 'ALTER TABLE order_items ADD COLUMN variant_name VARCHAR(50) NULL AFTER variant_id'],
+      ['order_items', 'variant_id foreign key', 'ALTER TABLE order_items ADD CONSTRAINT fk_order_items_variant FOREIGN KEY (variant_id) REFERENCES product_variants(variant_id) ON DELETE SET NULL']
+    ];
+    for (const [table, column, sql] of variantColumns) {
+      try {
+        await db.query(sql);
+        console.log(`✅ Added ${column} to ${table} table`);
+      } catch (error) {
+        if (error.code === 'ER_DUP_FIELDNAME' || error.code === 'ER_DUP_KEYNAME' || error.code === 'ER_FK_DUP_NAME') {
+          console.log(`ℹ️  ${table}.${column} already exists`);
+        } else {
+          console.log(`⚠️  Error adding ${column} to ${table}:`, error.message);
+        }
+      }
+    }
+
+    // Add-on groups and options, and the add-ons chosen on cart and order lines
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS modifier_groups (
+          group_id INT AUTO_INCREMENT PRIMARY KEY,
+          item_id INT NOT NULL,
+          name VARCHAR(50) NOT NULL,
+          min_select INT DEFAULT 0,
+          max_select INT NULL,
+          sort_order INT DEFAULT 0,
+          is_active TINYINT(1) DEFAULT 1,
+          FOREIGN KEY (item_id) REFERENCES products(item_id) ON DELETE CASCADE,
+          UNIQUE KEY uniq_modifier_group (item_id, name)
+        )
+      `);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS modifier_options (
+          option_id INT AUTO_INCREMENT PRIMARY KEY,
+          group_id INT NOT NULL,
+          name VARCHAR(50) NOT NULL,
+          price DECIMAL(10,2) DEFAULT 0,
+          sort_order INT DEFAULT 0,
+          is_active TINYINT(1) DEFAULT 1,
+          FOREIGN KEY (group_id) REFERENCES modifier_groups(group_id) ON DELETE CASCADE,
+          UNIQUE KEY uniq_modifier_option (group_id, name)
+        )
+      `);
+      console.log('✅ Created/verified modifier_groups and modifier_options tables');
+    } catch (error) {
+      console.log('⚠️  Error creating modifier tables:', error.message);
+    }
+
+    const modifierColumns = [
+      ['cart_items', 'modifier_ids', 'ALTER TABLE cart_items ADD COLUMN modifier_ids VARCHAR(255) NULL AFTER variant_id'],
+      ['cart_items', 'instructions', 'ALTER TABLE cart_items ADD COLUMN instructions VARCHAR(200) NULL AFTER modifier_ids'],
+      ['order_items', 'modifiers', 'ALTER TABLE order_items ADD COLUMN modifiers TEXT NULL AFTER variant_name'],
+      ['order_items', 'instructions', 'ALTER TABLE order_items ADD COLUMN instructions VARCHAR(200) NULL AFTER modifiers']
+    ];
+    for (const [table, column, sql] of modifierColumns) {
+      try {
+        await db.query(sql);
+        console.log(`✅ Added ${column} column to ${table} table`);
+      } catch (error) {
+        if (error.code === 'ER_DUP_FIELDNAME') {
+          console.log(`ℹ️  ${table}.${column} column already exists`);
+        } else {
+          console.log(`⚠️  Error adding ${column} column to ${table}:`, error.message);
+        }
+      }
+    }
+
+    // Coupon codes, the coupon applied to a cart and the discount taken on an order
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS coupons (
+          coupon_id INT AUTO_INCREMENT PRIMARY KEY,
+          code VARCHAR(30) NOT NULL UNIQUE,
+          description VARCHAR(255) NULL,
+          discount_type ENUM('percent','flat') NOT NULL,
+          discount_value DECIMAL(10,2) NOT NULL,
+          max_discount DECIMAL(10,2) NULL,
+          min_cart_value DECIMAL(10,2) DEFAULT 0,
+          category VARCHAR(100) NULL,
+          item_id INT NULL,
+          starts_at TIMESTAMP NULL,
+          ends_at TIMESTAMP NULL,
+          usage_limit INT NULL,
+          per_user_limit INT NULL DEFAULT 1,
+          first_order_only TINYINT(1) DEFAULT 0,
+          is_active TINYINT(1) DEFAULT 1,
+          created_by INT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (item_id) REFERENCES products(item_id) ON DELETE CASCADE,
+          FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
+        )
+      `);
+      console.log('✅ Created/verified coupons table');
+    } catch (error) {
+      console.log('⚠️  Error creating coupons table:', error.message);
+    }
+
+    const couponColumns = [
+      ['carts', 'coupon_id', 'ALTER TABLE carts ADD COLUMN coupon_id INT NULL AFTER user_id'],
+      ['carts', 'coupon_id foreign key', 'ALTER TABLE carts ADD CONSTRAINT fk_carts_coupon FOREIGN KEY (coupon_id) REFERENCES coupons(coupon_id) ON DELETE SET NULL'],
+      ['orders', 'coupon_id', 'ALTER TABLE orders ADD COLUMN coupon_id INT NULL AFTER total_amount'],
+      ['orders', 'coupon_code', 'ALTER TABLE orders ADD COLUMN coupon_code VARCHAR(30) NULL AFTER coupon_id'],
+      ['orders', 'discount_amount', 'ALTER TABLE orders ADD COLUMN discount_amount DECIMAL(10,2) DEFAULT 0 AFTER coupon_code'],
+      ['orders', 'coupon_id foreign key', 'ALTER TABLE orders ADD CONSTRAINT fk_orders_coupon FOREIGN KEY (coupon_id) REFERENCES coupons(coupon_id) ON DELETE SET NULL'],
+      ['orders', 'idx_orders_coupon', 'ALTER TABLE orders ADD INDEX idx_orders_coupon (coupon_id, user_id)']
+    ];
+    for (const [table, column, sql] of couponColumns) {
+      try {
+        await db.query(sql);
+        console.log(`✅ Added ${column} to ${table} table`);
+      } catch (error) {
+        if (error.code === 'ER_DUP_FIELDNAME' || error.code === 'ER_DUP_KEYNAME' || error.code === 'ER_FK_DUP_NAME') {
+          console.log(`ℹ️  ${table}.${column} already exists`);
+        } else {
+          console.log(`⚠️  Error adding ${column} to ${table}:`, error.message);
+        }
+      }
+    }
+
+    // GST: rates and HSN/SAC codes, tax stored per order and numbered invoices
+    const taxColumns = [
+      ['categories', 'gst_rate', 'ALTER TABLE categories ADD COLUMN gst_rate DECIMAL(5,2) NULL AFTER is_active'],
+      ['categories', 'hsn_code', 'ALTER TABLE categories ADD COLUMN hsn_code VARCHAR(10) NULL AFTER gst_rate'],
+      ['products', 'gst_rate', 'ALTER TABLE products ADD COLUMN gst_rate DECIMAL(5,2) NULL AFTER stock_reset_date'],
+      ['products', 'hsn_code', 'ALTER TABLE products ADD COLUMN hsn_code VARCHAR(10) NULL AFTER gst_rate'],
+      ['orders', 'tax_amount', 'ALTER TABLE orders ADD COLUMN tax_amount DECIMAL(10,2) DEFAULT 0 AFTER total_amount'],
+      ['orders', 'prices_include_tax', 'ALTER TABLE orders ADD COLUMN prices_include_tax TINYINT(1) DEFAULT 1 AFTER tax_amount'],
+      ['order_items', 'hsn_code', 'ALTER TABLE order_items ADD COLUMN hsn_code VARCHAR(10) NULL AFTER unit_price'],
+      ['order_items', 'gst_rate', 'ALTER TABLE order_items ADD COLUMN gst_rate DECIMAL(5,2) NULL AFTER hsn_code']
+    ];
+    for (const [table, column, sql] of taxColumns) {
+      try {
+        await db.query(sql);
+        console.log(`✅ Added ${column} column to ${table} table`);
+      } catch (error) {
+        if (error.code === 'ER_DUP_FIELDNAME') {
+          console.log(`ℹ️  ${table}.${column} column already exists`);
+        } else {
+          console.log(`⚠️  Error adding ${column} column to ${table}:`, error.message);
+        }
+      }
+    }
+
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS order_tax_lines (
+          tax_line_id INT AUTO_INCREMENT PRIMARY KEY,
+          order_id INT NOT NULL,
+          hsn_code VARCHAR(10) NULL,
+          gst_rate DECIMAL(5,2) NOT NULL,
+          taxable_value DECIMAL(10,2) NOT NULL,
+          cgst_amount DECIMAL(10,2) NOT NULL,
+          sgst_amount DECIMAL(10,2) NOT NULL,
+          FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE
+        )
+      `);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS invoice_counters (
+          financial_year VARCHAR(7) PRIMARY KEY,
+          last_number INT NOT NULL DEFAULT 0
+        )
+      `);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS invoices (
+          invoice_id INT AUTO_INCREMENT PRIMARY KEY,
+          order_id INT NOT NULL UNIQUE,
+          financial_year VARCHAR(7) NOT NULL,
+          invoice_seq INT NOT NULL,
+          invoice_number VARCHAR(40) NOT NULL UNIQUE,
+          seller TEXT NULL,
+          issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+          UNIQUE KEY uniq_invoice_seq (financial_year, invoice_seq)
+        )
+      `);
+      console.log('✅ Created/verified order_tax_lines, invoice_counters and invoices tables');
+    } catch (error) {
+      console.log('⚠️  Error creating invoice tables:', error.message);
+    }
+
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS print_jobs (
+          job_id INT AUTO_INCREMENT PRIMARY KEY,
+          order_id INT NOT NULL,
+          kind ENUM('receipt', 'kitchen') NOT NULL,
+          printer VARCHAR(255) NOT NULL,
+          status ENUM('queued', 'printing', 'printed', 'failed') DEFAULT 'queued',
+          attempts INT DEFAULT 0,
+          error VARCHAR(255) NULL,
+          requested_by INT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          printed_at TIMESTAMP NULL,
+          FOREIGN KEY (order_id) REFERENCES orders(order_id) ON DELETE CASCADE,
+          FOREIGN KEY (requested_by) REFERENCES users(user_id) ON DELETE SET NULL,
+          INDEX idx_print_jobs_order (order_id, kind)
+        )
+      `);
+      console.log('✅ Created/verified print_jobs table');
+    } catch (error) {
+      console.log('⚠️  Error creating print_jobs table:', error.message);
+    }
+
+    // Pickup verification: per-order QR code and who handed the order over
+    const pickupQrColumns = [
+      ['orders', 'pickup_code', 'ALTER TABLE orders ADD COLUMN pickup_code VARCHAR(32) NULL AFTER pickup_date'],
+      ['orders', 'picked_up_at', 'ALTER TABLE orders ADD COLUMN picked_up_at TIMESTAMP NULL AFTER pickup_code'],
+      ['orders', 'picked_up_by', 'ALTER TABLE orders ADD COLUMN picked_up_by INT NULL AFTER picked_up_at'],
+      ['orders', 'picked_up_by foreign key', 'ALTER TABLE orders ADD CONSTRAINT fk_orders_picked_up_by FOREIGN KEY (picked_up_by) REFERENCES users(user_id) ON DELETE SET NULL']
+    ];
+    for (const [table, column, sql] of pickupQrColumns) {
+      try {
+        await db.query(sql);
+        console.log(`✅ Added ${column} to ${table} table`);
+      } catch (error) {
+        if (error.code === 'ER_DUP_FIELDNAME' || error.code === 'ER_FK_DUP_NAME') {
+          console.log(`ℹ️  ${table}.${column} already exists`);
+        } else {
+          console.log(`⚠️  Error adding ${column} to ${table}:`, error.message);
+        }
+      }
+    }
+
+    // Walk-in counter sales: orders without an account and cash tendered / change
+    const posColumns = [
+      ['orders', 'order_source', "ALTER TABLE orders ADD COLUMN order_source VARCHAR(10) DEFAULT 'app' AFTER user_id"],
+      ['orders', 'customer_phone', 'ALTER TABLE orders ADD COLUMN customer_phone VARCHAR(15) NULL AFTER order_source'],
+      ['payments', 'amount_tendered', 'ALTER TABLE payments ADD COLUMN amount_tendered DECIMAL(10,2) NULL AFTER recorded_by'],
+      ['payments', 'change_given', 'ALTER TABLE payments ADD COLUMN change_given DECIMAL(10,2) NULL AFTER amount_tendered']
+    ];
+    for (const [table, column, sql] of posColumns) {
+      try {
+        await db.query(sql);
+        console.log(`✅ Added ${column} to ${table} table`);
+      } catch (error) {
+        if (error.code === 'ER_DUP_FIELDNAME') {
+          console.log(`ℹ️  ${table}.${column} already exists`);
+        } else {
+          console.log(`⚠️  Error adding ${column} to ${table}:`, error.message);
+        }
+      }
+    }
+
+    // Self-service kiosks: registered tablets and the orders placed at them
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS kiosk_devices (
+          kiosk_id INT AUTO_INCREMENT PRIMARY KEY,
+          name VARCHAR(50) NOT NULL UNIQUE,
+          key_hash CHAR(64) NOT NULL UNIQUE,
+          is_active TINYINT(1) DEFAULT 1,
+          last_seen_at TIMESTAMP NULL,
+          created_by INT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (created_by) REFERENCES users(user_id) ON DELETE SET NULL
+        )
+      `);
+      console.log('✅ Created/verified kiosk_devices table');
+    } catch (error) {
+      console.log('⚠️  Error creating kiosk_devices table:', error.message);
+    }
+
+    const kioskColumns = [
+      ['orders', 'kiosk_id', 'ALTER TABLE orders ADD COLUMN kiosk_id INT NULL AFTER order_source'],
+      ['orders', 'kiosk_id foreign key', 'ALTER TABLE orders ADD CONSTRAINT fk_orders_kiosk FOREIGN KEY (kiosk_id) REFERENCES kiosk_devices(kiosk_id) ON DELETE SET NULL']
+    ];
+    for (const [table, column, sql] of kioskColumns) {
+      try {
+        await db.query(sql);
+        console.log(`✅ Added ${column} to ${table} table`);
+      } catch (error) {
+        if (error.code === 'ER_DUP_FIELDNAME' || error.code === 'ER_FK_DUP_NAME') {
+          console.log(`ℹ️  ${table}.${column} already exists`);
+        } else {
+          console.log(`⚠️  Error adding ${column} to ${table}:`, error.message);
+        }
+      }
+    }
+
+    // Favourites and saved meal presets
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS favourites (
+          user_id INT NOT NULL,
+          item_id INT NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          PRIMARY KEY (user_id, item_id),
+          FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+          FOREIGN KEY (item_id) REFERENCES products(item_id) ON DELETE CASCADE
+        )
+      `);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS meal_presets (
+          preset_id INT AUTO_INCREMENT PRIMARY KEY,
+          user_id INT NOT NULL,
+          name VARCHAR(50) NOT NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          UNIQUE KEY uniq_preset_name (user_id, name),
+          FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE
+        )
+      `);
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS meal_preset_items (
+          preset_item_id INT AUTO_INCREMENT PRIMARY KEY,
+          preset_id INT NOT NULL,
+          item_id INT NOT NULL,
+          variant_id INT NULL,
+          modifier_ids VARCHAR(255) NULL,
+          instructions VARCHAR(200) NULL,
+          quantity INT NOT NULL DEFAULT 1,
+          FOREIGN KEY (preset_id) REFERENCES meal_presets(preset_id) ON DELETE CASCADE,
+          FOREIGN KEY (item_id) REFERENCES products(item_id) ON DELETE CASCADE,
+          FOREIGN KEY (variant_id) REFERENCES product_variants(variant_id) ON DELETE CASCADE
+        )
+      `);
+      console.log('✅ Created/verified favourites and meal_presets tables');
+    } catch (error) {
+      console.log('⚠️  Error creating favourites/meal_presets tables:', error.message);
+    }
+
+    // Verified-purchase ratings and reviews
+    try {
+      await db.query(`
+        CREATE TABLE IF NOT EXISTS product_reviews (
+          review_id INT AUTO_INCREMENT PRIMARY KEY,
+          order_item_id INT NOT NULL UNIQUE,
+          item_id INT NOT NULL,
+          user_id INT NOT NULL,
+          rating TINYINT NOT NULL,
+          comment VARCHAR(500) NULL,
+          status VARCHAR(10) NOT NULL DEFAULT 'published',
+          moderation_note VARCHAR(200) NULL,
+          moderated_by INT NULL,
+          moderated_at TIMESTAMP NULL,
+          created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+          updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+          INDEX idx_reviews_item (item_id, status),
+          FOREIGN KEY (order_item_id) REFERENCES order_items(order_item_id) ON DELETE CASCADE,
+          FOREIGN KEY (item_id) REFERENCES products(item_id) ON DELETE CASCADE,
+          FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE,
+          FOREIGN KEY (moderated_by) REFERENCES users(user_id) ON DELETE SET NULL
+        )
+      `);
+      console.log('✅ Created/verified product_reviews table');
+    } catch (error) {
+      console.log('⚠️  Error creating product_reviews table:', error.message);
+    }
+
+    // Menu search: dietary tags and a full-text index over title and description
+    const menuSearchColumns = [
+      ['dietary_tags', 'ALTER TABLE products ADD COLUMN dietary_tags VARCHAR(100) NULL AFTER hsn_code'],
+      ['ft_products_search index', 'ALTER TABLE products ADD FULLTEXT INDEX ft_products_search (title, description)']
+    ];
+    for (const [column, sql] of menuSearchColumns) {
+      try {
+        await db.query(sql);
+        console.log(`✅ Added ${column} to products table`);
+      } catch (error) {
+        if (error.code === 'ER_DUP_FIELDNAME' || error.code === 'ER_DUP_KEYNAME') {
+          console.log(`ℹ️  products.${column} already exists`);
+        } else {
+          console.log(`⚠️  Error adding ${column} to products:`, error.message);
+        }
+      }
+    }
+
+    // Refunds are unique per payment, not per order, so a second gateway payment
+    // on an order can be refunded too. The order index goes in before the old
+    // unique key comes out because the order_id foreign key needs one.
+    const refundKeys = [
+      ['idx_refunds_order', 'ALTER TABLE refunds ADD INDEX idx_refunds_order (order_id)'],
+      ['uniq_refund_payment', 'ALTER TABLE refunds ADD UNIQUE KEY uniq_refund_payment (payment_id)']
+    ];
+    for (const [key, sql] of refundKeys) {
+      try {
+        await db.query(sql);
+        console.log(`✅ Added ${key} to refunds table`);
+      } catch (error) {
+        if (error.code === 'ER_DUP_KEYNAME') {
+          console.log(`ℹ️  refunds.${key} already exists`);
+        } else {
+          console.log(`⚠️  Error adding ${key} to refunds:`, error.message);
+        }
+      }
+    }
+    try {
+      await db.query('ALTER TABLE refunds DROP INDEX uniq_refund_order');
+      console.log('✅ Dropped the one-refund-per-order key');
+    } catch (error) {
+      if (error.code === 'ER_CANT_DROP_FIELD_OR_KEY') {
+        console.log('ℹ️  refunds.uniq_refund_order already dropped');
+      } else {
+        console.log('⚠️  Error dropping uniq_refund_order:', error.message);
+      }
+    }
+
     // Verify the updates
     const [products] = await db.query('DESCRIBE products');
     console.log('\n📋 Products table structure:');
@@ -13,8 +13,141 @@ async function adminApi(path, opts = {}) {
 	return res.json();
 }
 
+// Free text from customers and staff (cancel reasons, notes) goes through this before innerHTML
+function escapeHtml(text) {
+	const div = document.createElement('div');
+	div.textContent = text == null ? '' : String(text);
+	return div.innerHTML;
+}
+
+// Status timeline with the staff member behind each change
+function renderAdminStatusTimeline(order) {
+	const history = order.status_history || [];
+	if (history.length === 0) return '';
+	const steps = history.map(h => `
+		<li class="status-step status-${h.to_status.toLowerCase()}">
+			<span class="status-step-name">${h.from_status ? h.from_status + ' &rarr; ' : ''}${h.to_status}</span>
+			<span class="status-step-time">${h.formatted_time || ''}${h.changed_by_name ? ' by ' + escapeHtml(h.changed_by_name) : ''}</span>
+			${h.note ? `<span class="status-step-note">${escapeHtml(h.note)}</span>` : ''}
+		</li>
+	`).join('');
+	return `<ol class="status-timeline">${steps}</ol>`;
+}
+
+async function updateAdminOrderStatus(orderId, status, note) {
+	try {
+		await adminApi(`/admin/orders/${orderId}/status`, { method: 'PUT', body: JSON.stringify({ order_status: status, note }) });
+		// The live feed patches the card; only reload when it isn't connected
+		if (!adminOrderStream || adminOrderStream.readyState !== EventSource.OPEN) {
+			await loadAdminOrders();
+		}
+	} catch (err) {
+		Swal && Swal.fire ? Swal.fire({ icon: 'error', title: err.error || 'Failed to update status' }) : console.error(err);
+	}
+}
+
+async function collectAdminOrderPayment(orderId) {
+	try {
+		await adminApi(`/admin/orders/${orderId}/payment/collect`, { method: 'POST' });
+		if (!adminOrderStream || adminOrderStream.readyState !== EventSource.OPEN) {
+			await loadAdminOrders();
+		}
+	} catch (err) {
+		Swal && Swal.fire ? Swal.fire({ icon: 'error', title: err.error || 'Failed to record payment' }) : console.error(err);
+	}
+}
+
+async function processAdminRefund(refundId) {
+	try {
+		const res = await adminApi(`/admin/refunds/${refundId}/process`, { method: 'POST' });
+		if (!res.success) {
+			Swal.fire({ icon: 'error', title: 'Refund failed again', text: 'Check the gateway dashboard and try later.' });
+		}
+		if (!adminOrderStream || adminOrderStream.readyState !== EventSource.OPEN) {
+			await loadAdminOrders();
+		}
+	} catch (err) {
+		Swal && Swal.fire ? Swal.fire({ icon: 'error', title: err.error || 'Failed to process refund' }) : console.error(err);
+	}
+}
+
+// The invoice is a PDF behind auth, so fetch it with the token and save the blob
+async function downloadAdminInvoice(order) {
+	try {
+		const res = await fetch(`${ADMIN_API_BASE}/admin/orders/${order.order_id}/invoice`, {
+			headers: { 'Authorization': 'Bearer ' + adminGetToken() }
+		});
+		if (!res.ok) throw await res.json().catch(() => ({ error: 'Server error' }));
+		const link = document.createElement('a');
+		link.href = URL.createObjectURL(await res.blob());
+		link.download = `invoice-${order.invoice_number.replace(/\//g, '-')}.pdf`;
+		link.click();
+		setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+	} catch (err) {
+		Swal.fire({ icon: 'error', title: err.error || 'Could not download the invoice' });
+	}
+}
+
+// Counter handover: scan the pickup QR on the customer's phone or, for walk-in
+// and kiosk orders, their receipt (a USB scanner types it into the box) so an
+// order only goes to whoever holds its code
+async function verifyAdminPickup(order) {
+	const result = await Swal.fire({
+		title: `Hand over ${order.token_number ? 'token ' + order.token_number : 'order ' + order.order_id}`,
+		text: 'Scan the pickup QR on the customer\'s phone or receipt',
+		input: 'text',
+		inputPlaceholder: 'AIMS-PICKUP:...',
+		inputAttributes: { autocomplete: 'off' },
+		showCancelButton: true,
+		showDenyButton: true,
+		confirmButtonText: 'Verify',
+		denyButtonText: 'No QR',
+		inputValidator: (value) => (!value && 'Scan or paste the QR code')
+	});
+
+	let body = { code: result.value, order_id: order.order_id };
+	if (result.isDenied) {
+		// Without a QR the server still checks payment and records the reason in the history
+		const manual = await Swal.fire({
+			icon: 'warning',
+			title: `Hand over order ${order.order_id} without a QR?`,
+			text: 'Check the customer\'s ID first, then note why there is no QR.',
+			input: 'text',
+			inputPlaceholder: 'e.g. Phone battery dead, ID checked',
+			inputAttributes: { maxlength: 200 },
+			showCancelButton: true,
+			confirmButtonText: 'Yes, hand over',
+			inputValidator: (value) => (!value || value.trim().length < 3) && 'Give a reason'
+		});
+		if (!manual.isConfirmed) return;
+		body = { order_id: order.order_id, manual_reason: manual.value.trim() };
+	} else if (!result.isConfirmed) {
+		return;
+	}
+
+	try {
+		const res = await adminApi('/admin/pickup/verify', { method: 'POST', body: JSON.stringify(body) });
+		Swal.fire({ icon: 'success', title: res.message, timer: 1500, showConfirmButton: false });
+		if (!adminOrderStream || adminOrderStream.readyState !== EventSource.OPEN) {
+			await loadAdminOrders();
+		}
+	} catch (err) {
+		Swal.fire({ icon: 'error', title: err.error || 'Could not verify pickup' });
+	}
+}
+
+// Receipts and kitchen tickets go to the thermal printers attached to the server
+async function printAdminOrder(orderId, kind) {
+	try {
+		const res = await adminApi(`/admin/orders/${orderId}/print`, { method: 'POST', body: JSON.stringify({ kind }) });
+		Swal.fire({ icon: 'success', title: res.message, timer: 1500, showConfirmButton: false });
+	} catch (err) {
+		Swal.fire({ icon: 'error', title: err.error || 'Could not print' });
+	}
+}
+
 function renderAdminOrders(orders) {
-	const container = document.getElementById('custom') || document.querySelector('.container-min');
+	const container = adminOrdersContainer();
 	if (!container) return;
 	container.innerHTML = '';
 
@@ -24,117 +157,245 @@ function renderAdminOrders(orders) {
 	}
 
 	orders.forEach((order, idx) => {
-		const wrapper = document.createElement('div');
-		const table = document.createElement('table');
-		
-		// Format date and time with IST timezone
-		const orderDateTime = order.formatted_datetime || 
-			new Date(order.order_date).toLocaleString('en-IN', {
-				year: 'numeric',
-				month: '2-digit',
-				day: '2-digit',
-				hour: '2-digit',
-				minute: '2-digit',
-				hour12: true,
-				timeZone: 'Asia/Kolkata'
-			});
-		
-		const timezoneInfo = order.timezone || 'IST (UTC+5:30)';
-		
-		table.innerHTML = `
-			<thead>
-				<tr>
-					<th colspan="4" style="text-align:left;">#${idx + 1} - Order ${order.order_id} by ${order.user_name || 'Unknown'} (${order.user_email || '-'})</th>
-					<th colspan="2" style="text-align:right;">Status: <span class="admin-order-status" data-order-id="${order.order_id}">${order.order_status}</span></th>
-				</tr>
-				<tr>
-					<th colspan="6" style="text-align:left; background: var(--order-light-gray); color: var(--order-light-black); font-weight: 500; font-size: 13px; padding: 8px 12px;">
-						<i class="fas fa-clock" style="margin-right: 5px;"></i>Ordered on: <span class="order-time">${orderDateTime}</span>
-						<span style="margin-left: 10px; color: #6c757d; font-size: 11px;">(${timezoneInfo})</span>
-					</th>
-				</tr>
-				<tr>
-					<th>S.No.</th>
-					<th>Food Item</th>
-					<th>Price</th>
-					<th>Qty</th>
-					<th>Sub Total</th>
-				</tr>
-			</thead>
-			<tbody>
-				${(order.items || []).map((it, i) => {
-					const sub = (parseFloat(it.unit_price) * it.quantity).toFixed(2);
-					return `
-						<tr>
-							<td>${i + 1}</td>
-							<td>${it.title}</td>
-							<td>&#8377; ${parseFloat(it.unit_price).toFixed(2)}</td>
-							<td>${it.quantity}</td>
-							<td>&#8377; ${sub}</td>
-						</tr>
-					`;
-				}).join('')}
-			</tbody>
-			<tfoot>
-				<tr>
-					<td colspan="4" style="text-align:right;">Total:</td>
-					<td>&#8377; ${parseFloat(order.total_amount).toFixed(2)}</td>
-				</tr>
-			</tfoot>
-		`;
-		wrapper.appendChild(table);
-
-		// Actions row
-		const actions = document.createElement('div');
-		actions.style.display = 'flex';
-		actions.style.justifyContent = 'flex-end';
-		actions.style.gap = '0.5rem';
-		actions.style.marginTop = '0.5rem';
-
-		if (order.order_status !== 'Delivered' && order.order_status !== 'Cancelled') {
-			const deliveredBtn = document.createElement('button');
-			deliveredBtn.className = 'btn';
-			deliveredBtn.textContent = 'Mark Delivered';
-			deliveredBtn.dataset.orderId = String(order.order_id);
-			deliveredBtn.addEventListener('click', async (e) => {
-				const id = e.currentTarget.dataset.orderId;
-				try {
-					await adminApi(`/admin/orders/${id}/status`, { method: 'PUT', body: JSON.stringify({ order_status: 'Delivered' }) });
-					// Refresh list
-					await loadAdminOrders();
-				} catch (err) {
-					Swal && Swal.fire ? Swal.fire({ icon: 'error', title: err.error || 'Failed to update status' }) : console.error(err);
-				}
-			});
-			actions.appendChild(deliveredBtn);
-		}
+		container.appendChild(buildAdminOrderElement(order, idx));
+	});
+}
+
+// Add-ons and kitchen instructions under an item name
+function adminItemExtras(it) {
+	const addOns = (it.modifiers || []).map(m => m.name).join(', ');
+	return (addOns ? `<br><small class="item-addons">+ ${addOns}</small>` : '')
+		+ (it.instructions ? `<br><small class="item-instructions">"${escapeHtml(it.instructions)}"</small>` : '');
+}
+
+function buildAdminOrderElement(order, idx) {
+	const wrapper = document.createElement('div');
+	wrapper.className = 'admin-order';
+	wrapper.dataset.orderId = String(order.order_id);
+	const table = document.createElement('table');
+	
+	// Format date and time with IST timezone
+	const orderDateTime = order.formatted_datetime || 
+		new Date(order.order_date).toLocaleString('en-IN', {
+			year: 'numeric',
+			month: '2-digit',
+			day: '2-digit',
+			hour: '2-digit',
+			minute: '2-digit',
+			hour12: true,
+			timeZone: 'Asia/Kolkata'
+		});
+	
+	const timezoneInfo = order.timezone || 'IST (UTC+5:30)';
+	
+	table.innerHTML = `
+		<thead>
+			<tr>
+				<th colspan="4" style="text-align:left;"><span class="admin-order-index">#${idx + 1}</span> - Order ${order.order_id}${order.token_number ? ` (Token ${order.token_number})` : ''} by ${order.user_name || ({ pos: 'Walk-in', kiosk: 'Kiosk' })[order.order_source] || 'Unknown'} (${order.user_email || order.customer_phone || '-'})</th>
+				<th colspan="2" style="text-align:right;">Status: <span class="admin-order-status" data-order-id="${order.order_id}">${order.order_status}</span></th>
+			</tr>
+			<tr>
+				<th colspan="6" style="text-align:left; background: var(--order-light-gray); color: var(--order-light-black); font-weight: 500; font-size: 13px; padding: 8px 12px;">
+					<i class="fas fa-clock" style="margin-right: 5px;"></i>Ordered on: <span class="order-time">${orderDateTime}</span>
+					<span style="margin-left: 10px; color: #6c757d; font-size: 11px;">(${timezoneInfo})</span>
+					${order.pickup_slot ? `<span class="order-pickup-slot" style="margin-left: 10px;"><i class="fas fa-calendar-check"></i> Pickup: ${order.pickup_slot.formatted}</span>` : ''}
+				</th>
+			</tr>
+			<tr>
+				<th>S.No.</th>
+				<th>Food Item</th>
+				<th>Price</th>
+				<th>Qty</th>
+				<th>Sub Total</th>
+			</tr>
+		</thead>
+		<tbody>
+			${(order.items || []).map((it, i) => {
+				const sub = (parseFloat(it.unit_price) * it.quantity).toFixed(2);
+				return `
+					<tr>
+						<td>${i + 1}</td>
+						<td>${it.title}${it.variant_name ? ` (${it.variant_name})` : ''}${adminItemExtras(it)}</td>
+						<td>&#8377; ${parseFloat(it.unit_price).toFixed(2)}</td>
+						<td>${it.quantity}</td>
+						<td>&#8377; ${sub}</td>
+					</tr>
+				`;
+			}).join('')}
+		</tbody>
+		<tfoot>
+			${order.coupon_code ? `
+			<tr>
+				<td colspan="4" style="text-align:right;">Coupon ${order.coupon_code}:</td>
+				<td>-&#8377; ${parseFloat(order.discount_amount).toFixed(2)}</td>
+			</tr>` : ''}
+			${parseFloat(order.tax_amount) > 0 ? `
+			<tr>
+				<td colspan="4" style="text-align:right;">GST${order.prices_include_tax ? ' (included)' : ''}:</td>
+				<td>&#8377; ${parseFloat(order.tax_amount).toFixed(2)}</td>
+			</tr>` : ''}
+			<tr>
+				<td colspan="4" style="text-align:right;">Total:</td>
+				<td>&#8377; ${parseFloat(order.total_amount).toFixed(2)}</td>
+			</tr>
+			${order.refund ? `
+			<tr>
+				<td colspan="4" style="text-align:right;">Refund (${order.refund.method}):</td>
+				<td><span class="payment-badge ${order.refund.status === 'succeeded' ? 'payment-paid' : 'payment-due'}">&#8377; ${parseFloat(order.refund.amount).toFixed(2)} ${order.refund.status}</span>${order.refund.failure_reason ? `<br><small>${escapeHtml(order.refund.failure_reason)}</small>` : ''}</td>
+			</tr>` : ''}
+			<tr>
+				<td colspan="4" style="text-align:right;">Payment:</td>
+				<td><span class="payment-badge ${order.payment_status ? 'payment-paid' : 'payment-due'}">${order.payment_status ? 'Paid' : 'Unpaid'} (${order.payment_method || 'counter'})</span></td>
+			</tr>
+		</tfoot>
+	`;
+	wrapper.appendChild(table);
+
+	const timeline = document.createElement('div');
+	timeline.innerHTML = renderAdminStatusTimeline(order);
+	wrapper.appendChild(timeline);
 
-		// Optional: quick status select (Preparing/Ready)
-		const quickStatuses = ['Placed','Preparing','Ready'];
-		const select = document.createElement('select');
-		select.className = 'btn';
-		quickStatuses.forEach(s => {
-			const opt = document.createElement('option');
-			opt.value = s; opt.textContent = s; if (s === order.order_status) opt.selected = true; select.appendChild(opt);
+	// Actions row
+	const actions = document.createElement('div');
+	actions.style.display = 'flex';
+	actions.style.justifyContent = 'flex-end';
+	actions.style.gap = '0.5rem';
+	actions.style.marginTop = '0.5rem';
+
+	// One button per transition the server allows from the current status
+	(order.next_statuses || []).forEach(status => {
+		const btn = document.createElement('button');
+		btn.className = 'btn';
+		btn.textContent = status === 'Cancelled' ? 'Cancel Order' : status === 'Delivered' ? 'Scan pickup QR' : `Mark ${status}`;
+		btn.dataset.orderId = String(order.order_id);
+		btn.addEventListener('click', async (e) => {
+			const id = e.currentTarget.dataset.orderId;
+			if (status === 'Delivered') {
+				await verifyAdminPickup(order);
+				return;
+			}
+			if (status === 'Cancelled') {
+				const result = await Swal.fire({ icon: 'warning', title: `Cancel order ${id}?`, showCancelButton: true, confirmButtonText: 'Yes, cancel it' });
+				if (!result.isConfirmed) return;
+			}
+			await updateAdminOrderStatus(id, status);
 		});
-		select.addEventListener('change', async (e) => {
-			const value = e.target.value;
-			try {
-				await adminApi(`/admin/orders/${order.order_id}/status`, { method: 'PUT', body: JSON.stringify({ order_status: value }) });
-				await loadAdminOrders();
-			} catch (err) {
-				Swal && Swal.fire ? Swal.fire({ icon: 'error', title: err.error || 'Failed to update status' }) : console.error(err);
+		actions.appendChild(btn);
+	});
+
+	// Cash refunds are handed back by staff; failed gateway refunds can be retried
+	const refund = order.refund;
+	if (refund && ((refund.method === 'cash' && refund.status === 'pending') || (refund.method === 'gateway' && refund.status === 'failed'))) {
+		const refundBtn = document.createElement('button');
+		refundBtn.className = 'btn';
+		refundBtn.textContent = refund.method === 'cash' ? `Refund ₹${parseFloat(refund.amount).toFixed(2)} cash` : 'Retry refund';
+		refundBtn.addEventListener('click', async () => {
+			if (refund.method === 'cash') {
+				const result = await Swal.fire({ icon: 'question', title: `Handed back ₹${parseFloat(refund.amount).toFixed(2)} for order ${order.order_id}?`, showCancelButton: true, confirmButtonText: 'Yes, refunded' });
+				if (!result.isConfirmed) return;
 			}
+			await processAdminRefund(refund.refund_id);
 		});
-		actions.appendChild(select);
-
-		wrapper.appendChild(actions);
-		container.appendChild(wrapper);
-		const hr = document.createElement('hr');
-		hr.className = 'hrStyle';
-		hr.style.margin = '2rem auto 0rem auto';
-		container.appendChild(hr);
+		actions.appendChild(refundBtn);
+	}
+
+	if (order.invoice_number) {
+		const invoiceBtn = document.createElement('button');
+		invoiceBtn.className = 'btn';
+		invoiceBtn.textContent = 'Invoice';
+		invoiceBtn.title = order.invoice_number;
+		invoiceBtn.addEventListener('click', () => downloadAdminInvoice(order));
+		actions.appendChild(invoiceBtn);
+	}
+
+	[['receipt', 'Print receipt'], ['kitchen', 'Print KOT']].forEach(([kind, label]) => {
+		if (kind === 'kitchen' && !['Placed', 'Preparing'].includes(order.order_status)) return;
+		const printBtn = document.createElement('button');
+		printBtn.className = 'btn';
+		printBtn.textContent = label;
+		printBtn.addEventListener('click', () => printAdminOrder(order.order_id, kind));
+		actions.appendChild(printBtn);
+	});
+
+	if (!order.payment_status && order.order_status !== 'Cancelled') {
+		const collectBtn = document.createElement('button');
+		collectBtn.className = 'btn';
+		collectBtn.textContent = `Collect ₹${parseFloat(order.total_amount).toFixed(2)}`;
+		collectBtn.addEventListener('click', async () => {
+			const result = await Swal.fire({ icon: 'question', title: `Received ₹${parseFloat(order.total_amount).toFixed(2)} for order ${order.order_id}?`, showCancelButton: true, confirmButtonText: 'Yes, paid' });
+			if (!result.isConfirmed) return;
+			await collectAdminOrderPayment(order.order_id);
+		});
+		actions.appendChild(collectBtn);
+	}
+
+	wrapper.appendChild(actions);
+	const hr = document.createElement('hr');
+	hr.className = 'hrStyle';
+	hr.style.margin = '2rem auto 0rem auto';
+	wrapper.appendChild(hr);
+	return wrapper;
+}
+
+// ---- Live updates ----
+let adminOrderStream = null;
+
+function adminOrdersContainer() {
+	return document.getElementById('custom') || document.querySelector('.container-min');
+}
+
+function renumberAdminOrders(container) {
+	const items = container.querySelectorAll(':scope > .admin-order');
+	items.forEach((el, idx) => {
+		const label = el.querySelector('.admin-order-index');
+		if (label) label.textContent = '#' + (idx + 1);
+	});
+}
+
+// Replace an order in place, or add a new one at the top of the list
+function patchAdminOrder(order) {
+	const container = adminOrdersContainer();
+	if (!container) return;
+	const fresh = buildAdminOrderElement(order, 0);
+	const existing = container.querySelector(`:scope > .admin-order[data-order-id="${order.order_id}"]`);
+	if (existing) {
+		existing.replaceWith(fresh);
+	} else {
+		if (!container.querySelector(':scope > .admin-order')) container.innerHTML = '';
+		container.insertBefore(fresh, container.firstChild);
+	}
+	renumberAdminOrders(container);
+}
+
+// The stream is opened with a one-minute ticket, so a reconnect the server
+// refuses gets a new one
+async function connectAdminOrderStream(resync = false) {
+	if (!adminGetToken() || typeof EventSource === 'undefined') return;
+
+	let ticket;
+	try {
+		({ ticket } = await adminApi('/orders/stream/ticket', { method: 'POST', body: JSON.stringify({ scope: 'admin' }) }));
+	} catch (err) {
+		setTimeout(() => connectAdminOrderStream(true), 5000);
+		return;
+	}
+
+	const stream = new EventSource(`${ADMIN_API_BASE}/orders/stream?ticket=${encodeURIComponent(ticket)}`);
+	let dropped = resync;
+	const onOrder = (e) => {
+		try { patchAdminOrder(JSON.parse(e.data)); } catch (err) { console.error(err); }
+	};
+	stream.addEventListener('order.created', onOrder);
+	stream.addEventListener('order.updated', onOrder);
+	// Resync once after a reconnect so orders placed while offline show up
+	stream.addEventListener('ready', () => {
+		if (dropped) { dropped = false; loadAdminOrders(); }
 	});
+	stream.onerror = () => {
+		dropped = true;
+		if (stream.readyState === EventSource.CLOSED) setTimeout(() => connectAdminOrderStream(true), 5000);
+	};
+	adminOrderStream = stream;
 }
 
 async function loadAdminOrders() {
@@ -151,6 +412,7 @@ document.addEventListener('DOMContentLoaded', async () => {
 	const onAdminOrders = document.querySelector('body') && (location.pathname.endsWith('order.html') || location.pathname.endsWith('/order'));
 	if (!onAdminOrders) return;
 	await loadAdminOrders();
+	connectAdminOrderStream();
 });
 
 
@@ -20,6 +20,13 @@ async function api(path, opts = {}) {
   return res.json();
 }
 
+// Customer-written text (reviews, names, contact details) goes through this before innerHTML
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text == null ? '' : String(text);
+  return div.innerHTML;
+}
+
 // File upload helper
 async function uploadFile(file) {
   const formData = new FormData();
@@ -351,6 +358,33 @@ class ProductManager {
     document.getElementById('cancel-add-btn')?.addEventListener('click', () => {
       this.resetForm();
     });
+
+    document.getElementById('add-variant-btn')?.addEventListener('click', () => {
+      this.addVariantRow();
+    });
+  }
+
+  addVariantRow(name = '', price = '') {
+    const row = document.createElement('div');
+    row.className = 'variant-row';
+    row.innerHTML = `
+      <input type="text" class="variant-name" placeholder="Size (e.g. Large)" value="${name}" />
+      <input type="number" class="variant-price" placeholder="Price (₹)" min="0" step="0.01" value="${price}" />
+      <button type="button" class="btn-secondary remove-variant-btn" title="Remove size"><i class="fas fa-times"></i></button>
+    `;
+    row.querySelector('.remove-variant-btn').addEventListener('click', () => row.remove());
+    document.getElementById('variant-rows').appendChild(row);
+    row.querySelector('.variant-name').focus();
+  }
+
+  // Filled-in size rows as [{ name, price }]; rows left completely blank are ignored
+  collectVariants() {
+    return Array.from(document.querySelectorAll('#variant-rows .variant-row'))
+      .map(row => ({
+        name: row.querySelector('.variant-name').value.trim(),
+        price: row.querySelector('.variant-price').value.trim()
+      }))
+      .filter(v => v.name || v.price);
   }
 
   async addProduct() {
@@ -361,6 +395,10 @@ class ProductManager {
     const price = document.getElementById('add-price').value;
     const calories = document.getElementById('add-calories').value.trim();
     const availability = document.getElementById('add-availability').value;
+    const stock = document.getElementById('add-stock').value.trim();
+    const dailyStock = document.getElementById('add-daily-stock').value.trim();
+    const variants = this.collectVariants();
+    const dietaryTags = Array.from(document.querySelectorAll('#add-dietary-tags input:checked')).map(box => box.value);
     const imageUrl = this.imageManager.getCurrentImageUrl();
 
     // Validation
@@ -376,12 +414,24 @@ class ProductManager {
       return;
     }
 
-    if (!price || isNaN(price) || parseFloat(price) <= 0) {
+    // With sizes the product price comes from the cheapest size
+    if (variants.length) {
+      const invalid = variants.find(v => !v.name || !v.price || isNaN(v.price) || parseFloat(v.price) <= 0);
+      if (invalid) {
+        Swal.fire({ icon: 'warning', title: 'Each size needs a name and a valid price' });
+        return;
+      }
+    } else if (!price || isNaN(price) || parseFloat(price) <= 0) {
       Swal.fire({ icon: 'warning', title: 'Please enter a valid price' });
       document.getElementById('add-price').focus();
       return;
     }
 
+    // Stock is optional; blank fields leave it untracked
+    const stockFields = {};
+    if (stock !== '') stockFields.stock_quantity = parseInt(stock, 10);
+    if (dailyStock !== '') stockFields.daily_stock = parseInt(dailyStock, 10);
+
     // Show loading state
     const addBtn = document.getElementById('add-product-btn');
     const originalText = addBtn.innerHTML;
@@ -395,10 +445,13 @@ class ProductManager {
           title,
           description,
           category,
-          price: parseFloat(price),
+          price: variants.length ? undefined : parseFloat(price),
+          variants: variants.length ? variants.map(v => ({ name: v.name, price: parseFloat(v.price) })) : undefined,
           calories,
           image_url: imageUrl,
-          available: availability === '1'
+          available: availability === '1',
+          dietary_tags: dietaryTags,
+          ...stockFields
         })
       });
 
@@ -429,14 +482,842 @@ class ProductManager {
     document.getElementById('add-price').value = '';
     document.getElementById('add-calories').value = '';
     document.getElementById('add-availability').value = '1';
+    document.getElementById('add-stock').value = '';
+    document.getElementById('add-daily-stock').value = '';
+    document.getElementById('variant-rows').innerHTML = '';
+    document.querySelectorAll('#add-dietary-tags input').forEach(box => { box.checked = false; });
     
     // Reset image
     this.imageManager.removeImage();
   }
 }
 
+// Wallet desk: find a student, credit cash top-ups and make adjustments
+class WalletDesk {
+  constructor() {
+    this.selectedUserId = null;
+    this.initEventListeners();
+  }
+
+  initEventListeners() {
+    document.getElementById('wallet-search-btn')?.addEventListener('click', () => this.search());
+    document.getElementById('wallet-search-input')?.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter') this.search();
+    });
+    document.getElementById('wallet-topup-btn')?.addEventListener('click', () => this.postEntry('topup'));
+    document.getElementById('wallet-adjust-btn')?.addEventListener('click', () => this.postEntry('adjust'));
+  }
+
+  async search() {
+    const q = document.getElementById('wallet-search-input').value.trim();
+    const results = document.getElementById('wallet-search-results');
+    try {
+      const users = await api(`/admin/wallets/lookup?q=${encodeURIComponent(q)}`, { method: 'GET' });
+      results.innerHTML = users.length
+        ? users.map(u => `
+            <button class="wallet-result" data-user-id="${u.user_id}">
+              <strong>${escapeHtml(u.name || 'Unnamed')}</strong> - ${escapeHtml(u.email)}${u.phone ? ' - ' + escapeHtml(u.phone) : ''}
+              <span style="float: right;">₹${parseFloat(u.balance).toFixed(2)}</span>
+            </button>
+          `).join('')
+        : '<p class="text-center">No students found.</p>';
+      results.querySelectorAll('.wallet-result').forEach(btn => {
+        btn.addEventListener('click', () => this.loadAccount(btn.dataset.userId));
+      });
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: error.error || 'Search failed' });
+    }
+  }
+
+  async loadAccount(userId) {
+    try {
+      const data = await api(`/admin/wallets/${userId}?limit=50`, { method: 'GET' });
+      this.selectedUserId = data.user.user_id;
+
+      document.getElementById('wallet-account').hidden = false;
+      document.getElementById('wallet-account-name').textContent = data.user.name || 'Unnamed';
+      document.getElementById('wallet-account-contact').textContent = [data.user.email, data.user.phone].filter(Boolean).join(' | ');
+      document.getElementById('wallet-account-balance').textContent = data.balance;
+      document.getElementById('wallet-account-transactions').innerHTML = data.transactions.length
+        ? data.transactions.map(t => `
+            <tr>
+              <td>${t.formatted_time}</td>
+              <td>${t.type}${t.note ? `<br><small>${escapeHtml(t.note)}</small>` : ''}</td>
+              <td class="${parseFloat(t.amount) < 0 ? 'wallet-debit' : 'wallet-credit'}">₹${parseFloat(t.amount).toFixed(2)}</td>
+              <td>₹${parseFloat(t.balance_after).toFixed(2)}</td>
+              <td>${escapeHtml(t.created_by_name || '-')}</td>
+            </tr>
+          `).join('')
+        : '<tr><td colspan="5" class="text-center">No wallet activity yet.</td></tr>';
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: error.error || 'Failed to load wallet' });
+    }
+  }
+
+  async postEntry(kind) {
+    if (!this.selectedUserId) return;
+    const amountInput = document.getElementById('wallet-amount');
+    const noteInput = document.getElementById('wallet-note');
+    const amount = parseFloat(amountInput.value);
+    const note = noteInput.value.trim();
+
+    if (!amount) {
+      Swal.fire({ icon: 'warning', title: 'Enter an amount' });
+      return;
+    }
+
+    // Swal titles are HTML
+    const name = escapeHtml(document.getElementById('wallet-account-name').textContent);
+    const result = await Swal.fire({
+      icon: 'question',
+      title: kind === 'topup' ? `Credit ₹${amount.toFixed(2)} to ${name}?` : `Adjust ${name}'s wallet by ₹${amount.toFixed(2)}?`,
+      text: kind === 'topup' ? 'Only confirm once the cash is in the till.' : undefined,
+      showCancelButton: true,
+      confirmButtonText: 'Confirm'
+    });
+    if (!result.isConfirmed) return;
+
+    try {
+      const res = await api(`/admin/wallets/${this.selectedUserId}/${kind}`, {
+        method: 'POST',
+        body: JSON.stringify({ amount, note })
+      });
+      Swal.fire({ icon: 'success', title: res.message, text: `New balance: ₹${res.balance}`, timer: 2000, showConfirmButton: false });
+      amountInput.value = '';
+      noteInput.value = '';
+      await this.loadAccount(this.selectedUserId);
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: error.error || 'Wallet update failed' });
+    }
+  }
+}
+
+// Inventory: low stock alerts and inline stock editing
+class InventoryManager {
+  async refreshAlerts() {
+    const list = document.getElementById('low-stock-list');
+    const badge = document.getElementById('low-stock-count');
+    try {
+      const items = await api('/admin/inventory/low-stock', { method: 'GET' });
+      if (badge) {
+        badge.textContent = items.length;
+        badge.hidden = items.length === 0;
+      }
+      if (list) {
+        list.innerHTML = items.length
+          ? items.map(p => `
+              <div class="low-stock-item ${p.stock_quantity === 0 ? 'sold-out' : ''}">
+                <strong>${p.title}</strong> (${p.category})
+                <span>${p.stock_quantity === 0 ? 'Sold out' : `${p.stock_quantity} left`}</span>
+              </div>
+            `).join('')
+          : '<p class="text-center">All tracked items are well stocked.</p>';
+      }
+    } catch (error) {
+      console.error('Failed to load low stock alerts', error);
+    }
+  }
+
+  async loadStockTable() {
+    const body = document.getElementById('inventory-rows');
+    if (!body) return;
+    try {
+      const products = await api('/admin/products', { method: 'GET' });
+      body.innerHTML = products.map(p => `
+        <tr data-item-id="${p.item_id}">
+          <td>${p.title}</td>
+          <td>${p.available ? 'On menu' : (p.sold_out_at ? 'Sold out' : 'Hidden')}</td>
+          <td><input type="number" min="0" step="1" class="stock-quantity" value="${p.stock_quantity ?? ''}" placeholder="Untracked" /></td>
+          <td><input type="number" min="0" step="1" class="daily-stock" value="${p.daily_stock ?? ''}" placeholder="None" /></td>
+          <td><input type="number" min="0" step="1" class="low-stock-threshold" value="${p.low_stock_threshold ?? ''}" /></td>
+          <td><button class="btn save-stock-btn">Save</button></td>
+        </tr>
+      `).join('');
+      body.querySelectorAll('.save-stock-btn').forEach(btn => {
+        btn.addEventListener('click', () => this.saveRow(btn.closest('tr')));
+      });
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: error.error || 'Failed to load stock levels' });
+    }
+  }
+
+  async saveRow(row) {
+    const value = (selector) => row.querySelector(selector).value.trim();
+    try {
+      await api(`/admin/products/${row.dataset.itemId}/stock`, {
+        method: 'PUT',
+        body: JSON.stringify({
+          stock_quantity: value('.stock-quantity'),
+          daily_stock: value('.daily-stock'),
+          low_stock_threshold: value('.low-stock-threshold')
+        })
+      });
+      Swal.fire({ icon: 'success', title: 'Stock updated', timer: 1200, showConfirmButton: false });
+      await Promise.all([this.loadStockTable(), this.refreshAlerts()]);
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: error.error || 'Failed to update stock' });
+    }
+  }
+}
+
+class PickupSlotManager {
+  constructor() {
+    document.getElementById('add-slot-btn')?.addEventListener('click', () => this.addSlot());
+  }
+
+  async loadSlots() {
+    const body = document.getElementById('slot-rows');
+    if (!body) return;
+    try {
+      const slots = await api('/admin/pickup-slots', { method: 'GET' });
+      body.innerHTML = slots.length
+        ? slots.map(s => `
+            <tr data-slot-id="${s.slot_id}" class="${s.is_active ? '' : 'slot-retired'}">
+              <td><input type="text" class="slot-label" value="${s.label || ''}" /></td>
+              <td><input type="time" class="slot-start" value="${s.start_time}" /></td>
+              <td><input type="time" class="slot-end" value="${s.end_time}" /></td>
+              <td><input type="number" min="1" step="1" class="slot-capacity" value="${s.capacity}" /></td>
+              <td>${s.is_active ? `${s.booked} / ${s.capacity}` : 'Retired'}</td>
+              <td>
+                <button class="btn save-slot-btn">${s.is_active ? 'Save' : 'Restore'}</button>
+                ${s.is_active ? '<button class="btn-secondary retire-slot-btn">Remove</button>' : ''}
+              </td>
+            </tr>
+          `).join('')
+        : '<tr><td colspan="6" class="text-center">No pickup slots yet. Customers can only order for pickup as soon as possible.</td></tr>';
+      body.querySelectorAll('.save-slot-btn').forEach(btn => {
+        btn.addEventListener('click', () => this.saveRow(btn.closest('tr')));
+      });
+      body.querySelectorAll('.retire-slot-btn').forEach(btn => {
+        btn.addEventListener('click', () => this.retireRow(btn.closest('tr')));
+      });
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: error.error || 'Failed to load pickup slots' });
+    }
+  }
+
+  async addSlot() {
+    const value = (id) => document.getElementById(id).value.trim();
+    try {
+      await api('/admin/pickup-slots', {
+        method: 'POST',
+        body: JSON.stringify({
+          label: value('slot-label'),
+          start_time: value('slot-start'),
+          end_time: value('slot-end'),
+          capacity: value('slot-capacity')
+        })
+      });
+      ['slot-label', 'slot-start', 'slot-end', 'slot-capacity'].forEach(id => { document.getElementById(id).value = ''; });
+      Swal.fire({ icon: 'success', title: 'Pickup slot added', timer: 1200, showConfirmButton: false });
+      await this.loadSlots();
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: error.error || 'Failed to add pickup slot' });
+    }
+  }
+
+  // Saving a retired slot brings it back
+  async saveRow(row) {
+    const value = (selector) => row.querySelector(selector).value.trim();
+    try {
+      await api(`/admin/pickup-slots/${row.dataset.slotId}`, {
+        method: 'PUT',
+        body: JSON.stringify({
+          label: value('.slot-label'),
+          start_time: value('.slot-start'),
+          end_time: value('.slot-end'),
+          capacity: value('.slot-capacity')
+        })
+      });
+      Swal.fire({ icon: 'success', title: 'Pickup slot updated', timer: 1200, showConfirmButton: false });
+      await this.loadSlots();
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: error.error || 'Failed to update pickup slot' });
+    }
+  }
+
+  async retireRow(row) {
+    const result = await Swal.fire({
+      title: 'Remove this pickup slot?',
+      text: 'Orders already booked for it are kept. Customers will no longer be able to choose it.',
+      icon: 'warning',
+      showCancelButton: true,
+      confirmButtonColor: '#dc3545',
+      confirmButtonText: 'Remove'
+    });
+    if (!result.isConfirmed) return;
+    try {
+      await api(`/admin/pickup-slots/${row.dataset.slotId}`, { method: 'DELETE' });
+      await this.loadSlots();
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: error.error || 'Failed to remove pickup slot' });
+    }
+  }
+}
+
+class AddOnManager {
+  constructor() {
+    this.select = document.getElementById('addons-product');
+    this.list = document.getElementById('addon-groups');
+    this.select?.addEventListener('change', () => this.loadGroups());
+    document.getElementById('add-addon-group-btn')?.addEventListener('click', () => this.addGroup());
+    document.getElementById('save-addons-btn')?.addEventListener('click', () => this.save());
+  }
+
+  async loadProducts() {
+    if (!this.select) return;
+    const current = this.select.value;
+    try {
+      const products = await api('/admin/products', { method: 'GET' });
+      this.select.innerHTML = '<option value="">Select product...</option>' + products.map(p =>
+        `<option value="${p.item_id}">${p.title} (${p.category})${p.modifier_groups && p.modifier_groups.length ? ' - has add-ons' : ''}</option>`
+      ).join('');
+      this.select.value = current;
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: error.error || 'Failed to load products' });
+    }
+  }
+
+  async loadGroups() {
+    const item_id = this.select.value;
+    this.list.innerHTML = '';
+    this.toggleActions(Boolean(item_id));
+    if (!item_id) return;
+    try {
+      const groups = await api(`/admin/products/${item_id}/modifiers`, { method: 'GET' });
+      groups.forEach(group => this.addGroup(group));
+      if (groups.length === 0) {
+        this.list.innerHTML = '<p class="text-center addon-empty">No add-ons for this product yet.</p>';
+      }
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: error.error || 'Failed to load add-ons' });
+    }
+  }
+
+  toggleActions(enabled) {
+    document.getElementById('add-addon-group-btn').disabled = !enabled;
+    document.getElementById('save-addons-btn').disabled = !enabled;
+  }
+
+  addGroup(group = { name: '', min_select: 0, max_select: null, options: [{ name: '', price: 0 }] }) {
+    this.list.querySelector('.addon-empty')?.remove();
+    const box = document.createElement('fieldset');
+    box.className = 'addon-group-editor';
+    box.innerHTML = `
+      <div class="addon-group-fields flex">
+        <input type="text" class="addon-group-name" placeholder="Group name (e.g. Extras)" maxlength="50" value="${group.name}" />
+        <input type="number" min="0" step="1" class="addon-group-min" title="Minimum choices" placeholder="Min" value="${group.min_select || 0}" />
+        <input type="number" min="1" step="1" class="addon-group-max" title="Maximum choices (blank for any)" placeholder="Max (any)" value="${group.max_select ?? ''}" />
+        <button type="button" class="btn-outline remove-addon-group-btn">Remove group</button>
+      </div>
+      <div class="addon-option-rows"></div>
+      <button type="button" class="btn-secondary add-addon-option-btn">Add option</button>
+    `;
+    box.querySelector('.remove-addon-group-btn').addEventListener('click', () => box.remove());
+    box.querySelector('.add-addon-option-btn').addEventListener('click', () => this.addOption(box));
+    group.options.forEach(option => this.addOption(box, option));
+    this.list.appendChild(box);
+  }
+
+  addOption(box, option = { name: '', price: 0 }) {
+    const row = document.createElement('div');
+    row.className = 'addon-option-row flex';
+    row.innerHTML = `
+      <input type="text" class="addon-option-name" placeholder="Option (e.g. Extra cheese)" maxlength="50" value="${option.name}" />
+      <input type="number" min="0" step="0.01" class="addon-option-price" placeholder="Price (₹)" value="${option.price}" />
+      <button type="button" class="btn-outline remove-addon-option-btn">Remove</button>
+    `;
+    row.querySelector('.remove-addon-option-btn').addEventListener('click', () => row.remove());
+    box.querySelector('.addon-option-rows').appendChild(row);
+  }
+
+  collectGroups() {
+    return Array.from(this.list.querySelectorAll('.addon-group-editor')).map(box => ({
+      name: box.querySelector('.addon-group-name').value.trim(),
+      min_select: box.querySelector('.addon-group-min').value.trim(),
+      max_select: box.querySelector('.addon-group-max').value.trim(),
+      options: Array.from(box.querySelectorAll('.addon-option-row')).map(row => ({
+        name: row.querySelector('.addon-option-name').value.trim(),
+        price: row.querySelector('.addon-option-price').value.trim()
+      }))
+    }));
+  }
+
+  async save() {
+    const item_id = this.select.value;
+    if (!item_id) return;
+    try {
+      await api(`/admin/products/${item_id}/modifiers`, {
+        method: 'PUT',
+        body: JSON.stringify({ groups: this.collectGroups() })
+      });
+      Swal.fire({ icon: 'success', title: 'Add-ons saved', timer: 1200, showConfirmButton: false });
+      await Promise.all([this.loadProducts(), this.loadGroups()]);
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: error.error || 'Failed to save add-ons' });
+    }
+  }
+}
+
+class CouponManager {
+  constructor() {
+    document.getElementById('create-coupon-btn')?.addEventListener('click', () => this.createCoupon());
+  }
+
+  async load() {
+    await Promise.all([this.loadScopeOptions(), this.loadCoupons()]);
+  }
+
+  // Category and product pickers for scoped offers
+  async loadScopeOptions() {
+    try {
+      const [categories, products] = await Promise.all([
+        api('/categories', { method: 'GET' }),
+        api('/admin/products', { method: 'GET' })
+      ]);
+      document.getElementById('coupon-category').innerHTML = '<option value="">Any category</option>'
+        + categories.map(c => `<option value="${c.category_name}">${c.category_name}</option>`).join('');
+      document.getElementById('coupon-product').innerHTML = '<option value="">Any product</option>'
+        + products.map(p => `<option value="${p.item_id}">${p.title}</option>`).join('');
+    } catch (error) {
+      console.error('Failed to load coupon scope options', error);
+    }
+  }
+
+  describeOffer(c) {
+    const amount = c.discount_type === 'percent'
+      ? `${parseFloat(c.discount_value)}% off${c.max_discount ? ` (up to ₹${c.max_discount})` : ''}`
+      : `₹${c.discount_value} off`;
+    const minimum = parseFloat(c.min_cart_value) > 0 ? `<br><small>Min cart ₹${c.min_cart_value}</small>` : '';
+    const firstOrder = c.first_order_only ? '<br><small>First order only</small>' : '';
+    return amount + minimum + firstOrder;
+  }
+
+  describeValidity(c) {
+    const format = (value) => new Date(value).toLocaleString('en-IN', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit', hour12: true, timeZone: 'Asia/Kolkata' });
+    if (!c.starts_at && !c.ends_at) return 'Always';
+    return `${c.starts_at ? format(c.starts_at) : 'Now'} - ${c.ends_at ? format(c.ends_at) : 'no end'}`;
+  }
+
+  async loadCoupons() {
+    const body = document.getElementById('coupon-rows');
+    if (!body) return;
+    try {
+      const coupons = await api('/admin/coupons', { method: 'GET' });
+      body.innerHTML = coupons.length
+        ? coupons.map(c => `
+            <tr data-coupon-id="${c.coupon_id}" class="${c.is_active ? '' : 'coupon-disabled'}">
+              <td><strong>${c.code}</strong>${c.description ? `<br><small>${c.description}</small>` : ''}</td>
+              <td>${this.describeOffer(c)}</td>
+              <td>${c.item_title || c.category || 'Whole cart'}</td>
+              <td>${this.describeValidity(c)}</td>
+              <td>${c.redemptions}${c.usage_limit ? ` / ${c.usage_limit}` : ''}${c.per_user_limit ? `<br><small>${c.per_user_limit} per student</small>` : ''}</td>
+              <td>₹${parseFloat(c.discount_given).toFixed(2)}</td>
+              <td><button class="${c.is_active ? 'btn-secondary' : 'btn'} toggle-coupon-btn" data-active="${c.is_active ? 1 : 0}">${c.is_active ? 'Disable' : 'Enable'}</button></td>
+            </tr>
+          `).join('')
+        : '<tr><td colspan="7" class="text-center">No coupons yet.</td></tr>';
+      body.querySelectorAll('.toggle-coupon-btn').forEach(btn => {
+        btn.addEventListener('click', () => this.toggleCoupon(btn.closest('tr').dataset.couponId, btn.dataset.active !== '1'));
+      });
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: error.error || 'Failed to load coupons' });
+    }
+  }
+
+  async createCoupon() {
+    const value = (id) => document.getElementById(id).value.trim();
+    try {
+      await api('/admin/coupons', {
+        method: 'POST',
+        body: JSON.stringify({
+          code: value('coupon-code'),
+          description: value('coupon-description'),
+          discount_type: value('coupon-type'),
+          discount_value: value('coupon-value'),
+          max_discount: value('coupon-max'),
+          min_cart_value: value('coupon-min-cart'),
+          category: value('coupon-category'),
+          item_id: value('coupon-product'),
+          starts_at: value('coupon-starts'),
+          ends_at: value('coupon-ends'),
+          usage_limit: value('coupon-usage-limit'),
+          per_user_limit: value('coupon-per-user'),
+          first_order_only: document.getElementById('coupon-first-order').checked
+        })
+      });
+      ['coupon-code', 'coupon-description', 'coupon-value', 'coupon-max', 'coupon-min-cart', 'coupon-starts', 'coupon-ends', 'coupon-usage-limit']
+        .forEach(id => { document.getElementById(id).value = ''; });
+      Swal.fire({ icon: 'success', title: 'Coupon created', timer: 1200, showConfirmButton: false });
+      await this.loadCoupons();
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: error.error || 'Failed to create coupon' });
+    }
+  }
+
+  async toggleCoupon(coupon_id, is_active) {
+    try {
+      await api(`/admin/coupons/${coupon_id}/active`, { method: 'PUT', body: JSON.stringify({ is_active }) });
+      await this.loadCoupons();
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: error.error || 'Failed to update coupon' });
+    }
+  }
+}
+
+class TaxManager {
+  constructor() {
+    document.getElementById('save-tax-settings-btn')?.addEventListener('click', () => this.saveSettings());
+  }
+
+  async load() {
+    try {
+      const data = await api('/admin/tax', { method: 'GET' });
+      this.renderSettings(data.settings);
+      this.renderRates('tax-category-rows', 'categories', data.categories, c => ({
+        id: c.category_id,
+        cells: `<td>${c.category_name}</td>`,
+        placeholder: `Default (${data.settings.default_gst_rate})`,
+        hsnPlaceholder: data.settings.default_hsn_code || ''
+      }));
+      this.renderRates('tax-product-rows', 'products', data.products, p => ({
+        id: p.item_id,
+        cells: `<td>${p.title}</td><td>${p.category || '-'}</td>`,
+        placeholder: 'Category',
+        hsnPlaceholder: 'Category'
+      }));
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: error.error || 'Failed to load tax settings' });
+    }
+  }
+
+  renderSettings(settings) {
+    const set = (id, value) => { document.getElementById(id).value = value ?? ''; };
+    set('tax-legal-name', settings.legal_name);
+    set('tax-gstin', settings.gstin);
+    set('tax-address', settings.address);
+    set('tax-state', settings.state);
+    set('tax-invoice-prefix', settings.invoice_prefix);
+    set('tax-default-rate', settings.default_gst_rate);
+    set('tax-default-hsn', settings.default_hsn_code);
+    document.getElementById('tax-prices-include').checked = Boolean(settings.prices_include_tax);
+  }
+
+  renderRates(bodyId, kind, rows, describe) {
+    const body = document.getElementById(bodyId);
+    if (!body) return;
+    body.innerHTML = rows.map(row => {
+      const { id, cells, placeholder, hsnPlaceholder } = describe(row);
+      return `
+        <tr data-id="${id}">
+          ${cells}
+          <td><input type="number" min="0" max="40" step="0.01" class="tax-rate" value="${row.gst_rate ?? ''}" placeholder="${placeholder}" /></td>
+          <td><input type="text" maxlength="8" class="tax-hsn" value="${row.hsn_code || ''}" placeholder="${hsnPlaceholder}" /></td>
+          <td><button class="btn save-tax-rate-btn">Save</button></td>
+        </tr>
+      `;
+    }).join('');
+    body.querySelectorAll('.save-tax-rate-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.saveRate(kind, btn.closest('tr')));
+    });
+  }
+
+  async saveSettings() {
+    const value = (id) => document.getElementById(id).value.trim();
+    try {
+      await api('/admin/tax/settings', {
+        method: 'PUT',
+        body: JSON.stringify({
+          legal_name: value('tax-legal-name'),
+          gstin: value('tax-gstin'),
+          address: value('tax-address'),
+          state: value('tax-state'),
+          invoice_prefix: value('tax-invoice-prefix'),
+          default_gst_rate: value('tax-default-rate'),
+          default_hsn_code: value('tax-default-hsn'),
+          prices_include_tax: document.getElementById('tax-prices-include').checked
+        })
+      });
+      Swal.fire({ icon: 'success', title: 'Invoice details saved', text: 'New orders will use them.', timer: 1500, showConfirmButton: false });
+      await this.load();
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: error.error || 'Failed to save tax settings' });
+    }
+  }
+
+  async saveRate(kind, row) {
+    try {
+      await api(`/admin/tax/${kind}/${row.dataset.id}`, {
+        method: 'PUT',
+        body: JSON.stringify({
+          gst_rate: row.querySelector('.tax-rate').value.trim(),
+          hsn_code: row.querySelector('.tax-hsn').value.trim()
+        })
+      });
+      Swal.fire({ icon: 'success', title: 'Tax rate updated', timer: 1200, showConfirmButton: false });
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: error.error || 'Failed to update tax rate' });
+    }
+  }
+}
+
+class KioskManager {
+  constructor() {
+    document.getElementById('create-kiosk-btn')?.addEventListener('click', () => this.createKiosk());
+  }
+
+  async load() {
+    const body = document.getElementById('kiosk-rows');
+    if (!body) return;
+    const format = (value) => value
+      ? new Date(value).toLocaleString('en-IN', { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit', hour12: true, timeZone: 'Asia/Kolkata' })
+      : 'Never';
+    try {
+      const kiosks = await api('/admin/kiosks', { method: 'GET' });
+      body.innerHTML = kiosks.length
+        ? kiosks.map(k => `
+            <tr data-kiosk-id="${k.kiosk_id}" class="${k.is_active ? '' : 'kiosk-disabled'}">
+              <td><strong>${escapeHtml(k.name)}</strong>${k.created_by_name ? `<br><small>Added by ${escapeHtml(k.created_by_name)}</small>` : ''}</td>
+              <td>${format(k.last_seen_at)}</td>
+              <td>${k.orders_today}</td>
+              <td><button class="${k.is_active ? 'btn-secondary' : 'btn'} toggle-kiosk-btn" data-active="${k.is_active ? 1 : 0}">${k.is_active ? 'Switch off' : 'Switch on'}</button></td>
+            </tr>
+          `).join('')
+        : '<tr><td colspan="4" class="text-center">No kiosks registered yet.</td></tr>';
+      body.querySelectorAll('.toggle-kiosk-btn').forEach(btn => {
+        btn.addEventListener('click', () => this.toggleKiosk(btn.closest('tr').dataset.kioskId, btn.dataset.active !== '1'));
+      });
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: error.error || 'Failed to load kiosks' });
+    }
+  }
+
+  async createKiosk() {
+    const input = document.getElementById('kiosk-name');
+    try {
+      const data = await api('/admin/kiosks', { method: 'POST', body: JSON.stringify({ name: input.value.trim() }) });
+      input.value = '';
+      // The key is only ever shown here; the server keeps a hash
+      await Swal.fire({
+        icon: 'success',
+        title: `${escapeHtml(data.name)} registered`,
+        html: `Open <b>kiosk.html</b> on the tablet and enter this device key:<br><code class="kiosk-key">${data.device_key}</code><br><small>${data.message}</small>`
+      });
+      await this.load();
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: error.error || 'Failed to register kiosk' });
+    }
+  }
+
+  async toggleKiosk(kiosk_id, is_active) {
+    try {
+      await api(`/admin/kiosks/${kiosk_id}/active`, { method: 'PUT', body: JSON.stringify({ is_active }) });
+      await this.load();
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: error.error || 'Failed to update kiosk' });
+    }
+  }
+}
+
+// Review moderation: hidden reviews stop counting toward a dish's rating
+class ReviewManager {
+  constructor() {
+    document.getElementById('review-status-filter')?.addEventListener('change', () => this.load());
+  }
+
+  async load() {
+    const body = document.getElementById('review-rows');
+    if (!body) return;
+    const status = document.getElementById('review-status-filter').value;
+    try {
+      const reviews = await api(`/admin/reviews${status ? `?status=${status}` : ''}`, { method: 'GET' });
+      body.innerHTML = reviews.length
+        ? reviews.map(r => `
+            <tr data-review-id="${r.review_id}" class="${r.status === 'hidden' ? 'review-hidden' : ''}">
+              <td><strong>${r.title}</strong><br><small>Order #${r.order_id}</small></td>
+              <td class="review-stars">${'&#9733;'.repeat(r.rating)}${'&#9734;'.repeat(5 - r.rating)}</td>
+              <td>${r.comment ? escapeHtml(r.comment) : '<small>No comment</small>'}${r.moderation_note ? `<br><small>Note: ${escapeHtml(r.moderation_note)}</small>` : ''}</td>
+              <td>${escapeHtml(r.user_name || 'Unnamed')}<br><small>${r.user_email}</small></td>
+              <td>${new Date(r.created_at).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric', timeZone: 'Asia/Kolkata' })}</td>
+              <td><button class="${r.status === 'hidden' ? 'btn' : 'btn-secondary'} moderate-review-btn" data-status="${r.status === 'hidden' ? 'published' : 'hidden'}">${r.status === 'hidden' ? 'Publish' : 'Hide'}</button></td>
+            </tr>
+          `).join('')
+        : '<tr><td colspan="6" class="text-center">No reviews yet.</td></tr>';
+      body.querySelectorAll('.moderate-review-btn').forEach(btn => {
+        btn.addEventListener('click', () => this.moderate(btn.closest('tr').dataset.reviewId, btn.dataset.status));
+      });
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: error.error || 'Failed to load reviews' });
+    }
+  }
+
+  async moderate(review_id, status) {
+    let note = null;
+    if (status === 'hidden') {
+      const { isConfirmed, value } = await Swal.fire({
+        title: 'Hide this review?',
+        input: 'text',
+        inputPlaceholder: 'Reason (optional, staff only)',
+        showCancelButton: true,
+        confirmButtonText: 'Hide'
+      });
+      if (!isConfirmed) return;
+      note = value;
+    }
+    try {
+      await api(`/admin/reviews/${review_id}/status`, { method: 'PUT', body: JSON.stringify({ status, note }) });
+      await this.load();
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: error.error || 'Failed to update review' });
+    }
+  }
+}
+
+class CanteenHoursManager {
+  constructor() {
+    document.getElementById('pause-ordering-btn')?.addEventListener('click', () => this.setPaused(true));
+    document.getElementById('resume-ordering-btn')?.addEventListener('click', () => this.setPaused(false));
+    document.getElementById('save-hours-btn')?.addEventListener('click', () => this.saveHours());
+    document.getElementById('add-closure-btn')?.addEventListener('click', () => this.addClosure());
+  }
+
+  async load() {
+    try {
+      const data = await api('/admin/canteen', { method: 'GET' });
+      this.renderPause(data.pause, data.status);
+      this.renderHours(data.hours);
+      this.renderClosures(data.closures);
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: error.error || 'Failed to load opening hours' });
+    }
+  }
+
+  // Just the Paused flag on the menu button
+  async refreshFlag() {
+    try {
+      const data = await api('/admin/canteen', { method: 'GET' });
+      this.renderPause(data.pause, data.status);
+    } catch (error) {
+      console.error('Failed to load ordering status', error);
+    }
+  }
+
+  renderPause(pause, status) {
+    const flag = document.getElementById('ordering-paused-flag');
+    if (flag) flag.hidden = !pause;
+    const text = document.getElementById('ordering-status');
+    if (!text) return;
+    text.classList.toggle('paused', Boolean(pause));
+    if (pause) {
+      const until = pause.until
+        ? ' until ' + new Date(pause.until).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit', hour12: true, timeZone: 'Asia/Kolkata' })
+        : '';
+      text.textContent = `Ordering is paused${until}${pause.message ? ` (${pause.message})` : ''}.`;
+    } else {
+      text.textContent = status.open ? 'Taking orders now.' : `${status.message}. ${status.reopens}`;
+    }
+    document.getElementById('pause-ordering-btn').hidden = Boolean(pause);
+    document.getElementById('resume-ordering-btn').hidden = !pause;
+  }
+
+  renderHours(hours) {
+    const body = document.getElementById('hours-rows');
+    if (!body) return;
+    body.innerHTML = hours.map(h => `
+      <tr data-day="${h.day_of_week}">
+        <td>${h.day}</td>
+        <td><input type="checkbox" class="day-closed" ${h.is_closed ? 'checked' : ''} /></td>
+        <td><input type="time" class="day-open" value="${h.open_time || ''}" ${h.is_closed ? 'disabled' : ''} /></td>
+        <td><input type="time" class="day-close" value="${h.close_time || ''}" ${h.is_closed ? 'disabled' : ''} /></td>
+      </tr>
+    `).join('');
+    body.querySelectorAll('.day-closed').forEach(box => {
+      box.addEventListener('change', () => {
+        const row = box.closest('tr');
+        row.querySelector('.day-open').disabled = box.checked;
+        row.querySelector('.day-close').disabled = box.checked;
+      });
+    });
+  }
+
+  renderClosures(closures) {
+    const list = document.getElementById('closure-list');
+    if (!list) return;
+    list.innerHTML = closures.length
+      ? closures.map(c => `
+          <div class="closure-item" data-closure-id="${c.closure_id}">
+            <span><strong>${new Date(c.closure_date + 'T00:00:00').toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' })}</strong>${c.reason ? ' - ' + c.reason : ''}</span>
+            <button class="btn-secondary remove-closure-btn">Remove</button>
+          </div>
+        `).join('')
+      : '<p class="text-center">No upcoming closures.</p>';
+    list.querySelectorAll('.remove-closure-btn').forEach(btn => {
+      btn.addEventListener('click', () => this.removeClosure(btn.closest('.closure-item').dataset.closureId));
+    });
+  }
+
+  async setPaused(paused) {
+    try {
+      const res = await api('/admin/canteen/pause', {
+        method: 'PUT',
+        body: JSON.stringify({
+          paused,
+          message: document.getElementById('pause-message').value.trim(),
+          minutes: document.getElementById('pause-minutes').value
+        })
+      });
+      Swal.fire({ icon: 'success', title: res.message, timer: 1200, showConfirmButton: false });
+      await this.load();
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: error.error || 'Failed to update ordering' });
+    }
+  }
+
+  async saveHours() {
+    const hours = Array.from(document.querySelectorAll('#hours-rows tr')).map(row => ({
+      day_of_week: Number(row.dataset.day),
+      is_closed: row.querySelector('.day-closed').checked,
+      open_time: row.querySelector('.day-open').value,
+      close_time: row.querySelector('.day-close').value
+    }));
+    try {
+      await api('/admin/canteen/hours', { method: 'PUT', body: JSON.stringify({ hours }) });
+      Swal.fire({ icon: 'success', title: 'Opening hours saved', timer: 1200, showConfirmButton: false });
+      await this.load();
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: error.error || 'Failed to save opening hours' });
+    }
+  }
+
+  async addClosure() {
+    try {
+      await api('/admin/canteen/closures', {
+        method: 'POST',
+        body: JSON.stringify({
+          closure_date: document.getElementById('closure-date').value,
+          reason: document.getElementById('closure-reason').value.trim()
+        })
+      });
+      document.getElementById('closure-date').value = '';
+      document.getElementById('closure-reason').value = '';
+      await this.load();
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: error.error || 'Failed to add closure' });
+    }
+  }
+
+  async removeClosure(id) {
+    try {
+      await api(`/admin/canteen/closures/${id}`, { method: 'DELETE' });
+      await this.load();
+    } catch (error) {
+      Swal.fire({ icon: 'error', title: error.error || 'Failed to remove closure' });
+    }
+  }
+}
+
 // Global instances
-let categoryManager, imageManager, productManager;
+let categoryManager, imageManager, productManager, walletDesk, inventoryManager, pickupSlotManager, canteenHoursManager, addOnManager, couponManager, taxManager, kioskManager, reviewManager;
 
 async function populateRemoveDropdown() {
   const select = document.getElementById('remove-select');
@@ -475,6 +1356,15 @@ document.addEventListener('DOMContentLoaded', async () => {
   categoryManager = new CategoryManager();
   imageManager = new ImageManager();
   productManager = new ProductManager(categoryManager, imageManager);
+  walletDesk = new WalletDesk();
+  inventoryManager = new InventoryManager();
+  pickupSlotManager = new PickupSlotManager();
+  canteenHoursManager = new CanteenHoursManager();
+  addOnManager = new AddOnManager();
+  couponManager = new CouponManager();
+  taxManager = new TaxManager();
+  kioskManager = new KioskManager();
+  reviewManager = new ReviewManager();
 
   // Make categoryManager globally accessible immediately
   window.categoryManager = categoryManager;
@@ -482,25 +1372,39 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Load categories
   await categoryManager.loadCategories();
 
-  const addProductMenuBtn = document.querySelector('#add-product-menu');
-  const removeProductMenuBtn = document.querySelector('#remove-product-menu');
-  const addContainer = document.querySelector('.add-container');
-  const removeContainer = document.querySelector('.remove-container');
-
-  // toggles
-  if (addProductMenuBtn) {
-    addProductMenuBtn.addEventListener('click', () => {
-      addContainer.classList.toggle('show-container');
-      removeContainer.classList.remove('show-container');
-    });
-  }
-  if (removeProductMenuBtn) {
-    removeProductMenuBtn.addEventListener('click', () => {
-      removeContainer.classList.toggle('show-container');
-      addContainer.classList.remove('show-container');
-      populateRemoveDropdown();
+  // toggles: one panel open at a time
+  const panels = [
+    { button: '#add-product-menu', container: '.add-container' },
+    { button: '#remove-product-menu', container: '.remove-container', onOpen: populateRemoveDropdown },
+    { button: '#wallet-desk-menu', container: '.wallet-container' },
+    { button: '#inventory-menu', container: '.inventory-container', onOpen: () => {
+      inventoryManager.loadStockTable();
+      inventoryManager.refreshAlerts();
+    } },
+    { button: '#pickup-slots-menu', container: '.slots-container', onOpen: () => pickupSlotManager.loadSlots() },
+    { button: '#canteen-hours-menu', container: '.hours-container', onOpen: () => canteenHoursManager.load() },
+    { button: '#add-ons-menu', container: '.addons-container', onOpen: () => addOnManager.loadProducts() },
+    { button: '#coupons-menu', container: '.coupons-container', onOpen: () => couponManager.load() },
+    { button: '#tax-menu', container: '.tax-container', onOpen: () => taxManager.load() },
+    { button: '#kiosks-menu', container: '.kiosks-container', onOpen: () => kioskManager.load() },
+    { button: '#reviews-menu', container: '.reviews-container', onOpen: () => reviewManager.load() }
+  ];
+  panels.forEach(panel => {
+    const button = document.querySelector(panel.button);
+    const container = document.querySelector(panel.container);
+    if (!button || !container) return;
+    button.addEventListener('click', () => {
+      panels.forEach(other => {
+        if (other !== panel) document.querySelector(other.container)?.classList.remove('show-container');
+      });
+      container.classList.toggle('show-container');
+      if (panel.onOpen && container.classList.contains('show-container')) panel.onOpen();
     });
-  }
+  });
+
+  // Low stock count on the Inventory button, Paused flag on Opening Hours
+  inventoryManager.refreshAlerts();
+  canteenHoursManager.refreshFlag();
 
   // Remove product handler
   const removeBtn = document.getElementById('remove-product-btn');
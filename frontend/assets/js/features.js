@@ -56,56 +56,49 @@ if (toggleBars) {
 }
 
 // Best Dishes Section
-var bestDishes = [
-    {
-        title: 'Masala Sandwich',
-        rating: 4,
-        imgURL: "assets/images/s2.jpg",
-        description: "Sumptuous delicious food baked in our cafe with curated ingredients",
-        price: 30
-    },
-    {
-        title: 'Red Pasta',
-        rating: 5,
-        imgURL: "assets/images/pasta.jpg",
-        description: "Sumptuous delicious food baked in our cafe with curated ingredients",
-        price: 45
-    },
-    {
-        title: 'White Pasta',
-        rating: 5,
-        imgURL: "assets/images/white-pasta.jpg",
-        description: "Sumptuous delicious food baked in our cafe with curated ingredients",
-        price: 25
-    },
-    {
-        title: 'French Fries',
-        rating: 4,
-        imgURL: "assets/images/shezuan.jpg",
-        description: "Sumptuous delicious food baked in our cafe with curated ingredients",
-        price: 35
-    }
-]
+// Top rated and best selling dishes from the menu (GET /api/menu/best-dishes)
+const DISHES_API_BASE = 'http://localhost:5000/api';
 const bestDishesCont = document.querySelector('#best-dishes-container');
-function bestDishesHero(){
-    bestDishes.forEach(index => {
+
+// Five stars for an average rating, rounded to the nearest half
+function ratingStars(average) {
+    const halves = Math.round((parseFloat(average) || 0) * 2);
+    return [1, 2, 3, 4, 5].map(star => {
+        if (halves >= star * 2) return '<i class="fas fa-star"></i>';
+        if (halves === star * 2 - 1) return '<i class="fas fa-star-half-alt"></i>';
+        return '<i class="far fa-star"></i>';
+    }).join('');
+}
+
+async function bestDishesHero(){
+    if (!bestDishesCont) return;
+    let dishes = [];
+    try {
+        const res = await fetch(DISHES_API_BASE + '/menu/best-dishes');
+        if (res.ok) dishes = await res.json();
+    } catch (err) {
+        console.error('Failed to load best dishes', err);
+    }
+    // Nothing rated or sold yet: leave the section out rather than show an empty row
+    const section = bestDishesCont.closest('.dishes');
+    if (section) section.hidden = dishes.length === 0;
+
+    dishes.forEach(dish => {
         var div = document.createElement('div')
         div.innerHTML = `
             <a href="#" class="card text-center m-2">
-                <h2>${index.title}</h2>
-                <div class="rating">
-                    <i class="fas fa-star"></i>
-                    <i class="fas fa-star"></i>
-                    <i class="fas fa-star"></i>
-                    <i class="fas fa-star"></i>
-                    <i class="fas fa-star"></i>
+                <h2>${dish.title}</h2>
+                <div class="rating" title="${dish.rating_count ? `${dish.rating_average} out of 5 from ${dish.rating_count} reviews` : 'Not rated yet'}">
+                    ${ratingStars(dish.rating_average)}
+                    ${dish.rating_count ? `<small>(${dish.rating_count})</small>` : ''}
                 </div>
-                <img src="${index.imgURL}" loading="lazy" alt="Canteen Dishes">
-                <p>${index.description}</p>
-                <h3 class="md">&#8377; ${index.price}</h3>
+                <div class="dish-highlight">${dish.highlight === 'top_rated' ? 'Top rated' : `Best seller: ${dish.sold} sold this month`}</div>
+                <img src="${dish.image_url}" loading="lazy" alt="${dish.title}">
+                ${dish.description ? `<p>${dish.description}</p>` : ''}
+                <h3 class="md">&#8377; ${parseFloat(dish.price).toFixed(0)}</h3>
             </a>
         `
-        if (bestDishesCont) {bestDishesCont.appendChild(div)}
+        bestDishesCont.appendChild(div)
     })
 }
 bestDishesHero()
@@ -66,17 +66,35 @@ document.addEventListener('DOMContentLoaded', () => {
       e.preventDefault();
       const email = document.getElementById('sign-in-email').value;
       const password = document.getElementById('sign-in-password').value;
+      // Anything added to the cart before logging in (see main.js) joins the account's cart
+      let guest_cart;
+      try { guest_cart = JSON.parse(localStorage.getItem('guestCart') || '[]'); } catch (_) { guest_cart = []; }
       try {
         const res = await fetch(API_BASE + '/auth/login', { 
           method: 'POST', 
           headers: {'Content-Type':'application/json'}, 
-          body: JSON.stringify({ email, password })
+          body: JSON.stringify({ email, password, guest_cart })
         });
         const data = await res.json();
         
         if (data.token) {
           saveToken(data.token);
-          Swal.fire({ icon: 'success', title: 'Logged In' });
+          if (data.cart_merge) localStorage.removeItem('guestCart');
+          const changes = data.cart_merge
+            ? data.cart_merge.dropped.map(d => `${d.title || 'An item'} - ${d.reason}`)
+              .concat(data.cart_merge.reduced.map(r => `${r.title} - only ${r.added} added, not ${r.requested}`))
+            : [];
+          if (data.cart_merge_error) {
+            await Swal.fire({ icon: 'warning', title: 'Logged In', text: data.cart_merge_error });
+          } else if (changes.length) {
+            await Swal.fire({
+              icon: 'info',
+              title: 'Logged In',
+              html: 'Some items in your cart have changed:<br>' + changes.join('<br>')
+            });
+          } else {
+            Swal.fire({ icon: 'success', title: 'Logged In' });
+          }
           if (data.user && data.user.is_admin) {
             window.location.replace(APP_BASE + '/admin-side.html');
           } else {
@@ -0,0 +1,363 @@
+// kiosk.js - Self-service ordering tablet at the canteen entrance
+(function(){
+const KIOSK_API_BASE = 'http://localhost:5000/api';
+
+// The tablet signs in with its own device key, never a student account
+const KIOSK_KEY_STORAGE = 'kioskKey';
+// How long the "Still there?" prompt waits before starting over
+const IDLE_WARNING_SECONDS = 15;
+// How long the token stays on screen after ordering
+const TOKEN_SCREEN_SECONDS = 20;
+
+let products = [];
+let category = 'All';
+let idleTimeoutSeconds = 90;
+let pricesIncludeTax = true;
+let lastTouch = Date.now();
+let idlePrompt = false;
+const lines = []; // { key, item_id, variant_id, modifiers, instructions, label, extras, unit_price, quantity }
+
+function getKioskKey(){ return localStorage.getItem(KIOSK_KEY_STORAGE); }
+
+async function api(path, opts = {}) {
+  const headers = opts.headers || {};
+  const key = getKioskKey();
+  if (key) headers['X-Kiosk-Key'] = key;
+  if (!headers['Content-Type']) headers['Content-Type'] = 'application/json';
+  const res = await fetch(KIOSK_API_BASE + path, { ...opts, headers });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ error: 'Server error' }));
+    err.status = res.status;
+    throw err;
+  }
+  return res.json();
+}
+
+function money(value) {
+  return `₹${parseFloat(value || 0).toFixed(2)}`;
+}
+
+function cartTotal() {
+  return lines.reduce((sum, line) => sum + line.unit_price * line.quantity, 0);
+}
+
+function showWelcome(show) {
+  document.getElementById('kiosk-welcome').hidden = !show;
+}
+
+// ---- Device sign-in ----
+
+// Staff enter the key shown when the kiosk was registered under
+// Product Management > Kiosks. It stays on the tablet until revoked.
+async function askForKey(message) {
+  const { value } = await Swal.fire({
+    title: 'Set up this kiosk',
+    text: message || 'Enter the device key from Product Management > Kiosks',
+    input: 'password',
+    inputPlaceholder: 'kiosk_...',
+    confirmButtonText: 'Save',
+    allowOutsideClick: false,
+    allowEscapeKey: false,
+    inputValidator: (key) => (key && key.trim() ? null : 'The device key is required')
+  });
+  localStorage.setItem(KIOSK_KEY_STORAGE, value.trim());
+}
+
+async function startSession() {
+  for (;;) {
+    if (!getKioskKey()) await askForKey();
+    try {
+      const session = await api('/kiosk/session', { method: 'GET' });
+      idleTimeoutSeconds = session.idle_timeout_seconds;
+      pricesIncludeTax = session.prices_include_tax;
+      renderBanner(session.canteen);
+      return session;
+    } catch (err) {
+      if (err.status !== 401 && err.status !== 403) throw err;
+      localStorage.removeItem(KIOSK_KEY_STORAGE);
+      await askForKey(err.error);
+    }
+  }
+}
+
+function renderBanner(canteen) {
+  const banner = document.getElementById('kiosk-banner');
+  banner.hidden = !canteen || canteen.open;
+  if (!banner.hidden) {
+    banner.innerHTML = `<i class="fas fa-store-slash"></i> ${canteen.message}${canteen.reopens ? ` &middot; ${canteen.reopens}` : ''}`;
+  }
+}
+
+// ---- Menu ----
+
+function renderCategories() {
+  const names = ['All', ...new Set(products.map(p => p.category))];
+  document.getElementById('kiosk-categories').innerHTML = names.map(name => `
+    <button class="kiosk-category${name === category ? ' kiosk-active' : ''}" data-category="${name}">${name}</button>
+  `).join('');
+}
+
+function renderProducts() {
+  const list = products.filter(p => category === 'All' || p.category === category);
+  document.getElementById('kiosk-products').innerHTML = list.length
+    ? list.map(p => {
+      const soldOut = p.stock_quantity !== null && p.stock_quantity <= 0;
+      const price = p.variants.length ? `from ${money(p.variants[0].price)}` : money(p.price);
+      return `
+        <button class="kiosk-product" data-id="${p.item_id}" ${soldOut ? 'disabled' : ''}>
+          <img src="${p.image_url}" loading="lazy" alt="">
+          <span class="kiosk-product-name">${p.title}</span>
+          <span class="kiosk-product-price">${soldOut ? 'Sold out' : price}</span>
+        </button>
+      `;
+    }).join('')
+    : '<div class="kiosk-empty">Nothing here right now</div>';
+}
+
+async function loadMenu() {
+  try {
+    const res = await fetch(`${KIOSK_API_BASE}/menu`);
+    if (!res.ok) throw await res.json().catch(() => ({ error: 'Server error' }));
+    products = await res.json();
+    renderCategories();
+    renderProducts();
+  } catch (err) {
+    document.getElementById('kiosk-products').innerHTML = '<div class="kiosk-empty">Menu unavailable. Please order at the counter.</div>';
+  }
+}
+
+// Size and add-on picker. Resolves to the customer's choices, or null if dismissed.
+async function chooseOptions(product) {
+  const sizes = product.variants.length ? `
+    <fieldset class="kiosk-option-group">
+      <legend>Size</legend>
+      ${product.variants.map((v, i) => `
+        <label><input type="radio" name="kiosk-size" value="${v.variant_id}" data-price="${v.price}" data-name="${v.name}" ${i === 0 ? 'checked' : ''}> ${v.name} <span>${money(v.price)}</span></label>
+      `).join('')}
+    </fieldset>
+  ` : '';
+  const groups = product.modifier_groups.map(group => {
+    const single = group.min_select === 1 && group.max_select === 1;
+    return `
+      <fieldset class="kiosk-option-group kiosk-addons" data-name="${group.name}" data-min="${group.min_select}" data-max="${group.max_select ?? ''}">
+        <legend>${group.name}</legend>
+        ${group.options.map(o => `
+          <label><input type="${single ? 'radio' : 'checkbox'}" name="kiosk-group-${group.group_id}" value="${o.option_id}" data-price="${o.price}" data-name="${o.name}"> ${o.name}${parseFloat(o.price) ? ` <span>+${money(o.price)}</span>` : ''}</label>
+        `).join('')}
+      </fieldset>
+    `;
+  }).join('');
+
+  const { isConfirmed, value } = await Swal.fire({
+    title: product.title,
+    html: `<div class="kiosk-picker">${sizes}${groups}</div>`,
+    showCancelButton: true,
+    confirmButtonText: 'Add to order',
+    customClass: { popup: 'kiosk-popup' },
+    preConfirm: () => {
+      const popup = Swal.getPopup();
+      for (const fieldset of popup.querySelectorAll('.kiosk-addons')) {
+        const count = fieldset.querySelectorAll('input:checked').length;
+        const min = Number(fieldset.dataset.min);
+        const max = fieldset.dataset.max ? Number(fieldset.dataset.max) : null;
+        if (count < min || (max !== null && count > max)) {
+          Swal.showValidationMessage(`Please check your choices for ${fieldset.dataset.name}`);
+          return false;
+        }
+      }
+      const size = popup.querySelector('input[name="kiosk-size"]:checked');
+      const addOns = Array.from(popup.querySelectorAll('.kiosk-addons input:checked'));
+      return {
+        variant_id: size ? Number(size.value) : null,
+        size_name: size ? size.dataset.name : null,
+        base_price: size ? parseFloat(size.dataset.price) : parseFloat(product.price),
+        modifiers: addOns.map(input => Number(input.value)),
+        addon_names: addOns.map(input => input.dataset.name),
+        addons_price: addOns.reduce((sum, input) => sum + parseFloat(input.dataset.price), 0)
+      };
+    }
+  });
+  return isConfirmed ? value : null;
+}
+
+async function addProduct(product) {
+  let choice = {
+    variant_id: null, size_name: null, base_price: parseFloat(product.price),
+    modifiers: [], addon_names: [], addons_price: 0
+  };
+  if (product.variants.length || product.modifier_groups.length) {
+    choice = await chooseOptions(product);
+    if (!choice) return;
+  }
+
+  const key = [product.item_id, choice.variant_id || '', choice.modifiers.join(',')].join('|');
+  const existing = lines.find(line => line.key === key);
+  if (existing) {
+    existing.quantity += 1;
+  } else {
+    lines.push({
+      key,
+      item_id: product.item_id,
+      variant_id: choice.variant_id,
+      modifiers: choice.modifiers,
+      label: product.title + (choice.size_name ? ` (${choice.size_name})` : ''),
+      extras: choice.addon_names.length ? `+ ${choice.addon_names.join(', ')}` : '',
+      unit_price: choice.base_price + choice.addons_price,
+      quantity: 1
+    });
+  }
+  renderCart();
+}
+
+// ---- Cart (on this device only) ----
+
+function renderCart() {
+  document.getElementById('kiosk-lines').innerHTML = lines.length
+    ? lines.map((line, index) => `
+      <li class="kiosk-line">
+        <div class="kiosk-line-name">
+          ${line.label}
+          ${line.extras ? `<small>${line.extras}</small>` : ''}
+        </div>
+        <div class="kiosk-line-qty">
+          <button class="kiosk-qty" data-index="${index}" data-step="-1" aria-label="One less"><i class="fas fa-minus"></i></button>
+          <b>${line.quantity}</b>
+          <button class="kiosk-qty" data-index="${index}" data-step="1" aria-label="One more"><i class="fas fa-plus"></i></button>
+        </div>
+        <div class="kiosk-line-amount">${money(line.unit_price * line.quantity)}</div>
+      </li>
+    `).join('')
+    : '<li class="kiosk-empty">Tap a dish to add it</li>';
+
+  document.getElementById('kiosk-total').textContent = money(cartTotal()) + (pricesIncludeTax ? '' : ' + GST');
+  document.getElementById('kiosk-place').disabled = lines.length === 0;
+}
+
+async function placeOrder(button) {
+  button.disabled = true;
+  try {
+    const order = await api('/kiosk/orders', {
+      method: 'POST',
+      body: JSON.stringify({
+        items: lines.map(line => ({
+          item_id: line.item_id,
+          variant_id: line.variant_id,
+          modifiers: line.modifiers,
+          quantity: line.quantity
+        }))
+      })
+    });
+    lines.length = 0;
+    renderCart();
+    await Swal.fire({
+      icon: 'success',
+      title: `Your token: ${order.token_number}`,
+      html: `Please pay <b>${money(order.total)}</b> at the counter.<br>We'll start cooking right away.`
+        + (order.receipt_printed ? '<br>Take your receipt and show its QR code when you collect.' : ''),
+      confirmButtonText: 'Done',
+      timer: TOKEN_SCREEN_SECONDS * 1000,
+      timerProgressBar: true,
+      customClass: { popup: 'kiosk-popup kiosk-token' }
+    });
+    resetSession();
+  } catch (err) {
+    if (err.canteen) renderBanner(err.canteen);
+    Swal.fire({ icon: 'error', title: err.error || 'Could not place your order', text: 'Please try again or order at the counter.' });
+    button.disabled = lines.length === 0;
+  }
+}
+
+// ---- Idle reset ----
+
+// Back to the start screen with an empty cart, ready for the next customer
+async function resetSession() {
+  lines.length = 0;
+  category = 'All';
+  idlePrompt = false;
+  Swal.close();
+  renderCart();
+  showWelcome(true);
+  window.scrollTo(0, 0);
+  try {
+    await startSession();
+  } catch (_) { /* keep the last known status */ }
+  loadMenu();
+}
+
+async function checkIdle() {
+  const welcome = !document.getElementById('kiosk-welcome').hidden;
+  if (welcome || idlePrompt || Date.now() - lastTouch < idleTimeoutSeconds * 1000) return;
+
+  // An empty kiosk just goes back to the start screen
+  if (lines.length === 0 && !Swal.isVisible()) {
+    resetSession();
+    return;
+  }
+
+  idlePrompt = true;
+  const { isConfirmed } = await Swal.fire({
+    icon: 'question',
+    title: 'Are you still there?',
+    text: 'Your order will be cleared shortly.',
+    confirmButtonText: "I'm still here",
+    timer: IDLE_WARNING_SECONDS * 1000,
+    timerProgressBar: true,
+    customClass: { popup: 'kiosk-popup' }
+  });
+  idlePrompt = false;
+  if (isConfirmed) {
+    lastTouch = Date.now();
+  } else {
+    resetSession();
+  }
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  ['pointerdown', 'keydown'].forEach(type => document.addEventListener(type, () => { lastTouch = Date.now(); }, true));
+
+  document.getElementById('kiosk-welcome').addEventListener('click', () => {
+    showWelcome(false);
+    document.documentElement.requestFullscreen?.().catch(() => {});
+  });
+
+  document.getElementById('kiosk-categories').addEventListener('click', (e) => {
+    const button = e.target.closest('.kiosk-category');
+    if (!button) return;
+    category = button.dataset.category;
+    renderCategories();
+    renderProducts();
+  });
+
+  document.getElementById('kiosk-products').addEventListener('click', (e) => {
+    const button = e.target.closest('.kiosk-product');
+    if (!button || button.disabled) return;
+    const product = products.find(p => p.item_id === Number(button.dataset.id));
+    if (product) addProduct(product);
+  });
+
+  document.getElementById('kiosk-lines').addEventListener('click', (e) => {
+    const button = e.target.closest('.kiosk-qty');
+    if (!button) return;
+    const index = Number(button.dataset.index);
+    lines[index].quantity += Number(button.dataset.step);
+    if (lines[index].quantity <= 0) lines.splice(index, 1);
+    renderCart();
+  });
+
+  document.getElementById('kiosk-place').addEventListener('click', (e) => placeOrder(e.currentTarget));
+  document.getElementById('kiosk-start-over').addEventListener('click', resetSession);
+
+  // No pinch-zoom or long-press menus on the tablet
+  document.addEventListener('contextmenu', (e) => e.preventDefault());
+
+  try {
+    await startSession();
+  } catch (err) {
+    renderBanner({ open: false, message: 'Kiosk offline. Please order at the counter.' });
+  }
+  await loadMenu();
+  renderCart();
+  setInterval(checkIdle, 1000);
+});
+
+})();
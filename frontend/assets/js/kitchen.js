@@ -0,0 +1,322 @@
+// kitchen.js - Kitchen Display System for canteen staff
+(function(){
+const KITCHEN_API_BASE = 'http://localhost:5000/api';
+
+// Orders shown on the kitchen screen and what one tap moves them to
+const KITCHEN_STATUSES = ['Placed', 'Preparing'];
+const BUMP_TO = { Placed: 'Preparing', Preparing: 'Ready' };
+
+// Elapsed-time colouring (minutes since the order reached the kitchen)
+const WARN_AFTER_MIN = 5;
+const LATE_AFTER_MIN = 10;
+
+const orders = new Map(); // order_id -> order
+let kitchenPrinter = false; // whether the server has a kitchen printer to send tickets to
+
+function getToken(){ return localStorage.getItem('token'); }
+
+async function api(path, opts = {}) {
+  const headers = opts.headers || {};
+  const token = getToken();
+  if (token) headers['Authorization'] = 'Bearer ' + token;
+  if (!headers['Content-Type']) headers['Content-Type'] = 'application/json';
+  const res = await fetch(KITCHEN_API_BASE + path, { ...opts, headers });
+  if (!res.ok) throw await res.json().catch(() => ({ error: 'Server error' }));
+  return res.json();
+}
+
+async function ensureAdminAccess() {
+  try {
+    const data = await api('/auth/verify', { method: 'GET' });
+    if (!data?.user?.is_admin) throw data;
+    return true;
+  } catch (e) {
+    Swal.fire({ icon: 'error', title: 'Please login as admin' });
+    setTimeout(() => window.location.replace('index.html'), 1200);
+    return false;
+  }
+}
+
+// Customers' kitchen instructions are free text; escape before innerHTML
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text == null ? '' : String(text);
+  return div.innerHTML;
+}
+
+function minutesSince(date) {
+  return Math.max(0, Math.floor((Date.now() - new Date(date).getTime()) / 60000));
+}
+
+// Pre-orders for a pickup slot only reach the screen shortly before their slot;
+// until then they are counted as scheduled but not shown.
+function queuedAt(order) {
+  return order.kitchen_visible_at || order.order_date;
+}
+
+function isDue(order) {
+  return !order.kitchen_visible_at || new Date(order.kitchen_visible_at).getTime() <= Date.now();
+}
+
+function ageClass(minutes) {
+  if (minutes >= LATE_AFTER_MIN) return 'kds-late';
+  if (minutes >= WARN_AFTER_MIN) return 'kds-warn';
+  return 'kds-fresh';
+}
+
+// Oldest first: the kitchen works the queue from the top-left
+function sortedOrders() {
+  return Array.from(orders.values())
+    .filter(isDue)
+    .sort((a, b) => new Date(queuedAt(a)) - new Date(queuedAt(b)));
+}
+
+// Sizes matter to the cook, so they go right after the name
+function itemLabel(item) {
+  return item.variant_name ? `${item.title} (${item.variant_name})` : item.title;
+}
+
+function renderTotals(list) {
+  const totals = new Map();
+  list.forEach(order => {
+    // Totals count dishes to cook; add-ons are on each tile
+    (order.items || []).forEach(it => {
+      const key = `${it.item_id}:${it.variant_id || ''}`;
+      const row = totals.get(key) || { title: itemLabel(it), quantity: 0 };
+      row.quantity += it.quantity;
+      totals.set(key, row);
+    });
+  });
+
+  const container = document.getElementById('kds-totals');
+  const rows = Array.from(totals.values()).sort((a, b) => b.quantity - a.quantity);
+  container.innerHTML = rows.length
+    ? rows.map(r => `<span class="kds-total"><b>${r.quantity} &times;</b> ${r.title}</span>`).join('')
+    : '<span class="kds-total kds-total-none">Nothing to cook</span>';
+}
+
+function renderTile(order) {
+  const minutes = minutesSince(queuedAt(order));
+  const next = BUMP_TO[order.order_status];
+  const tile = document.createElement('article');
+  tile.className = `kds-tile kds-${order.order_status.toLowerCase()} ${ageClass(minutes)}`;
+  tile.dataset.orderId = String(order.order_id);
+  tile.innerHTML = `
+    <header class="kds-tile-head">
+      <span class="kds-order-no">${order.token_number ? 'Token ' + order.token_number : '#' + order.order_id}</span>
+      <span class="kds-elapsed" data-placed="${queuedAt(order)}">${minutes} min</span>
+    </header>
+    <div class="kds-customer">Order #${order.order_id} &middot; ${order.user_name || 'Walk-in'} &middot; ${order.formatted_time || ''}</div>
+    ${order.pickup_slot ? `<div class="kds-pickup"><i class="fas fa-clock"></i> Pickup ${order.pickup_slot.formatted}</div>` : ''}
+    <ul class="kds-items">
+      ${(order.items || []).map(it => `
+        <li>
+          <b>${it.quantity} &times;</b> ${itemLabel(it)}
+          ${(it.modifiers || []).length ? `<div class="kds-addons">+ ${it.modifiers.map(m => m.name).join(', ')}</div>` : ''}
+          ${it.instructions ? `<div class="kds-note"><i class="fas fa-comment"></i> ${escapeHtml(it.instructions)}</div>` : ''}
+        </li>
+      `).join('')}
+    </ul>
+    ${kitchenPrinter ? `<button class="kds-print" data-order-id="${order.order_id}" title="Print kitchen ticket"><i class="fas fa-print"></i> KOT</button>` : ''}
+    <button class="kds-bump" data-order-id="${order.order_id}" data-next="${next}">
+      ${order.order_status === 'Placed' ? '<i class="fas fa-fire"></i> Start' : '<i class="fas fa-check"></i> Ready'}
+    </button>
+  `;
+  return tile;
+}
+
+function render() {
+  const grid = document.getElementById('kds-grid');
+  const list = sortedOrders();
+  grid.innerHTML = '';
+  if (list.length === 0) {
+    grid.innerHTML = '<div class="kds-empty"><i class="fas fa-utensils"></i> All caught up</div>';
+  }
+  list.forEach(order => grid.appendChild(renderTile(order)));
+
+  document.getElementById('kds-placed-count').textContent = list.filter(o => o.order_status === 'Placed').length;
+  document.getElementById('kds-preparing-count').textContent = list.filter(o => o.order_status === 'Preparing').length;
+  document.getElementById('kds-scheduled-count').textContent = orders.size - list.length;
+  renderTotals(list);
+}
+
+// Recolour tiles and update minute counters without a full re-render,
+// unless a scheduled order has come due and needs a tile
+function tick() {
+  if (document.querySelectorAll('.kds-tile').length !== sortedOrders().length) {
+    render();
+  }
+  document.querySelectorAll('.kds-elapsed').forEach(el => {
+    const minutes = minutesSince(el.dataset.placed);
+    el.textContent = `${minutes} min`;
+    const tile = el.closest('.kds-tile');
+    tile.classList.remove('kds-fresh', 'kds-warn', 'kds-late');
+    tile.classList.add(ageClass(minutes));
+  });
+  const clock = document.getElementById('kds-clock');
+  if (clock) {
+    clock.textContent = new Date().toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit', hour12: true, timeZone: 'Asia/Kolkata' });
+  }
+}
+
+function applyOrder(order) {
+  if (KITCHEN_STATUSES.includes(order.order_status)) {
+    orders.set(order.order_id, order);
+  } else {
+    orders.delete(order.order_id);
+  }
+  render();
+}
+
+async function loadQueue() {
+  try {
+    const data = await api(`/admin/orders?status=${KITCHEN_STATUSES.join(',')}`, { method: 'GET' });
+    orders.clear();
+    data.forEach(order => orders.set(order.order_id, order));
+    render();
+  } catch (err) {
+    Swal.fire({ icon: 'error', title: err.error || 'Failed to load kitchen orders' });
+  }
+}
+
+async function bump(orderId, nextStatus, button) {
+  button.disabled = true;
+  try {
+    await api(`/admin/orders/${orderId}/status`, { method: 'PUT', body: JSON.stringify({ order_status: nextStatus }) });
+    // Apply locally right away; the live feed sends the full order shortly after
+    const order = orders.get(Number(orderId));
+    if (order) applyOrder({ ...order, order_status: nextStatus });
+  } catch (err) {
+    button.disabled = false;
+    Swal.fire({ icon: 'error', title: err.error || 'Failed to update order', timer: 2500, showConfirmButton: false });
+    // Someone else may have moved it already; resync
+    loadQueue();
+  }
+}
+
+// Kitchen tickets print on the server's kitchen printer
+async function printTicket(orderId, button) {
+  button.disabled = true;
+  try {
+    await api(`/admin/orders/${orderId}/print`, { method: 'POST', body: JSON.stringify({ kind: 'kitchen' }) });
+    Swal.fire({ icon: 'success', title: 'Ticket sent to printer', timer: 1200, showConfirmButton: false });
+  } catch (err) {
+    Swal.fire({ icon: 'error', title: err.error || 'Could not print', timer: 2500, showConfirmButton: false });
+  } finally {
+    button.disabled = false;
+  }
+}
+
+// Auto-print switch: when on, the server prints a ticket for each new order
+function renderAutoPrint(settings) {
+  const button = document.getElementById('kds-autoprint');
+  button.classList.toggle('kds-active', !!settings.auto_print_kitchen);
+  button.title = settings.auto_print_kitchen ? 'Auto-print kitchen tickets: on' : 'Auto-print kitchen tickets: off';
+}
+
+async function loadAutoPrint() {
+  const button = document.getElementById('kds-autoprint');
+  try {
+    const data = await api('/admin/printing', { method: 'GET' });
+    // No kitchen printer configured on the server: nothing to switch or print to
+    kitchenPrinter = !!data.printers.kitchen;
+    button.hidden = !kitchenPrinter;
+    renderAutoPrint(data.settings);
+    render();
+  } catch (err) {
+    button.hidden = true;
+  }
+}
+
+async function toggleAutoPrint(button) {
+  button.disabled = true;
+  try {
+    const data = await api('/admin/printing/settings', {
+      method: 'PUT',
+      body: JSON.stringify({ auto_print_kitchen: !button.classList.contains('kds-active') })
+    });
+    renderAutoPrint(data.settings);
+    Swal.fire({ icon: 'success', title: data.message, timer: 1500, showConfirmButton: false });
+  } catch (err) {
+    Swal.fire({ icon: 'error', title: err.error || 'Could not change auto-print', timer: 2500, showConfirmButton: false });
+  } finally {
+    button.disabled = false;
+  }
+}
+
+// The stream is opened with a one-minute ticket, so a reconnect the server
+// refuses gets a new one
+async function connectStream(resync = false) {
+  if (!getToken() || typeof EventSource === 'undefined') return;
+
+  const live = document.getElementById('kds-live');
+  let ticket;
+  try {
+    ({ ticket } = await api('/orders/stream/ticket', { method: 'POST', body: JSON.stringify({ scope: 'admin' }) }));
+  } catch (err) {
+    live.classList.add('kds-offline');
+    setTimeout(() => connectStream(true), 5000);
+    return;
+  }
+
+  const es = new EventSource(`${KITCHEN_API_BASE}/orders/stream?ticket=${encodeURIComponent(ticket)}`);
+  let dropped = resync;
+  const onOrder = (e) => {
+    try { applyOrder(JSON.parse(e.data)); } catch (err) { console.error(err); }
+  };
+  es.addEventListener('order.created', onOrder);
+  es.addEventListener('order.updated', onOrder);
+  es.addEventListener('ready', () => {
+    live.classList.remove('kds-offline');
+    if (dropped) { dropped = false; loadQueue(); }
+  });
+  es.onerror = () => {
+    dropped = true;
+    live.classList.add('kds-offline');
+    if (es.readyState === EventSource.CLOSED) setTimeout(() => connectStream(true), 5000);
+  };
+}
+
+// Keep a wall-mounted tablet awake while the screen is open
+async function keepAwake() {
+  try {
+    if ('wakeLock' in navigator) await navigator.wakeLock.request('screen');
+  } catch (_) { /* not supported or denied */ }
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const ok = await ensureAdminAccess();
+  if (!ok) return;
+
+  document.getElementById('kds-grid').addEventListener('click', (e) => {
+    const printButton = e.target.closest('.kds-print');
+    if (printButton) {
+      if (!printButton.disabled) printTicket(printButton.dataset.orderId, printButton);
+      return;
+    }
+    const button = e.target.closest('.kds-bump');
+    if (!button || button.disabled) return;
+    bump(button.dataset.orderId, button.dataset.next, button);
+  });
+
+  document.getElementById('kds-autoprint').addEventListener('click', (e) => toggleAutoPrint(e.currentTarget));
+
+  document.getElementById('kds-fullscreen').addEventListener('click', () => {
+    if (document.fullscreenElement) document.exitFullscreen();
+    else document.documentElement.requestFullscreen?.();
+    keepAwake();
+  });
+
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'visible') keepAwake();
+  });
+
+  await loadQueue();
+  loadAutoPrint();
+  connectStream();
+  keepAwake();
+  tick();
+  setInterval(tick, 15000);
+});
+
+})();
@@ -12,6 +12,13 @@ async function api(path, opts = {}) {
   return res.json();
 }
 
+// Free text from other customers (reviews) goes through this before innerHTML
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text == null ? '' : String(text);
+  return div.innerHTML;
+}
+
 let products = [];
 const menuSection = document.querySelector('.menu-section');
 const cartItemsContainer = document.querySelector('.cart-items-container');
@@ -19,6 +26,111 @@ const cartTotal = document.querySelector('.cart-total');
 const cartValues = document.querySelectorAll('#cart-values');
 const clearCartBtn = document.querySelector('.clear-cart');
 const checkOutBtn = document.querySelector('.check-out');
+const cartCoupon = document.getElementById('cart-coupon');
+const cartTax = document.getElementById('cart-tax');
+// Last cart read from the server (subtotal, coupon, discount, total)
+let cartSummary = null;
+// Starred dishes of the logged-in user, and the menu filter in use
+let favourites = new Set();
+let menuFilter = 'all';
+
+// Guest cart
+// Visitors who haven't logged in keep their cart in this browser; the login
+// form sends it along and the server merges it into their account's cart.
+const GUEST_CART_KEY = 'guestCart';
+const MAX_LINE_QUANTITY = 99; // per cart line, as on the server
+
+function isLoggedIn() {
+  return Boolean(localStorage.getItem('token'));
+}
+
+// [{ item_id, variant_id, modifiers, instructions, quantity }]
+function loadGuestCart() {
+  try {
+    const lines = JSON.parse(localStorage.getItem(GUEST_CART_KEY) || '[]');
+    return Array.isArray(lines) ? lines : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+function saveGuestCart(lines) {
+  if (lines.length) localStorage.setItem(GUEST_CART_KEY, JSON.stringify(lines));
+  else localStorage.removeItem(GUEST_CART_KEY);
+}
+
+function sameGuestLine(a, b) {
+  return a.item_id === b.item_id
+    && (a.variant_id || null) === (b.variant_id || null)
+    && (a.modifiers || []).join(',') === (b.modifiers || []).join(',')
+    && (a.instructions || '') === (b.instructions || '');
+}
+
+function addToGuestCart(line) {
+  const lines = loadGuestCart();
+  const existing = lines.find(l => sameGuestLine(l, line));
+  const product = products.find(p => p.item_id === line.item_id);
+  const inCart = lines.filter(l => l.item_id === line.item_id).reduce((sum, l) => sum + l.quantity, 0);
+  // Same stock check the server makes; sizes share the product's stock
+  if (product && product.stock_quantity !== null && inCart + line.quantity > product.stock_quantity) {
+    throw { error: `Only ${product.stock_quantity} left in stock`, available: product.stock_quantity };
+  }
+  if (existing && existing.quantity + line.quantity > MAX_LINE_QUANTITY) {
+    throw { error: `You can have up to ${MAX_LINE_QUANTITY} of an item in your cart` };
+  }
+  if (existing) existing.quantity += line.quantity;
+  else lines.push(line);
+  saveGuestCart(lines);
+}
+
+// The guest cart is normally merged at login; if that failed it is still here
+// and is sent again once the customer is signed in
+async function retryGuestCartMerge() {
+  const lines = loadGuestCart();
+  if (!isLoggedIn() || !lines.length) return;
+  try {
+    const merge = await api('/cart/merge', { method: 'POST', body: JSON.stringify({ lines }) });
+    saveGuestCart([]);
+    const changes = merge.dropped.map(d => `${d.title || 'An item'} - ${d.reason}`)
+      .concat(merge.reduced.map(r => `${r.title} - only ${r.added} added, not ${r.requested}`));
+    if (changes.length) {
+      Swal.fire({ icon: 'info', title: 'Items from before you logged in were added', html: 'Some of them changed:<br>' + changes.join('<br>') });
+    }
+  } catch (err) {
+    Swal.fire({ icon: 'warning', title: 'Your earlier cart is still waiting', text: err.error || 'Please try again later.' });
+  }
+}
+
+// Price a guest line from the menu the way the server will
+function describeGuestLine(line) {
+  const product = products.find(p => p.item_id === line.item_id);
+  if (!product) return null;
+  const variant = line.variant_id ? (product.variants || []).find(v => v.variant_id === line.variant_id) : null;
+  if (line.variant_id && !variant) return null;
+  const options = (product.modifier_groups || []).flatMap(g => g.options);
+  const modifiers = (line.modifiers || []).map(id => options.find(o => o.option_id === id)).filter(Boolean);
+  const unit_price = parseFloat(variant ? variant.price : product.price)
+    + modifiers.reduce((sum, m) => sum + parseFloat(m.price), 0);
+  return {
+    title: product.title,
+    image_url: product.image_url,
+    variant_name: variant ? variant.name : null,
+    modifiers,
+    instructions: line.instructions,
+    quantity: line.quantity,
+    unit_price: unit_price.toFixed(2)
+  };
+}
+
+// Size picker for items sold in variants; the first option is preselected
+function renderVariantPicker(item) {
+  if (!item.variants || !item.variants.length) return '';
+  return `
+    <select class="variant-select" data-item-id="${item.item_id}" aria-label="Choose a size">
+      ${item.variants.map(v => `<option value="${v.variant_id}" data-price="${v.price}">${v.name} - &#8377;${v.price}</option>`).join('')}
+    </select>
+  `;
+}
 
 function renderMenuItems(menuItems){
   const html = menuItems.map(item => `
@@ -26,16 +138,27 @@ function renderMenuItems(menuItems){
       <img src="${item.image_url}" loading="lazy" alt="Product image">
       <div class="item-info">
         <figure>
+          <button class="favourite-toggle" data-id="${item.item_id}" aria-label="Favourite">
+            <i class="${favourites.has(item.item_id) ? 'fas' : 'far'} fa-star"></i>
+          </button>
           <h2>${item.title}</h2>
           <div class="item-category">${item.category}</div>
+          ${item.rating_count ? `
+            <button class="item-rating" data-id="${item.item_id}" title="See reviews">
+              <i class="fas fa-star"></i> ${item.rating_average} <small>(${item.rating_count})</small>
+            </button>
+          ` : ''}
+          ${(item.dietary_tags || []).map(tag => `<span class="diet-tag">${tag}</span>`).join('')}
+          ${item.low_stock ? `<div class="stock-badge">Only ${item.stock_quantity} left</div>` : ''}
           <div class="flex" style="margin-top: 10px;">
             <i class="fas fa-fire"></i>
             <p>${item.calories}</p>
           </div>
         </figure>
         <hr style="margin: 10px 0;">
+        ${renderVariantPicker(item)}
         <div class="menu-cart-functionality">
-          <div class="price">&#8377;${item.price}</div>
+          <div class="price">&#8377;${item.variants && item.variants.length ? item.variants[0].price : item.price}</div>
           <div class="cart-btn-container">
             <button class="bag-btn add-to-cart" data-id="${item.item_id}">Add to Cart</button>
           </div>
@@ -44,62 +167,177 @@ function renderMenuItems(menuItems){
     </article>
   `).join('');
   if (menuSection) menuSection.innerHTML = html;
+  document.querySelectorAll('.variant-select').forEach(select => {
+    select.addEventListener('change', () => {
+      const price = select.selectedOptions[0].dataset.price;
+      select.closest('.menu-item').querySelector('.price').innerHTML = `&#8377;${price}`;
+    });
+  });
 }
 
-// fetch menu on load
+// fetch menu on load. `products` always holds the whole menu (the cart looks
+// dishes up in it); searching and sorting only change what is shown.
 async function loadMenu(){
   try {
     const data = await api('/menu');
     products = data; // array
-    renderMenuItems(products);
-    attachAddToCart();
+    await loadFavourites();
+    await showMenu();
     attachFiltering();
   } catch (err) {
     console.error(err);
   }
 }
 
-// Filtering: reuse your existing UI, but adapted
+// Search and sort run on the server; the category buttons then filter the results
+const menuSearchInput = document.getElementById('menu-search');
+const menuSortSelect = document.getElementById('menu-sort');
+let menuSearchTimer = null;
+let menuRequest = 0;
+
+async function showMenu() {
+  const q = menuSearchInput ? menuSearchInput.value.trim() : '';
+  const sort = menuSortSelect ? menuSortSelect.value : '';
+  const request = ++menuRequest;
+  let items = products;
+  if (q || sort) {
+    const params = new URLSearchParams();
+    if (q) params.set('q', q);
+    if (sort) params.set('sort', sort);
+    try {
+      items = await api(`/menu?${params}`);
+    } catch (err) {
+      items = [];
+    }
+    if (request !== menuRequest) return; // a newer search has taken over
+  }
+  renderMenuItems(items);
+  if (!items.length && menuSection) {
+    menuSection.innerHTML = `<p class="menu-empty text-center my-2">No dishes match "${escapeHtml(q)}".</p>`;
+  }
+  applyMenuFilter();
+  attachAddToCart();
+}
+
+menuSearchInput?.addEventListener('input', () => {
+  clearTimeout(menuSearchTimer);
+  menuSearchTimer = setTimeout(showMenu, 300);
+});
+menuSortSelect?.addEventListener('change', showMenu);
+
+async function loadFavourites() {
+  if (!isLoggedIn()) return;
+  try {
+    favourites = new Set((await api('/favourites')).item_ids);
+  } catch (err) {
+    favourites = new Set();
+  }
+}
+
+// Filtering: reuse your existing UI, but adapted. "favourites" shows starred dishes.
+function applyMenuFilter() {
+  const items = document.querySelectorAll('.menu-item');
+  items.forEach(itemEl => {
+    const id = parseInt(itemEl.dataset.itemId || itemEl.getAttribute('data-item-id'));
+    const product = products.find(p => p.item_id === id);
+    if (!product) return;
+    const shown = menuFilter === 'all'
+      || (menuFilter === 'favourites' ? favourites.has(id) : product.category === menuFilter);
+    itemEl.classList.toggle('display-none', !shown);
+  });
+}
+
 function attachFiltering(){
   const menuFilterBtns = document.querySelectorAll('#menu-filter');
   if (!menuFilterBtns.length) return;
   menuFilterBtns.forEach(btn => {
     btn.addEventListener('click', (e) => {
       const Category = e.currentTarget.dataset.id;
+      if (Category === 'favourites' && !isLoggedIn()) {
+        return Swal.fire({ icon: 'info', title: 'Log in to see your favourites' });
+      }
+      if (Category === 'favourites' && !favourites.size) {
+        Swal.fire({ icon: 'info', title: 'No favourites yet', text: 'Tap the star on a dish to add it here.' });
+      }
+      menuFilter = Category;
       menuFilterBtns.forEach(i => i.classList.toggle('current', i.dataset.id === Category));
-      const items = document.querySelectorAll('.menu-item');
-      items.forEach(itemEl => {
-        const id = parseInt(itemEl.dataset.itemId || itemEl.getAttribute('data-item-id'));
-        const product = products.find(p => p.item_id === id);
-        if (!product) return;
-        if (Category === 'all' || product.category === Category) {
-          itemEl.classList.remove('display-none');
-        } else {
-          itemEl.classList.add('display-none');
-        }
-      });
+      applyMenuFilter();
     });
   });
 }
 
-// Cart UI management (reads from backend)
+// A dish's published reviews (verified purchases only)
+async function showReviews(item_id) {
+  try {
+    const data = await api(`/products/${item_id}/reviews`);
+    Swal.fire({
+      title: data.title,
+      html: `
+        <p><i class="fas fa-star" style="color: #f5a623;"></i> ${data.rating_average || '-'} from ${data.rating_count} reviews</p>
+        <ul class="review-list">
+          ${data.reviews.map(r => `
+            <li>
+              <span class="review-stars">${'&#9733;'.repeat(r.rating)}${'&#9734;'.repeat(5 - r.rating)}</span>
+              <b>${escapeHtml(r.reviewer)}</b> <small>${new Date(r.created_at).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })}</small>
+              ${r.comment ? `<p>${escapeHtml(r.comment)}</p>` : ''}
+            </li>
+          `).join('')}
+        </ul>
+      `
+    });
+  } catch (err) {
+    Swal.fire({ icon: 'error', title: err.error || 'Could not load reviews' });
+  }
+}
+
+menuSection?.addEventListener('click', (e) => {
+  const rating = e.target.closest('.item-rating');
+  if (rating) showReviews(rating.dataset.id);
+});
+
+// Star / unstar a dish
+menuSection?.addEventListener('click', async (e) => {
+  const toggle = e.target.closest('.favourite-toggle');
+  if (!toggle) return;
+  if (!isLoggedIn()) {
+    return Swal.fire({ icon: 'info', title: 'Log in to save your favourites' });
+  }
+  const id = parseInt(toggle.dataset.id);
+  const starred = favourites.has(id);
+  toggle.disabled = true;
+  try {
+    await api(`/favourites/${id}`, { method: starred ? 'DELETE' : 'POST' });
+    if (starred) favourites.delete(id);
+    else favourites.add(id);
+    toggle.querySelector('i').className = `${starred ? 'far' : 'fas'} fa-star`;
+    if (menuFilter === 'favourites') applyMenuFilter();
+  } catch (err) {
+    Swal.fire({ icon: 'error', title: err.error || 'Could not update favourites' });
+  } finally {
+    toggle.disabled = false;
+  }
+});
+
+// Cart UI management (reads from backend). Reading the cart changes nothing:
+// repriced lines show the agreed price struck through and lines taken off sale
+// are listed until the customer accepts the changes at checkout.
 async function refreshCartUI(){
+  if (!isLoggedIn()) return refreshGuestCartUI();
   try {
     const data = await api('/cart', { method: 'GET' });
     const items = data.items || [];
     cartItemsContainer.innerHTML = '';
-    let total = 0;
     let count = 0;
     items.forEach(it => {
-      total += parseFloat(it.unit_price) * it.quantity;
       count += it.quantity;
       const article = document.createElement('article');
       article.classList.add('cart-item');
       article.innerHTML = `
         <div><img src="${it.image_url}" alt="Food"></div>
         <div class="cart-info">
-          <h3>${it.title}</h3>
-          <p>&#8377;${it.unit_price}</p>
+          <h3>${it.title}${it.variant_name ? ` <small>(${it.variant_name})</small>` : ''}</h3>
+          ${renderCustomisation(it)}
+          <p>${it.previous_price ? `<s>&#8377;${it.previous_price}</s> ` : ''}&#8377;${it.unit_price}</p>
           <span class="remove-item" data-id="${it.cart_item_id}">remove</span>
         </div>
         <div class="flex-column">
@@ -110,23 +348,250 @@ async function refreshCartUI(){
       `;
       cartItemsContainer.appendChild(article);
     });
-    cartTotal.innerHTML = total.toFixed(2);
+    (data.removed_items || []).forEach(r => {
+      const note = document.createElement('p');
+      note.classList.add('cart-removed');
+      note.innerHTML = `<s>${r.title}</s> ${r.reason}`;
+      cartItemsContainer.appendChild(note);
+    });
+    cartSummary = data;
+    renderCartCoupon(data);
+    if (cartTax) {
+      cartTax.innerHTML = parseFloat(data.tax) > 0
+        ? (data.prices_include_tax ? `<small>Includes GST of &#8377;${data.tax}</small>` : `GST : &#8377;${data.tax}`)
+        : '';
+    }
+    cartTotal.innerHTML = data.total;
     cartValues.forEach(v => { v.innerHTML = count; });
+    return data;
   } catch (err) {
     // unauthorized or other
+    cartSummary = null;
     cartItemsContainer.innerHTML = '';
+    if (cartCoupon) cartCoupon.innerHTML = '';
+    if (cartTax) cartTax.innerHTML = '';
     cartTotal.innerHTML = '0';
     cartValues.forEach(v => v.innerHTML = '0');
   }
 }
 
+function describeCartChanges(changes, removed) {
+  return changes
+    .map(c => `${c.title}${c.variant_name ? ` (${c.variant_name})` : ''}: <s>&#8377;${c.old_price}</s> &#8377;${c.new_price}`)
+    .concat(removed.map(r => `${r.title}: ${r.reason}, will be removed from your cart`))
+    .join('<br>');
+}
+
+// Menu prices moved, or dishes came off sale, since these lines were added.
+// Nothing is ordered until the customer has seen the changes and accepted them;
+// accepting moves the lines to the new prices and drops the unavailable ones.
+async function confirmPriceChanges(changes, removed = []) {
+  const { isConfirmed } = await Swal.fire({
+    icon: 'warning',
+    title: changes.length ? 'Prices have changed' : 'Your cart has changed',
+    html: describeCartChanges(changes, removed),
+    showCancelButton: true,
+    confirmButtonText: changes.length ? 'Continue at new prices' : 'Continue'
+  });
+  if (!isConfirmed) return false;
+  await api('/cart/prices/acknowledge', {
+    method: 'POST',
+    body: JSON.stringify({ items: changes.map(c => ({ cart_item_id: c.cart_item_id, unit_price: c.new_price })) })
+  });
+  return true;
+}
+
+// Same cart drawer for a visitor's browser cart; lines are addressed by index.
+// Lines for dishes taken off the menu are dropped here as they would be at login.
+function refreshGuestCartUI() {
+  const lines = loadGuestCart();
+  const kept = [];
+  cartItemsContainer.innerHTML = '';
+  let count = 0;
+  let total = 0;
+  lines.forEach(line => {
+    const it = describeGuestLine(line);
+    if (!it) return;
+    const index = kept.push(line) - 1;
+    count += it.quantity;
+    total += parseFloat(it.unit_price) * it.quantity;
+    const article = document.createElement('article');
+    article.classList.add('cart-item');
+    article.innerHTML = `
+      <div><img src="${it.image_url}" alt="Food"></div>
+      <div class="cart-info">
+        <h3>${it.title}${it.variant_name ? ` <small>(${it.variant_name})</small>` : ''}</h3>
+        ${renderCustomisation(it)}
+        <p>&#8377;${it.unit_price}</p>
+        <span class="remove-item" data-guest-index="${index}">remove</span>
+      </div>
+      <div class="flex-column">
+        <i class="fas fa-chevron-up" data-guest-index="${index}"></i>
+        <p class="item-amount">${it.quantity}</p>
+        <i class="fas fa-chevron-down" data-guest-index="${index}"></i>
+      </div>
+    `;
+    cartItemsContainer.appendChild(article);
+  });
+  if (products.length && kept.length !== lines.length) saveGuestCart(kept);
+
+  cartSummary = null;
+  if (cartCoupon) cartCoupon.innerHTML = count ? '<small>Log in to use a coupon code</small>' : '';
+  if (cartTax) cartTax.innerHTML = '';
+  cartTotal.innerHTML = total.toFixed(2);
+  cartValues.forEach(v => { v.innerHTML = count; });
+}
+
+function changeGuestLine(index, step) {
+  const lines = loadGuestCart();
+  const line = lines[index];
+  if (!line) return;
+  if (step > 0) {
+    const product = products.find(p => p.item_id === line.item_id);
+    const inCart = lines.filter(l => l.item_id === line.item_id).reduce((sum, l) => sum + l.quantity, 0);
+    if (product && product.stock_quantity !== null && inCart + step > product.stock_quantity) {
+      throw { error: `Only ${product.stock_quantity} left in stock`, available: product.stock_quantity };
+    }
+  }
+  line.quantity += step;
+  if (step === -Infinity || line.quantity <= 0) lines.splice(index, 1);
+  saveGuestCart(lines);
+}
+
+// Coupon box under the cart: a code field, or the applied coupon with its discount
+function renderCartCoupon(data) {
+  if (!cartCoupon) return;
+  if (!data.coupon) {
+    cartCoupon.innerHTML = `
+      <div class="coupon-form flex">
+        <input type="text" id="coupon-code" placeholder="Coupon code" maxlength="30" />
+        <button type="button" class="apply-coupon">Apply</button>
+      </div>
+    `;
+    return;
+  }
+  cartCoupon.innerHTML = `
+    <div class="coupon-applied ${data.coupon.error ? 'coupon-invalid' : ''}">
+      <span><b>${data.coupon.code}</b> - ${data.coupon.error || data.coupon.description}</span>
+      <span class="remove-coupon">remove</span>
+    </div>
+    ${parseFloat(data.discount) > 0 ? `
+      <div>Subtotal : &#8377;${data.subtotal}</div>
+      <div class="coupon-discount">Discount : -&#8377;${data.discount}</div>
+    ` : ''}
+  `;
+}
+
+cartCoupon?.addEventListener('click', async (e) => {
+  try {
+    if (e.target.classList.contains('apply-coupon')) {
+      const code = document.getElementById('coupon-code').value.trim();
+      if (!code) return;
+      const res = await api('/cart/coupon', { method: 'POST', body: JSON.stringify({ code }) });
+      Swal.fire({ icon: 'success', title: res.message, text: `You save ₹${res.discount}`, timer: 1500, showConfirmButton: false });
+      refreshCartUI();
+    } else if (e.target.classList.contains('remove-coupon')) {
+      await api('/cart/coupon', { method: 'DELETE' });
+      refreshCartUI();
+    }
+  } catch (err) {
+    Swal.fire({ icon: 'warning', title: err.error || 'Could not apply coupon' });
+  }
+});
+
+// Chosen add-ons and instructions for a cart line, shown under the item name
+function renderCustomisation(it) {
+  const addOns = (it.modifiers || []).map(m => m.name).join(', ');
+  return (addOns ? `<small class="cart-addons">+ ${addOns}</small>` : '')
+    + (it.instructions ? `<small class="cart-instructions">"${escapeHtml(it.instructions)}"</small>` : '');
+}
+
+// Add-ons picker for customisable items. Resolves to { modifiers, instructions },
+// or null if dismissed. A group that must have exactly one choice uses radios.
+async function chooseAddOns(product, basePrice) {
+  const groupsHtml = product.modifier_groups.map(group => {
+    const single = group.min_select === 1 && group.max_select === 1;
+    let hint = 'optional';
+    if (single) hint = 'choose one';
+    else if (group.min_select && group.max_select) hint = `choose ${group.min_select}-${group.max_select}`;
+    else if (group.min_select) hint = `choose at least ${group.min_select}`;
+    else if (group.max_select) hint = `up to ${group.max_select}`;
+    return `
+      <fieldset class="addon-group" data-name="${group.name}" data-min="${group.min_select}" data-max="${group.max_select ?? ''}">
+        <legend>${group.name} <small>(${hint})</small></legend>
+        ${group.options.map(o => `
+          <label class="addon-option">
+            <input type="${single ? 'radio' : 'checkbox'}" name="addon-group-${group.group_id}" value="${o.option_id}" data-price="${o.price}">
+            ${o.name}${parseFloat(o.price) ? ` <span>+&#8377;${o.price}</span>` : ''}
+          </label>
+        `).join('')}
+      </fieldset>
+    `;
+  }).join('');
+
+  const checked = () => Array.from(Swal.getPopup().querySelectorAll('.addon-group input:checked'));
+  const { isConfirmed, value } = await Swal.fire({
+    title: product.title,
+    html: `
+      <div class="addon-picker">
+        ${groupsHtml}
+        <textarea id="addon-instructions" class="swal2-textarea" maxlength="200" placeholder="Anything else for the kitchen? (optional)"></textarea>
+        <div class="addon-total">Total: &#8377;<span id="addon-total">${parseFloat(basePrice).toFixed(2)}</span></div>
+      </div>
+    `,
+    showCancelButton: true,
+    confirmButtonText: 'Add to Cart',
+    didOpen: (popup) => {
+      popup.querySelector('.addon-picker').addEventListener('change', () => {
+        const extra = checked().reduce((sum, input) => sum + parseFloat(input.dataset.price), 0);
+        popup.querySelector('#addon-total').textContent = (parseFloat(basePrice) + extra).toFixed(2);
+      });
+    },
+    preConfirm: () => {
+      for (const fieldset of Swal.getPopup().querySelectorAll('.addon-group')) {
+        const count = fieldset.querySelectorAll('input:checked').length;
+        const min = Number(fieldset.dataset.min);
+        const max = fieldset.dataset.max ? Number(fieldset.dataset.max) : null;
+        if (count < min || (max !== null && count > max)) {
+          Swal.showValidationMessage(`${fieldset.dataset.name}: ${fieldset.querySelector('legend small').textContent.replace(/[()]/g, '')}`);
+          return false;
+        }
+      }
+      return {
+        modifiers: checked().map(input => Number(input.value)),
+        instructions: Swal.getPopup().querySelector('#addon-instructions').value.trim()
+      };
+    }
+  });
+  return isConfirmed ? value : null;
+}
+
 function attachAddToCart(){
   const addBtns = document.querySelectorAll('.add-to-cart');
   addBtns.forEach(btn => {
     btn.addEventListener('click', async (e) => {
       const id = parseInt(btn.dataset.id);
+      const variantSelect = btn.closest('.menu-item').querySelector('.variant-select');
+      const variant_id = variantSelect ? parseInt(variantSelect.value) : undefined;
+      const product = products.find(p => p.item_id === id);
+      let customisation = {};
+      if (product && product.modifier_groups && product.modifier_groups.length) {
+        const basePrice = variantSelect ? variantSelect.selectedOptions[0].dataset.price : product.price;
+        customisation = await chooseAddOns(product, basePrice);
+        if (!customisation) return;
+      }
       try {
-        await api('/cart', { method: 'POST', body: JSON.stringify({ item_id: id, quantity: 1 }) });
+        if (isLoggedIn()) {
+          await api('/cart', { method: 'POST', body: JSON.stringify({ item_id: id, variant_id, quantity: 1, ...customisation }) });
+        } else {
+          addToGuestCart({
+            item_id: id,
+            variant_id: variant_id || null,
+            modifiers: [...(customisation.modifiers || [])].sort((a, b) => a - b),
+            instructions: customisation.instructions || '',
+            quantity: 1
+          });
+        }
         Swal.fire({ icon: 'success', title: 'Added to cart' });
         refreshCartUI();
       } catch (err) {
@@ -139,7 +604,13 @@ function attachAddToCart(){
 // Cart interactions (remove, inc/dec)
 cartItemsContainer?.addEventListener('click', async (e) => {
   try {
-    if (e.target.classList.contains('remove-item')) {
+    if (e.target.dataset.guestIndex !== undefined) {
+      const index = Number(e.target.dataset.guestIndex);
+      if (e.target.classList.contains('remove-item')) changeGuestLine(index, -Infinity);
+      else if (e.target.classList.contains('fa-chevron-up')) changeGuestLine(index, 1);
+      else if (e.target.classList.contains('fa-chevron-down')) changeGuestLine(index, -1);
+      refreshCartUI();
+    } else if (e.target.classList.contains('remove-item')) {
       const id = e.target.dataset.id;
       await api(`/cart/${id}`, { method: 'DELETE' });
       refreshCartUI();
@@ -158,14 +629,20 @@ cartItemsContainer?.addEventListener('click', async (e) => {
       refreshCartUI();
     }
   } catch (err) {
-    console.error(err);
+    // Stock limits come back with the quantity still available
+    if (err.available !== undefined) {
+      Swal.fire({ icon: 'warning', title: err.error });
+    } else {
+      console.error(err);
+    }
   }
 });
 
 // Clear cart
 clearCartBtn?.addEventListener('click', async () => {
   try {
-    await api('/cart', { method: 'DELETE' });
+    if (isLoggedIn()) await api('/cart', { method: 'DELETE' });
+    else saveGuestCart([]);
     refreshCartUI();
     Swal.fire({ icon: 'success', title: 'Cart cleared' });
   } catch (err) {
@@ -173,20 +650,394 @@ clearCartBtn?.addEventListener('click', async () => {
   }
 });
 
+// Presets
+// Named sets of dishes saved from the cart ("Monday lunch") and added back in one go
+const savePresetBtn = document.querySelector('.save-preset');
+const openPresetsBtn = document.querySelector('.open-presets');
+
+savePresetBtn?.addEventListener('click', async () => {
+  if (!isLoggedIn()) {
+    return Swal.fire({ icon: 'info', title: 'Log in to save presets' });
+  }
+  if (!cartSummary || !cartSummary.items.length) {
+    return Swal.fire({ icon: 'info', title: 'Add some dishes to your cart first' });
+  }
+  const { isConfirmed, value } = await Swal.fire({
+    title: 'Save cart as a preset',
+    input: 'text',
+    inputPlaceholder: 'e.g. Monday lunch',
+    inputAttributes: { maxlength: 50 },
+    showCancelButton: true,
+    confirmButtonText: 'Save',
+    inputValidator: (name) => (name.trim() ? undefined : 'Give the preset a name')
+  });
+  if (!isConfirmed) return;
+  try {
+    const res = await api('/presets', {
+      method: 'POST',
+      body: JSON.stringify({
+        name: value.trim(),
+        items: cartSummary.items.map(it => ({
+          item_id: it.item_id,
+          variant_id: it.variant_id,
+          modifiers: it.modifier_ids ? it.modifier_ids.split(',').map(Number) : [],
+          instructions: it.instructions,
+          quantity: it.quantity
+        }))
+      })
+    });
+    Swal.fire({ icon: 'success', title: res.message, timer: 1500, showConfirmButton: false });
+  } catch (err) {
+    Swal.fire({ icon: 'error', title: err.error || 'Could not save preset' });
+  }
+});
+
+function describePresetLine(it) {
+  const extras = (it.modifiers || []).map(m => m.name).filter(Boolean).join(', ');
+  return `${it.quantity} x ${it.title}${it.variant_name ? ` (${it.variant_name})` : ''}${extras ? ` + ${extras}` : ''}`;
+}
+
+async function showPresets() {
+  if (!isLoggedIn()) {
+    return Swal.fire({ icon: 'info', title: 'Log in to use presets' });
+  }
+  let presets;
+  try {
+    presets = await api('/presets');
+  } catch (err) {
+    return Swal.fire({ icon: 'error', title: err.error || 'Could not load presets' });
+  }
+  if (!presets.length) {
+    return Swal.fire({ icon: 'info', title: 'No presets yet', text: 'Fill your cart and tap "Save as preset".' });
+  }
+
+  // Set by the buttons inside the list before they close it
+  let choice = null;
+  await Swal.fire({
+    title: 'My presets',
+    html: `
+      <ul class="preset-list">
+        ${presets.map(preset => `
+          <li class="preset">
+            <div>
+              <b>${preset.name}</b>
+              <small>${preset.items.map(it => it.available ? describePresetLine(it) : `<s>${describePresetLine(it)}</s>`).join('<br>')}</small>
+            </div>
+            <div class="preset-actions">
+              <button type="button" class="preset-add" data-id="${preset.preset_id}">Add to cart</button>
+              <button type="button" class="preset-delete" data-id="${preset.preset_id}" aria-label="Delete preset"><i class="fas fa-trash"></i></button>
+            </div>
+          </li>
+        `).join('')}
+      </ul>
+    `,
+    showConfirmButton: false,
+    showCloseButton: true,
+    didOpen: (popup) => {
+      popup.querySelectorAll('.preset-add, .preset-delete').forEach(btn => {
+        btn.addEventListener('click', () => {
+          choice = { action: btn.classList.contains('preset-add') ? 'add' : 'delete', id: btn.dataset.id };
+          Swal.close();
+        });
+      });
+    }
+  });
+  if (!choice) return;
+
+  try {
+    if (choice.action === 'delete') {
+      const { isConfirmed } = await Swal.fire({ icon: 'warning', title: 'Delete this preset?', showCancelButton: true, confirmButtonText: 'Delete' });
+      if (isConfirmed) await api(`/presets/${choice.id}`, { method: 'DELETE' });
+      return showPresets();
+    }
+    const res = await api(`/presets/${choice.id}/cart`, { method: 'POST' });
+    await refreshCartUI();
+    const notes = [
+      ...res.reduced.map(r => `${r.title}: only ${r.added} added`),
+      ...res.unavailable.map(u => `${u.title || 'An item'}: ${u.reason}`)
+    ];
+    Swal.fire({ icon: notes.length ? 'info' : 'success', title: res.message, html: notes.join('<br>') || undefined });
+  } catch (err) {
+    const html = (err.unavailable || []).map(u => `${u.title || 'An item'}: ${u.reason}`).join('<br>') || undefined;
+    Swal.fire({ icon: 'error', title: err.error || 'Could not update presets', html });
+  }
+}
+
+openPresetsBtn?.addEventListener('click', showPresets);
+
 // Checkout
+// One idempotency key per checkout attempt: a retry after a network error or a
+// second click reuses it, so the server hands back the same order.
+let checkoutKey = null;
+
+function newCheckoutKey() {
+  if (window.crypto && crypto.randomUUID) return crypto.randomUUID();
+  return Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 12);
+}
+
+// Payments
+// Ask how the customer wants to pay; resolves to a method id, or null if dismissed
+async function choosePaymentMethod() {
+  let methods = [{ id: 'counter', label: 'Pay at counter' }];
+  try {
+    methods = (await api('/payments/methods')).methods;
+  } catch (err) {
+    // Pay at counter still works without the list
+  }
+  const wallet = methods.find(m => m.id === 'wallet');
+  if (wallet) {
+    try {
+      wallet.label += ` (balance ₹${(await api('/wallet?limit=1')).balance})`;
+    } catch (err) {
+      // Balance is only a hint; checkout re-checks it
+    }
+  }
+  const { isConfirmed, value } = await Swal.fire({
+    title: 'How would you like to pay?',
+    input: 'radio',
+    inputOptions: Object.fromEntries(methods.map(m => [m.id, m.label])),
+    inputValue: methods[0].id,
+    showCancelButton: true,
+    confirmButtonText: 'Place order',
+    inputValidator: (v) => !v && 'Choose a payment method'
+  });
+  return isConfirmed ? value : null;
+}
+
+// Opening hours
+let canteenState = null;
+
+// Show why ordering is unavailable and when it reopens
+async function loadCanteenStatus() {
+  const banner = document.getElementById('canteen-banner');
+  try {
+    canteenState = await api('/canteen/status');
+  } catch (err) {
+    canteenState = null; // Checkout still enforces the hours
+  }
+  if (!banner) return;
+  const closed = canteenState && !canteenState.open;
+  banner.hidden = !closed;
+  banner.classList.toggle('canteen-banner-paused', Boolean(closed && canteenState.reason === 'paused'));
+  if (closed) {
+    banner.innerHTML = `<i class="fas fa-store-slash"></i> <strong>${canteenState.message}</strong> ${canteenState.reopens || ''}`
+      + (canteenState.reason === 'paused' ? '' : '<span class="canteen-banner-note">You can still pre-order for a later pickup slot.</span>');
+  }
+}
+
+// Pickup slots
+// Ask when the order should be ready. Resolves to {} for as soon as possible,
+// { pickup_slot_id, pickup_date } for a pre-order, or null if dismissed.
+async function choosePickupSlot() {
+  let days = [];
+  try {
+    const today = await api('/pickup-slots');
+    days = [today];
+    for (const date of today.dates.slice(1)) {
+      days.push(await api(`/pickup-slots?date=${date}`));
+    }
+  } catch (err) {
+    return {}; // Slots are optional; fall back to as soon as possible
+  }
+
+  // Outside opening hours only pre-orders are possible
+  const asapOpen = !canteenState || canteenState.open;
+  const inputOptions = asapOpen ? { asap: 'As soon as possible' } : {};
+  days.forEach((day, i) => {
+    const open = day.slots.filter(slot => slot.bookable);
+    if (!open.length) return;
+    const group = i === 0 ? 'Today' : 'Tomorrow';
+    inputOptions[group] = Object.fromEntries(open.map(slot => [
+      `${day.pickup_date}|${slot.slot_id}`,
+      `${slot.label ? slot.label + ' · ' : ''}${slot.formatted.split(', ').pop()} (${slot.remaining} left)`
+    ]));
+  });
+  if (Object.keys(inputOptions).length === (asapOpen ? 1 : 0)) return {};
+
+  const { isConfirmed, value } = await Swal.fire({
+    title: 'When will you pick it up?',
+    text: asapOpen ? undefined : `${canteenState.message}. Choose a pickup slot to pre-order.`,
+    input: 'select',
+    inputOptions,
+    inputValue: asapOpen ? 'asap' : undefined,
+    showCancelButton: true,
+    confirmButtonText: 'Next'
+  });
+  if (!isConfirmed) return null;
+  if (value === 'asap') return {};
+  const [pickup_date, pickup_slot_id] = value.split('|');
+  return { pickup_date, pickup_slot_id: Number(pickup_slot_id) };
+}
+
+// Offline stand-in for a gateway checkout page
+async function openMockCheckout(payment) {
+  const choice = await Swal.fire({
+    title: 'Mock UPI payment',
+    html: `Pay <b>&#8377;${payment.amount}</b> to AIMS Canteen<br><small>Reference ${payment.client.intent}</small>`,
+    showDenyButton: true,
+    showCancelButton: true,
+    confirmButtonText: 'Approve',
+    denyButtonText: 'Decline'
+  });
+  if (choice.isDismissed) return null;
+  const result = await api(`/payments/mock/${payment.client.intent}/pay`, {
+    method: 'POST',
+    body: JSON.stringify({ outcome: choice.isConfirmed ? 'success' : 'failed' })
+  });
+  return result.status === 'succeeded'
+    ? { provider_payment_id: result.provider_payment_id, signature: result.signature }
+    : { failed: true, reason: result.reason };
+}
+
+function loadRazorpayScript() {
+  if (window.Razorpay) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script');
+    script.src = 'https://checkout.razorpay.com/v1/checkout.js';
+    script.onload = resolve;
+    script.onerror = () => reject({ error: 'Could not load Razorpay checkout' });
+    document.head.appendChild(script);
+  });
+}
+
+async function openRazorpayCheckout(payment) {
+  await loadRazorpayScript();
+  return new Promise((resolve) => {
+    const rzp = new Razorpay({
+      key: payment.client.key_id,
+      order_id: payment.client.razorpay_order_id,
+      amount: payment.client.amount,
+      currency: payment.client.currency,
+      name: 'AIMS Canteen',
+      handler: (response) => resolve(response),
+      modal: { ondismiss: () => resolve(null) }
+    });
+    rzp.on('payment.failed', (response) => resolve({ failed: true, reason: response.error && response.error.description }));
+    rzp.open();
+  });
+}
+
+// Pay an order online. `payment` is the intent returned by checkout; without one a
+// fresh intent is requested. Resolves true once the server has confirmed payment.
+async function payForOrder(orderId, payment) {
+  try {
+    if (!payment) {
+      const res = await api('/payments/intent', { method: 'POST', body: JSON.stringify({ order_id: orderId }) });
+      payment = res.payment;
+    }
+
+    const outcome = payment.provider === 'razorpay'
+      ? await openRazorpayCheckout(payment)
+      : await openMockCheckout(payment);
+    if (!outcome) return false;
+
+    const res = await api(`/payments/${payment.payment_id}/confirm`, { method: 'POST', body: JSON.stringify(outcome) });
+    if (!res.success) {
+      await Swal.fire({ icon: 'error', title: 'Payment failed', text: outcome.reason || res.message || 'You can try again from My Orders.' });
+      return false;
+    }
+    return true;
+  } catch (err) {
+    await Swal.fire({ icon: 'error', title: err.error || 'Payment failed' });
+    return false;
+  }
+}
+
 checkOutBtn?.addEventListener('click', async () => {
+  if (checkOutBtn.disabled) return;
+  // The guest cart waits in this browser and joins the account's cart at login
+  if (!isLoggedIn()) {
+    const { isConfirmed } = await Swal.fire({
+      icon: 'info',
+      title: 'Log in to place your order',
+      text: 'Your cart will be waiting for you.',
+      showCancelButton: true,
+      confirmButtonText: 'Log in'
+    });
+    if (isConfirmed) window.location.href = APP_BASE + '/index.html';
+    return;
+  }
+  await loadCanteenStatus();
+  if (canteenState && canteenState.reason === 'paused') {
+    return Swal.fire({ icon: 'info', title: canteenState.message, text: canteenState.reopens });
+  }
+  const latest = await refreshCartUI();
+  if (latest && (latest.price_changes.length || latest.removed_items.length)) {
+    try {
+      if (!await confirmPriceChanges(latest.price_changes, latest.removed_items)) return;
+    } catch (err) {
+      return Swal.fire({ icon: 'error', title: err.error || 'Could not update your cart' });
+    }
+    const updated = await refreshCartUI();
+    if (updated && !updated.items.length) {
+      return Swal.fire({ icon: 'info', title: 'Your cart is empty' });
+    }
+  }
+  const pickup = await choosePickupSlot();
+  if (!pickup) return;
+  // Nothing to pay when a coupon covers the whole order
+  const payment_method = cartSummary && parseFloat(cartSummary.total) === 0 && !cartSummary.coupon?.error
+    ? 'counter'
+    : await choosePaymentMethod();
+  if (!payment_method) return;
+
+  checkOutBtn.disabled = true;
+  checkoutKey = checkoutKey || newCheckoutKey();
   try {
-    const res = await api('/order', { method: 'POST' });
-    Swal.fire({ icon: 'success', title: 'Order placed' });
+    const res = await api('/order', {
+      method: 'POST',
+      headers: { 'Idempotency-Key': checkoutKey },
+      body: JSON.stringify({ payment_method, ...pickup })
+    });
+    checkoutKey = null;
     await refreshCartUI();
-    window.setTimeout(() => { window.location.replace(APP_BASE + '/user-orders.html'); }, 1400);
+
+    let paymentNote = `Please pay &#8377;${res.total} at the counter when you collect.`;
+    if (parseFloat(res.total) === 0) {
+      paymentNote = 'Your coupon covers this order, nothing to pay.';
+    } else if (res.payment_method === 'wallet') {
+      paymentNote = res.wallet_balance ? `Paid from your wallet. Balance left: &#8377;${res.wallet_balance}` : 'Paid from your wallet.';
+    } else if (res.payment_method === 'online') {
+      const paid = !res.replayed && !res.payment_error && await payForOrder(res.order_id, res.payment);
+      paymentNote = paid ? 'Payment received, thank you!' : (res.payment_error || 'Payment is pending. You can pay from My Orders or at the counter.');
+    }
+
+    await Swal.fire({
+      icon: 'success',
+      title: 'Order placed',
+      html: (res.token_number ? `Your pickup token is <b style="font-size: 2rem;">${res.token_number}</b><br>Listen for it at the counter.<br><br>` : '')
+        + (res.pickup_slot ? `Ready for pickup: <b>${res.pickup_slot.formatted}</b><br><br>` : '')
+        + paymentNote,
+      confirmButtonText: 'View my orders'
+    });
+    window.location.replace(APP_BASE + '/user-orders.html');
   } catch (err) {
-    Swal.fire({ icon:'error', title: err.error || 'Order failed' });
+    // Prices moved while the customer was choosing a slot: show them and start over
+    if (err.prices_changed) {
+      await refreshCartUI();
+      const accepted = await confirmPriceChanges(err.price_changes || [], err.removed_items || []).catch(() => false);
+      await refreshCartUI();
+      if (accepted) Swal.fire({ icon: 'info', title: 'Cart updated', text: 'Check your cart and place the order again.' });
+      return;
+    }
+    const text = err.balance ? `Wallet balance is ₹${err.balance}; this order needs ₹${err.required}.` : undefined;
+    const html = err.shortages
+      ? err.shortages.map(s => `${s.title || 'An item'}: ${s.available ? `only ${s.available} left` : 'sold out'}`).join('<br>')
+      : undefined;
+    Swal.fire({ icon:'error', title: err.error || 'Order failed', text: err.canteen ? err.canteen.reopens : text, html });
+    if (err.shortages) loadMenu();
+    if (err.canteen) loadCanteenStatus();
+    if (err.coupon_error) refreshCartUI();
+  } finally {
+    checkOutBtn.disabled = false;
   }
 });
 
 // When DOM loaded -> load menu & cart
 document.addEventListener('DOMContentLoaded', async () => {
   await loadMenu();
+  await retryGuestCartMerge();
   await refreshCartUI();
+  await loadCanteenStatus();
+  setInterval(loadCanteenStatus, 60000);
 });
@@ -0,0 +1,49 @@
+// now-serving.js - Public "Now Serving" board for the TV near the counter
+(function(){
+const BOARD_API_BASE = 'http://localhost:5000/api';
+const REFRESH_MS = 5000;
+const HIGHLIGHT_MS = 60 * 1000; // newly ready tokens flash for a minute
+
+const readySince = new Map(); // token -> time it first showed up as Ready
+
+function renderTokens(container, tokens, highlight) {
+  container.innerHTML = tokens.length
+    ? tokens.map(t => `<span class="board-token${highlight(t) ? ' board-token-new' : ''}">${t}</span>`).join('')
+    : '<span class="board-none">&mdash;</span>';
+}
+
+async function refreshBoard() {
+  const status = document.getElementById('board-status');
+  try {
+    const res = await fetch(BOARD_API_BASE + '/display/now-serving');
+    if (!res.ok) throw new Error('HTTP ' + res.status);
+    const data = await res.json();
+
+    const now = Date.now();
+    data.ready.forEach(t => { if (!readySince.has(t)) readySince.set(t, now); });
+    Array.from(readySince.keys()).forEach(t => { if (!data.ready.includes(t)) readySince.delete(t); });
+
+    renderTokens(document.getElementById('ready-tokens'), data.ready, t => now - readySince.get(t) < HIGHLIGHT_MS);
+    renderTokens(document.getElementById('preparing-tokens'), data.preparing, () => false);
+    status.classList.remove('board-offline');
+    status.textContent = 'Please collect your order when your token appears under Ready.';
+  } catch (err) {
+    status.classList.add('board-offline');
+    status.textContent = 'Reconnecting...';
+  }
+}
+
+function tickClock() {
+  document.getElementById('board-clock').textContent = new Date().toLocaleTimeString('en-IN', {
+    hour: '2-digit', minute: '2-digit', hour12: true, timeZone: 'Asia/Kolkata'
+  });
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  refreshBoard();
+  tickClock();
+  setInterval(refreshBoard, REFRESH_MS);
+  setInterval(tickClock, 15000);
+});
+
+})();
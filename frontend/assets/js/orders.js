@@ -13,112 +13,433 @@ async function userApi(path, opts = {}) {
 	return res.json();
 }
 
+// Status timeline; orders placed before history was recorded only show their order date
+function renderStatusTimeline(order) {
+	let history = order.status_history || [];
+	if (history.length === 0) {
+		history = [{ to_status: 'Placed', formatted_time: order.formatted_datetime || new Date(order.order_date).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' }) }];
+	}
+	const steps = history.map(h => `
+		<li class="status-step status-${h.to_status.toLowerCase()}">
+			<span class="status-step-name">${h.to_status}</span>
+			<span class="status-step-time">${h.formatted_time || ''}</span>
+			${h.note ? `<span class="status-step-note">${escapeHtml(h.note)}</span>` : ''}
+		</li>
+	`).join('');
+	return `<ol class="status-timeline">${steps}</ol>`;
+}
+
+const REFUND_LABELS = {
+	wallet: 'to your wallet',
+	gateway: 'to your original payment method',
+	cash: 'in cash at the counter'
+};
+
+function renderRefundStatus(refund) {
+	const where = REFUND_LABELS[refund.method] || '';
+	if (refund.status === 'succeeded') {
+		return `<span class="payment-badge payment-paid">Refunded &#8377;${parseFloat(refund.amount).toFixed(2)}</span><br><small>${where}</small>`;
+	}
+	if (refund.status === 'failed') {
+		return '<span class="payment-badge payment-due">Refund delayed</span><br><small>Please contact the counter</small>';
+	}
+	return `<span class="payment-badge payment-due">Refund pending</span><br><small>&#8377;${parseFloat(refund.amount).toFixed(2)} ${where}</small>`;
+}
+
+// Payment cell: paid/unpaid plus a "Pay now" button for unpaid online orders
+function renderPaymentStatus(order) {
+	if (order.refund) {
+		return renderRefundStatus(order.refund);
+	}
+	if (order.payment_status) {
+		const via = { online: ' online', wallet: ' from wallet' }[order.payment_method] || '';
+		return `<span class="payment-badge payment-paid">Paid${via}</span>`;
+	}
+	if (order.order_status === 'Cancelled') {
+		return '<span class="payment-badge">Not paid</span>';
+	}
+	if (order.payment_method === 'online') {
+		return '<span class="payment-badge payment-due">Unpaid</span><br><button class="table-btn pay-now-btn">Pay now</button>';
+	}
+	return '<span class="payment-badge payment-due">Pay at counter</span>';
+}
+
+function isFinishedOrder(order) {
+	return order.order_status === 'Delivered' || order.order_status === 'Cancelled';
+}
+
+// Add-ons and kitchen instructions under an item name
+function userItemExtras(it) {
+	const addOns = (it.modifiers || []).map(m => m.name).join(', ');
+	return (addOns ? `<br><small class="item-addons">+ ${addOns}</small>` : '')
+		+ (it.instructions ? `<br><small class="item-instructions">"${escapeHtml(it.instructions)}"</small>` : '');
+}
+
+function buildOrderCard(order, idx) {
+	const card = document.createElement('div');
+	card.className = 'current-details';
+	card.dataset.orderId = String(order.order_id);
+	const itemsRows = (order.items || []).map((it, i) => {
+		const sub = (parseFloat(it.unit_price) * it.quantity).toFixed(2);
+		return `
+			<tr>
+				<td data-label="S. No">${i + 1}</td>
+				<td data-label="Item">${it.title}${it.variant_name ? ` (${it.variant_name})` : ''}${userItemExtras(it)}${order.can_review ? `
+					<button class="rate-item-btn" data-index="${i}">${it.review ? `&#9733; ${it.review.rating} &middot; Edit` : '&#9734; Rate'}</button>` : ''}</td>
+				<td data-label="Price">&#8377; ${parseFloat(it.unit_price).toFixed(2)}</td>
+				<td data-label="Quantity">${it.quantity}</td>
+				<td data-label="Sub Total">&#8377; ${sub}</td>
+			</tr>
+		`;
+	}).join('');
+
+	card.innerHTML = `
+		<table class="main-details">
+			<div class="flex" style="justify-content: space-between;">
+				<div><button class="table-btn my-1">Ordered Detail</button></div>
+				<div class="md order-card-index">#${idx + 1}</div>
+			</div>
+			<thead>
+				<tr>
+					<th>Token</th>
+					<th>Order ID</th>
+					<th>Total</th>
+					<th>Payment</th>
+					<th>Ordered Date</th>
+					<th>Status</th>
+				</tr>
+			</thead>
+			<tbody>
+				<tr>
+					<td data-label="Token"><span class="pickup-token">${order.token_number || '-'}</span></td>
+					<td data-label="Order ID">${order.order_id}</td>
+					<td data-label="Total">&#8377; ${parseFloat(order.total_amount).toFixed(2)}${order.coupon_code ? `<br><small class="order-coupon">${order.coupon_code}: -&#8377;${parseFloat(order.discount_amount).toFixed(2)}</small>` : ''}${parseFloat(order.tax_amount) > 0 ? `<br><small>${order.prices_include_tax ? 'Incl. ' : ''}GST &#8377;${parseFloat(order.tax_amount).toFixed(2)}</small>` : ''}</td>
+					<td data-label="Payment">${renderPaymentStatus(order)}</td>
+					<td data-label="Date">
+						<div class="order-datetime-wrapper">
+							<span class="order-date-label">Ordered on:</span><br>
+							<span class="order-date-value">${order.formatted_date || new Date(order.order_date).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })}</span><br>
+							<span class="order-time-value">${order.formatted_time || new Date(order.order_date).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit', hour12: true, timeZone: 'Asia/Kolkata' })}</span><br>
+							<span class="order-timezone-label">(${order.timezone || 'IST, UTC+5:30'})</span>
+							${order.pickup_slot ? `<br><span class="order-pickup-slot"><i class="fas fa-clock"></i> Pickup: ${order.pickup_slot.formatted}</span>` : ''}
+						</div>
+					</td>
+					<td data-label="Order Status">${order.order_status}</td>
+				</tr>
+			</tbody>
+		</table>
+		<table class="descriptive-details">
+			<thead>
+				<tr>
+					<th>S. No</th>
+					<th>Food</th>
+					<th>Price</th>
+					<th>Quantity</th>
+					<th>Sub Total</th>
+				</tr>
+			</thead>
+			<tbody>
+				${itemsRows}
+			</tbody>
+		</table>
+		${renderStatusTimeline(order)}
+		<div class="order-actions">
+			${order.can_cancel && order.cancel_deadline ? `<small>You can cancel until ${new Date(order.cancel_deadline).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit', hour12: true, timeZone: 'Asia/Kolkata' })}</small>` : ''}
+			<button class="table-btn reorder-btn"><i class="fas fa-redo"></i> Reorder</button>
+			${!isFinishedOrder(order) ? '<button class="table-btn pickup-qr-btn"><i class="fas fa-qrcode"></i> Pickup QR</button>' : ''}
+			${order.invoice_number ? '<button class="table-btn invoice-btn"><i class="fas fa-file-invoice"></i> Invoice</button>' : ''}
+			${order.can_cancel ? '<button class="table-btn cancel-order-btn">Cancel order</button>' : ''}
+		</div>
+	`;
+
+	const cancelBtn = card.querySelector('.cancel-order-btn');
+	cancelBtn?.addEventListener('click', () => cancelUserOrder(order, cancelBtn));
+	card.querySelector('.invoice-btn')?.addEventListener('click', () => downloadUserInvoice(order));
+	card.querySelector('.pickup-qr-btn')?.addEventListener('click', () => showUserPickupQr(order));
+	card.querySelectorAll('.rate-item-btn').forEach(btn => {
+		btn.addEventListener('click', () => rateOrderItem(order.items[Number(btn.dataset.index)]));
+	});
+	const reorderBtn = card.querySelector('.reorder-btn');
+	reorderBtn.addEventListener('click', () => reorderUserOrder(order, reorderBtn));
+
+	// payForOrder comes from main.js, which every customer page loads first
+	const payBtn = card.querySelector('.pay-now-btn');
+	payBtn?.addEventListener('click', async () => {
+		payBtn.disabled = true;
+		const paid = await payForOrder(order.order_id);
+		if (paid) {
+			Swal.fire({ icon: 'success', title: 'Payment received' });
+			await loadUserOrders().catch(console.error);
+		}
+		payBtn.disabled = false;
+	});
+
+	const hr = document.createElement('hr');
+	hr.className = 'hrStyle';
+	hr.style.margin = '2rem auto 0rem auto';
+	card.appendChild(hr);
+	return card;
+}
+
+// The invoice is a PDF behind auth, so fetch it with the token and save the blob
+async function downloadUserInvoice(order) {
+	try {
+		const res = await fetch(`${USER_API_BASE}/orders/${order.order_id}/invoice`, {
+			headers: { 'Authorization': 'Bearer ' + userGetToken() }
+		});
+		if (!res.ok) throw await res.json().catch(() => ({ error: 'Server error' }));
+		const link = document.createElement('a');
+		link.href = URL.createObjectURL(await res.blob());
+		link.download = `invoice-${order.invoice_number.replace(/\//g, '-')}.pdf`;
+		link.click();
+		setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+	} catch (err) {
+		Swal.fire({ icon: 'error', title: err.error || 'Could not download the invoice' });
+	}
+}
+
+// The counter scans this to hand the order over; it works only once
+let userPickupQrOrderId = null;
+
+async function showUserPickupQr(order) {
+	try {
+		const qr = await userApi(`/orders/${order.order_id}/pickup-qr`, { method: 'GET' });
+		userPickupQrOrderId = order.order_id;
+		await Swal.fire({
+			title: qr.token_number ? `Token ${qr.token_number}` : `Order #${qr.order_id}`,
+			html: `
+				<div class="pickup-qr">${qr.svg}</div>
+				<p>${qr.order_status === 'Ready' ? 'Your order is ready. Show this code at the counter.' : 'Show this code at the counter once your order is Ready.'}</p>
+				<small>Don't share it: whoever shows it can collect the order.</small>
+			`,
+			confirmButtonText: 'Done'
+		});
+		userPickupQrOrderId = null;
+	} catch (err) {
+		Swal.fire({ icon: 'error', title: err.error || 'Could not load the pickup QR' });
+	}
+}
+
+// Star rating and a short review for one line of a collected order.
+// Rating it again replaces the earlier review.
+async function rateOrderItem(item) {
+	let rating = item.review ? item.review.rating : 0;
+	const { isConfirmed, value } = await Swal.fire({
+		title: `Rate ${item.title}`,
+		html: `
+			<div class="review-form">
+				<div class="star-input">
+					${[1, 2, 3, 4, 5].map(star => `<button type="button" data-star="${star}" aria-label="${star} stars">&#9734;</button>`).join('')}
+				</div>
+				<textarea id="review-comment" maxlength="500" placeholder="What did you think? (optional)">${item.review && item.review.comment ? escapeHtml(item.review.comment) : ''}</textarea>
+			</div>
+		`,
+		showCancelButton: true,
+		confirmButtonText: 'Submit',
+		didOpen: (popup) => {
+			const stars = popup.querySelectorAll('[data-star]');
+			const paint = () => stars.forEach(btn => { btn.innerHTML = Number(btn.dataset.star) <= rating ? '&#9733;' : '&#9734;'; });
+			stars.forEach(btn => btn.addEventListener('click', () => { rating = Number(btn.dataset.star); paint(); }));
+			paint();
+		},
+		preConfirm: () => {
+			if (!rating) {
+				Swal.showValidationMessage('Tap a star to rate');
+				return false;
+			}
+			return { rating, comment: Swal.getPopup().querySelector('#review-comment').value.trim() };
+		}
+	});
+	if (!isConfirmed) return;
+
+	try {
+		const res = await userApi('/reviews', { method: 'POST', body: JSON.stringify({ order_item_id: item.order_item_id, ...value }) });
+		Swal.fire({ icon: 'success', title: res.message, timer: 1500, showConfirmButton: false });
+		await loadUserOrders();
+	} catch (err) {
+		Swal.fire({ icon: 'error', title: err.error || 'Could not save your review' });
+	}
+}
+
+// Copies the order into the cart at today's prices; the cart drawer (features.js)
+// opens so the customer can check it before paying
+async function reorderUserOrder(order, btn) {
+	btn.disabled = true;
+	try {
+		const res = await userApi(`/orders/${order.order_id}/reorder`, { method: 'POST' });
+		await refreshCartUI();
+		const notes = [
+			...res.repriced.map(r => `${r.title}${r.variant_name ? ` (${r.variant_name})` : ''}: now &#8377;${r.new_price} (was &#8377;${r.old_price})`),
+			...res.reduced.map(r => `${r.title}: only ${r.added} added, ${r.requested} ordered`),
+			...res.unavailable.map(u => `${u.title || 'An item'}: ${u.reason}`)
+		];
+		const result = await Swal.fire({
+			icon: res.unavailable.length ? 'info' : 'success',
+			title: res.message,
+			html: notes.join('<br>') || undefined,
+			showCancelButton: true,
+			confirmButtonText: 'View cart',
+			cancelButtonText: 'Close'
+		});
+		if (result.isConfirmed) {
+			cartOverlay.classList.add('show');
+			cartInnerlay.classList.add('showCart');
+		}
+	} catch (err) {
+		const html = (err.unavailable || []).map(u => `${u.title || 'An item'}: ${u.reason}`).join('<br>') || undefined;
+		Swal.fire({ icon: 'error', title: err.error || 'Could not reorder', html });
+	} finally {
+		btn.disabled = false;
+	}
+}
+
+async function cancelUserOrder(order, btn) {
+	const result = await Swal.fire({
+		icon: 'warning',
+		title: `Cancel order ${order.order_id}?`,
+		text: order.payment_status ? 'Your payment will be refunded.' : undefined,
+		input: 'text',
+		inputPlaceholder: 'Reason (optional)',
+		showCancelButton: true,
+		confirmButtonText: 'Yes, cancel it',
+		cancelButtonText: 'Keep order'
+	});
+	if (!result.isConfirmed) return;
+
+	btn.disabled = true;
+	try {
+		const res = await userApi(`/orders/${order.order_id}/cancel`, { method: 'POST', body: JSON.stringify({ reason: result.value || '' }) });
+		let text;
+		if (res.refund) {
+			text = res.refund.status === 'succeeded'
+				? `₹${res.refund.amount} has been refunded ${REFUND_LABELS[res.refund.method]}.`
+				: `₹${res.refund.amount} will be refunded ${REFUND_LABELS[res.refund.method]}.`;
+		}
+		Swal.fire({ icon: 'success', title: 'Order cancelled', text });
+		await loadUserOrders();
+	} catch (err) {
+		Swal.fire({ icon: 'error', title: err.error || 'Could not cancel order' });
+		btn.disabled = false;
+	}
+}
+
 function renderOrderCards(intoEl, orders) {
 	if (!intoEl) return;
 	intoEl.innerHTML = '';
 	if (!orders || orders.length === 0) {
-		intoEl.innerHTML = '<div class="text-center my-2">No orders.</div>';
+		intoEl.innerHTML = '<div class="text-center my-2 no-orders">No orders.</div>';
 		return;
 	}
 
 	orders.forEach((order, idx) => {
-		const card = document.createElement('div');
-		card.className = 'current-details';
-		const itemsRows = (order.items || []).map((it, i) => {
-			const sub = (parseFloat(it.unit_price) * it.quantity).toFixed(2);
-			return `
-				<tr>
-					<td data-label="S. No">${i + 1}</td>
-					<td data-label="Item">${it.title}</td>
-					<td data-label="Price">&#8377; ${parseFloat(it.unit_price).toFixed(2)}</td>
-					<td data-label="Quantity">${it.quantity}</td>
-					<td data-label="Sub Total">&#8377; ${sub}</td>
-				</tr>
-			`;
-		}).join('');
-
-		card.innerHTML = `
-			<table class="main-details">
-				<div class="flex" style="justify-content: space-between;">
-					<div><button class="table-btn my-1">Ordered Detail</button></div>
-					<div class="md">#${idx + 1}</div>
-				</div>
-				<thead>
-					<tr>
-						<th>Order ID</th>
-						<th>Total</th>
-						<th>Ordered Date</th>
-						<th>Status</th>
-					</tr>
-				</thead>
-				<tbody>
-					<tr>
-						<td data-label="Order ID">${order.order_id}</td>
-						<td data-label="Total">&#8377; ${parseFloat(order.total_amount).toFixed(2)}</td>
-						<td data-label="Date">
-							<div class="order-datetime-wrapper">
-								<span class="order-date-label">Ordered on:</span><br>
-								<span class="order-date-value">${order.formatted_date || new Date(order.order_date).toLocaleDateString('en-IN', { timeZone: 'Asia/Kolkata' })}</span><br>
-								<span class="order-time-value">${order.formatted_time || new Date(order.order_date).toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit', hour12: true, timeZone: 'Asia/Kolkata' })}</span><br>
-								<span class="order-timezone-label">(${order.timezone || 'IST, UTC+5:30'})</span>
-							</div>
-						</td>
-						<td data-label="Order Status">${order.order_status}</td>
-					</tr>
-				</tbody>
-			</table>
-			<table class="descriptive-details">
-				<thead>
-					<tr>
-						<th>S. No</th>
-						<th>Food</th>
-						<th>Price</th>
-						<th>Quantity</th>
-						<th>Sub Total</th>
-					</tr>
-				</thead>
-				<tbody>
-					${itemsRows}
-				</tbody>
-			</table>
-		`;
+		intoEl.appendChild(buildOrderCard(order, idx));
+	});
+}
+
+// ---- Live updates ----
+// Containers for the current/previous lists, set once the page has rendered
+const orderContainers = { current: null, previous: null };
+
+function renumberOrderCards(container) {
+	if (!container) return;
+	const cards = container.querySelectorAll(':scope > .current-details');
+	cards.forEach((card, idx) => {
+		const label = card.querySelector('.order-card-index');
+		if (label) label.textContent = '#' + (idx + 1);
+	});
+	const empty = container.querySelector(':scope > .no-orders');
+	if (cards.length > 0 && empty) empty.remove();
+	if (cards.length === 0 && !empty) container.innerHTML = '<div class="text-center my-2 no-orders">No orders.</div>';
+}
 
-		intoEl.appendChild(card);
-		const hr = document.createElement('hr');
-		hr.className = 'hrStyle';
-		hr.style.margin = '2rem auto 0rem auto';
-		intoEl.appendChild(hr);
+// Replace an order's card in place, or move it between Current and Previous when it finishes
+function patchOrderCard(order) {
+	// Close the pickup QR once the counter has scanned it
+	if (userPickupQrOrderId === order.order_id && order.order_status === 'Delivered') {
+		userPickupQrOrderId = null;
+		Swal.fire({ icon: 'success', title: 'Order collected', text: 'Enjoy your meal!', timer: 2500, showConfirmButton: false });
+	}
+	const target = isFinishedOrder(order) ? orderContainers.previous : orderContainers.current;
+	const existing = document.querySelector(`.orders .current-details[data-order-id="${order.order_id}"]`);
+	const source = existing ? existing.parentElement : null;
+
+	if (existing && source === target) {
+		existing.replaceWith(buildOrderCard(order, 0));
+	} else {
+		if (existing) existing.remove();
+		if (target) target.insertBefore(buildOrderCard(order, 0), target.firstChild);
+	}
+
+	renumberOrderCards(source);
+	renumberOrderCards(target);
+}
+
+// Subscribe to this user's order events; after a dropped connection the list is
+// reloaded once so nothing missed while offline is lost. The stream is opened
+// with a one-minute ticket, so a reconnect the server refuses gets a new one.
+async function connectOrderStream(reload, resync = false) {
+	if (!userGetToken() || typeof EventSource === 'undefined') return;
+
+	let ticket;
+	try {
+		({ ticket } = await userApi('/orders/stream/ticket', { method: 'POST', body: '{}' }));
+	} catch (err) {
+		setTimeout(() => connectOrderStream(reload, true), 5000);
+		return;
+	}
+
+	const stream = new EventSource(`${USER_API_BASE}/orders/stream?ticket=${encodeURIComponent(ticket)}`);
+	let dropped = resync;
+	const onOrder = (e) => {
+		try { patchOrderCard(JSON.parse(e.data)); } catch (err) { console.error(err); }
+	};
+	stream.addEventListener('order.created', onOrder);
+	stream.addEventListener('order.updated', onOrder);
+	stream.addEventListener('ready', () => {
+		if (dropped) { dropped = false; reload(); }
 	});
+	stream.onerror = () => {
+		dropped = true;
+		if (stream.readyState === EventSource.CLOSED) setTimeout(() => connectOrderStream(reload, true), 5000);
+	};
+}
+
+async function loadUserOrders() {
+	const orders = await userApi('/orders', { method: 'GET' });
+	const currentOrders = orders.filter(o => !isFinishedOrder(o));
+	const previousOrders = orders.filter(o => isFinishedOrder(o));
+
+	const currentContainer = document.querySelector('.orders.c-orders .order-inner .order-inner') || document.querySelector('.orders.c-orders .order-inner');
+	renderOrderCards(currentContainer, currentOrders);
+	orderContainers.current = currentContainer;
+
+	// Render previous orders section
+	let prevSection = document.querySelector('.orders.p-orders .previous-orders');
+	if (prevSection) {
+		let prevContainer = prevSection.nextElementSibling;
+		if (!prevContainer || !prevContainer.classList || !prevContainer.classList.contains('order-inner')) {
+			prevContainer = document.createElement('div');
+			prevContainer.className = 'order-inner container-min p-2';
+			prevSection.parentElement.insertBefore(prevContainer, prevSection.nextSibling);
+		}
+		if (!prevSection.textContent || prevSection.textContent.trim() === '') {
+			prevSection.textContent = 'Previous Orders';
+		}
+		renderOrderCards(prevContainer, previousOrders);
+		orderContainers.previous = prevContainer;
+	}
 }
 
 document.addEventListener('DOMContentLoaded', async () => {
 	// Only run on orders page
 	if (!document.querySelector('.orders.c-orders')) return;
+	const showError = (err) => {
+		Swal && Swal.fire ? Swal.fire({ icon: 'error', title: err.error || 'Failed to load orders' }) : console.error(err);
+	};
 	try {
-		const orders = await userApi('/orders', { method: 'GET' });
-		const currentOrders = orders.filter(o => o.order_status !== 'Delivered' && o.order_status !== 'Cancelled');
-		const previousOrders = orders.filter(o => o.order_status === 'Delivered' || o.order_status === 'Cancelled');
-
-		const currentContainer = document.querySelector('.orders.c-orders .order-inner .order-inner') || document.querySelector('.orders.c-orders .order-inner');
-		renderOrderCards(currentContainer, currentOrders);
-
-		// Render previous orders section
-		let prevSection = document.querySelector('.orders.p-orders .previous-orders');
-		if (prevSection) {
-			let prevContainer = prevSection.nextElementSibling;
-			if (!prevContainer || !prevContainer.classList || !prevContainer.classList.contains('order-inner')) {
-				prevContainer = document.createElement('div');
-				prevContainer.className = 'order-inner container-min p-2';
-				prevSection.parentElement.insertBefore(prevContainer, prevSection.nextSibling);
-			}
-			if (!prevSection.textContent || prevSection.textContent.trim() === '') {
-				prevSection.textContent = 'Previous Orders';
-			}
-			renderOrderCards(prevContainer, previousOrders);
-		}
+		await loadUserOrders();
+		connectOrderStream(() => loadUserOrders().catch(showError));
 	} catch (err) {
-		Swal && Swal.fire ? Swal.fire({ icon: 'error', title: err.error || 'Failed to load orders' }) : console.error(err);
+		showError(err);
 	}
 });
-
-
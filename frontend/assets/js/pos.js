@@ -0,0 +1,344 @@
+// pos.js - Counter till for walk-in sales (no customer account needed)
+(function(){
+const POS_API_BASE = 'http://localhost:5000/api';
+
+// Notes most customers hand over, offered as one-tap cash amounts
+const CASH_NOTES = [10, 20, 50, 100, 200, 500];
+
+let products = [];
+let category = 'All';
+let tender = 'cash';
+let pricesIncludeTax = true;
+const lines = []; // { key, item_id, variant_id, modifiers, instructions, label, extras, unit_price, quantity }
+
+function getToken(){ return localStorage.getItem('token'); }
+
+async function api(path, opts = {}) {
+  const headers = opts.headers || {};
+  const token = getToken();
+  if (token) headers['Authorization'] = 'Bearer ' + token;
+  if (!headers['Content-Type']) headers['Content-Type'] = 'application/json';
+  const res = await fetch(POS_API_BASE + path, { ...opts, headers });
+  if (!res.ok) throw await res.json().catch(() => ({ error: 'Server error' }));
+  return res.json();
+}
+
+async function ensureAdminAccess() {
+  try {
+    const data = await api('/auth/verify', { method: 'GET' });
+    if (!data?.user?.is_admin) throw data;
+    return true;
+  } catch (e) {
+    Swal.fire({ icon: 'error', title: 'Please login as admin' });
+    setTimeout(() => window.location.replace('index.html'), 1200);
+    return false;
+  }
+}
+
+function money(value) {
+  return `₹${parseFloat(value || 0).toFixed(2)}`;
+}
+
+function saleTotal() {
+  return lines.reduce((sum, line) => sum + line.unit_price * line.quantity, 0);
+}
+
+// ---- Menu ----
+
+function renderCategories() {
+  const names = ['All', ...new Set(products.map(p => p.category))];
+  document.getElementById('pos-categories').innerHTML = names.map(name => `
+    <button class="pos-category${name === category ? ' pos-active' : ''}" data-category="${name}">${name}</button>
+  `).join('');
+}
+
+function renderProducts() {
+  const search = document.getElementById('pos-search').value.trim().toLowerCase();
+  const list = products.filter(p =>
+    (category === 'All' || p.category === category) &&
+    (!search || p.title.toLowerCase().includes(search))
+  );
+  const container = document.getElementById('pos-products');
+  container.innerHTML = list.length
+    ? list.map(p => {
+      const soldOut = p.stock_quantity !== null && p.stock_quantity <= 0;
+      const price = p.variants.length ? `from ${money(p.variants[0].price)}` : money(p.price);
+      return `
+        <button class="pos-product" data-id="${p.item_id}" ${soldOut ? 'disabled' : ''}>
+          <span class="pos-product-name">${p.title}</span>
+          <span class="pos-product-price">${soldOut ? 'Sold out' : price}</span>
+        </button>
+      `;
+    }).join('')
+    : '<div class="pos-empty">No items match</div>';
+}
+
+async function loadMenu() {
+  try {
+    products = await api('/menu', { method: 'GET' });
+    renderCategories();
+    renderProducts();
+  } catch (err) {
+    Swal.fire({ icon: 'error', title: err.error || 'Failed to load menu' });
+  }
+}
+
+// Size and add-on picker. Resolves to the line to add, or null if dismissed.
+async function chooseOptions(product) {
+  const sizes = product.variants.length ? `
+    <fieldset class="pos-option-group">
+      <legend>Size</legend>
+      ${product.variants.map((v, i) => `
+        <label><input type="radio" name="pos-size" value="${v.variant_id}" data-price="${v.price}" data-name="${v.name}" ${i === 0 ? 'checked' : ''}> ${v.name} <span>${money(v.price)}</span></label>
+      `).join('')}
+    </fieldset>
+  ` : '';
+  const groups = product.modifier_groups.map(group => {
+    const single = group.min_select === 1 && group.max_select === 1;
+    return `
+      <fieldset class="pos-option-group pos-addons" data-name="${group.name}" data-min="${group.min_select}" data-max="${group.max_select ?? ''}">
+        <legend>${group.name}</legend>
+        ${group.options.map(o => `
+          <label><input type="${single ? 'radio' : 'checkbox'}" name="pos-group-${group.group_id}" value="${o.option_id}" data-price="${o.price}" data-name="${o.name}"> ${o.name}${parseFloat(o.price) ? ` <span>+${money(o.price)}</span>` : ''}</label>
+        `).join('')}
+      </fieldset>
+    `;
+  }).join('');
+
+  const { isConfirmed, value } = await Swal.fire({
+    title: product.title,
+    html: `
+      <div class="pos-picker">
+        ${sizes}${groups}
+        <input id="pos-instructions" class="swal2-input" maxlength="200" placeholder="Kitchen note (optional)">
+      </div>
+    `,
+    showCancelButton: true,
+    confirmButtonText: 'Add',
+    preConfirm: () => {
+      const popup = Swal.getPopup();
+      for (const fieldset of popup.querySelectorAll('.pos-addons')) {
+        const count = fieldset.querySelectorAll('input:checked').length;
+        const min = Number(fieldset.dataset.min);
+        const max = fieldset.dataset.max ? Number(fieldset.dataset.max) : null;
+        if (count < min || (max !== null && count > max)) {
+          Swal.showValidationMessage(`Check the choices for ${fieldset.dataset.name}`);
+          return false;
+        }
+      }
+      const size = popup.querySelector('input[name="pos-size"]:checked');
+      const addOns = Array.from(popup.querySelectorAll('.pos-addons input:checked'));
+      return {
+        variant_id: size ? Number(size.value) : null,
+        size_name: size ? size.dataset.name : null,
+        base_price: size ? parseFloat(size.dataset.price) : parseFloat(product.price),
+        modifiers: addOns.map(input => Number(input.value)),
+        addon_names: addOns.map(input => input.dataset.name),
+        addons_price: addOns.reduce((sum, input) => sum + parseFloat(input.dataset.price), 0),
+        instructions: popup.querySelector('#pos-instructions').value.trim()
+      };
+    }
+  });
+  return isConfirmed ? value : null;
+}
+
+async function addProduct(product) {
+  let choice = {
+    variant_id: null, size_name: null, base_price: parseFloat(product.price),
+    modifiers: [], addon_names: [], addons_price: 0, instructions: ''
+  };
+  if (product.variants.length || product.modifier_groups.length) {
+    choice = await chooseOptions(product);
+    if (!choice) return;
+  }
+
+  // The same item with the same choices just goes up in quantity
+  const key = [product.item_id, choice.variant_id || '', choice.modifiers.join(','), choice.instructions].join('|');
+  const existing = lines.find(line => line.key === key);
+  if (existing) {
+    existing.quantity += 1;
+  } else {
+    lines.push({
+      key,
+      item_id: product.item_id,
+      variant_id: choice.variant_id,
+      modifiers: choice.modifiers,
+      instructions: choice.instructions,
+      label: product.title + (choice.size_name ? ` (${choice.size_name})` : ''),
+      extras: [choice.addon_names.length ? `+ ${choice.addon_names.join(', ')}` : '', choice.instructions ? `"${choice.instructions}"` : ''].filter(Boolean).join(' '),
+      unit_price: choice.base_price + choice.addons_price,
+      quantity: 1
+    });
+  }
+  renderSale();
+}
+
+// ---- Current sale ----
+
+function renderSale() {
+  document.getElementById('pos-lines').innerHTML = lines.length
+    ? lines.map((line, index) => `
+      <li class="pos-line">
+        <div class="pos-line-name">
+          ${line.label}
+          ${line.extras ? `<small>${line.extras}</small>` : ''}
+        </div>
+        <div class="pos-line-qty">
+          <button class="pos-qty" data-index="${index}" data-step="-1" title="One less"><i class="fas fa-minus"></i></button>
+          <b>${line.quantity}</b>
+          <button class="pos-qty" data-index="${index}" data-step="1" title="One more"><i class="fas fa-plus"></i></button>
+        </div>
+        <div class="pos-line-amount">${money(line.unit_price * line.quantity)}</div>
+      </li>
+    `).join('')
+    : '<li class="pos-empty">Tap items to add them</li>';
+
+  const total = saleTotal();
+  document.getElementById('pos-total').textContent = money(total) + (pricesIncludeTax ? '' : ' + GST');
+  document.getElementById('pos-charge').disabled = lines.length === 0;
+
+  // Quick cash: the exact amount, then the next few notes that cover it
+  const quick = [Math.ceil(total), ...CASH_NOTES.filter(note => note > total).slice(0, 3)];
+  document.getElementById('pos-quick-cash').innerHTML = total > 0
+    ? [...new Set(quick)].map(amount => `<button class="pos-quick" data-amount="${amount}">₹${amount}</button>`).join('')
+    : '';
+  renderChange();
+}
+
+function renderChange() {
+  const tendered = parseFloat(document.getElementById('pos-cash-tendered').value);
+  const change = Number.isFinite(tendered) ? tendered - saleTotal() : 0;
+  const el = document.getElementById('pos-change');
+  // With GST on top the server works out the exact change
+  el.textContent = pricesIncludeTax ? money(Math.max(change, 0)) : 'at charge';
+  el.classList.toggle('pos-short', pricesIncludeTax && Number.isFinite(tendered) && change < 0);
+}
+
+function selectTender(name) {
+  tender = name;
+  document.querySelectorAll('.pos-tender').forEach(btn => btn.classList.toggle('pos-active', btn.dataset.tender === name));
+  document.getElementById('pos-cash').hidden = name !== 'cash';
+}
+
+function resetSale() {
+  lines.length = 0;
+  document.getElementById('pos-cash-tendered').value = '';
+  document.getElementById('pos-phone').value = '';
+  selectTender('cash');
+  renderSale();
+}
+
+async function charge(button) {
+  const body = {
+    items: lines.map(line => ({
+      item_id: line.item_id,
+      variant_id: line.variant_id,
+      modifiers: line.modifiers,
+      instructions: line.instructions,
+      quantity: line.quantity
+    })),
+    tender,
+    customer_phone: document.getElementById('pos-phone').value.trim() || undefined
+  };
+  if (tender === 'cash') {
+    body.cash_tendered = document.getElementById('pos-cash-tendered').value;
+  }
+
+  button.disabled = true;
+  try {
+    const sale = await api('/admin/pos/orders', { method: 'POST', body: JSON.stringify(body) });
+    resetSale();
+    loadMenu();
+    await Swal.fire({
+      icon: 'success',
+      title: `Token ${sale.token_number}`,
+      html: `Total ${money(sale.total)}${sale.change !== null ? `<br><b class="pos-change-due">Change ${money(sale.change)}</b>` : ''}`
+        + (sale.receipt_printed ? '<br><small>Hand over the receipt: its QR is scanned at pickup</small>' : ''),
+      showDenyButton: true,
+      denyButtonText: `<i class="fas fa-print"></i> ${sale.receipt_printed ? 'Reprint receipt' : 'Receipt'}`,
+      confirmButtonText: 'Next sale',
+      preDeny: () => api(`/admin/orders/${sale.order_id}/print`, { method: 'POST', body: JSON.stringify({ kind: 'receipt' }) })
+        .catch(err => Swal.showValidationMessage(err.error || 'Could not print'))
+    });
+  } catch (err) {
+    Swal.fire({ icon: 'error', title: err.error || 'Could not complete the sale' });
+  } finally {
+    button.disabled = lines.length === 0;
+  }
+}
+
+async function showSummary() {
+  try {
+    const data = await api('/admin/pos/summary', { method: 'GET' });
+    Swal.fire({
+      title: 'Counter takings today',
+      html: `
+        <table class="pos-summary">
+          ${data.tenders.map(t => `<tr><td>${t.label}</td><td>${t.orders} sales</td><td>${money(t.amount)}</td></tr>`).join('')}
+          <tr class="pos-summary-total"><td>Total</td><td></td><td>${money(data.total)}</td></tr>
+        </table>
+      `
+    });
+  } catch (err) {
+    Swal.fire({ icon: 'error', title: err.error || 'Failed to load takings' });
+  }
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+  const ok = await ensureAdminAccess();
+  if (!ok) return;
+
+  document.getElementById('pos-categories').addEventListener('click', (e) => {
+    const button = e.target.closest('.pos-category');
+    if (!button) return;
+    category = button.dataset.category;
+    renderCategories();
+    renderProducts();
+  });
+
+  document.getElementById('pos-search').addEventListener('input', renderProducts);
+
+  document.getElementById('pos-products').addEventListener('click', (e) => {
+    const button = e.target.closest('.pos-product');
+    if (!button || button.disabled) return;
+    const product = products.find(p => p.item_id === Number(button.dataset.id));
+    if (product) addProduct(product);
+  });
+
+  document.getElementById('pos-lines').addEventListener('click', (e) => {
+    const button = e.target.closest('.pos-qty');
+    if (!button) return;
+    const line = lines[Number(button.dataset.index)];
+    line.quantity += Number(button.dataset.step);
+    if (line.quantity <= 0) lines.splice(Number(button.dataset.index), 1);
+    renderSale();
+  });
+
+  document.getElementById('pos-tenders').addEventListener('click', (e) => {
+    const button = e.target.closest('.pos-tender');
+    if (button) selectTender(button.dataset.tender);
+  });
+
+  document.getElementById('pos-quick-cash').addEventListener('click', (e) => {
+    const button = e.target.closest('.pos-quick');
+    if (!button) return;
+    document.getElementById('pos-cash-tendered').value = button.dataset.amount;
+    renderChange();
+  });
+
+  document.getElementById('pos-cash-tendered').addEventListener('input', renderChange);
+  document.getElementById('pos-clear').addEventListener('click', resetSale);
+  document.getElementById('pos-charge').addEventListener('click', (e) => charge(e.currentTarget));
+  document.getElementById('pos-summary').addEventListener('click', showSummary);
+
+  // GST on top of menu prices means the till can't show the final total up front
+  try {
+    const tax = await api('/admin/tax', { method: 'GET' });
+    pricesIncludeTax = tax.settings.prices_include_tax !== false;
+  } catch (_) { /* assume inclusive prices */ }
+
+  await loadMenu();
+  renderSale();
+});
+
+})();
@@ -0,0 +1,68 @@
+// wallet.js - Customer wallet balance and statement on the orders page
+(function(){
+const WALLET_API_BASE = 'http://localhost:5000/api';
+
+const TXN_LABELS = {
+  topup: 'Top-up',
+  debit: 'Order payment',
+  refund: 'Refund',
+  adjustment: 'Adjustment'
+};
+
+let nextBefore = null;
+
+async function walletApi(path) {
+  const res = await fetch(WALLET_API_BASE + path, {
+    headers: { 'Authorization': 'Bearer ' + localStorage.getItem('token') }
+  });
+  if (!res.ok) throw await res.json().catch(() => ({ error: 'Server error' }));
+  return res.json();
+}
+
+function renderTransactionRow(t) {
+  const amount = parseFloat(t.amount);
+  return `
+    <tr>
+      <td data-label="Date">${t.formatted_time}</td>
+      <td data-label="Details">${TXN_LABELS[t.type] || t.type}${t.note ? `<br><small>${t.note}</small>` : ''}</td>
+      <td data-label="Amount" class="${amount < 0 ? 'wallet-debit' : 'wallet-credit'}">${amount < 0 ? '-' : '+'}&#8377;${Math.abs(amount).toFixed(2)}</td>
+      <td data-label="Balance">&#8377;${parseFloat(t.balance_after).toFixed(2)}</td>
+    </tr>
+  `;
+}
+
+async function loadWallet(append = false) {
+  const data = await walletApi('/wallet' + (append && nextBefore ? `?before=${nextBefore}` : ''));
+  document.getElementById('wallet-balance').textContent = data.balance;
+
+  const body = document.getElementById('wallet-transactions');
+  const rows = data.transactions.map(renderTransactionRow).join('');
+  if (append) {
+    body.insertAdjacentHTML('beforeend', rows);
+  } else {
+    body.innerHTML = rows || '<tr><td colspan="4" class="text-center">No wallet activity yet.</td></tr>';
+  }
+
+  nextBefore = data.next_before;
+  document.getElementById('wallet-load-more').hidden = !nextBefore;
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  if (!document.getElementById('wallet-balance') || !localStorage.getItem('token')) return;
+
+  const statement = document.getElementById('wallet-statement');
+  const toggle = document.getElementById('wallet-statement-toggle');
+
+  toggle.addEventListener('click', () => {
+    statement.hidden = !statement.hidden;
+    toggle.textContent = statement.hidden ? 'View statement' : 'Hide statement';
+  });
+
+  document.getElementById('wallet-load-more').addEventListener('click', () => {
+    loadWallet(true).catch(err => Swal.fire({ icon: 'error', title: err.error || 'Failed to load statement' }));
+  });
+
+  loadWallet().catch(err => console.error('Wallet load failed:', err));
+});
+
+})();